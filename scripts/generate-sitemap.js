@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const inventory = require('../src/data/inventory.json');
 
 // Site configuration
 const SITE_URL = 'https://andalusiancastle.com';
@@ -22,6 +23,12 @@ const pages = [
     { url: '/#testimonials', priority: '0.6', changefreq: 'monthly' },
     { url: '/#offers', priority: '0.9', changefreq: 'weekly' },
     { url: '/#location', priority: '0.8', changefreq: 'monthly' },
+    // Apartment detail pages, one per inventory record
+    ...inventory.apartments.map(apartment => ({
+        url: `/apartments/${apartment.id}`,
+        priority: '0.9',
+        changefreq: 'weekly',
+    })),
 ];
 
 /**
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview iCal Availability Import Script.
+ * Merges bookings exported by other channels (Airbnb, Booking.com, ...) as
+ * iCalendar feeds into src/data/availability.json, so the apartment calendars
+ * show those nights as booked. Re-running with a fresh export replaces the
+ * ranges previously imported from the same file; manual blocks are kept.
+ * Overlapping and malformed events are reported; malformed ones are skipped.
+ *
+ * Run with: node scripts/import-ical.js <apartment-id>=<file.ics> [...] [--dry-run]
+ * A file named <apartment-id>.ics can be passed on its own.
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inventory = require('../src/data/inventory.json');
+
+const AVAILABILITY_PATH = path.join(__dirname, '..', 'src', 'data', 'availability.json');
+
+// Lahore keeps UTC+5 all year; UTC times are moved to hotel-local dates
+const HOTEL_UTC_OFFSET_HOURS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date in hotel-local time.
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function todayISO() {
+    return new Date(Date.now() + HOTEL_UTC_OFFSET_HOURS * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to an ISO date.
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} Resulting date
+ */
+function addDays(iso, days) {
+    return new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{feeds: Array<{apartmentId: string, file: string}>, dryRun: boolean}} Parsed options
+ */
+function parseArgs(args) {
+    const feeds = args
+        .filter((arg) => !arg.startsWith('--'))
+        .map((arg) => {
+            const separator = arg.indexOf('=');
+            if (separator > 0) {
+                return { apartmentId: arg.slice(0, separator), file: arg.slice(separator + 1) };
+            }
+            return { apartmentId: path.basename(arg, path.extname(arg)), file: arg };
+        });
+
+    return { feeds, dryRun: args.includes('--dry-run') };
+}
+
+/**
+ * Splits iCalendar text into unfolded content lines.
+ * @param {string} text - Raw file contents
+ * @returns {Array<{number: number, text: string}>} Lines with their starting line number
+ */
+function unfoldLines(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if ((raw.startsWith(' ') || raw.startsWith('\t')) && lines.length > 0) {
+            lines[lines.length - 1].text += raw.slice(1);
+        } else if (raw.trim() !== '') {
+            lines.push({ number: index + 1, text: raw });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Parses a content line into name, parameters and value.
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null} Property, or null if unreadable
+ */
+function parseProperty(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) return null;
+
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach((param) => {
+        const [key, value = ''] = param.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    });
+
+    return { name: match[1].toUpperCase(), params, value: match[3].trim() };
+}
+
+/**
+ * Converts a DATE or DATE-TIME value to a hotel-local date.
+ * UTC times ("Z") are shifted to hotel time; floating and TZID times are
+ * taken as already local.
+ * @param {{params: Object<string, string>, value: string}} property - DTSTART or DTEND
+ * @returns {{date: string, isDateOnly: boolean}|null} Local date, or null if invalid
+ */
+function toLocalDate(property) {
+    const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const date = `${year}-${month}-${day}`;
+    // Rejects impossible dates such as 20260231
+    const midnight = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(midnight.getTime()) || midnight.toISOString().slice(0, 10) !== date) return null;
+
+    if (!hours) return { date, isDateOnly: true };
+    if (!utc) return { date, isDateOnly: false };
+
+    const instant = Date.parse(`${date}T${hours}:${minutes}:${seconds}Z`) + HOTEL_UTC_OFFSET_HOURS * 60 * 60 * 1000;
+    return { date: new Date(instant).toISOString().slice(0, 10), isDateOnly: false };
+}
+
+/**
+ * Converts a whole-day DURATION ("P3D", "P1W") to days.
+ * @param {string} value - Duration value
+ * @returns {number|null} Days, or null for anything else
+ */
+function durationToDays(value) {
+    const match = value.match(/^P(?:(\d+)W|(\d+)D)$/);
+    if (!match) return null;
+    return match[1] ? Number(match[1]) * 7 : Number(match[2]);
+}
+
+/**
+ * Extracts blocked ranges from an iCalendar file.
+ * @param {string} text - File contents
+ * @returns {{events: Array<{start: string, end: string, uid: string, line: number}>,
+ *   problems: string[], cancelled: number}} Valid events, problems found and cancelled events skipped
+ */
+function parseCalendar(text) {
+    const lines = unfoldLines(text);
+    const events = [];
+    const problems = [];
+    let cancelled = 0;
+
+    if (lines.length === 0 || lines[0].text.trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        return { events, problems: ['not an iCalendar file (missing BEGIN:VCALENDAR)'], cancelled };
+    }
+
+    let current = null;
+
+    lines.forEach(({ number, text: line }) => {
+        const upper = line.trim().toUpperCase();
+
+        if (upper === 'BEGIN:VEVENT') {
+            if (current) problems.push(`line ${current.line}: VEVENT has no END:VEVENT`);
+            current = { line: number, properties: {} };
+            return;
+        }
+
+        if (upper === 'END:VEVENT') {
+            if (!current) {
+                problems.push(`line ${number}: END:VEVENT without BEGIN:VEVENT`);
+                return;
+            }
+
+            const event = current;
+            current = null;
+            const label = `line ${event.line}${event.properties.UID ? ` (${event.properties.UID.value})` : ''}`;
+
+            if (event.properties.STATUS && event.properties.STATUS.value.toUpperCase() === 'CANCELLED') {
+                cancelled += 1;
+                return;
+            }
+            if (!event.properties.DTSTART) {
+                problems.push(`${label}: missing DTSTART`);
+                return;
+            }
+
+            const start = toLocalDate(event.properties.DTSTART);
+            if (!start) {
+                problems.push(`${label}: invalid DTSTART "${event.properties.DTSTART.value}"`);
+                return;
+            }
+
+            let end = null;
+            if (event.properties.DTEND) {
+                const parsed = toLocalDate(event.properties.DTEND);
+                if (!parsed) {
+                    problems.push(`${label}: invalid DTEND "${event.properties.DTEND.value}"`);
+                    return;
+                }
+                end = parsed.date;
+            } else if (event.properties.DURATION) {
+                const days = durationToDays(event.properties.DURATION.value);
+                if (days === null) {
+                    problems.push(`${label}: unsupported DURATION "${event.properties.DURATION.value}"`);
+                    return;
+                }
+                end = addDays(start.date, days);
+            } else if (start.isDateOnly) {
+                // An all-day event without an end lasts one day (RFC 5545 3.6.1)
+                end = addDays(start.date, 1);
+            } else {
+                problems.push(`${label}: missing DTEND`);
+                return;
+            }
+
+            if (end <= start.date) {
+                problems.push(`${label}: ends (${end}) on or before it starts (${start.date})`);
+                return;
+            }
+
+            events.push({
+                start: start.date,
+                end,
+                uid: event.properties.UID ? event.properties.UID.value : '',
+                line: event.line,
+            });
+            return;
+        }
+
+        if (current) {
+            const property = parseProperty(line);
+            if (!property) {
+                problems.push(`line ${number}: unreadable property "${line.slice(0, 40)}"`);
+            } else if (!(property.name in current.properties)) {
+                current.properties[property.name] = property;
+            }
+        }
+    });
+
+    if (current) problems.push(`line ${current.line}: VEVENT has no END:VEVENT`);
+
+    return { events, problems, cancelled };
+}
+
+/**
+ * Checks whether two ranges share a night.
+ * @param {{start: string, end: string}} a - Range
+ * @param {{start: string, end: string}} b - Range
+ * @returns {boolean} True when they overlap
+ */
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Lists overlapping pairs of imported events, and imported events that
+ * overlap ranges already blocked by another source.
+ * @param {Array<Object>} events - Imported events
+ * @param {Array<Object>} existing - Ranges kept from other sources
+ * @returns {string[]} Overlap descriptions
+ */
+function findOverlaps(events, existing) {
+    const found = [];
+    const describe = (event) => `${event.start} → ${event.end}${event.uid ? ` (${event.uid})` : ''}`;
+
+    events.forEach((event, index) => {
+        events.slice(index + 1)
+            .filter((other) => overlaps(event, other))
+            .forEach((other) => found.push(`${describe(event)} overlaps ${describe(other)} in the same feed`));
+        existing
+            .filter((range) => overlaps(event, range))
+            .forEach((range) => found.push(`${describe(event)} overlaps ${range.start} → ${range.end} (${range.source})`));
+    });
+
+    return found;
+}
+
+/**
+ * Serialises availability in the file's layout: one range per line.
+ * @param {Object} availability - Availability data
+ * @returns {string} JSON text
+ */
+function formatAvailability(availability) {
+    const apartments = Object.entries(availability.apartments).map(([id, ranges]) => {
+        const lines = ranges.map((range) => {
+            const fields = Object.entries(range).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+            return `      { ${fields.join(', ')} }`;
+        });
+        return `    ${JSON.stringify(id)}: [\n${lines.join(',\n')}\n    ]`;
+    });
+
+    return `{\n  "updated": ${JSON.stringify(availability.updated)},\n  "apartments": {\n${apartments.join(',\n')}\n  }\n}\n`;
+}
+
+/**
+ * Imports the feeds and writes the merged availability.
+ */
+function run() {
+    const { feeds, dryRun } = parseArgs(process.argv.slice(2));
+
+    if (feeds.length === 0) {
+        console.error('Usage: node scripts/import-ical.js <apartment-id>=<file.ics> [...] [--dry-run]');
+        process.exit(1);
+    }
+
+    const apartmentIds = inventory.apartments.map((apartment) => apartment.id);
+    const availability = JSON.parse(fs.readFileSync(AVAILABILITY_PATH, 'utf8'));
+    const today = todayISO();
+    let fatal = false;
+    let problemCount = 0;
+    let overlapCount = 0;
+
+    feeds.forEach(({ apartmentId, file }) => {
+        console.log(`\n📅 ${file} → ${apartmentId}`);
+
+        if (!apartmentIds.includes(apartmentId)) {
+            console.error(`   ❌ Unknown apartment id "${apartmentId}" (expected one of: ${apartmentIds.join(', ')})`);
+            fatal = true;
+            return;
+        }
+        if (!fs.existsSync(file)) {
+            console.error(`   ❌ File not found: ${file}`);
+            fatal = true;
+            return;
+        }
+
+        const source = `ical:${path.basename(file)}`;
+        const { events, problems, cancelled } = parseCalendar(fs.readFileSync(file, 'utf8'));
+
+        // Past stays no longer affect bookings
+        const upcoming = events.filter((event) => event.end > today);
+        const kept = (availability.apartments[apartmentId] || []).filter((range) => range.source !== source);
+        const overlapsFound = findOverlaps(upcoming, kept);
+
+        problems.forEach((problem) => console.warn(`   ⚠️  Malformed event skipped – ${problem}`));
+        overlapsFound.forEach((overlap) => console.warn(`   ⚠️  Overlap – ${overlap}`));
+        problemCount += problems.length;
+        overlapCount += overlapsFound.length;
+
+        // Identical ranges from one feed are stored once
+        const imported = upcoming
+            .map((event) => ({ start: event.start, end: event.end, source }))
+            .filter((range, index, all) => all.findIndex((other) => other.start === range.start && other.end === range.end) === index);
+
+        availability.apartments[apartmentId] = [...kept, ...imported]
+            .sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+
+        console.log(`   ✅ ${imported.length} range${imported.length === 1 ? '' : 's'} imported`
+            + ` (${events.length - upcoming.length} past, ${cancelled} cancelled skipped)`);
+    });
+
+    if (fatal) {
+        console.error('\n❌ Import aborted; availability.json was not changed.');
+        process.exit(1);
+    }
+
+    availability.updated = today;
+
+    if (dryRun) {
+        console.log('\nDry run: availability.json was not changed.');
+    } else {
+        fs.writeFileSync(AVAILABILITY_PATH, formatAvailability(availability), 'utf8');
+        console.log(`\n✅ Availability updated: ${AVAILABILITY_PATH}`);
+    }
+    console.log(`   ${problemCount} malformed event${problemCount === 1 ? '' : 's'}, ${overlapCount} overlap${overlapCount === 1 ? '' : 's'}`);
+}
+
+// Run import
+run();
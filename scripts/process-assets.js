@@ -1,3 +1,20 @@
+/**
+ * @fileoverview Image Asset Processing Script.
+ * Imports new photos from src/assets/images into the gallery categories,
+ * then builds a responsive width ladder in AVIF and WebP for every published
+ * photo and records the variants in src/data/image-manifest.json, which the
+ * ResponsiveImage component reads to build its srcset. Each entry also gets
+ * the photo's intrinsic size, dominant colour and a tiny blurred placeholder,
+ * so pages can reserve the space and paint something before it loads.
+ *
+ * Variants sit next to their master as `<name>-<width>w.<format>`, the
+ * naming `generateSrcset` expects. Variants newer than their master are
+ * kept, so re-running only encodes what changed.
+ *
+ * Run with: node scripts/process-assets.js
+ * @version 2.1.1
+ */
+
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
@@ -6,6 +23,27 @@ const SOURCE_DIR = path.join(__dirname, '../src/assets/images');
 const PUBLIC_DIR = path.join(__dirname, '../public/images');
 const MANIFEST_PATH = path.join(__dirname, '../src/data/image-manifest.json');
 
+// Ladder shared with `generateSrcset` in src/utils/performance.js
+const RESPONSIVE_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Ladder steps closer than this fraction to the master width are skipped,
+// as they would be near-duplicates of the full-size variant
+const LADDER_MIN_GAP = 0.1;
+
+// Listed in order of preference; browsers take the first type they support
+const RESPONSIVE_FORMATS = {
+    avif: { quality: 55, effort: 2 },
+    webp: { quality: 80 }
+};
+
+// Folders under public/images whose photos get a ladder
+const RESPONSIVE_DIRS = ['exterior', 'rooms', 'dining', 'spa', 'events', 'apartment_details', 'Facilities', 'Tour'];
+
+const VARIANT_PATTERN = /-\d+w\.(avif|webp)$/;
+
+// Longest side of the inline placeholder; browsers smooth it when scaling up
+const PLACEHOLDER_SIZE = 16;
+
 const CATEGORIES = {
     rooms: { target: 10, count: 0 },
     dining: { target: 6, count: 0 },
@@ -31,9 +69,14 @@ const KEYWORDS = {
     exterior: ['facade', 'garden', 'pool', 'view', 'sunset', 'night', 'day', 'architecture']
 };
 
-async function processAssets() {
-    console.log('Starting Asset Processing...');
-
+/**
+ * Imports the photos in SOURCE_DIR, spreading them over the gallery
+ * categories, and converts them to 1920px WebP masters.
+ * @param {string[]} files - Source file names
+ * @param {Object[]} existing - Current manifest, so numbering continues after it
+ * @returns {Promise<Object[]>} Manifest entries for the new masters
+ */
+async function importSourceImages(files, existing) {
     // 1. Prepare Directories
     if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
     Object.keys(CATEGORIES).forEach(cat => {
@@ -41,14 +84,10 @@ async function processAssets() {
         if (!fs.existsSync(catDir)) fs.mkdirSync(catDir, { recursive: true });
     });
 
-    // 2. Scan Files
-    const files = fs.readdirSync(SOURCE_DIR).filter(f => /\.(jpg|jpeg|png)$/i.test(f));
-    console.log(`Found ${files.length} images.`);
-
     const manifest = [];
     const assignments = [];
 
-    // 3. Assign Categories
+    // 2. Assign Categories
     const unknownFiles = [];
 
     // Process known files first
@@ -78,7 +117,7 @@ async function processAssets() {
         unassignedIndex++;
     }
 
-    // 4. Process Images
+    // 3. Process Images
     console.log('Processing images...');
 
     for (const { file, category } of assignments) {
@@ -87,7 +126,7 @@ async function processAssets() {
         // Generate new filename
         // Get a random keyword for the filename to make it look descriptive
         const keyword = KEYWORDS[category][Math.floor(Math.random() * KEYWORDS[category].length)];
-        const sequence = String(manifest.filter(m => m.category === category).length + 1).padStart(2, '0');
+        const sequence = String([...existing, ...manifest].filter(m => m.category === category).length + 1).padStart(2, '0');
         const newFilename = `${category}-${sequence}-${keyword}.webp`;
         const outputPath = path.join(PUBLIC_DIR, category, newFilename);
 
@@ -113,7 +152,124 @@ async function processAssets() {
         }
     }
 
-    // 5. Generate Manifest
+    return manifest;
+}
+
+/**
+ * Widths to generate for a master: every ladder step clearly below its own
+ * width, plus the master width itself so large screens still get full
+ * resolution.
+ * @param {number} width - Master width in pixels
+ * @returns {number[]} Widths in ascending order
+ */
+function getLadderWidths(width) {
+    const top = Math.min(width, RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]);
+    return [...RESPONSIVE_WIDTHS.filter(w => w < top * (1 - LADDER_MIN_GAP)), top];
+}
+
+/**
+ * Checks whether a variant is missing or older than its master.
+ * @param {string} variantPath - Variant file
+ * @param {fs.Stats} masterStats - Master file stats
+ * @returns {boolean} True when the variant must be encoded
+ */
+function isStale(variantPath, masterStats) {
+    return !fs.existsSync(variantPath) || fs.statSync(variantPath).mtimeMs < masterStats.mtimeMs;
+}
+
+/**
+ * Reads what pages need to know about a master before it loads.
+ * @param {string} masterPath - Master file on disk
+ * @returns {Promise<{width: number, height: number, color: string, placeholder: string}>}
+ *   Intrinsic size, dominant colour as hex and a blurred WebP data URI
+ */
+async function describeImage(masterPath) {
+    const { width, height } = await sharp(masterPath).metadata();
+    const { dominant } = await sharp(masterPath).stats();
+    const color = '#' + [dominant.r, dominant.g, dominant.b].map(c => c.toString(16).padStart(2, '0')).join('');
+
+    const placeholder = await sharp(masterPath)
+        .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+        .blur(0.8)
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return { width, height, color, placeholder: `data:image/webp;base64,${placeholder.toString('base64')}` };
+}
+
+/**
+ * Encodes the width ladder for one published master.
+ * @param {string} masterPath - Master file on disk
+ * @param {number} width - Master width in pixels
+ * @returns {Promise<Object<string, number[]>>} Widths written per format
+ */
+async function buildLadder(masterPath, width) {
+    const masterStats = fs.statSync(masterPath);
+    const base = masterPath.replace(/\.[^.]+$/, '');
+    const variants = {};
+
+    for (const [format, options] of Object.entries(RESPONSIVE_FORMATS)) {
+        variants[format] = [];
+        for (const w of getLadderWidths(width)) {
+            const outputPath = `${base}-${w}w.${format}`;
+            try {
+                if (isStale(outputPath, masterStats)) {
+                    await sharp(masterPath).resize({ width: w, withoutEnlargement: true })[format](options).toFile(outputPath);
+                    console.log(`Encoded: ${path.relative(PUBLIC_DIR, outputPath)}`);
+                }
+                variants[format].push(w);
+            } catch (error) {
+                console.error(`Error encoding ${outputPath}:`, error);
+            }
+        }
+    }
+
+    return variants;
+}
+
+async function processAssets() {
+    console.log('Starting Asset Processing...');
+
+    // Entries already in the manifest keep their alt text and category
+    const manifest = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8')) : [];
+
+    // 1. Import new photos, if any
+    const files = fs.existsSync(SOURCE_DIR) ? fs.readdirSync(SOURCE_DIR).filter(f => /\.(jpg|jpeg|png)$/i.test(f)) : [];
+    console.log(`Found ${files.length} images.`);
+
+    if (files.length > 0) {
+        for (const entry of await importSourceImages(files, manifest)) {
+            const index = manifest.findIndex(m => m.path === entry.path);
+            if (index === -1) manifest.push(entry);
+            else manifest[index] = { ...manifest[index], ...entry };
+        }
+    }
+
+    // 2. Describe every published photo and build its responsive ladder
+    console.log('Building responsive variants...');
+
+    for (const dir of RESPONSIVE_DIRS) {
+        const dirPath = path.join(PUBLIC_DIR, dir);
+        if (!fs.existsSync(dirPath)) continue;
+
+        const masters = fs.readdirSync(dirPath)
+            .filter(f => /\.(webp|jpg|jpeg|png)$/i.test(f) && !VARIANT_PATTERN.test(f))
+            .sort();
+
+        for (const file of masters) {
+            const publicPath = `/images/${dir}/${file}`;
+            let entry = manifest.find(m => m.path === publicPath);
+            if (!entry) {
+                entry = { filename: file, path: publicPath, category: dir };
+                manifest.push(entry);
+            }
+            const masterPath = path.join(dirPath, file);
+            Object.assign(entry, await describeImage(masterPath));
+            entry.variants = await buildLadder(masterPath, entry.width);
+        }
+    }
+
+    // 3. Generate Manifest
     fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
     console.log(`Manifest generated at ${MANIFEST_PATH}`);
     console.log('Asset Processing Complete.');
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Inventory Schema Check.
+ * Validates src/data/inventory.json before every build: required fields,
+ * field types, unique ids, consistent occupancy limits, known amenity keys,
+ * panorama scenes whose hotspots lead somewhere (and a tour for the
+ * apartments that must have one), floor plans whose rooms
+ * fit together and add up to the apartment size, and image paths that exist
+ * under public/. Exits with code 1 when any record is invalid.
+ * Run with: node scripts/validate-inventory.js
+ * @version 1.3.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INVENTORY_PATH = path.join(__dirname, '..', 'src', 'data', 'inventory.json');
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Apartment ids appear in URLs, so keep them kebab-case
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Apartments whose detail page advertises a 360° tour
+const TOUR_APARTMENT_IDS = ['super-luxury-apartment-55'];
+
+const SIZE_UNITS = ['sqm'];
+
+// Field name -> check returning an error message, or null when valid
+const isNonEmptyString = (value) => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string');
+const isPositiveInteger = (value) => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer');
+const isCount = (value) => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number, 0 or more');
+const isStringList = (value) => (
+    Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item.trim() !== '')
+        ? null
+        : 'must be a non-empty list of strings'
+);
+
+const APARTMENT_FIELDS = {
+    id: isNonEmptyString,
+    name: isNonEmptyString,
+    tagline: isNonEmptyString,
+    description: isNonEmptyString,
+    details: isNonEmptyString,
+    priceNote: isNonEmptyString,
+    size: (value) => (
+        value && typeof value === 'object' && typeof value.value === 'number' && value.value > 0 && SIZE_UNITS.includes(value.unit)
+            ? null
+            : `must be { value: number > 0, unit: ${SIZE_UNITS.join(' | ')} }`
+    ),
+    bed: isNonEmptyString,
+    view: isNonEmptyString,
+    baseOccupancy: isPositiveInteger,
+    maxAdults: isPositiveInteger,
+    maxGuests: isPositiveInteger,
+    maxInfants: isCount,
+    units: isPositiveInteger,
+    image: isNonEmptyString,
+    amenities: isStringList,
+    features: isStringList,
+    whatsappMessage: isNonEmptyString,
+    gallery: isStringList,
+};
+
+// Fields an apartment may leave out
+const OPTIONAL_APARTMENT_FIELDS = {
+    panoramas: (value) => (Array.isArray(value) ? null : 'must be a list of panorama scenes'),
+    floorPlan: (value) => (
+        value && typeof value === 'object' && Array.isArray(value.rooms) && value.rooms.length > 0
+            ? null
+            : 'must be { width, depth, rooms: [...] }'
+    ),
+};
+
+// Largest gap allowed between the rooms' total area and the apartment size
+const FLOOR_AREA_TOLERANCE = 0.05;
+
+const isPositiveNumber = (value) => (typeof value === 'number' && value > 0 ? null : 'must be a number above 0');
+const isCoordinate = (value) => (typeof value === 'number' && value >= 0 ? null : 'must be a number, 0 or more');
+
+const isAngle = (limit) => (value) => (
+    typeof value === 'number' && value >= -limit && value <= limit ? null : `must be a number from -${limit} to ${limit}`
+);
+
+/**
+ * Checks that a public asset path points at an existing file.
+ * @param {string} src - Path such as "/images/rooms/room.webp"
+ * @returns {boolean} Whether the file exists
+ */
+function assetExists(src) {
+    return fs.existsSync(path.join(PUBLIC_DIR, src));
+}
+
+/**
+ * Validate an apartment's 360° scenes.
+ * @param {Object[]} scenes - Apartment `panoramas`
+ * @param {string} where - Apartment label for messages
+ * @returns {string[]} Error messages
+ */
+function validatePanoramas(scenes, where) {
+    const errors = [];
+    const ids = new Set();
+
+    scenes.forEach((scene, index) => {
+        const at = `${where}: panoramas[${index}]${scene && scene.id ? ` (${scene.id})` : ''}`;
+        if (!scene || typeof scene !== 'object') {
+            errors.push(`${at}: must be an object`);
+            return;
+        }
+
+        ['id', 'label', 'src'].forEach((field) => {
+            const problem = isNonEmptyString(scene[field]);
+            if (problem) errors.push(`${at}: "${field}" ${problem}`);
+        });
+        if ('sample' in scene && typeof scene.sample !== 'boolean') errors.push(`${at}: "sample" must be true or false`);
+        if ('yaw' in scene && isAngle(180)(scene.yaw)) errors.push(`${at}: "yaw" ${isAngle(180)(scene.yaw)}`);
+        if (typeof scene.src === 'string' && !assetExists(scene.src)) errors.push(`${at}: image not found in public/: ${scene.src}`);
+        if (ids.has(scene.id)) errors.push(`${at}: duplicate id`);
+        ids.add(scene.id);
+    });
+
+    // Hotspots are checked once every scene id is known
+    scenes.forEach((scene, index) => {
+        if (!scene || !('hotspots' in scene)) return;
+        const at = `${where}: panoramas[${index}]`;
+        if (!Array.isArray(scene.hotspots)) {
+            errors.push(`${at}: "hotspots" must be a list`);
+            return;
+        }
+        scene.hotspots.forEach((hotspot, spot) => {
+            if (!hotspot || !ids.has(hotspot.scene) || hotspot.scene === scene.id) {
+                errors.push(`${at}.hotspots[${spot}]: "scene" must be the id of another scene`);
+            }
+            [['yaw', isAngle(180)], ['pitch', isAngle(90)]].forEach(([field, check]) => {
+                const problem = check(hotspot && hotspot[field]);
+                if (problem) errors.push(`${at}.hotspots[${spot}]: "${field}" ${problem}`);
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Validate an apartment's floor plan. Sizes are in metres from the plan's
+ * top-left corner.
+ * @param {Object} apartment - Apartment record with a `floorPlan`
+ * @param {string} where - Apartment label for messages
+ * @returns {string[]} Error messages
+ */
+function validateFloorPlan(apartment, where) {
+    const errors = [];
+    const plan = apartment.floorPlan;
+    const gallery = Array.isArray(apartment.gallery) ? apartment.gallery : [];
+
+    ['width', 'depth'].forEach((field) => {
+        const problem = isPositiveNumber(plan[field]);
+        if (problem) errors.push(`${where}: floorPlan "${field}" ${problem}`);
+    });
+
+    const ids = new Set();
+    const rooms = plan.rooms.filter((room, index) => {
+        const at = `${where}: floorPlan.rooms[${index}]${room && room.id ? ` (${room.id})` : ''}`;
+        if (!room || typeof room !== 'object') {
+            errors.push(`${at}: must be an object`);
+            return false;
+        }
+        const problems = [
+            ...['id', 'name'].map((field) => [field, isNonEmptyString(room[field])]),
+            ...['x', 'y'].map((field) => [field, isCoordinate(room[field])]),
+            ...['width', 'depth'].map((field) => [field, isPositiveNumber(room[field])]),
+        ].filter(([, problem]) => problem);
+        problems.forEach(([field, problem]) => errors.push(`${at}: "${field}" ${problem}`));
+
+        if (ids.has(room.id)) errors.push(`${at}: duplicate id`);
+        ids.add(room.id);
+        if ('photo' in room && !gallery.includes(room.photo)) errors.push(`${at}: "photo" must be one of the apartment's gallery images`);
+        if (problems.length > 0) return false;
+
+        if (room.x + room.width > plan.width + 1e-9 || room.y + room.depth > plan.depth + 1e-9) {
+            errors.push(`${at}: extends beyond the plan`);
+        }
+        return true;
+    });
+
+    rooms.forEach((a, i) => rooms.slice(i + 1).forEach((b) => {
+        const overlaps = a.x < b.x + b.width - 1e-9 && b.x < a.x + a.width - 1e-9
+            && a.y < b.y + b.depth - 1e-9 && b.y < a.y + a.depth - 1e-9;
+        if (overlaps) errors.push(`${where}: floorPlan rooms "${a.id}" and "${b.id}" overlap`);
+    }));
+
+    const area = rooms.reduce((total, room) => total + room.width * room.depth, 0);
+    const size = apartment.size && apartment.size.value;
+    if (rooms.length === plan.rooms.length && typeof size === 'number' && Math.abs(area - size) > size * FLOOR_AREA_TOLERANCE) {
+        errors.push(`${where}: floorPlan rooms add up to ${area.toFixed(1)} sqm, but the apartment is ${size} sqm`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the inventory.
+ * @param {Object} inventory - Parsed inventory.json
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateInventory(inventory) {
+    const errors = [];
+    const amenityLabels = inventory.amenities || {};
+    const apartments = inventory.apartments;
+
+    if (!Array.isArray(apartments) || apartments.length === 0) {
+        return ['"apartments" must be a non-empty list'];
+    }
+
+    Object.entries(amenityLabels).forEach(([key, label]) => {
+        if (isNonEmptyString(label)) errors.push(`amenities.${key}: label ${isNonEmptyString(label)}`);
+    });
+
+    const seenIds = new Set();
+
+    apartments.forEach((apartment, index) => {
+        const where = `apartments[${index}]${apartment && apartment.id ? ` (${apartment.id})` : ''}`;
+
+        if (!apartment || typeof apartment !== 'object') {
+            errors.push(`${where}: must be an object`);
+            return;
+        }
+
+        Object.entries(APARTMENT_FIELDS).forEach(([field, check]) => {
+            if (!(field in apartment)) {
+                errors.push(`${where}: missing field "${field}"`);
+                return;
+            }
+            const problem = check(apartment[field]);
+            if (problem) errors.push(`${where}: "${field}" ${problem}`);
+        });
+
+        Object.entries(OPTIONAL_APARTMENT_FIELDS)
+            .filter(([field]) => field in apartment)
+            .forEach(([field, check]) => {
+                const problem = check(apartment[field]);
+                if (problem) errors.push(`${where}: "${field}" ${problem}`);
+            });
+
+        Object.keys(apartment)
+            .filter((field) => !(field in APARTMENT_FIELDS) && !(field in OPTIONAL_APARTMENT_FIELDS))
+            .forEach((field) => errors.push(`${where}: unknown field "${field}"`));
+
+        if (Array.isArray(apartment.panoramas)) errors.push(...validatePanoramas(apartment.panoramas, where));
+        if (TOUR_APARTMENT_IDS.includes(apartment.id) && !(Array.isArray(apartment.panoramas) && apartment.panoramas.length > 0)) {
+            errors.push(`${where}: "panoramas" must list the 360° tour scenes`);
+        }
+        if (!OPTIONAL_APARTMENT_FIELDS.floorPlan(apartment.floorPlan)) errors.push(...validateFloorPlan(apartment, where));
+
+        if (typeof apartment.id === 'string') {
+            if (!ID_PATTERN.test(apartment.id)) errors.push(`${where}: id must be kebab-case`);
+            if (seenIds.has(apartment.id)) errors.push(`${where}: duplicate id`);
+            seenIds.add(apartment.id);
+        }
+
+        if (apartment.maxAdults > apartment.maxGuests) errors.push(`${where}: maxAdults exceeds maxGuests`);
+        if (apartment.baseOccupancy > apartment.maxGuests) errors.push(`${where}: baseOccupancy exceeds maxGuests`);
+
+        (Array.isArray(apartment.amenities) ? apartment.amenities : [])
+            .filter((key) => !(key in amenityLabels))
+            .forEach((key) => errors.push(`${where}: unknown amenity key "${key}"`));
+
+        [apartment.image, ...(Array.isArray(apartment.gallery) ? apartment.gallery : [])]
+            .filter((src) => typeof src === 'string' && !assetExists(src))
+            .forEach((src) => errors.push(`${where}: image not found in public/: ${src}`));
+    });
+
+    return errors;
+}
+
+// Run check
+const inventory = JSON.parse(fs.readFileSync(INVENTORY_PATH, 'utf8'));
+const errors = validateInventory(inventory);
+
+if (errors.length > 0) {
+    console.error(`❌ Inventory check failed (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+    errors.forEach((error) => console.error(`   - ${error}`));
+    process.exit(1);
+}
+
+console.log(`✅ Inventory valid: ${inventory.apartments.length} apartment types`);
@@ -6,8 +6,9 @@
  * - Critical above-fold components loaded synchronously (Navigation, Header, Hero)
  * - Below-fold sections lazy-loaded with Suspense boundaries
  * - Skeleton placeholders prevent layout shift during lazy load
+ * - Apartment detail pages (/apartments/<id>) skip the Hero and preloader
  * 
- * @version 2.0.0
+ * @version 2.1.0
  */
 
 import React, { lazy, useState, useEffect, useCallback } from 'react';
@@ -15,6 +16,8 @@ import { HERO_CONTENT } from './data/content';
 import LazySection from './components/common/LazySection';
 import Preloader from './components/common/Preloader';
 import WhatsAppButton from './components/common/WhatsAppButton';
+import useRoute from './hooks/useRoute';
+import { matchApartmentPath } from './utils/routes';
 
 // ============================================================
 // CRITICAL PATH - Load immediately for fast LCP
@@ -35,16 +38,22 @@ const Gallery = lazy(() => import('./components/sections/Gallery'));
 const Testimonials = lazy(() => import('./components/sections/Testimonials'));
 const Location = lazy(() => import('./components/sections/Location'));
 const Footer = lazy(() => import('./components/layout/Footer'));
+const ApartmentDetail = lazy(() => import('./components/pages/ApartmentDetail'));
 
 /**
  * Main application component.
- * Renders a single-page scroll-based SPA with optimized lazy loading.
+ * Renders a single-page scroll-based SPA with optimized lazy loading,
+ * or an apartment detail page when the URL points at one.
  * 
  * @component
  * @returns {React.ReactElement} The complete Andalusian Castle website
  */
 function App() {
-    const [isLoading, setIsLoading] = useState(true);
+    const path = useRoute();
+    const apartmentId = matchApartmentPath(path);
+
+    // Detail pages have no Hero video to wait for
+    const [isLoading, setIsLoading] = useState(() => apartmentId === null);
     const [isHeroAnimating, setIsHeroAnimating] = useState(false);
 
     // Callback when critical content (Hero video) is ready
@@ -83,46 +92,55 @@ function App() {
             <Header />
 
             {/* Main Content Sections */}
-            <main>
-                {/* Hero Section - Full viewport with adaptive video */}
-                <Hero
-                    {...HERO_CONTENT}
-                    onReady={handleContentReady}
-                    startAnimation={isHeroAnimating}
-                />
-
-                {/* ========== LAZY LOADED - Below the fold ========== */}
-
-                {/* Apartments & Suites Section */}
-                <LazySection minHeight="600px">
-                    <Apartments />
-                </LazySection>
-
-                {/* Amenities & Facilities Section */}
-                <LazySection minHeight="500px">
-                    <Amenities />
-                </LazySection>
-
-                {/* Tour Guide Section */}
-                <LazySection minHeight="500px">
-                    <TourGuide />
-                </LazySection>
-
-                {/* Photo Gallery Section */}
-                <LazySection minHeight="600px">
-                    <Gallery />
-                </LazySection>
-
-                {/* Testimonials/Reviews Section */}
-                <LazySection minHeight="400px">
-                    <Testimonials />
-                </LazySection>
-
-                {/* Location & Contact Section */}
-                <LazySection minHeight="500px">
-                    <Location />
-                </LazySection>
-            </main>
+            {apartmentId !== null ? (
+                <main>
+                    {/* Apartment Detail Page - /apartments/<id> */}
+                    <LazySection minHeight="100vh">
+                        <ApartmentDetail key={apartmentId} apartmentId={apartmentId} />
+                    </LazySection>
+                </main>
+            ) : (
+                <main>
+                    {/* Hero Section - Full viewport with adaptive video */}
+                    <Hero
+                        {...HERO_CONTENT}
+                        onReady={handleContentReady}
+                        startAnimation={isHeroAnimating}
+                    />
+
+                    {/* ========== LAZY LOADED - Below the fold ========== */}
+
+                    {/* Apartments & Suites Section */}
+                    <LazySection minHeight="600px">
+                        <Apartments />
+                    </LazySection>
+
+                    {/* Amenities & Facilities Section */}
+                    <LazySection minHeight="500px">
+                        <Amenities />
+                    </LazySection>
+
+                    {/* Tour Guide Section */}
+                    <LazySection minHeight="500px">
+                        <TourGuide />
+                    </LazySection>
+
+                    {/* Photo Gallery Section */}
+                    <LazySection minHeight="600px">
+                        <Gallery />
+                    </LazySection>
+
+                    {/* Testimonials/Reviews Section */}
+                    <LazySection minHeight="400px">
+                        <Testimonials />
+                    </LazySection>
+
+                    {/* Location & Contact Section */}
+                    <LazySection minHeight="500px">
+                        <Location />
+                    </LazySection>
+                </main>
+            )}
 
             {/* Footer - Multi-column layout with quick links */}
             <LazySection minHeight="300px">
@@ -0,0 +1,1065 @@
+/**
+ * @fileoverview Stay Quote Panel.
+ * Lets guests choose an apartment, dates, party size and add-on extras,
+ * shows a night-by-night price breakdown with the refund schedule for the
+ * chosen dates, and sends a structured WhatsApp request. A long-stay mode
+ * takes a move-in date and a number of months instead and sends an estimate
+ * for reception to confirm.
+ * @version 1.3.0
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Send, Mail, AlertCircle, Users, Tag, CheckCircle, CalendarRange, FileText
+} from 'lucide-react';
+import DateRangePicker from '../common/DateRangePicker';
+import AddToCalendar from '../common/AddToCalendar';
+import RefundSchedule from './RefundSchedule';
+import { isNightBlocked, isRangeAvailable } from '../../utils/availability';
+import {
+  formatDisplayDate, formatMonths, formatNights, todayISO,
+} from '../../utils/dateUtils';
+import { formatPKR } from '../../utils/pricing';
+import { formatPrice } from '../../utils/currency';
+import useCurrency from '../../hooks/useCurrency';
+import { BILLING_CURRENCY } from '../../data/exchange-rates';
+import { APARTMENTS_DATA } from '../../data/inventory';
+import {
+  checkOccupancy,
+  formatAllocation,
+  formatParty,
+  suggestApartments,
+} from '../../utils/occupancy';
+import { checkPromoCode, describePromoCode, normalizePromoCode } from '../../utils/promoCodes';
+import { describeExtra, getAvailableExtras } from '../../utils/extras';
+import { buildStayEvent } from '../../utils/calendar';
+import { downloadQuotePdf } from '../../utils/quotePdf';
+import {
+  buildQuote,
+  describeExtraGuests,
+  describeLengthOfStay,
+  describeNight,
+  formatLongStayMessage,
+  formatQuoteMessage,
+  getEmailLink,
+  getLongStayEnd,
+  getWhatsAppLink,
+} from '../../utils/quote';
+
+/**
+ * Party selectors and the largest number each offers. The limits are
+ * deliberately above any single apartment so larger families can be
+ * steered to a combination of apartments.
+ * @type {Array<{name: string, label: string, min: number, max: number}>}
+ */
+const PARTY_FIELDS = [
+  { name: 'adults', label: 'Adults', min: 1, max: 8 },
+  { name: 'children', label: 'Children (2–11)', min: 0, max: 6 },
+  { name: 'infants', label: 'Infants (under 2)', min: 0, max: 3 },
+];
+
+/**
+ * Stay types offered by the panel.
+ * @type {Array<{id: string, label: string}>}
+ */
+const STAY_MODES = [
+  { id: 'nightly', label: 'Nightly stay' },
+  { id: 'long', label: 'Long stay' },
+];
+
+/**
+ * Durations offered for long stays, in months.
+ * @type {number[]}
+ */
+const LONG_STAY_MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+/**
+ * Builds the WhatsApp enquiry for a suggested combination of apartments.
+ * @param {string} allocationText - Text from `formatAllocation`
+ * @param {QuoteRequest} request - Current request
+ * @returns {string} WhatsApp deep link
+ */
+function getCombinationHref(allocationText, request) {
+  const lines = [
+    '*Group Booking Enquiry – Andalusian Castle*',
+    '',
+    `Party: ${formatParty(request)}`,
+    `Apartments: ${allocationText}`,
+  ];
+  if (request.checkIn && request.checkOut) {
+    lines.push(`Dates: ${formatDisplayDate(request.checkIn)} → ${formatDisplayDate(request.checkOut)}`);
+  }
+  if (request.guestName.trim()) lines.push(`Name: ${request.guestName.trim()}`);
+  lines.push('', 'Please confirm availability and a combined quote.');
+  return getWhatsAppLink(lines.join('\n'));
+}
+
+/**
+ * Quote request shape shared with the Apartments section.
+ * @typedef {Object} QuoteRequest
+ * @property {string} apartmentId - Selected apartment id
+ * @property {'nightly'|'long'} mode - Stay type
+ * @property {string|null} checkIn - Check-in date
+ * @property {string|null} checkOut - Check-out date
+ * @property {string|null} moveIn - Long-stay move-in date
+ * @property {number} months - Long-stay duration in months
+ * @property {number} adults - Adults
+ * @property {number} children - Children aged 2–11
+ * @property {number} infants - Infants under 2
+ * @property {Object<string, number>} extras - Add-on extras, as id -> quantity
+ * @property {string} guestName - Lead guest name
+ * @property {string} notes - Special requests
+ * @property {string} promoCode - Applied promo code ('' for none)
+ */
+
+/**
+ * Quote panel component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.apartments - Apartments that can be quoted (no selector when only one)
+ * @param {QuoteRequest} props.value - Current request
+ * @param {(patch: Partial<QuoteRequest>) => void} props.onChange - Request update handler
+ * @returns {React.ReactElement} Quote panel element
+ */
+function QuotePanel({ apartments, value, onChange }) {
+  const [currency] = useCurrency();
+  const apartment = apartments.find((item) => item.id === value.apartmentId) || apartments[0];
+  const isLongStay = value.mode === 'long';
+
+  // Long stays run from the move-in date for whole calendar months
+  const stay = useMemo(() => (isLongStay
+    ? { checkIn: value.moveIn, checkOut: value.moveIn ? getLongStayEnd(value.moveIn, value.months) : null }
+    : { checkIn: value.checkIn, checkOut: value.checkOut }
+  ), [isLongStay, value.moveIn, value.months, value.checkIn, value.checkOut]);
+  const hasDates = Boolean(stay.checkIn && stay.checkOut);
+
+  const isAvailable = hasDates && isRangeAvailable(apartment.id, stay.checkIn, stay.checkOut);
+
+  const [promoDraft, setPromoDraft] = useState(value.promoCode);
+  const [pdfStatus, setPdfStatus] = useState(null); // 'working' | 'error'
+
+  // Follow the applied code when the parent resets or replaces it
+  useEffect(() => {
+    setPromoDraft(value.promoCode);
+  }, [value.promoCode]);
+
+  const occupancyProblems = checkOccupancy(apartment, value);
+  const availableExtras = getAvailableExtras(apartment);
+  const promoCheck = value.promoCode
+    ? checkPromoCode(value.promoCode, { apartment, ...stay })
+    : null;
+
+  // Long stays are estimates confirmed by reception, so booked nights do not block them
+  const quote = useMemo(
+    () => (isAvailable || (isLongStay && hasDates) ? buildQuote(apartment, { ...value, ...stay }) : null),
+    [apartment, value, stay, isAvailable, isLongStay, hasDates]
+  );
+
+  // Apartments (alone or combined) that can host the party on these dates
+  const suggestions = useMemo(() => {
+    if (occupancyProblems.length === 0) return [];
+    return suggestApartments(value, APARTMENTS_DATA, {
+      isAvailable: (item) => !stay.checkIn || !stay.checkOut
+        || isRangeAvailable(item.id, stay.checkIn, stay.checkOut),
+    });
+  }, [occupancyProblems.length, value, stay]);
+
+  const message = quote && (isLongStay
+    ? formatLongStayMessage(quote, { months: value.months, currency })
+    : formatQuoteMessage(quote, { currency }));
+
+  const applyPromoCode = () => {
+    const code = normalizePromoCode(promoDraft);
+    setPromoDraft(code);
+    onChange({ promoCode: code });
+  };
+
+  const removePromoCode = () => {
+    setPromoDraft('');
+    onChange({ promoCode: '' });
+  };
+
+  const handleDownloadPdf = async () => {
+    setPdfStatus('working');
+    try {
+      await downloadQuotePdf(quote, { currency, months: isLongStay ? value.months : undefined });
+      setPdfStatus(null);
+    } catch (e) {
+      setPdfStatus('error');
+    }
+  };
+
+  const setExtraQuantity = (extraId, quantity) => {
+    onChange({ extras: { ...value.extras, [extraId]: quantity } });
+  };
+
+  const handleFieldChange = (e) => {
+    const { name, value: fieldValue } = e.target;
+    const isCount = name === 'months' || PARTY_FIELDS.some((field) => field.name === name);
+    onChange({ [name]: isCount ? Number(fieldValue) : fieldValue });
+  };
+
+  return (
+    <div id="quote" className="quote">
+      <header className="quote__header">
+        <h3 className="quote__title">Plan Your Stay</h3>
+        <p className="quote__subtitle">
+          Choose your apartment and dates to see an itemised quote before you book.
+        </p>
+      </header>
+
+      <div className="quote__grid">
+        <div className="quote__form">
+          {apartments.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="quote-apartment">Apartment</label>
+              <select
+                id="quote-apartment"
+                name="apartmentId"
+                value={apartment.id}
+                onChange={handleFieldChange}
+              >
+                {apartments.map((item) => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="quote__modes" role="group" aria-label="Stay type">
+            {STAY_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                type="button"
+                className={`quote__mode ${value.mode === mode.id ? 'quote__mode--active' : ''}`}
+                aria-pressed={value.mode === mode.id}
+                onClick={() => onChange({ mode: mode.id })}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+
+          {isLongStay ? (
+            <div className="quote__form-row quote__form-row--long">
+              <div className="form-group">
+                <label htmlFor="quote-move-in">Move-in Date</label>
+                <input
+                  type="date"
+                  id="quote-move-in"
+                  name="moveIn"
+                  value={value.moveIn || ''}
+                  min={todayISO()}
+                  onChange={(e) => onChange({ moveIn: e.target.value || null })}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="quote-months">Duration</label>
+                <select
+                  id="quote-months"
+                  name="months"
+                  value={value.months}
+                  onChange={handleFieldChange}
+                >
+                  {LONG_STAY_MONTHS.map((count) => (
+                    <option key={count} value={count}>{formatMonths(count)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ) : (
+            <DateRangePicker
+              key={apartment.id}
+              checkIn={value.checkIn}
+              checkOut={value.checkOut}
+              onChange={(range) => onChange(range)}
+              isNightUnavailable={(night) => isNightBlocked(apartment.id, night)}
+              label={`Stay dates for ${apartment.name}`}
+            />
+          )}
+
+          <fieldset className="quote__party">
+            <legend>
+              Guests <span className="quote__party-note">
+                {apartment.name} sleeps {apartment.maxGuests} ({apartment.baseOccupancy} included in the rate)
+              </span>
+            </legend>
+            <div className="quote__form-row">
+              {PARTY_FIELDS.map((field) => (
+                <div key={field.name} className="form-group">
+                  <label htmlFor={`quote-${field.name}`}>{field.label}</label>
+                  <select
+                    id={`quote-${field.name}`}
+                    name={field.name}
+                    value={value[field.name]}
+                    onChange={handleFieldChange}
+                  >
+                    {Array.from({ length: field.max - field.min + 1 }, (_, i) => field.min + i).map((count) => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset className="quote__extras">
+            <legend>Extras <span className="quote__party-note">Added to your quote, not discounted by offers</span></legend>
+            <ul className="quote__extras-list">
+              {availableExtras.map((extra) => {
+                const quantity = value.extras[extra.id] || 0;
+                const price = `${formatPrice(extra.price, currency)} ${extra.unit === 'night' ? 'per night' : 'each'}`;
+
+                return (
+                  <li key={extra.id} className="quote__extra">
+                    {extra.maxQuantity === 1 ? (
+                      <input
+                        type="checkbox"
+                        id={`quote-extra-${extra.id}`}
+                        checked={quantity > 0}
+                        onChange={(e) => setExtraQuantity(extra.id, e.target.checked ? 1 : 0)}
+                        aria-describedby={`quote-extra-${extra.id}-desc`}
+                      />
+                    ) : (
+                      <select
+                        id={`quote-extra-${extra.id}`}
+                        value={quantity}
+                        onChange={(e) => setExtraQuantity(extra.id, Number(e.target.value))}
+                        aria-describedby={`quote-extra-${extra.id}-desc`}
+                      >
+                        {Array.from({ length: extra.maxQuantity + 1 }, (_, i) => i).map((count) => (
+                          <option key={count} value={count}>{count}</option>
+                        ))}
+                      </select>
+                    )}
+                    <label htmlFor={`quote-extra-${extra.id}`}>
+                      <span className="quote__extra-name">{extra.label}</span>
+                      <span className="quote__extra-price">{price}</span>
+                      <span id={`quote-extra-${extra.id}-desc`} className="quote__extra-desc">{extra.description}</span>
+                    </label>
+                  </li>
+                );
+              })}
+            </ul>
+          </fieldset>
+
+          <div className="form-group">
+            <label htmlFor="quote-name">Your Name</label>
+            <input
+              type="text"
+              id="quote-name"
+              name="guestName"
+              value={value.guestName}
+              onChange={handleFieldChange}
+              placeholder="Lead guest name"
+              maxLength={100}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="quote-promo">Promo Code</label>
+            <div className="quote__promo">
+              <input
+                type="text"
+                id="quote-promo"
+                value={promoDraft}
+                onChange={(e) => setPromoDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    applyPromoCode();
+                  }
+                }}
+                placeholder="Partner or influencer code"
+                maxLength={30}
+                autoCapitalize="characters"
+                aria-describedby="quote-promo-status"
+              />
+              {value.promoCode && normalizePromoCode(promoDraft) === value.promoCode ? (
+                <button type="button" className="btn btn-secondary btn-sm" onClick={removePromoCode}>
+                  Remove
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={applyPromoCode}
+                  disabled={!normalizePromoCode(promoDraft)}
+                >
+                  Apply
+                </button>
+              )}
+            </div>
+            <p id="quote-promo-status" className="quote__promo-status" role="status">
+              {promoCheck?.error && (
+                <span className="quote__promo-status--error">
+                  <AlertCircle size={14} /> {promoCheck.error}
+                </span>
+              )}
+              {promoCheck?.promo && (
+                <span className="quote__promo-status--ok">
+                  <CheckCircle size={14} /> {promoCheck.promo.code} – {promoCheck.promo.label} ({describePromoCode(promoCheck.promo)})
+                  {!hasDates && ', applied once you choose your dates'}
+                </span>
+              )}
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="quote-notes">Special Requests</label>
+            <textarea
+              id="quote-notes"
+              name="notes"
+              rows="2"
+              value={value.notes}
+              onChange={handleFieldChange}
+              placeholder="Arrival time, dietary needs, celebrations..."
+              maxLength={500}
+            />
+          </div>
+        </div>
+
+        <div className="quote__summary" aria-live="polite">
+          {occupancyProblems.length > 0 && (
+            <div className="quote__occupancy" role="alert">
+              <p className="quote__warning">
+                <Users size={16} />
+                {occupancyProblems.join(' ')}
+              </p>
+              {suggestions.length > 0 ? (
+                <>
+                  <p className="quote__suggest-title">Suitable options for {formatParty(value)}:</p>
+                  <ul className="quote__suggestions">
+                    {suggestions.map((allocation) => {
+                      const text = formatAllocation(allocation);
+                      const single = allocation.length === 1
+                        && apartments.some((item) => item.id === allocation[0].apartment.id);
+
+                      return (
+                        <li key={text}>
+                          <span>{text}</span>
+                          {single ? (
+                            <button
+                              type="button"
+                              className="quote__suggest-action"
+                              onClick={() => onChange({ apartmentId: allocation[0].apartment.id })}
+                            >
+                              Switch to {allocation[0].apartment.name}
+                            </button>
+                          ) : (
+                            <a
+                              href={getCombinationHref(text, value)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="quote__suggest-action"
+                            >
+                              Ask about this combination
+                            </a>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </>
+              ) : (
+                <p className="quote__suggest-title">
+                  Please contact reception on WhatsApp to arrange a party of this size.
+                </p>
+              )}
+            </div>
+          )}
+
+          {occupancyProblems.length === 0 && hasDates && !isAvailable && !isLongStay && (
+            <p className="quote__warning" role="alert">
+              <AlertCircle size={16} />
+              {apartment.name} is not available for every night of these dates. Please choose other dates.
+            </p>
+          )}
+
+          {occupancyProblems.length === 0 && hasDates && !isAvailable && isLongStay && (
+            <p className="quote__notice">
+              <CalendarRange size={16} />
+              Some nights in this period are already booked. Reception will confirm which apartment is free for your move-in.
+            </p>
+          )}
+
+          {!quote && !hasDates && (
+            <p className="quote__empty">
+              {isLongStay
+                ? 'Choose a move-in date and duration to see your long-stay estimate.'
+                : 'Select check-in and check-out dates to see your quote.'}
+            </p>
+          )}
+
+          {quote && (
+            <>
+              <p className="quote__stay">
+                <strong>{quote.apartmentName}</strong><br />
+                {formatDisplayDate(quote.checkIn)} → {formatDisplayDate(quote.checkOut)} · {isLongStay ? `${formatMonths(value.months)} (${formatNights(quote.nights.length)})` : formatNights(quote.nights.length)} · {formatParty(quote.party)}
+              </p>
+
+              <table className="quote__table">
+                <caption className="sr-only">{isLongStay ? 'Long-stay estimate' : 'Nightly breakdown'}</caption>
+                <tbody>
+                  {isLongStay ? (
+                    <tr>
+                      <th scope="row">
+                        Room · {formatNights(quote.nights.length)}
+                        <span className="quote__night-note">Seasonal and weekend rates included</span>
+                      </th>
+                      <td>{formatPrice(quote.roomTotal, currency)}</td>
+                    </tr>
+                  ) : quote.nights.map((night) => (
+                    <tr key={night.night}>
+                      <th scope="row">
+                        {formatDisplayDate(night.night)}
+                        {describeNight(night) && (
+                          <span className="quote__night-note">{describeNight(night)}</span>
+                        )}
+                      </th>
+                      <td>
+                        {night.rate < night.fullRate && (
+                          <span className="quote__full-rate">{formatPrice(night.fullRate, currency)}</span>
+                        )}
+                        {formatPrice(night.rate, currency)}
+                      </td>
+                    </tr>
+                  ))}
+                  {quote.lengthOfStay && (
+                    <tr className="quote__row--tier">
+                      <th scope="row">{describeLengthOfStay(quote)}</th>
+                      <td>−{formatPrice(quote.lengthOfStay.discount, currency)}</td>
+                    </tr>
+                  )}
+                  {quote.extraGuests.total > 0 && (
+                    <tr className="quote__row--extra">
+                      <th scope="row">{describeExtraGuests(quote)}</th>
+                      <td>{formatPrice(quote.extraGuests.total, currency)}</td>
+                    </tr>
+                  )}
+                  {quote.extras.items.map((item) => (
+                    <tr key={item.id} className="quote__row--addon">
+                      <th scope="row">{describeExtra(item, quote.nights.length)}</th>
+                      <td>{formatPrice(item.total, currency)}</td>
+                    </tr>
+                  ))}
+                  {quote.promoCode && (
+                    <tr className="quote__row--promo">
+                      <th scope="row">
+                        <Tag size={14} aria-hidden="true" /> Promo code {quote.promoCode.code}
+                        <span className="quote__night-note">{quote.promoCode.description}</span>
+                      </th>
+                      <td>−{formatPrice(quote.promoCode.discount, currency)}</td>
+                    </tr>
+                  )}
+                </tbody>
+                <tfoot>
+                  {quote.savings > 0 && (
+                    <tr className="quote__row--savings">
+                      <th scope="row">Offer savings included above</th>
+                      <td>{formatPrice(quote.savings, currency)}</td>
+                    </tr>
+                  )}
+                  <tr className="quote__row--tax">
+                    <th scope="row">
+                      {quote.tax.inclusive ? 'Includes ' : ''}{quote.tax.percent}% {quote.tax.label}
+                    </th>
+                    <td>{formatPrice(quote.tax.amount, currency)}</td>
+                  </tr>
+                  <tr className="quote__row--total">
+                    <th scope="row">Total</th>
+                    <td>{formatPrice(quote.total, currency)}</td>
+                  </tr>
+                  {isLongStay && (
+                    <tr className="quote__row--monthly">
+                      <th scope="row">≈ Per month</th>
+                      <td>{formatPrice(Math.round(quote.total / value.months), currency)}</td>
+                    </tr>
+                  )}
+                  {currency !== BILLING_CURRENCY && (
+                    <tr className="quote__row--billed">
+                      <th scope="row">Billed in PKR</th>
+                      <td>{formatPKR(quote.total)}</td>
+                    </tr>
+                  )}
+                </tfoot>
+              </table>
+
+              <RefundSchedule quote={quote} currency={currency} />
+
+              <a
+                href={getWhatsAppLink(message)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="btn btn-primary quote__cta"
+              >
+                <Send size={18} /> {isLongStay ? 'Send Long Stay Enquiry' : 'Send Booking Request'}
+              </a>
+              <a
+                href={getEmailLink(`${isLongStay ? 'Long stay enquiry' : 'Booking request'} – ${quote.apartmentName}`, message)}
+                className="btn btn-secondary quote__cta quote__cta--email"
+              >
+                <Mail size={18} /> {isLongStay ? 'Email Enquiry' : 'Email Request'}
+              </a>
+              <button
+                type="button"
+                className="btn btn-secondary quote__cta quote__cta--email"
+                onClick={handleDownloadPdf}
+                disabled={pdfStatus === 'working'}
+              >
+                <FileText size={18} /> {pdfStatus === 'working' ? 'Preparing PDF...' : 'Download Quotation (PDF)'}
+              </button>
+              {pdfStatus === 'error' && (
+                <p className="quote__warning" role="alert">
+                  <AlertCircle size={16} /> The quotation could not be created. Please try again.
+                </p>
+              )}
+              <p className="quote__reference">Quote ref: {quote.reference}</p>
+              <p className="quote__note">
+                {isLongStay
+                  ? 'Long-stay prices are estimates. Reception will confirm availability and monthly terms.'
+                  : 'Sends your quote by WhatsApp or email. Reception will confirm availability and payment details.'}
+                {currency !== BILLING_CURRENCY && ' Converted amounts are approximate; payment is taken in PKR.'}
+              </p>
+              <AddToCalendar
+                event={buildStayEvent(quote)}
+                filename={`andalusian-castle-${quote.checkIn}.ics`}
+                label="Save the dates"
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <style>{`
+        .quote {
+          margin-top: var(--space-16);
+          background: var(--pure-white);
+          border: 1px solid rgba(212, 175, 55, 0.25);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-md);
+          padding: var(--space-8) var(--space-6);
+          max-width: 1000px;
+          margin-left: auto;
+          margin-right: auto;
+        }
+
+        .quote__header {
+          text-align: center;
+          margin-bottom: var(--space-6);
+        }
+
+        .quote__title {
+          font-family: var(--font-primary);
+          font-size: var(--text-2xl);
+          color: var(--charcoal-darker);
+          margin: 0 0 var(--space-2);
+        }
+
+        .quote__subtitle {
+          color: var(--charcoal-deep);
+          font-size: var(--text-sm);
+          opacity: 0.8;
+          margin: 0;
+        }
+
+        .quote__grid {
+          display: grid;
+          grid-template-columns: 1fr;
+          gap: var(--space-8);
+        }
+
+        @media (min-width: 900px) {
+          .quote__grid {
+            grid-template-columns: 1fr 1fr;
+          }
+        }
+
+        .quote__form {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-4);
+        }
+
+        .quote__form-row {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: var(--space-3);
+        }
+
+        .quote__form-row--long {
+          grid-template-columns: 2fr 1fr;
+        }
+
+        .quote__modes {
+          display: flex;
+          border: 1px solid rgba(212, 175, 55, 0.4);
+          border-radius: var(--radius-sm);
+          overflow: hidden;
+        }
+
+        .quote__mode {
+          flex: 1;
+          padding: var(--space-2) var(--space-3);
+          background: var(--pure-white);
+          border: none;
+          font-family: inherit;
+          font-size: var(--text-sm);
+          font-weight: 600;
+          color: var(--charcoal-deep);
+          cursor: pointer;
+          transition: background var(--transition-fast), color var(--transition-fast);
+        }
+
+        .quote__mode + .quote__mode {
+          border-left: 1px solid rgba(212, 175, 55, 0.4);
+        }
+
+        .quote__mode--active {
+          background: var(--luxe-gold);
+          color: var(--pure-white);
+        }
+
+        .quote__party,
+        .quote__extras {
+          border: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .quote__party legend,
+        .quote__extras legend {
+          font-size: var(--text-xs);
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--charcoal-deep);
+          margin-bottom: var(--space-2);
+        }
+
+        .quote__party-note {
+          display: block;
+          font-weight: 400;
+          text-transform: none;
+          letter-spacing: normal;
+          opacity: 0.75;
+        }
+
+        .quote__extras-list {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-2);
+        }
+
+        .quote__extra {
+          display: flex;
+          align-items: flex-start;
+          gap: var(--space-3);
+          padding: var(--space-2) var(--space-3);
+          border: 1px solid rgba(212, 175, 55, 0.2);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-sm);
+        }
+
+        .quote__extra input[type="checkbox"] {
+          width: 18px;
+          height: 18px;
+          margin: 2px 0 0;
+          accent-color: var(--luxe-gold);
+        }
+
+        .quote__extra select {
+          padding: var(--space-1) var(--space-2);
+          border: 1px solid rgba(0, 0, 0, 0.15);
+          border-radius: var(--radius-sm);
+          font-family: inherit;
+          background: var(--pure-white);
+        }
+
+        .quote__extra label {
+          flex: 1;
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: 0 var(--space-2);
+          cursor: pointer;
+        }
+
+        .quote__extra-name {
+          font-weight: 600;
+          color: var(--charcoal-darker);
+        }
+
+        .quote__extra-price {
+          color: var(--gold-dark);
+          white-space: nowrap;
+        }
+
+        .quote__extra-desc {
+          grid-column: 1 / -1;
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          opacity: 0.75;
+        }
+
+        .quote .quote__party .form-group label {
+          text-transform: none;
+          font-weight: 500;
+          letter-spacing: normal;
+        }
+
+        .quote .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1);
+        }
+
+        .quote .form-group label {
+          font-size: var(--text-xs);
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--charcoal-deep);
+        }
+
+        .quote .form-group input,
+        .quote .form-group select,
+        .quote .form-group textarea {
+          padding: var(--space-3);
+          border: 1px solid rgba(0, 0, 0, 0.15);
+          border-radius: var(--radius-sm);
+          font-family: inherit;
+          font-size: var(--text-sm);
+          background: var(--pure-white);
+        }
+
+        .quote .form-group input:focus,
+        .quote .form-group select:focus,
+        .quote .form-group textarea:focus {
+          outline: none;
+          border-color: var(--luxe-gold);
+          box-shadow: 0 0 0 3px rgba(212, 175, 55, 0.15);
+        }
+
+        .quote__summary {
+          background: var(--cream-light);
+          border-radius: var(--radius-md);
+          padding: var(--space-6);
+          align-self: start;
+        }
+
+        .quote__empty {
+          color: var(--charcoal-deep);
+          opacity: 0.7;
+          text-align: center;
+          margin: var(--space-8) 0;
+        }
+
+        .quote__warning {
+          display: flex;
+          gap: var(--space-2);
+          align-items: flex-start;
+          color: #b3261e;
+          font-size: var(--text-sm);
+          margin: 0 0 var(--space-4);
+        }
+
+        .quote__notice {
+          display: flex;
+          gap: var(--space-2);
+          align-items: flex-start;
+          color: var(--charcoal-deep);
+          font-size: var(--text-sm);
+          margin: 0 0 var(--space-4);
+        }
+
+        .quote__occupancy {
+          margin-bottom: var(--space-4);
+        }
+
+        .quote__suggest-title {
+          font-size: var(--text-sm);
+          font-weight: 600;
+          color: var(--charcoal-darker);
+          margin: 0 0 var(--space-2);
+        }
+
+        .quote__suggestions {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-2);
+          font-size: var(--text-sm);
+        }
+
+        .quote__suggestions li {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1);
+          padding: var(--space-3);
+          background: var(--pure-white);
+          border: 1px solid rgba(212, 175, 55, 0.25);
+          border-radius: var(--radius-sm);
+        }
+
+        .quote__suggest-action {
+          align-self: flex-start;
+          padding: 0;
+          background: none;
+          border: none;
+          color: var(--gold-dark);
+          font-size: var(--text-sm);
+          font-weight: 600;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
+        .quote__stay {
+          font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+          margin: 0 0 var(--space-4);
+          line-height: var(--leading-normal);
+        }
+
+        .quote__stay strong {
+          font-family: var(--font-primary);
+          font-size: var(--text-lg);
+          color: var(--charcoal-darker);
+        }
+
+        .quote__table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: var(--text-sm);
+          margin-bottom: var(--space-4);
+        }
+
+        .quote__table th,
+        .quote__table td {
+          padding: var(--space-2) 0;
+          border-bottom: 1px solid rgba(212, 175, 55, 0.15);
+          vertical-align: top;
+        }
+
+        .quote__table th {
+          text-align: left;
+          font-weight: 500;
+          color: var(--charcoal-deep);
+        }
+
+        .quote__table td {
+          text-align: right;
+          white-space: nowrap;
+          color: var(--charcoal-darker);
+        }
+
+        .quote__night-note {
+          display: block;
+          font-size: var(--text-xs);
+          color: var(--gold-dark);
+          text-transform: capitalize;
+        }
+
+        .quote__full-rate {
+          text-decoration: line-through;
+          color: #999;
+          margin-right: var(--space-2);
+          font-size: var(--text-xs);
+        }
+
+        .quote__row--savings td,
+        .quote__row--tier td,
+        .quote__row--promo td { color: #2e7d32; }
+        .quote__row--monthly th,
+        .quote__row--monthly td {
+          border-bottom: none;
+          padding-top: 0;
+          font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+        }
+        .quote__row--tax th,
+        .quote__row--tax td { font-size: var(--text-xs); opacity: 0.8; }
+
+        .quote__row--total th,
+        .quote__row--total td {
+          border-bottom: none;
+          padding-top: var(--space-3);
+          font-weight: 700;
+          font-size: var(--text-lg);
+          color: var(--charcoal-darker);
+        }
+
+        .quote__row--total td { color: var(--gold-dark); }
+
+        .quote__row--billed th,
+        .quote__row--billed td {
+          border-bottom: none;
+          padding-top: 0;
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+        }
+
+        .quote__cta {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: var(--space-2);
+          width: 100%;
+        }
+
+        .quote__cta--email {
+          margin-top: var(--space-2);
+        }
+
+        .quote__promo {
+          display: flex;
+          gap: var(--space-2);
+        }
+
+        .quote__promo input {
+          flex: 1;
+          min-width: 0;
+          text-transform: uppercase;
+        }
+
+        .quote__promo-status {
+          margin: 0;
+          font-size: var(--text-xs);
+          min-height: 1em;
+        }
+
+        .quote__promo-status span {
+          display: inline-flex;
+          align-items: center;
+          gap: var(--space-1);
+        }
+
+        .quote__promo-status--error { color: #b3261e; }
+        .quote__promo-status--ok { color: #2e7d32; }
+
+        .quote__reference {
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          text-align: center;
+          letter-spacing: 0.05em;
+          margin: var(--space-3) 0 0;
+        }
+
+        .quote__note {
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          opacity: 0.7;
+          text-align: center;
+          margin: var(--space-2) 0 0;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default QuotePanel;
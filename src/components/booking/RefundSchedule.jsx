@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Refund Schedule.
+ * Shows, for a quoted stay, what the guest would get back for cancelling on
+ * any day up to check-in, worked out from the cancellation rules.
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { PEAK_CANCELLATION_NOTE } from '../../data/cancellation';
+import {
+  describeTierRefund,
+  getRefund,
+  getRefundSchedule,
+} from '../../utils/cancellation';
+import { formatDisplayDate, todayISO } from '../../utils/dateUtils';
+import { formatPrice } from '../../utils/currency';
+
+/**
+ * Short date format used in the schedule rows.
+ */
+const SHORT_DATE = { weekday: 'short', day: 'numeric', month: 'short' };
+
+/**
+ * Describes a run of days in the schedule.
+ * @param {{from: string, to: string}} period - Schedule period
+ * @param {string} checkIn - Check-in date
+ * @returns {string} Label such as "Tue, 27 Oct – Thu, 29 Oct"
+ */
+function describePeriod(period, checkIn) {
+  if (period.from === checkIn) return `${formatDisplayDate(checkIn, SHORT_DATE)} (check-in day)`;
+  if (period.from === period.to) return formatDisplayDate(period.from, SHORT_DATE);
+  return `${formatDisplayDate(period.from, SHORT_DATE)} – ${formatDisplayDate(period.to, SHORT_DATE)}`;
+}
+
+/**
+ * Refund schedule component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.quote - Quote from `buildQuote`
+ * @param {string} props.currency - Display currency
+ * @returns {React.ReactElement} Collapsible refund schedule
+ */
+function RefundSchedule({ quote, currency }) {
+  const [cancelDate, setCancelDate] = useState('');
+  const today = todayISO();
+  const schedule = getRefundSchedule(quote.total, quote.checkIn, { from: today });
+  const refund = cancelDate && cancelDate >= today ? getRefund(quote.total, cancelDate, quote.checkIn) : null;
+
+  if (schedule.length === 0) return null;
+  const [first] = schedule;
+
+  return (
+    <details className="refunds">
+      <summary className="refunds__summary">
+        <ShieldCheck size={16} aria-hidden="true" />
+        <span>
+          If you cancel
+          <span className="refunds__headline">
+            {describeTierRefund(first.tier)} until {formatDisplayDate(first.to, SHORT_DATE)}
+          </span>
+        </span>
+      </summary>
+
+      <table className="refunds__table">
+        <caption className="sr-only">Refund by cancellation date</caption>
+        <thead>
+          <tr>
+            <th scope="col">Cancel on</th>
+            <th scope="col">You get back</th>
+          </tr>
+        </thead>
+        <tbody>
+          {schedule.map((period) => (
+            <tr key={period.from}>
+              <th scope="row">
+                {describePeriod(period, quote.checkIn)}
+                <span className="refunds__note">{describeTierRefund(period.tier)}</span>
+              </th>
+              <td>{formatPrice(period.amount, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="refunds__check">
+        <label htmlFor="quote-cancel-date">Check a date</label>
+        <input
+          type="date"
+          id="quote-cancel-date"
+          value={cancelDate}
+          min={today}
+          max={quote.checkIn}
+          onChange={(e) => setCancelDate(e.target.value)}
+        />
+      </div>
+      <p className="refunds__result" role="status">
+        {refund && (
+          <>
+            Cancelling on {formatDisplayDate(cancelDate)}
+            {refund.daysBefore === 0 ? ', your check-in day' : ` (${refund.daysBefore} day${refund.daysBefore === 1 ? '' : 's'} before arrival)`}
+            : <strong>{formatPrice(refund.amount, currency)}</strong> back ({describeTierRefund(refund.tier)}).
+          </>
+        )}
+        {cancelDate && !refund && 'Choose a date between today and your check-in day.'}
+      </p>
+      <p className="refunds__fine-print">
+        Refunds are worked out on the quoted total. {PEAK_CANCELLATION_NOTE}
+      </p>
+
+      <style>{`
+        .refunds {
+          margin: 0 0 var(--space-4);
+          padding: var(--space-3);
+          background: var(--pure-white);
+          border: 1px solid rgba(212, 175, 55, 0.25);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-sm);
+        }
+
+        .refunds__summary {
+          display: flex;
+          align-items: flex-start;
+          gap: var(--space-2);
+          font-weight: 600;
+          color: var(--charcoal-darker);
+          cursor: pointer;
+        }
+
+        .refunds__summary svg {
+          flex-shrink: 0;
+          margin-top: 2px;
+          color: var(--gold-dark);
+        }
+
+        .refunds__headline,
+        .refunds__note {
+          display: block;
+          font-size: var(--text-xs);
+          font-weight: 400;
+          color: var(--gold-dark);
+        }
+
+        .refunds__table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-top: var(--space-3);
+        }
+
+        .refunds__table th,
+        .refunds__table td {
+          padding: var(--space-2) 0;
+          border-bottom: 1px solid rgba(212, 175, 55, 0.15);
+          vertical-align: top;
+        }
+
+        .refunds__table th {
+          text-align: left;
+          font-weight: 500;
+          color: var(--charcoal-deep);
+        }
+
+        .refunds__table thead th {
+          font-size: var(--text-xs);
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+
+        .refunds__table td,
+        .refunds__table thead th:last-child {
+          text-align: right;
+          white-space: nowrap;
+          color: var(--charcoal-darker);
+        }
+
+        .refunds__check {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+          margin-top: var(--space-3);
+        }
+
+        .refunds__check label {
+          font-weight: 500;
+          color: var(--charcoal-deep);
+        }
+
+        .refunds__check input {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .refunds__result {
+          margin: var(--space-2) 0 0;
+          min-height: 1em;
+          color: var(--charcoal-deep);
+        }
+
+        .refunds__fine-print {
+          margin: var(--space-2) 0 0;
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          opacity: 0.7;
+        }
+      `}</style>
+    </details>
+  );
+}
+
+export default RefundSchedule;
@@ -0,0 +1,8 @@
+/**
+ * @fileoverview Booking components barrel export.
+ * Provides centralized exports for the apartment booking flow.
+ * @version 1.0.0
+ */
+
+export { default as QuotePanel } from './QuotePanel';
+export { default as RefundSchedule } from './RefundSchedule';
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Add to Calendar.
+ * Offers an event as an .ics download, with Google and Outlook calendar
+ * links as alternatives.
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { CalendarPlus } from 'lucide-react';
+import {
+  createICS,
+  downloadICS,
+  getGoogleCalendarLink,
+  getOutlookCalendarLink,
+} from '../../utils/calendar';
+
+/**
+ * Add-to-calendar component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {import('../../utils/calendar').CalendarEvent} props.event - Event to export
+ * @param {string} props.filename - Download file name, ending in .ics
+ * @param {string} [props.label='Add to calendar'] - Group label
+ * @returns {React.ReactElement} Calendar export links
+ */
+function AddToCalendar({ event, filename, label = 'Add to calendar' }) {
+  return (
+    <div className="add-to-calendar" role="group" aria-label={label}>
+      <span className="add-to-calendar__label">
+        <CalendarPlus size={16} aria-hidden="true" /> {label}:
+      </span>
+      <button
+        type="button"
+        className="add-to-calendar__link"
+        onClick={() => downloadICS(filename, createICS([event]))}
+      >
+        Download .ics
+      </button>
+      <a
+        href={getGoogleCalendarLink(event)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="add-to-calendar__link"
+      >
+        Google
+      </a>
+      <a
+        href={getOutlookCalendarLink(event)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="add-to-calendar__link"
+      >
+        Outlook
+      </a>
+
+      <style>{`
+        .add-to-calendar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          justify-content: center;
+          gap: var(--space-1) var(--space-3);
+          margin-top: var(--space-3);
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+        }
+
+        .add-to-calendar__label {
+          display: inline-flex;
+          align-items: center;
+          gap: var(--space-1);
+        }
+
+        .add-to-calendar__link {
+          padding: 0;
+          background: none;
+          border: none;
+          font-family: inherit;
+          font-size: inherit;
+          font-weight: 600;
+          color: var(--gold-dark);
+          text-decoration: underline;
+          cursor: pointer;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AddToCalendar;
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Amenity Icon.
+ * Maps apartment amenity keys (see `data/inventory.json`) to their icons.
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import {
+  Wifi, Tv, Lock, Snowflake, Bath, Sunset, Waves, Wine, Coffee
+} from 'lucide-react';
+
+/**
+ * Icon components keyed by amenity.
+ * @type {Object<string, React.ComponentType>}
+ */
+const AMENITY_ICONS = {
+  wifi: Wifi,
+  tv: Tv,
+  safe: Lock,
+  ac: Snowflake,
+  bathtub: Bath,
+  terrace: Sunset,
+  pool: Waves,
+  shower: Waves,
+  minibar: Wine,
+  breakfast: Coffee,
+};
+
+/**
+ * Amenity icon component. Unknown keys render a bullet.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.amenity - Amenity key, e.g. "wifi"
+ * @param {number} [props.size=20] - Icon size in pixels
+ * @returns {React.ReactElement} Icon element
+ */
+function AmenityIcon({ amenity, size = 20 }) {
+  const Icon = AMENITY_ICONS[amenity];
+  return Icon ? <Icon size={size} aria-hidden="true" /> : <span aria-hidden="true">•</span>;
+}
+
+export default AmenityIcon;
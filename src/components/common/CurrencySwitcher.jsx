@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Currency Switcher.
+ * Lets visitors view prices in their home currency, with a reminder that
+ * all bookings are billed in PKR.
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { Globe } from 'lucide-react';
+import useCurrency from '../../hooks/useCurrency';
+import { CURRENCIES, RATES_AS_OF, BILLING_CURRENCY } from '../../data/exchange-rates';
+import { formatDisplayDate } from '../../utils/dateUtils';
+
+/**
+ * Currency switcher component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} [props.id='currency-switcher'] - Id for the select element
+ * @returns {React.ReactElement} Currency selector with conversion note
+ */
+function CurrencySwitcher({ id = 'currency-switcher' }) {
+  const [currency, setCurrency] = useCurrency();
+
+  return (
+    <div className="currency-switcher">
+      <label htmlFor={id} className="currency-switcher__label">
+        <Globe size={16} aria-hidden="true" />
+        Show prices in
+      </label>
+      <select
+        id={id}
+        className="currency-switcher__select"
+        value={currency}
+        onChange={(e) => setCurrency(e.target.value)}
+      >
+        {CURRENCIES.map((option) => (
+          <option key={option.code} value={option.code}>
+            {option.code} – {option.label}
+          </option>
+        ))}
+      </select>
+      {currency !== BILLING_CURRENCY && (
+        <p className="currency-switcher__note" role="note">
+          Approximate, billed in PKR. Rates as of {formatDisplayDate(RATES_AS_OF, { day: 'numeric', month: 'short', year: 'numeric' })}.
+        </p>
+      )}
+
+      <style>{`
+        .currency-switcher {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          justify-content: center;
+          gap: var(--space-2) var(--space-3);
+          margin-bottom: var(--space-8);
+        }
+
+        .currency-switcher__label {
+          display: inline-flex;
+          align-items: center;
+          gap: var(--space-2);
+          font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+        }
+
+        .currency-switcher__select {
+          padding: var(--space-2) var(--space-3);
+          border: 1px solid rgba(212, 175, 55, 0.5);
+          border-radius: var(--radius-full);
+          background: var(--pure-white);
+          font-family: inherit;
+          font-size: var(--text-sm);
+          color: var(--charcoal-darker);
+          cursor: pointer;
+        }
+
+        .currency-switcher__select:focus {
+          outline: none;
+          border-color: var(--luxe-gold);
+          box-shadow: 0 0 0 3px rgba(212, 175, 55, 0.15);
+        }
+
+        .currency-switcher__note {
+          flex-basis: 100%;
+          text-align: center;
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          opacity: 0.75;
+          margin: 0;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default CurrencySwitcher;
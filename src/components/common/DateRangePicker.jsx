@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Check-in / check-out calendar with unavailable nights.
+ * Renders a month grid where booked nights are greyed out and a stay can
+ * only be selected across consecutive free nights.
+ * @version 1.0.0
+ */
+
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import {
+  parseISODate,
+  toISODate,
+  todayISO,
+  eachNight,
+  nightsBetween,
+  formatDisplayDate,
+  formatNights,
+} from '../../utils/dateUtils';
+
+/**
+ * Weekday column headers (Monday first).
+ */
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+/**
+ * Builds the day cells for a month grid, padded to start on Monday.
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Array<string|null>} ISO dates, with null for padding cells
+ */
+function getMonthCells(year, month) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const padding = (first.getUTCDay() + 6) % 7;
+
+  const cells = Array(padding).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(toISODate(new Date(Date.UTC(year, month, day))));
+  }
+  return cells;
+}
+
+/**
+ * DateRangePicker component props.
+ * @typedef {Object} DateRangePickerProps
+ * @property {string} [checkIn] - Selected check-in date (YYYY-MM-DD)
+ * @property {string} [checkOut] - Selected check-out date (YYYY-MM-DD)
+ * @property {(range: {checkIn: string|null, checkOut: string|null}) => void} onChange - Selection handler
+ * @property {(night: string) => boolean} [isNightUnavailable] - Whether a night is booked
+ * @property {string} [minDate] - Earliest selectable check-in (defaults to today)
+ * @property {string} [label] - Accessible label for the calendar
+ */
+
+/**
+ * Date range picker for stay selection.
+ *
+ * A cell represents the night starting on that date. Booked nights cannot be
+ * chosen as check-in, but can still be a check-out day because the guest
+ * leaves that morning.
+ *
+ * @component
+ * @param {DateRangePickerProps} props - Component props
+ * @returns {React.ReactElement} Calendar element
+ */
+function DateRangePicker({
+  checkIn = null,
+  checkOut = null,
+  onChange,
+  isNightUnavailable = () => false,
+  minDate = todayISO(),
+  label = 'Select your stay dates',
+}) {
+  const initialMonth = parseISODate(checkIn || minDate);
+  const [view, setView] = useState({
+    year: initialMonth.getUTCFullYear(),
+    month: initialMonth.getUTCMonth(),
+  });
+
+  const cells = useMemo(() => getMonthCells(view.year, view.month), [view]);
+  const monthLabel = new Date(Date.UTC(view.year, view.month, 1))
+    .toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const minMonth = parseISODate(minDate);
+  const canGoBack = view.year > minMonth.getUTCFullYear()
+    || (view.year === minMonth.getUTCFullYear() && view.month > minMonth.getUTCMonth());
+
+  const changeMonth = (delta) => {
+    setView((prev) => {
+      const next = new Date(Date.UTC(prev.year, prev.month + delta, 1));
+      return { year: next.getUTCFullYear(), month: next.getUTCMonth() };
+    });
+  };
+
+  // While only check-in is chosen, the next click picks check-out
+  const isChoosingCheckOut = Boolean(checkIn && !checkOut);
+
+  const isValidCheckOut = (date) => (
+    date > checkIn && eachNight(checkIn, date).every((night) => !isNightUnavailable(night))
+  );
+
+  const handleSelect = (date) => {
+    if (isChoosingCheckOut && isValidCheckOut(date)) {
+      onChange({ checkIn, checkOut: date });
+      return;
+    }
+    if (!isNightUnavailable(date)) {
+      onChange({ checkIn: date, checkOut: null });
+    }
+  };
+
+  return (
+    <div className="date-picker" role="group" aria-label={label}>
+      <div className="date-picker__header">
+        <button
+          type="button"
+          className="date-picker__nav"
+          onClick={() => changeMonth(-1)}
+          disabled={!canGoBack}
+          aria-label="Previous month"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <span className="date-picker__month" aria-live="polite">{monthLabel}</span>
+        <button
+          type="button"
+          className="date-picker__nav"
+          onClick={() => changeMonth(1)}
+          aria-label="Next month"
+        >
+          <ChevronRight size={18} />
+        </button>
+      </div>
+
+      <div className="date-picker__grid">
+        {WEEKDAYS.map((day) => (
+          <span key={day} className="date-picker__weekday" aria-hidden="true">{day}</span>
+        ))}
+
+        {cells.map((date, index) => {
+          if (!date) return <span key={`pad-${index}`} />;
+
+          const isPast = date < minDate;
+          const isBlocked = isNightUnavailable(date);
+          const selectable = !isPast && (
+            isChoosingCheckOut ? (isValidCheckOut(date) || !isBlocked) : !isBlocked
+          );
+          const isStart = date === checkIn;
+          const isEnd = date === checkOut;
+          const inRange = checkIn && checkOut && date > checkIn && date < checkOut;
+
+          const classes = [
+            'date-picker__day',
+            isBlocked ? 'date-picker__day--blocked' : '',
+            isStart || isEnd ? 'date-picker__day--selected' : '',
+            inRange ? 'date-picker__day--in-range' : '',
+          ].filter(Boolean).join(' ');
+
+          return (
+            <button
+              key={date}
+              type="button"
+              className={classes}
+              onClick={() => handleSelect(date)}
+              disabled={!selectable}
+              aria-pressed={isStart || isEnd}
+              aria-label={`${formatDisplayDate(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}${isBlocked ? ', booked' : ''}`}
+            >
+              {parseISODate(date).getUTCDate()}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="date-picker__footer">
+        <ul className="date-picker__legend" aria-hidden="true">
+          <li><span className="date-picker__swatch" /> Available</li>
+          <li><span className="date-picker__swatch date-picker__swatch--blocked" /> Booked</li>
+          <li><span className="date-picker__swatch date-picker__swatch--selected" /> Your stay</li>
+        </ul>
+        {checkIn && (
+          <button
+            type="button"
+            className="date-picker__clear"
+            onClick={() => onChange({ checkIn: null, checkOut: null })}
+          >
+            Clear dates
+          </button>
+        )}
+      </div>
+
+      <p className="date-picker__hint" aria-live="polite">
+        {!checkIn && 'Select your check-in date.'}
+        {isChoosingCheckOut && `Check-in ${formatDisplayDate(checkIn)}. Now select your check-out date.`}
+        {checkIn && checkOut && `${formatDisplayDate(checkIn)} → ${formatDisplayDate(checkOut)} (${formatNights(nightsBetween(checkIn, checkOut))})`}
+      </p>
+
+      <style>{`
+        .date-picker {
+          background: var(--pure-white);
+          border: 1px solid rgba(212, 175, 55, 0.3);
+          border-radius: var(--radius-md);
+          padding: var(--space-4);
+          font-family: var(--font-secondary);
+        }
+
+        .date-picker__header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: var(--space-3);
+        }
+
+        .date-picker__month {
+          font-family: var(--font-primary);
+          font-weight: var(--font-weight-playfair-semibold);
+          color: var(--charcoal-darker);
+        }
+
+        .date-picker__nav {
+          width: 32px;
+          height: 32px;
+          border-radius: 50%;
+          border: 1px solid rgba(212, 175, 55, 0.4);
+          background: transparent;
+          color: var(--charcoal-deep);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .date-picker__nav:hover:not(:disabled) {
+          background: var(--luxe-gold);
+          border-color: var(--luxe-gold);
+          color: white;
+        }
+
+        .date-picker__nav:disabled {
+          opacity: 0.3;
+          cursor: not-allowed;
+        }
+
+        .date-picker__grid {
+          display: grid;
+          grid-template-columns: repeat(7, 1fr);
+          gap: 4px;
+        }
+
+        .date-picker__weekday {
+          text-align: center;
+          font-size: 0.7rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          color: var(--charcoal-deep);
+          opacity: 0.6;
+          padding-bottom: 4px;
+        }
+
+        .date-picker__day {
+          aspect-ratio: 1;
+          border: none;
+          border-radius: var(--radius-sm);
+          background: rgba(212, 175, 55, 0.08);
+          color: var(--charcoal-darker);
+          font-size: 0.85rem;
+          cursor: pointer;
+          transition: background 0.2s ease, color 0.2s ease;
+        }
+
+        .date-picker__day:hover:not(:disabled) {
+          background: rgba(212, 175, 55, 0.3);
+        }
+
+        .date-picker__day:disabled {
+          cursor: not-allowed;
+          background: transparent;
+          color: #bbb;
+        }
+
+        .date-picker__day--blocked,
+        .date-picker__day--blocked:disabled {
+          background: #ececec;
+          color: #aaa;
+          text-decoration: line-through;
+        }
+
+        .date-picker__day--in-range {
+          background: rgba(212, 175, 55, 0.35);
+        }
+
+        .date-picker__day--selected,
+        .date-picker__day--selected:disabled {
+          background: var(--luxe-gold);
+          color: white;
+          font-weight: 700;
+          text-decoration: none;
+        }
+
+        .date-picker__footer {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--space-2);
+          margin-top: var(--space-3);
+          flex-wrap: wrap;
+        }
+
+        .date-picker__legend {
+          display: flex;
+          gap: var(--space-3);
+          list-style: none;
+          padding: 0;
+          margin: 0;
+          font-size: 0.75rem;
+          color: var(--charcoal-deep);
+        }
+
+        .date-picker__legend li {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .date-picker__swatch {
+          width: 12px;
+          height: 12px;
+          border-radius: 2px;
+          background: rgba(212, 175, 55, 0.08);
+          border: 1px solid rgba(212, 175, 55, 0.3);
+        }
+
+        .date-picker__swatch--blocked { background: #ececec; border-color: #ddd; }
+        .date-picker__swatch--selected { background: var(--luxe-gold); border-color: var(--luxe-gold); }
+
+        .date-picker__clear {
+          background: none;
+          border: none;
+          color: var(--gold-dark);
+          font-size: 0.8rem;
+          font-weight: 600;
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .date-picker__hint {
+          margin: var(--space-2) 0 0;
+          font-size: 0.8rem;
+          color: var(--charcoal-deep);
+          opacity: 0.8;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default DateRangePicker;
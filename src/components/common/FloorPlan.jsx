@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Floor Plan.
+ * Interactive SVG layout of an apartment drawn from its `floorPlan`: each
+ * room is labelled with its dimensions, and rooms with a photo carry a
+ * camera hotspot that opens that photo. Rooms form a single tab stop; the
+ * arrow keys move between neighbouring rooms and each room is described to
+ * screen readers.
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef } from 'react';
+import { Camera } from 'lucide-react';
+import { formatRoomSize, getRoomArea } from '../../data/inventory';
+
+/**
+ * SVG units per metre.
+ * @constant {number}
+ */
+const SCALE = 100;
+
+/**
+ * Space around the outer walls, in SVG units.
+ * @constant {number}
+ */
+const MARGIN = 12;
+
+/**
+ * Size of the camera hotspot, in SVG units.
+ * @constant {number}
+ */
+const HOTSPOT_SIZE = 36;
+
+/**
+ * Direction vectors for the arrow keys (SVG y grows downwards).
+ * @constant {Object<string, {dx: number, dy: number}>}
+ */
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { dx: -1, dy: 0 },
+  ArrowRight: { dx: 1, dy: 0 },
+  ArrowUp: { dx: 0, dy: -1 },
+  ArrowDown: { dx: 0, dy: 1 },
+};
+
+/**
+ * Centre of a room in metres.
+ * @param {import('../../data/inventory').FloorRoom} room - Room
+ * @returns {{x: number, y: number}} Centre point
+ */
+function getCentre(room) {
+  return { x: room.x + room.width / 2, y: room.y + room.depth / 2 };
+}
+
+/**
+ * Finds the room an arrow key leads to: the closest room whose centre lies
+ * in that direction, favouring rooms straight ahead over diagonal ones.
+ * @param {import('../../data/inventory').FloorRoom[]} rooms - Rooms
+ * @param {number} from - Index of the focused room
+ * @param {{dx: number, dy: number}} direction - Arrow direction
+ * @returns {number} Index of the next room, or `from` when there is none
+ */
+function findNeighbour(rooms, from, { dx, dy }) {
+  const origin = getCentre(rooms[from]);
+  let best = from;
+  let bestScore = Infinity;
+
+  rooms.forEach((room, index) => {
+    if (index === from) return;
+    const centre = getCentre(room);
+    const along = (centre.x - origin.x) * dx + (centre.y - origin.y) * dy;
+    if (along <= 0) return;
+    const across = Math.abs((centre.x - origin.x) * dy - (centre.y - origin.y) * dx);
+    const score = along + across * 2;
+    if (score < bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Screen-reader description of a room.
+ * @param {import('../../data/inventory').FloorRoom} room - Room
+ * @param {boolean} hasPhoto - Whether activating the room opens a photo
+ * @returns {string} Label such as "Bedroom: 3.5 by 3.6 metres, 12.6 square metres."
+ */
+function describeRoom(room, hasPhoto) {
+  return [
+    `${room.name}: ${room.width} by ${room.depth} metres, ${getRoomArea(room)} square metres.`,
+    room.description,
+    hasPhoto && 'Press Enter to see a photo.',
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Floor plan component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {import('../../data/inventory').FloorPlan} props.floorPlan - Layout to draw
+ * @param {string[]} props.gallery - The apartment's gallery, which room photos refer to
+ * @param {string} props.apartmentName - Apartment name for labels
+ * @param {(index: number, room: import('../../data/inventory').FloorRoom) => void} props.onOpenPhoto -
+ *   Called with the gallery index of a room's photo
+ * @returns {React.ReactElement} Floor plan figure
+ *
+ * @example
+ * <FloorPlan
+ *   floorPlan={apartment.floorPlan}
+ *   gallery={apartment.gallery}
+ *   apartmentName={apartment.name}
+ *   onOpenPhoto={(index) => setPhotoIndex(index)}
+ * />
+ */
+function FloorPlan({
+  floorPlan, gallery, apartmentName, onOpenPhoto,
+}) {
+  const { rooms } = floorPlan;
+  const [focusIndex, setFocusIndex] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const roomRefs = useRef([]);
+
+  const getPhotoIndex = (room) => (room.photo ? gallery.indexOf(room.photo) : -1);
+
+  const openRoom = (index) => {
+    const photoIndex = getPhotoIndex(rooms[index]);
+    if (photoIndex !== -1) onOpenPhoto(photoIndex, rooms[index]);
+  };
+
+  const focusRoom = (index) => {
+    setFocusIndex(index);
+    roomRefs.current[index]?.focus();
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (ARROW_DIRECTIONS[e.key]) {
+      e.preventDefault();
+      focusRoom(findNeighbour(rooms, index, ARROW_DIRECTIONS[e.key]));
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      focusRoom(e.key === 'Home' ? 0 : rooms.length - 1);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openRoom(index);
+    }
+  };
+
+  const width = floorPlan.width * SCALE;
+  const depth = floorPlan.depth * SCALE;
+  const labelId = `floor-plan-${apartmentName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  const activeRoom = rooms[activeIndex];
+
+  return (
+    <figure className="floor-plan">
+      <p id={`${labelId}-hint`} className="floor-plan__hint">
+        Select a room with a camera to see its photo. Use the arrow keys to move between rooms.
+      </p>
+      <svg
+        className="floor-plan__svg"
+        viewBox={`${-MARGIN} ${-MARGIN} ${width + MARGIN * 2} ${depth + MARGIN * 2}`}
+        role="group"
+        aria-label={`${apartmentName} floor plan, ${floorPlan.width} by ${floorPlan.depth} metres`}
+        aria-describedby={`${labelId}-hint`}
+      >
+        {rooms.map((room, index) => {
+          const hasPhoto = getPhotoIndex(room) !== -1;
+          const x = room.x * SCALE;
+          const y = room.y * SCALE;
+          const w = room.width * SCALE;
+          const h = room.depth * SCALE;
+          const isNarrow = h < 160;
+
+          return (
+            <g
+              key={room.id}
+              ref={(node) => { roomRefs.current[index] = node; }}
+              className={`floor-plan__room ${hasPhoto ? 'floor-plan__room--photo' : ''} ${index === activeIndex ? 'floor-plan__room--active' : ''}`}
+              role={hasPhoto ? 'button' : 'img'}
+              tabIndex={index === focusIndex ? 0 : -1}
+              aria-label={describeRoom(room, hasPhoto)}
+              onClick={() => {
+                setFocusIndex(index);
+                openRoom(index);
+              }}
+              onKeyDown={(e) => handleKeyDown(e, index)}
+              onFocus={() => {
+                setFocusIndex(index);
+                setActiveIndex(index);
+              }}
+              onBlur={() => setActiveIndex(null)}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseLeave={() => setActiveIndex(null)}
+            >
+              <rect className="floor-plan__area" x={x} y={y} width={w} height={h} />
+              <text
+                className="floor-plan__name"
+                x={x + w / 2}
+                y={y + h / 2 + (isNarrow ? -4 : -10)}
+                textAnchor="middle"
+                aria-hidden="true"
+              >
+                {room.name}
+              </text>
+              <text
+                className="floor-plan__size"
+                x={x + w / 2}
+                y={y + h / 2 + (isNarrow ? 26 : 24)}
+                textAnchor="middle"
+                aria-hidden="true"
+              >
+                {formatRoomSize(room)}
+              </text>
+              {hasPhoto && (
+                <g className="floor-plan__hotspot" aria-hidden="true">
+                  <circle
+                    cx={x + w - HOTSPOT_SIZE / 2 - 10}
+                    cy={y + HOTSPOT_SIZE / 2 + 10}
+                    r={HOTSPOT_SIZE / 2}
+                  />
+                  <Camera
+                    x={x + w - HOTSPOT_SIZE - 10 + HOTSPOT_SIZE * 0.2}
+                    y={y + 10 + HOTSPOT_SIZE * 0.2}
+                    width={HOTSPOT_SIZE * 0.6}
+                    height={HOTSPOT_SIZE * 0.6}
+                  />
+                </g>
+              )}
+            </g>
+          );
+        })}
+        <rect className="floor-plan__walls" x={0} y={0} width={width} height={depth} />
+      </svg>
+      <figcaption className="floor-plan__caption">
+        {activeRoom
+          ? `${activeRoom.name} · ${formatRoomSize(activeRoom)} · ${getRoomArea(activeRoom)} sqm`
+          : `${floorPlan.width} × ${floorPlan.depth} m overall`}
+      </figcaption>
+
+      <style>{`
+        .floor-plan {
+          margin: 0;
+        }
+
+        .floor-plan__hint {
+          font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+          opacity: 0.8;
+          margin: 0 0 var(--space-3);
+        }
+
+        .floor-plan__svg {
+          display: block;
+          width: 100%;
+          height: auto;
+          max-height: 420px;
+          font-family: var(--font-secondary, inherit);
+        }
+
+        .floor-plan__area {
+          fill: var(--cream-light);
+          stroke: var(--charcoal-deep);
+          stroke-width: 3;
+          transition: fill 0.2s ease;
+        }
+
+        .floor-plan__walls {
+          fill: none;
+          stroke: var(--charcoal-darker);
+          stroke-width: 10;
+          pointer-events: none;
+        }
+
+        .floor-plan__name {
+          font-size: 28px;
+          font-weight: 600;
+          fill: var(--charcoal-darker);
+          pointer-events: none;
+        }
+
+        .floor-plan__size {
+          font-size: 22px;
+          fill: var(--gold-dark);
+          pointer-events: none;
+        }
+
+        .floor-plan__room {
+          outline: none;
+        }
+
+        .floor-plan__room--photo {
+          cursor: pointer;
+        }
+
+        .floor-plan__room--active .floor-plan__area {
+          fill: rgba(212, 175, 55, 0.25);
+        }
+
+        .floor-plan__room:focus-visible .floor-plan__area {
+          stroke: var(--luxe-gold);
+          stroke-width: 8;
+        }
+
+        .floor-plan__hotspot circle {
+          fill: var(--luxe-gold);
+        }
+
+        .floor-plan__hotspot svg {
+          color: var(--pure-white);
+        }
+
+        .floor-plan__room--active .floor-plan__hotspot circle {
+          fill: var(--gold-dark);
+        }
+
+        .floor-plan__caption {
+          margin-top: var(--space-3);
+          font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+          text-align: center;
+          min-height: 1.5em;
+        }
+      `}</style>
+    </figure>
+  );
+}
+
+export default FloorPlan;
@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Itinerary Planner.
+ * Day plan built from the places a guest picked in the Tour Guide: the
+ * stops are ordered into a round trip from the hotel, each with its drive
+ * and visit time, and the plan can be copied or downloaded as text, saved
+ * to a calendar or sent to reception as a chauffeur request.
+ * @version 1.0.0
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  Car, CalendarPlus, Copy, FileText, Home, Send, Trash2, X,
+} from 'lucide-react';
+import { addDays, todayISO } from '../../utils/dateUtils';
+import { buildItineraryEvents, createICS, downloadICS, toHotelTime } from '../../utils/calendar';
+import { downloadBlob } from '../../utils/download';
+import {
+  exceedsChauffeurDay, formatChauffeurRequest, formatHotelClock, formatItineraryText, planItinerary,
+} from '../../utils/itinerary';
+import { getWhatsAppLink } from '../../utils/quote';
+import { formatDistance, formatDriveTime } from '../../utils/travel';
+
+/**
+ * Departure time the planner opens with (hotel local time).
+ * @constant {string}
+ */
+const DEFAULT_START_TIME = '09:00';
+
+/**
+ * Itinerary planner component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {import('../../data/attractions').Attraction[]} props.attractions - Places picked, in any order
+ * @param {(id: string) => void} props.onRemove - Called to drop a place from the plan
+ * @param {() => void} props.onClear - Called to empty the plan
+ * @returns {React.ReactElement} Planner panel
+ */
+function ItineraryPlanner({ attractions, onRemove, onClear }) {
+  const [date, setDate] = useState(() => addDays(todayISO(), 1));
+  const [startTime, setStartTime] = useState(DEFAULT_START_TIME);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const plan = useMemo(
+    () => planItinerary(attractions, { date, startAt: toHotelTime(date, startTime || DEFAULT_START_TIME) }),
+    [attractions, date, startTime],
+  );
+
+  const filename = `andalusian-castle-day-plan-${date}`;
+
+  const copyPlan = async () => {
+    try {
+      await navigator.clipboard.writeText(formatItineraryText(plan));
+      setCopyStatus('Plan copied');
+    } catch (e) {
+      setCopyStatus('Copy failed – use Download .txt instead');
+    }
+  };
+
+  if (attractions.length === 0) {
+    return (
+      <section className="itinerary itinerary--empty" aria-labelledby="itinerary-title">
+        <h3 id="itinerary-title" className="itinerary__title">Plan a day out</h3>
+        <p className="itinerary__hint">
+          Add places from the guide and we will order them into a round trip from the hotel,
+          with drive and visit times.
+        </p>
+        <style>{ITINERARY_STYLES}</style>
+      </section>
+    );
+  }
+
+  return (
+    <section className="itinerary" aria-labelledby="itinerary-title">
+      <div className="itinerary__header">
+        <h3 id="itinerary-title" className="itinerary__title">
+          Your day plan <span className="itinerary__count">{attractions.length}</span>
+        </h3>
+        <button type="button" className="itinerary__clear" onClick={onClear}>
+          <Trash2 size={14} aria-hidden="true" /> Clear plan
+        </button>
+      </div>
+
+      <div className="itinerary__when">
+        <label htmlFor="itinerary-date">
+          Date
+          <input
+            id="itinerary-date"
+            type="date"
+            value={date}
+            min={todayISO()}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+          />
+        </label>
+        <label htmlFor="itinerary-start">
+          Leave the hotel at
+          <input
+            id="itinerary-start"
+            type="time"
+            value={startTime}
+            step={900}
+            onChange={(e) => setStartTime(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <ol className="itinerary__route">
+        <li className="itinerary__stop itinerary__stop--hotel">
+          <span className="itinerary__time">{formatHotelClock(plan.startAt)}</span>
+          <span className="itinerary__name"><Home size={14} aria-hidden="true" /> Leave Andalusian Castle</span>
+        </li>
+        {plan.stops.map((stop) => (
+          <li key={stop.attraction.id} className="itinerary__stop">
+            <span className="itinerary__drive">
+              <Car size={12} aria-hidden="true" /> {formatDriveTime(stop.travelMinutes)} drive · {formatDistance(stop.km)}
+            </span>
+            <span className="itinerary__time">
+              {formatHotelClock(stop.arriveAt)}–{formatHotelClock(stop.leaveAt)}
+            </span>
+            <span className="itinerary__name">
+              {stop.attraction.name}
+              <span className="itinerary__visit">{formatDriveTime(stop.visitMinutes)} visit</span>
+            </span>
+            <button
+              type="button"
+              className="itinerary__remove"
+              onClick={() => onRemove(stop.attraction.id)}
+              aria-label={`Remove ${stop.attraction.name} from the plan`}
+            >
+              <X size={14} aria-hidden="true" />
+            </button>
+          </li>
+        ))}
+        <li className="itinerary__stop itinerary__stop--hotel">
+          <span className="itinerary__drive">
+            <Car size={12} aria-hidden="true" /> {formatDriveTime(plan.returnLeg.travelMinutes)} drive · {formatDistance(plan.returnLeg.km)}
+          </span>
+          <span className="itinerary__time">{formatHotelClock(plan.endAt)}</span>
+          <span className="itinerary__name"><Home size={14} aria-hidden="true" /> Back at the hotel</span>
+        </li>
+      </ol>
+
+      <p className="itinerary__summary">
+        {formatDriveTime(plan.totalMinutes)} out · stops ordered nearest first · drive times are
+        estimates for Lahore traffic at each time of day.
+        {exceedsChauffeurDay(plan) && ' Longer than a chauffeur day (8 hours) – reception will advise on extra time.'}
+      </p>
+
+      <div className="itinerary__actions" role="group" aria-label="Export the plan">
+        <button type="button" className="itinerary__action" onClick={copyPlan}>
+          <Copy size={16} aria-hidden="true" /> Copy text
+        </button>
+        <button
+          type="button"
+          className="itinerary__action"
+          onClick={() => downloadBlob(`${filename}.txt`, new Blob([formatItineraryText(plan)], { type: 'text/plain;charset=utf-8' }))}
+        >
+          <FileText size={16} aria-hidden="true" /> Download .txt
+        </button>
+        <button
+          type="button"
+          className="itinerary__action"
+          onClick={() => downloadICS(`${filename}.ics`, createICS(buildItineraryEvents(plan)))}
+        >
+          <CalendarPlus size={16} aria-hidden="true" /> Download .ics
+        </button>
+        <a
+          href={getWhatsAppLink(formatChauffeurRequest(plan))}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="itinerary__action itinerary__action--primary"
+        >
+          <Send size={16} aria-hidden="true" /> Request a chauffeur
+        </a>
+        <span className="itinerary__status" role="status">{copyStatus}</span>
+      </div>
+
+      <style>{ITINERARY_STYLES}</style>
+    </section>
+  );
+}
+
+/**
+ * Planner styles, shared by the empty and filled views.
+ * @constant {string}
+ */
+const ITINERARY_STYLES = `
+  .itinerary {
+    background: #111;
+    border: 1px solid rgba(212, 175, 55, 0.2);
+    border-radius: 16px;
+    padding: 24px;
+    color: #e5e7eb;
+  }
+
+  .itinerary__header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 16px;
+    margin-bottom: 16px;
+  }
+
+  .itinerary__title {
+    font-family: 'Playfair Display', serif;
+    font-size: 1.5rem;
+    font-weight: 400;
+    color: white;
+    margin: 0;
+  }
+
+  .itinerary__count {
+    display: inline-block;
+    min-width: 24px;
+    margin-left: 8px;
+    padding: 2px 8px;
+    border-radius: 99px;
+    background: #D4AF37;
+    color: black;
+    font-family: 'Montserrat', sans-serif;
+    font-size: 0.75rem;
+    font-weight: 700;
+    text-align: center;
+    vertical-align: middle;
+  }
+
+  .itinerary__hint {
+    margin: 8px 0 0;
+    color: #9ca3af;
+    font-size: 0.875rem;
+  }
+
+  .itinerary__when {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 16px;
+    margin-bottom: 20px;
+  }
+
+  .itinerary__when label {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    font-size: 0.7rem;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: #9ca3af;
+  }
+
+  .itinerary__when input {
+    padding: 8px 10px;
+    border-radius: 8px;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    background: #0a0a0a;
+    color: white;
+    font-family: inherit;
+    color-scheme: dark;
+  }
+
+  .itinerary__route {
+    list-style: none;
+    margin: 0;
+    padding: 0 0 0 16px;
+    border-left: 2px dashed rgba(212, 175, 55, 0.4);
+  }
+
+  .itinerary__stop {
+    position: relative;
+    display: grid;
+    grid-template-columns: auto 1fr auto;
+    align-items: center;
+    gap: 4px 16px;
+    padding: 10px 0;
+  }
+
+  .itinerary__stop::before {
+    content: '';
+    position: absolute;
+    left: -22px;
+    top: 50%;
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+    background: #D4AF37;
+  }
+
+  .itinerary__stop--hotel .itinerary__name {
+    color: #D4AF37;
+  }
+
+  .itinerary__drive {
+    grid-column: 1 / -1;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 0.7rem;
+    color: #9ca3af;
+  }
+
+  .itinerary__time {
+    font-variant-numeric: tabular-nums;
+    font-weight: 600;
+    color: white;
+    font-size: 0.875rem;
+  }
+
+  .itinerary__name {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px 8px;
+    font-size: 0.875rem;
+  }
+
+  .itinerary__visit {
+    font-size: 0.7rem;
+    color: #9ca3af;
+  }
+
+  .itinerary__remove,
+  .itinerary__clear {
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    padding: 4px;
+    border: none;
+    background: none;
+    color: #9ca3af;
+    font-family: inherit;
+    font-size: 0.75rem;
+    cursor: pointer;
+  }
+
+  .itinerary__remove:hover,
+  .itinerary__clear:hover {
+    color: #D4AF37;
+  }
+
+  .itinerary__summary {
+    margin: 16px 0;
+    font-size: 0.75rem;
+    color: #9ca3af;
+  }
+
+  .itinerary__actions {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .itinerary__action {
+    display: inline-flex;
+    align-items: center;
+    gap: 6px;
+    padding: 8px 14px;
+    border-radius: 99px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    background: transparent;
+    color: white;
+    font-family: inherit;
+    font-size: 0.8rem;
+    text-decoration: none;
+    cursor: pointer;
+    transition: all 0.3s ease;
+  }
+
+  .itinerary__action:hover {
+    border-color: #D4AF37;
+    color: #D4AF37;
+  }
+
+  .itinerary__action--primary {
+    background: #D4AF37;
+    border-color: #D4AF37;
+    color: black;
+  }
+
+  .itinerary__action--primary:hover {
+    background: transparent;
+  }
+
+  .itinerary__action:focus-visible,
+  .itinerary__remove:focus-visible,
+  .itinerary__clear:focus-visible,
+  .itinerary__when input:focus-visible {
+    outline: 2px solid #D4AF37;
+    outline-offset: 2px;
+  }
+
+  .itinerary__status {
+    font-size: 0.75rem;
+    color: #9ca3af;
+  }
+`;
+
+export default ItineraryPlanner;
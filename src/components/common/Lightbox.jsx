@@ -0,0 +1,845 @@
+/**
+ * @fileoverview Lightbox.
+ * Full-screen image viewer shared by the Gallery and Apartments sections:
+ * swipe and keyboard navigation, a thumbnail strip, double-tap/pinch and
+ * wheel zoom with panning, focus trapping and screen-reader announcements.
+ * Optionally runs a hands-free slideshow with cross-fades and fullscreen.
+ * @version 1.1.0
+ */
+
+import React, {
+  useState, useEffect, useRef, useCallback, useMemo,
+} from 'react';
+import {
+  ChevronLeft, ChevronRight, X, ZoomIn, ZoomOut, Play, Pause, Maximize, Minimize,
+} from 'lucide-react';
+import { trapFocus, restoreFocus, prefersReducedMotion } from '../../utils/accessibility';
+
+/**
+ * Largest zoom factor.
+ * @constant {number}
+ */
+const MAX_SCALE = 4;
+
+/**
+ * Zoom factor applied by a double tap or double click.
+ * @constant {number}
+ */
+const DOUBLE_TAP_SCALE = 2.5;
+
+/**
+ * Zoom factor applied by the zoom buttons and +/- keys.
+ * @constant {number}
+ */
+const ZOOM_STEP = 1.5;
+
+/**
+ * Wheel zoom sensitivity, per pixel of scroll.
+ * @constant {number}
+ */
+const WHEEL_ZOOM_SPEED = 0.002;
+
+/**
+ * Horizontal distance (px) that counts as a swipe to the next image.
+ * @constant {number}
+ */
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Most movement (px) allowed for a pointer press to count as a tap.
+ * @constant {number}
+ */
+const TAP_SLOP = 10;
+
+/**
+ * Longest gap (ms) between the taps of a double tap.
+ * @constant {number}
+ */
+const DOUBLE_TAP_MS = 300;
+
+/**
+ * Seconds per photo offered by the slideshow.
+ * @constant {number[]}
+ */
+const SLIDESHOW_INTERVALS = [3, 5, 8, 12];
+
+/**
+ * Zoom state with the image at its natural fit.
+ */
+const INITIAL_ZOOM = { scale: 1, x: 0, y: 0 };
+
+/**
+ * Image shown in the lightbox.
+ * @typedef {Object} LightboxImage
+ * @property {string} src - Image path under /public
+ * @property {string} alt - Alternative text
+ */
+
+/**
+ * Resolves an image path under /public.
+ * @param {string} src - Image path
+ * @returns {string} URL
+ */
+function resolveSrc(src) {
+  return process.env.PUBLIC_URL + src;
+}
+
+/**
+ * Restricts a value to a range.
+ * @param {number} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Distance between two pointers.
+ * @param {Array<{x: number, y: number}>} points - Two pointer positions
+ * @returns {number} Distance in px
+ */
+function distanceBetween([a, b]) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Midpoint of two pointers.
+ * @param {Array<{x: number, y: number}>} points - Two pointer positions
+ * @returns {{x: number, y: number}} Midpoint
+ */
+function midpoint([a, b]) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Checks whether an element takes typed input, so its keys are not shortcuts.
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, selects, textareas and editable content
+ */
+function isEditable(target) {
+  return Boolean(target && (
+    ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable
+  ));
+}
+
+/**
+ * Element currently shown fullscreen, if any.
+ * @returns {Element|null} Fullscreen element
+ */
+function getFullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+/**
+ * Shows an element fullscreen (Safari still needs the prefixed API).
+ * @param {Element} element - Element
+ */
+function enterFullscreen(element) {
+  const request = element.requestFullscreen || element.webkitRequestFullscreen;
+  const result = request?.call(element);
+  // Browsers reject requests they consider unsolicited; the button simply stays off
+  if (result?.catch) result.catch(() => {});
+}
+
+/**
+ * Leaves fullscreen.
+ */
+function exitFullscreen() {
+  const exit = document.exitFullscreen || document.webkitExitFullscreen;
+  const result = exit?.call(document);
+  if (result?.catch) result.catch(() => {});
+}
+
+/**
+ * Lightbox component. Render it only while open; closing is left to the
+ * parent through `onClose`.
+ *
+ * With `slideshow`, a play button advances the photos on a timer, looping
+ * over `images`. It pauses while the pointer rests on the photo, while the
+ * photo is zoomed or being handled, and restarts its countdown after any
+ * other interaction. Photos cross-fade, or cut instantly for visitors who
+ * prefer reduced motion.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {LightboxImage[]} props.images - Images to browse
+ * @param {number} props.index - Index of the image shown
+ * @param {(index: number) => void} props.onIndexChange - Called to show another image
+ * @param {() => void} props.onClose - Called to close the lightbox
+ * @param {string} [props.title='Photo gallery'] - Dialog title
+ * @param {boolean} [props.slideshow=false] - Offer the slideshow controls
+ * @param {boolean} [props.autoPlay=false] - Start the slideshow on open
+ * @param {number} [props.slideshowInterval=5] - Initial seconds per photo
+ * @returns {React.ReactElement} Lightbox dialog
+ */
+function Lightbox({
+  images, index, onIndexChange, onClose, title = 'Photo gallery',
+  slideshow = false, autoPlay = false, slideshowInterval = 5,
+}) {
+  const total = images.length;
+  const current = images[index];
+
+  const [isPlaying, setIsPlaying] = useState(slideshow && autoPlay && total > 1);
+  const [secondsPerPhoto, setSecondsPerPhoto] = useState(slideshowInterval);
+  const [isHovering, setIsHovering] = useState(false);
+  const [activity, setActivity] = useState(0);
+  const [outgoing, setOutgoing] = useState(null);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const reduceMotion = useMemo(() => prefersReducedMotion(), []);
+  const canFullscreen = Boolean(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+  const previousRef = useRef(current);
+
+  const [zoom, setZoom] = useState(INITIAL_ZOOM);
+  const [isGesturing, setIsGesturing] = useState(false);
+  const zoomRef = useRef(zoom);
+  zoomRef.current = zoom;
+
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null);
+  const thumbsRef = useRef(null);
+
+  // Active pointers by id, the gesture they started and the last tap
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef({ time: 0, x: 0, y: 0 });
+
+  const navigate = useCallback((direction) => {
+    onIndexChange((index + direction + total) % total);
+  }, [index, total, onIndexChange]);
+
+  // Keeps the zoomed image covering its frame
+  const clampZoom = useCallback((scale, x, y) => {
+    const image = imageRef.current;
+    const nextScale = clamp(scale, 1, MAX_SCALE);
+    if (!image || nextScale === 1) return INITIAL_ZOOM;
+
+    const maxX = (image.offsetWidth * (nextScale - 1)) / 2;
+    const maxY = (image.offsetHeight * (nextScale - 1)) / 2;
+    return { scale: nextScale, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+  }, []);
+
+  // Centre of the image before it was panned
+  const getImageCentre = useCallback(() => {
+    const { left, top, width, height } = imageRef.current.getBoundingClientRect();
+    return { x: left + width / 2 - zoomRef.current.x, y: top + height / 2 - zoomRef.current.y };
+  }, []);
+
+  /**
+   * Zooms while keeping the point under the pointer (or the centre of the
+   * viewer) in place.
+   */
+  const zoomAt = useCallback((getScale, point) => {
+    if (!imageRef.current) return;
+    const centre = getImageCentre();
+    const canvas = canvasRef.current.getBoundingClientRect();
+    const target = point || { x: canvas.left + canvas.width / 2, y: canvas.top + canvas.height / 2 };
+
+    const prev = zoomRef.current;
+    const ratio = clamp(getScale(prev.scale), 1, MAX_SCALE) / prev.scale;
+    const relX = target.x - centre.x;
+    const relY = target.y - centre.y;
+    setZoom(clampZoom(prev.scale * ratio, relX - ratio * (relX - prev.x), relY - ratio * (relY - prev.y)));
+  }, [clampZoom, getImageCentre]);
+
+  // --- Gestures ---
+  const startGesture = (isMulti) => {
+    const points = [...pointers.current.values()];
+    gesture.current = {
+      points,
+      zoom: zoomRef.current,
+      centre: getImageCentre(),
+      distance: points.length === 2 ? distanceBetween(points) : 0,
+      moved: false,
+      // A pinch never ends in a swipe or tap, even after one finger lifts
+      isMulti: isMulti || points.length > 1,
+    };
+    setIsGesturing(true);
+  };
+
+  const handleTap = (x, y) => {
+    const now = Date.now();
+    const last = lastTap.current;
+
+    if (now - last.time < DOUBLE_TAP_MS && Math.hypot(x - last.x, y - last.y) < TAP_SLOP * 3) {
+      lastTap.current = { time: 0, x: 0, y: 0 };
+      zoomAt((scale) => (scale > 1 ? 1 : DOUBLE_TAP_SCALE), { x, y });
+    } else {
+      lastTap.current = { time: now, x, y };
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture(gesture.current?.isMulti);
+  };
+
+  const handlePointerMove = (e) => {
+    const g = gesture.current;
+    if (!g || !pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...pointers.current.values()];
+
+    if (points.length === 2 && g.distance > 0) {
+      // Pinch: scale around the starting midpoint and follow it as it moves
+      const start = midpoint(g.points);
+      const now = midpoint(points);
+      const scale = clamp((g.zoom.scale * distanceBetween(points)) / g.distance, 1, MAX_SCALE);
+      const ratio = scale / g.zoom.scale;
+      const relX = start.x - g.centre.x;
+      const relY = start.y - g.centre.y;
+      setZoom(clampZoom(
+        scale,
+        relX - ratio * (relX - g.zoom.x) + (now.x - start.x),
+        relY - ratio * (relY - g.zoom.y) + (now.y - start.y)
+      ));
+    } else if (points.length === 1) {
+      const dx = e.clientX - g.points[0].x;
+      const dy = e.clientY - g.points[0].y;
+      if (Math.hypot(dx, dy) > TAP_SLOP) g.moved = true;
+      if (g.zoom.scale > 1) setZoom(clampZoom(g.zoom.scale, g.zoom.x + dx, g.zoom.y + dy));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const g = gesture.current;
+    if (!g || !pointers.current.has(e.pointerId)) return;
+    pointers.current.delete(e.pointerId);
+
+    if (pointers.current.size > 0) {
+      startGesture(true);
+      return;
+    }
+
+    gesture.current = null;
+    setIsGesturing(false);
+    if (e.type === 'pointercancel' || g.isMulti) return;
+
+    const dx = e.clientX - g.points[0].x;
+    if (g.zoom.scale === 1 && Math.abs(dx) > SWIPE_THRESHOLD) {
+      navigate(dx < 0 ? 1 : -1);
+    } else if (!g.moved) {
+      handleTap(e.clientX, e.clientY);
+    }
+  };
+
+  // Any interaction restarts the slideshow countdown
+  const noteActivity = () => setActivity((count) => count + 1);
+
+  const toggleFullscreen = () => {
+    if (getFullscreenElement()) exitFullscreen();
+    else enterFullscreen(dialogRef.current);
+  };
+
+  // --- Effects ---
+
+  // Trap focus in the dialog and lock page scroll while open
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const releaseFocus = trapFocus(dialogRef.current);
+    closeRef.current?.focus();
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      releaseFocus();
+      document.body.style.overflow = '';
+      restoreFocus(previousFocus);
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      setActivity((count) => count + 1);
+      if (e.defaultPrevented) return;
+      if (e.key === 'Escape') onClose();
+      // Form controls such as the slideshow interval keep their own keys
+      if (isEditable(e.target)) return;
+      if (e.key === 'ArrowLeft') navigate(-1);
+      if (e.key === 'ArrowRight') navigate(1);
+      if (e.key === '+' || e.key === '=') zoomAt((scale) => scale * ZOOM_STEP);
+      if (e.key === '-') zoomAt((scale) => scale / ZOOM_STEP);
+      if (e.key === '0') setZoom(INITIAL_ZOOM);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, navigate, zoomAt]);
+
+  // Wheel zoom; registered natively because React wheel listeners are passive
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      zoomAt((scale) => scale * Math.exp(-delta * WHEEL_ZOOM_SPEED), { x: e.clientX, y: e.clientY });
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [zoomAt]);
+
+  // Each image opens at its natural fit
+  useEffect(() => {
+    setZoom(INITIAL_ZOOM);
+  }, [index]);
+
+  // Advance the slideshow, looping back to the first photo
+  const isZoomed = zoom.scale > 1;
+  useEffect(() => {
+    if (!isPlaying || isHovering || isGesturing || isZoomed) return undefined;
+    const timer = setTimeout(() => onIndexChange((index + 1) % total), secondsPerPhoto * 1000);
+    return () => clearTimeout(timer);
+  }, [isPlaying, isHovering, isGesturing, isZoomed, index, total, secondsPerPhoto, activity, onIndexChange]);
+
+  // Keep the previous photo on screen to fade out over the new one
+  useEffect(() => {
+    const previous = previousRef.current;
+    previousRef.current = current;
+    if (isPlaying && !reduceMotion && previous && current && previous.src !== current.src) {
+      setOutgoing(previous);
+    } else {
+      setOutgoing(null);
+    }
+  }, [current, isPlaying, reduceMotion]);
+
+  // Follow fullscreen changes, including Escape handled by the browser
+  useEffect(() => {
+    const handleChange = () => setIsFullscreen(getFullscreenElement() === dialogRef.current);
+    document.addEventListener('fullscreenchange', handleChange);
+    document.addEventListener('webkitfullscreenchange', handleChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleChange);
+      document.removeEventListener('webkitfullscreenchange', handleChange);
+      if (getFullscreenElement()) exitFullscreen();
+    };
+  }, []);
+
+  // Preload the neighbouring images so swiping feels instant
+  useEffect(() => {
+    [index - 1, index + 1].forEach((neighbour) => {
+      const image = images[(neighbour + total) % total];
+      if (image && image !== current) {
+        const preload = new Image();
+        preload.src = resolveSrc(image.src);
+      }
+    });
+  }, [images, index, total, current]);
+
+  // Scroll active thumbnail into view locally (without page jump)
+  useEffect(() => {
+    const container = thumbsRef.current;
+    const activeThumb = container?.querySelector('.lightbox__thumb--active');
+    if (activeThumb) {
+      const scrollLeft = activeThumb.offsetLeft - (container.offsetWidth / 2) + (activeThumb.offsetWidth / 2);
+      container.scrollTo({ left: scrollLeft, behavior: 'smooth' });
+    }
+  }, [index]);
+
+  return (
+    <div
+      ref={dialogRef}
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lightbox-title"
+      tabIndex={-1}
+      onPointerDownCapture={noteActivity}
+    >
+      {/* Top Bar */}
+      <div className="lightbox__top">
+        <div className="lightbox__info">
+          <h2 id="lightbox-title" className="lightbox__title">{title}</h2>
+          <span className="lightbox__counter" aria-hidden="true">
+            {index + 1} / {total}
+          </span>
+        </div>
+        <div className="lightbox__tools">
+          {slideshow && total > 1 && (
+            <>
+              <label className="sr-only" htmlFor="lightbox-interval">Seconds per photo</label>
+              <select
+                id="lightbox-interval"
+                className="lightbox__interval"
+                value={secondsPerPhoto}
+                onChange={(e) => setSecondsPerPhoto(Number(e.target.value))}
+              >
+                {SLIDESHOW_INTERVALS.map((seconds) => (
+                  <option key={seconds} value={seconds}>{seconds}s</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className={`lightbox__tool ${isPlaying ? 'lightbox__tool--active' : ''}`}
+                onClick={() => setIsPlaying((playing) => !playing)}
+                aria-label={isPlaying ? 'Pause slideshow' : 'Play slideshow'}
+              >
+                {isPlaying ? <Pause size={20} /> : <Play size={20} />}
+              </button>
+            </>
+          )}
+          {slideshow && canFullscreen && (
+            <button
+              type="button"
+              className="lightbox__tool"
+              onClick={toggleFullscreen}
+              aria-label={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+            >
+              {isFullscreen ? <Minimize size={20} /> : <Maximize size={20} />}
+            </button>
+          )}
+          <button
+            type="button"
+            className="lightbox__tool lightbox__tool--zoom"
+            onClick={() => zoomAt((scale) => scale / ZOOM_STEP)}
+            aria-label="Zoom out"
+          >
+            <ZoomOut size={20} />
+          </button>
+          <button
+            type="button"
+            className="lightbox__tool lightbox__tool--zoom"
+            onClick={() => zoomAt((scale) => scale * ZOOM_STEP)}
+            aria-label="Zoom in"
+          >
+            <ZoomIn size={20} />
+          </button>
+          <button
+            ref={closeRef}
+            type="button"
+            className="lightbox__close"
+            onClick={onClose}
+            aria-label="Close gallery"
+          >
+            <X size={28} />
+          </button>
+        </div>
+      </div>
+
+      {/* Silent while the slideshow runs, so it does not talk over the page */}
+      <p className="sr-only" aria-live={isPlaying ? 'off' : 'polite'} aria-atomic="true">
+        Image {index + 1} of {total}{current?.alt ? `: ${current.alt}` : ''}
+      </p>
+
+      {/* Main Content Area */}
+      <div className="lightbox__stage">
+        <button
+          type="button"
+          className="lightbox__nav lightbox__nav--prev"
+          onClick={() => navigate(-1)}
+          aria-label="Previous image"
+        >
+          <ChevronLeft size={36} />
+        </button>
+
+        <div
+          ref={canvasRef}
+          className="lightbox__canvas"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerEnter={(e) => e.pointerType === 'mouse' && setIsHovering(true)}
+          onPointerLeave={() => setIsHovering(false)}
+        >
+          {outgoing && (
+            <img
+              key={`outgoing-${outgoing.src}`}
+              src={resolveSrc(outgoing.src)}
+              alt=""
+              className="lightbox__image lightbox__image--outgoing"
+              onAnimationEnd={() => setOutgoing(null)}
+              draggable={false}
+            />
+          )}
+          {current && (
+            <img
+              ref={imageRef}
+              key={current.src}
+              src={resolveSrc(current.src)}
+              alt={current.alt}
+              className={[
+                'lightbox__image',
+                isZoomed ? 'lightbox__image--zoomed' : '',
+                isGesturing ? '' : 'lightbox__image--settling',
+                outgoing ? 'lightbox__image--incoming' : '',
+              ].join(' ')}
+              style={{ transform: `translate3d(${zoom.x}px, ${zoom.y}px, 0) scale(${zoom.scale})` }}
+              draggable={false}
+            />
+          )}
+        </div>
+
+        <button
+          type="button"
+          className="lightbox__nav lightbox__nav--next"
+          onClick={() => navigate(1)}
+          aria-label="Next image"
+        >
+          <ChevronRight size={36} />
+        </button>
+      </div>
+
+      {/* Bottom Thumbnails Strip */}
+      <div className="lightbox__bottom">
+        <div className="lightbox__thumbs" ref={thumbsRef}>
+          {images.map((image, idx) => (
+            <button
+              key={image.src}
+              type="button"
+              className={`lightbox__thumb ${idx === index ? 'lightbox__thumb--active' : ''}`}
+              onClick={() => onIndexChange(idx)}
+              aria-label={`Show image ${idx + 1} of ${total}`}
+              aria-current={idx === index ? 'true' : undefined}
+            >
+              <img
+                src={resolveSrc(image.src)}
+                alt=""
+                loading="lazy"
+                decoding="async"
+              />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <style>{`
+        .lightbox {
+          position: fixed;
+          inset: 0;
+          background: #000;
+          z-index: 9999;
+          display: flex;
+          flex-direction: column;
+          outline: none;
+        }
+
+        .lightbox__top {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: var(--space-4);
+          padding: var(--space-6) var(--space-8);
+          background: rgba(0,0,0,0.9);
+          color: white;
+          z-index: 20;
+          border-bottom: 1px solid rgba(255,255,255,0.1);
+        }
+
+        .lightbox__info {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 0;
+        }
+
+        .lightbox__title {
+          margin: 0;
+          font-size: 1.25rem;
+          font-weight: 700;
+          letter-spacing: 0.5px;
+          font-family: var(--font-primary);
+          color: white;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .lightbox__counter {
+          font-size: 0.85rem;
+          opacity: 0.7;
+          font-weight: 600;
+          color: var(--luxe-gold);
+        }
+
+        .lightbox__tools {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+        }
+
+        .lightbox__tool,
+        .lightbox__close {
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          color: white;
+          border-radius: 50%;
+          cursor: pointer;
+          width: 44px;
+          height: 44px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          transition: all 0.3s ease;
+        }
+
+        .lightbox__tool:hover { background: rgba(255, 255, 255, 0.2); }
+        .lightbox__tool--active { background: var(--luxe-gold); border-color: var(--luxe-gold); }
+
+        .lightbox__interval {
+          height: 36px;
+          padding: 0 var(--space-2);
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: var(--radius-full);
+          color: white;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+
+        .lightbox__interval option { color: #000; }
+        .lightbox__close:hover { background: var(--luxe-gold); color: white; transform: rotate(90deg); border-color: var(--luxe-gold); }
+
+        .lightbox__tool:focus-visible,
+        .lightbox__interval:focus-visible,
+        .lightbox__close:focus-visible,
+        .lightbox__nav:focus-visible,
+        .lightbox__thumb:focus-visible {
+          outline: 2px solid var(--luxe-gold);
+          outline-offset: 2px;
+        }
+
+        .lightbox__stage {
+          flex: 1;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          position: relative;
+          overflow: hidden;
+          background: #050505;
+        }
+
+        .lightbox__canvas {
+          width: 100%;
+          height: 100%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: var(--space-4);
+          position: relative;
+          z-index: 5;
+          touch-action: none;
+          user-select: none;
+        }
+
+        .lightbox__image {
+          max-width: 100%;
+          max-height: 100%;
+          object-fit: contain;
+          box-shadow: 0 0 100px rgba(0,0,0,1);
+          border-radius: var(--radius-sm);
+          z-index: 10;
+          position: relative;
+          cursor: zoom-in;
+          will-change: transform;
+        }
+
+        .lightbox__image--zoomed { cursor: grab; }
+        .lightbox__image--settling { transition: transform 0.25s ease; }
+
+        /* Slideshow cross-fade: the previous photo fades out over the new one */
+        .lightbox__image--outgoing {
+          position: absolute;
+          inset: var(--space-4);
+          margin: auto;
+          max-width: calc(100% - 2 * var(--space-4));
+          max-height: calc(100% - 2 * var(--space-4));
+          z-index: 11;
+          pointer-events: none;
+          animation: lightboxFadeOut 0.8s ease forwards;
+        }
+
+        .lightbox__image--incoming { animation: lightboxFadeIn 0.8s ease; }
+
+        @keyframes lightboxFadeOut { to { opacity: 0; } }
+        @keyframes lightboxFadeIn { from { opacity: 0; } }
+
+        .lightbox:fullscreen .lightbox__top,
+        .lightbox:fullscreen .lightbox__bottom { background: rgba(0, 0, 0, 0.6); }
+
+        .lightbox__nav {
+          position: absolute;
+          top: 50%;
+          transform: translateY(-50%);
+          background: rgba(0, 0, 0, 0.5);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          color: white;
+          width: 60px;
+          height: 60px;
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          cursor: pointer;
+          transition: all 0.3s ease;
+          z-index: 30;
+          backdrop-filter: blur(10px);
+        }
+
+        .lightbox__nav:hover { background: var(--luxe-gold); border-color: var(--luxe-gold); }
+        .lightbox__nav--prev { left: var(--space-6); }
+        .lightbox__nav--next { right: var(--space-6); }
+
+        @media (max-width: 768px) {
+          .lightbox__nav,
+          .lightbox__tool--zoom { display: none; }
+        }
+
+        /* Thumbstrip */
+        .lightbox__bottom {
+          padding: var(--space-6) 0;
+          background: rgba(0,0,0,0.9);
+          border-top: 1px solid rgba(255,255,255,0.1);
+          z-index: 20;
+        }
+
+        .lightbox__thumbs {
+          display: flex;
+          gap: 12px;
+          padding: 0 var(--space-8);
+          overflow-x: auto;
+          scrollbar-width: none;
+          justify-content: flex-start;
+          width: max-content;
+          margin: 0 auto;
+          max-width: 90vw;
+        }
+
+        .lightbox__thumbs::-webkit-scrollbar { display: none; }
+
+        .lightbox__thumb {
+          width: 60px;
+          height: 60px;
+          flex-shrink: 0;
+          border-radius: var(--radius-sm);
+          overflow: hidden;
+          background: #333;
+          border: 2px solid transparent;
+          cursor: pointer;
+          opacity: 0.5;
+          padding: 0;
+          transition: all 0.3s ease;
+        }
+
+        .lightbox__thumb img { width: 100%; height: 100%; object-fit: cover; }
+        .lightbox__thumb--active {
+          opacity: 1;
+          border-color: var(--luxe-gold);
+          transform: scale(1.1);
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .lightbox__image--settling,
+          .lightbox__close,
+          .lightbox__thumb { transition: none; }
+          .lightbox__image--outgoing { display: none; }
+          .lightbox__image--incoming { animation: none; }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Lightbox;
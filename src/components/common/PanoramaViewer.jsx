@@ -0,0 +1,604 @@
+/**
+ * @fileoverview Panorama Viewer.
+ * Full-screen 360° viewer for the equirectangular room photos declared in an
+ * apartment's `panoramas`. Renders on a 2D canvas, looks around by drag,
+ * arrow keys or device orientation, and links rooms with hotspots. When a
+ * panorama cannot be shown it hands back to the flat gallery via
+ * `onFallback`.
+ * @version 1.1.0
+ */
+
+import React, {
+  useState, useEffect, useRef, useCallback,
+} from 'react';
+import {
+  X, Compass, Image as ImageIcon, ArrowUpCircle,
+} from 'lucide-react';
+import { trapFocus, restoreFocus } from '../../utils/accessibility';
+import {
+  clampFov, clampPitch, getOrientationView, normalizeYaw, projectPoint, renderPanorama,
+} from '../../utils/panorama';
+
+/**
+ * Field of view a scene opens with, in degrees.
+ * @constant {number}
+ */
+const DEFAULT_FOV = 75;
+
+/**
+ * Degrees turned per arrow key press.
+ * @constant {number}
+ */
+const KEY_STEP = 10;
+
+/**
+ * Widest panorama kept in memory; larger photos are scaled down.
+ * @constant {number}
+ */
+const MAX_SOURCE_WIDTH = 4096;
+
+/**
+ * Widest canvas rendered; larger screens are upscaled by the browser.
+ * @constant {number}
+ */
+const MAX_RENDER_WIDTH = 1280;
+
+/**
+ * Field of view change per pixel of wheel scroll.
+ * @constant {number}
+ */
+const WHEEL_FOV_SPEED = 0.05;
+
+/**
+ * Link from one scene to another.
+ * @typedef {Object} PanoramaHotspot
+ * @property {string} scene - Id of the scene it opens
+ * @property {number} yaw - Direction in degrees (0 is the photo's centre)
+ * @property {number} pitch - Height in degrees (0 is the horizon)
+ */
+
+/**
+ * One equirectangular room photo.
+ * @typedef {Object} PanoramaScene
+ * @property {string} id - Scene id, e.g. "bedroom"
+ * @property {string} label - Room name
+ * @property {string} src - Image path under /public (2:1 equirectangular)
+ * @property {number} [yaw=0] - Direction the scene opens facing
+ * @property {PanoramaHotspot[]} [hotspots] - Links to other scenes
+ * @property {boolean} [sample=false] - Illustration standing in for a real
+ *   photo; the viewer labels it so guests don't take it for the room
+ */
+
+/**
+ * Resolves an image path under /public.
+ * @param {string} src - Image path
+ * @returns {string} URL
+ */
+function resolveSrc(src) {
+  return process.env.PUBLIC_URL + src;
+}
+
+/**
+ * Current screen rotation in degrees.
+ * @returns {number} 0, 90, 180 or 270
+ */
+function getScreenAngle() {
+  return window.screen?.orientation?.angle ?? window.orientation ?? 0;
+}
+
+/**
+ * Panorama viewer component. Render it only while open.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {PanoramaScene[]} props.scenes - Scenes to tour
+ * @param {string} [props.initialSceneId] - Scene to open (defaults to the first)
+ * @param {string} props.title - Dialog title
+ * @param {() => void} props.onClose - Called to close the viewer
+ * @param {() => void} props.onFallback - Called when a panorama cannot be shown,
+ *   or the visitor asks for the photos instead
+ * @returns {React.ReactElement} Viewer dialog
+ */
+function PanoramaViewer({
+  scenes, initialSceneId, title, onClose, onFallback,
+}) {
+  const [sceneId, setSceneId] = useState(initialSceneId || scenes[0].id);
+  const scene = scenes.find((item) => item.id === sceneId) || scenes[0];
+
+  const [view, setView] = useState({ yaw: scene.yaw || 0, pitch: 0, fov: DEFAULT_FOV });
+  const [isReady, setIsReady] = useState(false);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [isGyroOn, setIsGyroOn] = useState(false);
+  const [gyroMessage, setGyroMessage] = useState('');
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const sourceRef = useRef(null);
+  const frameRef = useRef(0);
+  const dragRef = useRef(null);
+  const fallbackRef = useRef(onFallback);
+  fallbackRef.current = onFallback;
+
+  const canUseGyro = typeof window.DeviceOrientationEvent !== 'undefined';
+
+  const look = useCallback((dYaw, dPitch) => {
+    setView((prev) => ({
+      ...prev,
+      yaw: normalizeYaw(prev.yaw + dYaw),
+      pitch: clampPitch(prev.pitch + dPitch),
+    }));
+  }, []);
+
+  const zoom = useCallback((dFov) => {
+    setView((prev) => ({ ...prev, fov: clampFov(prev.fov + dFov) }));
+  }, []);
+
+  const goToScene = (id) => {
+    setIsReady(false);
+    setSceneId(id);
+  };
+
+  // --- Dragging ---
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    setIsGyroOn(false);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !size.width) return;
+    // Dragging moves the room with the pointer, so the view turns the other way
+    const degreesPerPixel = viewRef.current.fov / size.width;
+    look(-(e.clientX - drag.x) * degreesPerPixel, (e.clientY - drag.y) * degreesPerPixel);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const toggleGyro = async () => {
+    if (isGyroOn) {
+      setIsGyroOn(false);
+      return;
+    }
+    // iOS asks for permission, and only from a click
+    const { requestPermission } = window.DeviceOrientationEvent;
+    if (typeof requestPermission === 'function') {
+      try {
+        if (await requestPermission() !== 'granted') {
+          setGyroMessage('Motion access was declined. Drag to look around instead.');
+          return;
+        }
+      } catch (e) {
+        setGyroMessage('Motion sensors are not available. Drag to look around instead.');
+        return;
+      }
+    }
+    setGyroMessage('');
+    setIsGyroOn(true);
+  };
+
+  // --- Effects ---
+
+  // Trap focus in the dialog and lock page scroll while open
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const releaseFocus = trapFocus(dialogRef.current);
+    closeRef.current?.focus();
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      releaseFocus();
+      document.body.style.overflow = '';
+      restoreFocus(previousFocus);
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.target.closest?.('.panorama__scenes')) return;
+      if (e.key === 'ArrowLeft') look(-KEY_STEP, 0);
+      if (e.key === 'ArrowRight') look(KEY_STEP, 0);
+      if (e.key === 'ArrowUp') look(0, KEY_STEP);
+      if (e.key === 'ArrowDown') look(0, -KEY_STEP);
+      if (e.key === '+' || e.key === '=') zoom(-KEY_STEP);
+      if (e.key === '-') zoom(KEY_STEP);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, look, zoom]);
+
+  // Load the scene's photo into memory for rendering
+  useEffect(() => {
+    let cancelled = false;
+    const image = new Image();
+    sourceRef.current = null;
+    setView((prev) => ({ ...prev, yaw: scene.yaw || 0, pitch: 0 }));
+
+    image.onload = () => {
+      if (cancelled) return;
+      try {
+        const scale = Math.min(1, MAX_SOURCE_WIDTH / image.naturalWidth);
+        const buffer = document.createElement('canvas');
+        buffer.width = Math.round(image.naturalWidth * scale);
+        buffer.height = Math.round(image.naturalHeight * scale);
+        const context = buffer.getContext('2d');
+        if (!context) throw new Error('Canvas is not supported');
+        context.drawImage(image, 0, 0, buffer.width, buffer.height);
+        sourceRef.current = context.getImageData(0, 0, buffer.width, buffer.height);
+        setIsReady(true);
+      } catch (error) {
+        fallbackRef.current();
+      }
+    };
+    image.onerror = () => {
+      if (!cancelled) fallbackRef.current();
+    };
+    image.src = resolveSrc(scene.src);
+
+    return () => {
+      cancelled = true;
+      image.onload = null;
+      image.onerror = null;
+    };
+  }, [scene.src, scene.yaw]);
+
+  // Match the canvas to the stage
+  useEffect(() => {
+    const measure = () => {
+      const stage = stageRef.current;
+      if (stage) setSize({ width: stage.clientWidth, height: stage.clientHeight });
+    };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  // Draw the view, at most once per frame
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!isReady || !canvas || !size.width || !size.height) return undefined;
+
+    frameRef.current = requestAnimationFrame(() => {
+      const scale = Math.min(window.devicePixelRatio || 1, MAX_RENDER_WIDTH / size.width);
+      const width = Math.round(size.width * scale);
+      const height = Math.round(size.height * scale);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      const context = canvas.getContext('2d');
+      const target = context.createImageData(width, height);
+      renderPanorama(sourceRef.current, target, view);
+      context.putImageData(target, 0, 0);
+    });
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [isReady, size, view]);
+
+  // Wheel zoom; registered natively because React wheel listeners are passive
+  useEffect(() => {
+    const stage = stageRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      zoom((e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY) * WHEEL_FOV_SPEED);
+    };
+    stage.addEventListener('wheel', handleWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', handleWheel);
+  }, [zoom]);
+
+  // Look around by turning the phone
+  useEffect(() => {
+    if (!isGyroOn) return undefined;
+    let base = null;
+
+    const handleOrientation = (e) => {
+      if (e.alpha === null || e.beta === null) return;
+      const reading = getOrientationView(e, getScreenAngle());
+      // The first reading anchors the current view to the phone's heading
+      if (!base) base = { heading: reading.heading, yaw: viewRef.current.yaw };
+      setView((prev) => ({
+        ...prev,
+        yaw: normalizeYaw(base.yaw + reading.heading - base.heading),
+        pitch: reading.pitch,
+      }));
+    };
+    window.addEventListener('deviceorientation', handleOrientation);
+    return () => window.removeEventListener('deviceorientation', handleOrientation);
+  }, [isGyroOn]);
+
+  const hotspots = (scene.hotspots || [])
+    .map((hotspot) => ({
+      ...hotspot,
+      target: scenes.find((item) => item.id === hotspot.scene),
+      position: size.width ? projectPoint(hotspot, view, size.width, size.height) : null,
+    }))
+    .filter((hotspot) => hotspot.target && hotspot.position);
+
+  return (
+    <div
+      ref={dialogRef}
+      className="panorama"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="panorama-title"
+      tabIndex={-1}
+    >
+      <div className="panorama__top">
+        <div className="panorama__info">
+          <h2 id="panorama-title" className="panorama__title">{title}</h2>
+          <span className="panorama__scene-name">{scene.label}</span>
+          {scene.sample && <span className="panorama__sample">Sample panorama – not a photo of this apartment</span>}
+        </div>
+        <div className="panorama__tools">
+          {canUseGyro && (
+            <button
+              type="button"
+              className={`panorama__tool ${isGyroOn ? 'panorama__tool--active' : ''}`}
+              onClick={toggleGyro}
+              aria-pressed={isGyroOn}
+              aria-label="Look around by moving your phone"
+            >
+              <Compass size={20} />
+            </button>
+          )}
+          <button
+            type="button"
+            className="panorama__tool"
+            onClick={onFallback}
+            aria-label="View photos instead"
+          >
+            <ImageIcon size={20} />
+          </button>
+          <button
+            ref={closeRef}
+            type="button"
+            className="panorama__close"
+            onClick={onClose}
+            aria-label="Close 360° tour"
+          >
+            <X size={28} />
+          </button>
+        </div>
+      </div>
+
+      <p className="sr-only" aria-live="polite" aria-atomic="true">
+        {isReady
+          ? `${scene.label}, 360° view${scene.sample ? ' (sample illustration)' : ''}. Drag or use the arrow keys to look around.`
+          : `Loading ${scene.label}`}
+        {gyroMessage && ` ${gyroMessage}`}
+      </p>
+
+      <div
+        ref={stageRef}
+        className="panorama__stage"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <canvas ref={canvasRef} className="panorama__canvas" aria-hidden="true" />
+
+        {!isReady && <div className="panorama__loading">Loading 360° view…</div>}
+
+        {isReady && hotspots.map((hotspot) => (
+          <button
+            key={hotspot.scene}
+            type="button"
+            className="panorama__hotspot"
+            style={{ left: hotspot.position.x, top: hotspot.position.y }}
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => goToScene(hotspot.scene)}
+          >
+            <ArrowUpCircle size={28} aria-hidden="true" />
+            <span className="panorama__hotspot-label">Go to {hotspot.target.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {gyroMessage && <p className="panorama__message">{gyroMessage}</p>}
+
+      {/* Every room is also reachable without finding its hotspot */}
+      <nav className="panorama__scenes" aria-label="Rooms">
+        {scenes.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={`panorama__scene ${item.id === scene.id ? 'panorama__scene--active' : ''}`}
+            onClick={() => goToScene(item.id)}
+            aria-current={item.id === scene.id ? 'true' : undefined}
+          >
+            {item.label}
+          </button>
+        ))}
+      </nav>
+
+      <style>{`
+        .panorama {
+          position: fixed;
+          inset: 0;
+          background: #000;
+          z-index: 9999;
+          display: flex;
+          flex-direction: column;
+          outline: none;
+          color: white;
+        }
+
+        .panorama__top {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: var(--space-4);
+          padding: var(--space-4) var(--space-6);
+          background: rgba(0, 0, 0, 0.9);
+          border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .panorama__info {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 0;
+        }
+
+        .panorama__title {
+          margin: 0;
+          font-size: 1.25rem;
+          font-family: var(--font-primary);
+          color: white;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .panorama__scene-name {
+          font-size: 0.85rem;
+          font-weight: 600;
+          color: var(--luxe-gold);
+        }
+
+        .panorama__sample {
+          align-self: flex-start;
+          padding: 2px 8px;
+          border-radius: 4px;
+          background: rgba(255, 255, 255, 0.15);
+          font-size: 0.75rem;
+          color: white;
+        }
+
+        .panorama__tools {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+        }
+
+        .panorama__tool,
+        .panorama__close {
+          width: 44px;
+          height: 44px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 50%;
+          color: white;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .panorama__tool:hover { background: rgba(255, 255, 255, 0.2); }
+        .panorama__tool--active,
+        .panorama__close:hover { background: var(--luxe-gold); border-color: var(--luxe-gold); }
+
+        .panorama__stage {
+          position: relative;
+          flex: 1;
+          overflow: hidden;
+          cursor: grab;
+          touch-action: none;
+          user-select: none;
+        }
+
+        .panorama__stage:active { cursor: grabbing; }
+
+        .panorama__canvas {
+          display: block;
+          width: 100%;
+          height: 100%;
+        }
+
+        .panorama__loading {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 0.9rem;
+          opacity: 0.8;
+        }
+
+        .panorama__hotspot {
+          position: absolute;
+          transform: translate(-50%, -50%);
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+          background: none;
+          border: none;
+          color: white;
+          cursor: pointer;
+          filter: drop-shadow(0 2px 6px rgba(0, 0, 0, 0.6));
+        }
+
+        .panorama__hotspot-label {
+          padding: 2px 10px;
+          background: rgba(0, 0, 0, 0.6);
+          border-radius: var(--radius-full);
+          font-size: 0.8rem;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .panorama__hotspot:hover svg { color: var(--luxe-gold); }
+
+        .panorama__message {
+          margin: 0;
+          padding: var(--space-2) var(--space-6);
+          background: rgba(0, 0, 0, 0.9);
+          font-size: 0.85rem;
+        }
+
+        .panorama__scenes {
+          display: flex;
+          gap: var(--space-2);
+          padding: var(--space-4) var(--space-6);
+          overflow-x: auto;
+          background: rgba(0, 0, 0, 0.9);
+          border-top: 1px solid rgba(255, 255, 255, 0.1);
+        }
+
+        .panorama__scene {
+          flex-shrink: 0;
+          padding: 8px 16px;
+          background: transparent;
+          border: 1px solid rgba(255, 255, 255, 0.3);
+          border-radius: var(--radius-full);
+          color: white;
+          font-size: 0.85rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .panorama__scene--active {
+          background: var(--luxe-gold);
+          border-color: var(--luxe-gold);
+        }
+
+        .panorama__tool:focus-visible,
+        .panorama__close:focus-visible,
+        .panorama__hotspot:focus-visible,
+        .panorama__scene:focus-visible {
+          outline: 2px solid var(--luxe-gold);
+          outline-offset: 2px;
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .panorama__tool,
+          .panorama__close { transition: none; }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default PanoramaViewer;
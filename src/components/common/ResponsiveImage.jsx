@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Responsive Image.
+ * Renders a published photo as a `<picture>` with the AVIF and WebP width
+ * ladders from the image manifest, so the browser downloads the smallest
+ * file that fills the slot. Photos without variants render as a plain image.
+ *
+ * The manifest's intrinsic size is passed as `width`/`height`, so the
+ * browser reserves the photo's aspect ratio, and its blurred placeholder
+ * (over the dominant colour) is painted until the photo has loaded.
+ * @version 1.1.0
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { getImageEntry, getImageSources } from '../../utils/images';
+
+/**
+ * Inline style painting a manifest placeholder behind the image.
+ * @param {Object|null} entry - Manifest entry
+ * @returns {Object|undefined} Style, or undefined without a placeholder
+ */
+function getPlaceholderStyle(entry) {
+  if (!entry?.placeholder) return undefined;
+  return { background: `${entry.color} url("${entry.placeholder}") center / cover no-repeat` };
+}
+
+/**
+ * Responsive image component.
+ *
+ * `sizes` should describe the rendered width of the slot; the default
+ * assumes a full-width image.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.src - Public path of the master image, e.g. "/images/spa/spa-01-wellness.webp"
+ * @param {string} props.alt - Alternative text
+ * @param {string} [props.sizes='100vw'] - Slot width for each layout
+ * @param {string} [props.className] - Classes for the `<img>`
+ * @param {'lazy'|'eager'} [props.loading='lazy'] - Loading strategy
+ * @returns {React.ReactElement} Picture element
+ *
+ * @example
+ * <ResponsiveImage
+ *   src="/images/Tour/Lahore_Fort.webp"
+ *   alt="Lahore Fort"
+ *   sizes="(min-width: 768px) 160px, 128px"
+ * />
+ */
+function ResponsiveImage({ src, alt, sizes = '100vw', className, loading = 'lazy', onLoad, ...imgProps }) {
+  const entry = getImageEntry(src);
+  const sources = getImageSources(src);
+  const imageRef = useRef(null);
+  const [loadedSrc, setLoadedSrc] = useState(null);
+
+  // Cached photos can finish loading before React attaches the handler
+  useEffect(() => {
+    const image = imageRef.current;
+    if (image?.complete && image.naturalWidth > 0) setLoadedSrc(src);
+  }, [src]);
+
+  const handleLoad = (e) => {
+    setLoadedSrc(src);
+    if (onLoad) onLoad(e);
+  };
+
+  return (
+    <picture className="responsive-image">
+      {sources.map((source) => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img
+        ref={imageRef}
+        src={process.env.PUBLIC_URL + src}
+        alt={alt}
+        width={entry?.width}
+        height={entry?.height}
+        className={className}
+        style={loadedSrc === src ? undefined : getPlaceholderStyle(entry)}
+        loading={loading}
+        decoding="async"
+        onLoad={handleLoad}
+        {...imgProps}
+      />
+    </picture>
+  );
+}
+
+export default ResponsiveImage;
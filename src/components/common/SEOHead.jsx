@@ -6,6 +6,9 @@
  */
 
 import React from 'react';
+import { APARTMENTS_DATA, AMENITY_LABELS, getTotalUnits } from '../../data/inventory';
+import { getApartmentPath } from '../../utils/routes';
+import { HOTEL_LOCATION } from '../../data/content';
 
 /**
  * Site metadata configuration.
@@ -24,8 +27,44 @@ const SITE_CONFIG = {
     ogImageHeight: 630,
 };
 
+/**
+ * Builds the JSON-LD HotelRoom schema for an apartment type.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @returns {Object} HotelRoom schema
+ */
+function getApartmentSchema(apartment) {
+    return {
+        '@type': 'HotelRoom',
+        name: apartment.name,
+        description: apartment.description,
+        url: `${SITE_CONFIG.siteUrl}${getApartmentPath(apartment.id)}`,
+        image: apartment.gallery.map((src) => `${SITE_CONFIG.siteUrl}${src}`),
+        bed: {
+            '@type': 'BedDetails',
+            typeOfBed: apartment.bed,
+            numberOfBeds: 1,
+        },
+        occupancy: {
+            '@type': 'QuantitativeValue',
+            maxValue: apartment.maxGuests,
+        },
+        floorSize: {
+            '@type': 'QuantitativeValue',
+            value: apartment.size.value,
+            unitCode: 'MTK',
+        },
+        amenityFeature: apartment.amenities.map((amenity) => ({
+            '@type': 'LocationFeatureSpecification',
+            name: AMENITY_LABELS[amenity],
+            value: true,
+        })),
+    };
+}
+
 /**
  * JSON-LD LocalBusiness Schema.
+ * Rooms are generated from the apartment inventory.
  */
 const localBusinessSchema = {
     '@context': 'https://schema.org',
@@ -37,16 +76,16 @@ const localBusinessSchema = {
     email: 'AndalusianCastleSuite@gmail.com',
     address: {
         '@type': 'PostalAddress',
-        streetAddress: 'Plaza 100, Nishtar Block, Sector E',
-        addressLocality: 'Bahria Town',
-        addressRegion: 'Lahore, Punjab',
+        streetAddress: HOTEL_LOCATION.street,
+        addressLocality: HOTEL_LOCATION.locality,
+        addressRegion: HOTEL_LOCATION.region,
         postalCode: '',
-        addressCountry: 'PK',
+        addressCountry: HOTEL_LOCATION.country,
     },
     geo: {
         '@type': 'GeoCoordinates',
-        latitude: 31.3624,
-        longitude: 74.1815,
+        latitude: HOTEL_LOCATION.latitude,
+        longitude: HOTEL_LOCATION.longitude,
     },
     image: [
         'https://andalusiancastle.com/images/hotel-exterior.jpg',
@@ -64,6 +103,8 @@ const localBusinessSchema = {
         { '@type': 'LocationFeatureSpecification', name: 'Fitness Center', value: true },
         { '@type': 'LocationFeatureSpecification', name: 'Free WiFi', value: true },
     ],
+    numberOfRooms: getTotalUnits(),
+    containsPlace: APARTMENTS_DATA.map(getApartmentSchema),
     aggregateRating: {
         '@type': 'AggregateRating',
         ratingValue: '4.9',
@@ -177,5 +218,5 @@ function SEOHead({
 /**
  * Export site config for use in other components.
  */
-export { SITE_CONFIG, localBusinessSchema };
+export { SITE_CONFIG, localBusinessSchema, getApartmentSchema };
 export default SEOHead;
@@ -14,6 +14,15 @@ export { default as GoldenDivider } from './GoldenDivider';
 
 // Interactive Components
 export { default as HoverReveal } from './HoverReveal';
+export { default as DateRangePicker } from './DateRangePicker';
+export { default as CurrencySwitcher } from './CurrencySwitcher';
+export { default as AmenityIcon } from './AmenityIcon';
+export { default as AddToCalendar } from './AddToCalendar';
+export { default as ItineraryPlanner } from './ItineraryPlanner';
+export { default as Lightbox } from './Lightbox';
+export { default as FloorPlan } from './FloorPlan';
+export { default as PanoramaViewer } from './PanoramaViewer';
+export { default as ResponsiveImage } from './ResponsiveImage';
 
 // Layout Components
 export { default as SectionContainer } from './SectionContainer';
@@ -8,6 +8,7 @@
 import React, { useState, useCallback } from 'react';
 import { Facebook, Instagram, Music2, Twitter, MapPin, Phone, Mail, MessageSquare } from 'lucide-react';
 import { LegalModal } from '../common/LegalPages';
+import { goToSection } from '../../utils/routes';
 
 /**
  * Footer navigation links.
@@ -101,6 +102,8 @@ function Footer() {
       const target = document.querySelector(href);
       if (target) {
         target.scrollIntoView({ behavior: 'smooth' });
+      } else {
+        goToSection(href.slice(1));
       }
     }
   };
@@ -6,6 +6,7 @@
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { goToSection } from '../../utils/routes';
 
 /**
  * Navigation items configuration.
@@ -149,6 +150,9 @@ function Navigation({
         top: offsetPosition,
         behavior: 'smooth',
       });
+    } else {
+      // Section is not on this page (e.g. an apartment detail page)
+      goToSection(targetId);
     }
 
     // Close mobile menu after click
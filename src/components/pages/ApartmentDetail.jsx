@@ -0,0 +1,742 @@
+/**
+ * @fileoverview Apartment Detail Page.
+ * Deep-linkable page (`/apartments/<id>`) with the full gallery, features,
+ * amenities, pricing, house policies and the booking quote for a single
+ * apartment, so reception can share a direct link with guests. Apartments
+ * with panoramas offer a 360° tour that falls back to the photos, and those
+ * with a floor plan show it with each room's photo a click away.
+ * @version 1.3.0
+ */
+
+import React, {
+  useState, useEffect, useCallback, useRef,
+} from 'react';
+import {
+  ArrowLeft, ChevronLeft, ChevronRight, Check, Clock, Link2, Rotate3d, Send
+} from 'lucide-react';
+import AmenityIcon from '../common/AmenityIcon';
+import CurrencySwitcher from '../common/CurrencySwitcher';
+import FloorPlan from '../common/FloorPlan';
+import Lightbox from '../common/Lightbox';
+import { LegalModal } from '../common/LegalPages';
+import PanoramaViewer from '../common/PanoramaViewer';
+import ResponsiveImage from '../common/ResponsiveImage';
+import { getApartmentSchema } from '../common/SEOHead';
+import QuotePanel from '../booking/QuotePanel';
+import useCurrency from '../../hooks/useCurrency';
+import {
+  getApartmentById, formatApartmentSize, AMENITY_LABELS, STAY_POLICIES
+} from '../../data/inventory';
+import { BILLING_CURRENCY } from '../../data/exchange-rates';
+import { LENGTH_OF_STAY_TIERS } from '../../data/rates';
+import { getDisplayPricing } from '../../utils/pricing';
+import { formatPrice } from '../../utils/currency';
+import { createQuoteRequest, getWhatsAppLink } from '../../utils/quote';
+import { getApartmentUrl, goToSection } from '../../utils/routes';
+
+/**
+ * Site name appended to the document title.
+ * @constant {string}
+ */
+const SITE_TITLE = 'Andalusian Castle';
+
+/**
+ * Gallery stage width: the page container, capped at 1280px.
+ * @constant {string}
+ */
+const STAGE_IMAGE_SIZES = '(min-width: 1280px) 1280px, 100vw';
+
+/**
+ * Apartment detail page component.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.apartmentId - Apartment id from the URL
+ * @returns {React.ReactElement} Detail page element
+ */
+function ApartmentDetail({ apartmentId }) {
+  const apartment = getApartmentById(apartmentId);
+  const [currency] = useCurrency();
+  const [activeImage, setActiveImage] = useState(0);
+  const [isPolicyOpen, setIsPolicyOpen] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('');
+  const [isTourOpen, setIsTourOpen] = useState(false);
+  const [tourStatus, setTourStatus] = useState('');
+  const [planPhotoIndex, setPlanPhotoIndex] = useState(null);
+  const galleryRef = useRef(null);
+  const [quoteRequest, setQuoteRequest] = useState(() => createQuoteRequest(apartmentId));
+
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = apartment
+      ? `${apartment.name} | ${SITE_TITLE}`
+      : `Apartment not found | ${SITE_TITLE}`;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [apartment]);
+
+  const updateQuote = useCallback((patch) => {
+    setQuoteRequest((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const showImage = useCallback((index) => {
+    if (!apartment) return;
+    const total = apartment.gallery.length;
+    setActiveImage((index + total) % total);
+  }, [apartment]);
+
+  const handleGalleryKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') showImage(activeImage - 1);
+    if (e.key === 'ArrowRight') showImage(activeImage + 1);
+  };
+
+  // The flat gallery stands in when the 360° tour cannot be shown
+  const showPhotosInstead = useCallback(() => {
+    setIsTourOpen(false);
+    setTourStatus('Showing the photo gallery instead of the 360° tour.');
+  }, []);
+
+  // Runs after the viewer has handed focus back, so the gallery keeps it
+  useEffect(() => {
+    if (!isTourOpen && tourStatus) galleryRef.current?.focus();
+  }, [isTourOpen, tourStatus]);
+
+  const handleBack = (e) => {
+    e.preventDefault();
+    goToSection('apartments');
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getApartmentUrl(apartment.id));
+      setCopyStatus('Link copied');
+    } catch (e) {
+      setCopyStatus('Copy failed – use the address bar');
+    }
+  };
+
+  if (!apartment) {
+    return (
+      <section className="apartment-detail section" aria-labelledby="apartment-detail-title">
+        <div className="container apartment-detail__missing">
+          <h1 id="apartment-detail-title">Apartment not found</h1>
+          <p>This apartment may have been renamed or is no longer offered.</p>
+          <a href="/#apartments" className="btn btn-primary" onClick={handleBack}>
+            View all apartments
+          </a>
+        </div>
+        <style>{DETAIL_STYLES}</style>
+      </section>
+    );
+  }
+
+  const pricing = getDisplayPricing(apartment.id);
+  const totalImages = apartment.gallery.length;
+  const panoramas = apartment.panoramas || [];
+  const extraBeds = apartment.maxGuests - apartment.baseOccupancy;
+  const galleryImages = apartment.gallery.map((src, index) => ({
+    src,
+    alt: `${apartment.name} – photo ${index + 1} of ${totalImages}`,
+  }));
+  // Names the room on show while the lightbox is browsed from the floor plan
+  const planRoom = planPhotoIndex !== null
+    && apartment.floorPlan?.rooms.find((room) => room.photo === apartment.gallery[planPhotoIndex]);
+
+  return (
+    <section
+      id="apartment-detail"
+      className="apartment-detail section"
+      aria-labelledby="apartment-detail-title"
+    >
+      <div className="container">
+        <a href="/#apartments" className="apartment-detail__back" onClick={handleBack}>
+          <ArrowLeft size={16} /> All apartments
+        </a>
+
+        <header className="apartment-detail__header">
+          <div>
+            <h1 id="apartment-detail-title" className="apartment-detail__title">
+              {apartment.name}
+            </h1>
+            <p className="apartment-detail__tagline">{apartment.tagline}</p>
+            <dl className="apartment-detail__facts">
+              <div><dt>Size</dt><dd>{formatApartmentSize(apartment)}</dd></div>
+              <div><dt>Bed</dt><dd>{apartment.bed}</dd></div>
+              <div><dt>View</dt><dd>{apartment.view}</dd></div>
+              <div>
+                <dt>Sleeps</dt>
+                <dd>
+                  {apartment.maxGuests}
+                  {extraBeds > 0 && ` (${apartment.baseOccupancy} + ${extraBeds} extra ${extraBeds === 1 ? 'bed' : 'beds'})`}
+                </dd>
+              </div>
+            </dl>
+          </div>
+
+          <div className="apartment-detail__price">
+            {pricing.discountPercent > 0 && (
+              <span className="apartment-detail__badge">{pricing.discountPercent}% OFF</span>
+            )}
+            <span className="apartment-detail__price-from">From</span>
+            {pricing.rate < pricing.rackRate && (
+              <span className="apartment-detail__price-original">{formatPrice(pricing.rackRate, currency)}</span>
+            )}
+            <span className="apartment-detail__price-amount">{formatPrice(pricing.rate, currency)}</span>
+            <span className="apartment-detail__price-per">per night · {apartment.priceNote}</span>
+            <span className="apartment-detail__price-per">
+              {currency === BILLING_CURRENCY && '≈ '}{formatPrice(pricing.monthlyRate, currency)} per month ·{' '}
+              {LENGTH_OF_STAY_TIERS.map((tier) => `${tier.percent}% off ${tier.minNights}+ nights`).join(', ')}
+            </span>
+          </div>
+        </header>
+
+        {/* Gallery */}
+        <div
+          ref={galleryRef}
+          className="apartment-detail__gallery"
+          role="region"
+          aria-roledescription="carousel"
+          aria-label={`${apartment.name} photos`}
+          tabIndex={0}
+          onKeyDown={handleGalleryKeyDown}
+        >
+          <div className="apartment-detail__stage">
+            <ResponsiveImage
+              src={apartment.gallery[activeImage]}
+              alt={`${apartment.name} – ${activeImage + 1} of ${totalImages}`}
+              className="apartment-detail__image"
+              sizes={STAGE_IMAGE_SIZES}
+              loading="eager"
+            />
+            <button
+              type="button"
+              className="apartment-detail__nav apartment-detail__nav--prev"
+              onClick={() => showImage(activeImage - 1)}
+              aria-label="Previous photo"
+            >
+              <ChevronLeft size={28} />
+            </button>
+            <button
+              type="button"
+              className="apartment-detail__nav apartment-detail__nav--next"
+              onClick={() => showImage(activeImage + 1)}
+              aria-label="Next photo"
+            >
+              <ChevronRight size={28} />
+            </button>
+            <span className="apartment-detail__counter" aria-live="polite">
+              {activeImage + 1} / {totalImages}
+            </span>
+            {panoramas.length > 0 && (
+              <button
+                type="button"
+                className="apartment-detail__tour"
+                onClick={() => {
+                  setTourStatus('');
+                  setIsTourOpen(true);
+                }}
+              >
+                <Rotate3d size={18} aria-hidden="true" /> 360° tour
+              </button>
+            )}
+          </div>
+          <p className="sr-only" role="status">{tourStatus}</p>
+
+          <div className="apartment-detail__thumbs">
+            {apartment.gallery.map((src, index) => (
+              <button
+                key={src}
+                type="button"
+                className={`apartment-detail__thumb ${index === activeImage ? 'apartment-detail__thumb--active' : ''}`}
+                onClick={() => showImage(index)}
+                aria-label={`Show photo ${index + 1}`}
+                aria-pressed={index === activeImage}
+              >
+                <img src={process.env.PUBLIC_URL + src} alt="" loading="lazy" decoding="async" />
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="apartment-detail__details">
+          {apartment.details.split('\n\n').map((paragraph) => (
+            <p key={paragraph.slice(0, 24)}>{paragraph}</p>
+          ))}
+        </div>
+
+        {apartment.floorPlan && (
+          <div className="apartment-detail__block apartment-detail__plan">
+            <h2 className="apartment-detail__heading">Floor plan</h2>
+            <FloorPlan
+              floorPlan={apartment.floorPlan}
+              gallery={apartment.gallery}
+              apartmentName={apartment.name}
+              onOpenPhoto={setPlanPhotoIndex}
+            />
+          </div>
+        )}
+
+        <div className="apartment-detail__info">
+          <div className="apartment-detail__block">
+            <h2 className="apartment-detail__heading">Features</h2>
+            <ul className="apartment-detail__list">
+              {apartment.features.map((feature) => (
+                <li key={feature}><Check size={16} aria-hidden="true" /> {feature}</li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="apartment-detail__block">
+            <h2 className="apartment-detail__heading">Amenities</h2>
+            <ul className="apartment-detail__list">
+              {apartment.amenities.map((amenity) => (
+                <li key={amenity}>
+                  <AmenityIcon amenity={amenity} size={18} /> {AMENITY_LABELS[amenity] || amenity}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="apartment-detail__block">
+            <h2 className="apartment-detail__heading">Policies</h2>
+            <dl className="apartment-detail__times">
+              <div>
+                <dt><Clock size={16} aria-hidden="true" /> Check-in</dt>
+                <dd>From {STAY_POLICIES.checkIn}</dd>
+              </div>
+              <div>
+                <dt><Clock size={16} aria-hidden="true" /> Check-out</dt>
+                <dd>By {STAY_POLICIES.checkOut}</dd>
+              </div>
+            </dl>
+            <ul className="apartment-detail__rules">
+              {STAY_POLICIES.rules.map((rule) => (
+                <li key={rule}>{rule}</li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              className="apartment-detail__policy-link"
+              onClick={() => setIsPolicyOpen(true)}
+            >
+              Read the full cancellation policy
+            </button>
+          </div>
+        </div>
+
+        <div className="apartment-detail__share">
+          <a
+            href={getWhatsAppLink(`${apartment.whatsappMessage}\n\n${getApartmentUrl(apartment.id)}`)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="btn btn-primary"
+          >
+            <Send size={18} /> Book on WhatsApp
+          </a>
+          <button type="button" className="btn btn-secondary" onClick={copyLink}>
+            <Link2 size={18} /> Copy link
+          </button>
+          <span className="apartment-detail__copy-status" role="status">{copyStatus}</span>
+        </div>
+
+        <CurrencySwitcher id="apartment-detail-currency" />
+
+        <QuotePanel
+          apartments={[apartment]}
+          value={quoteRequest}
+          onChange={updateQuote}
+        />
+      </div>
+
+      {isTourOpen && (
+        <PanoramaViewer
+          scenes={panoramas}
+          title={`${apartment.name} – 360° tour`}
+          onClose={() => setIsTourOpen(false)}
+          onFallback={showPhotosInstead}
+        />
+      )}
+
+      {planPhotoIndex !== null && (
+        <Lightbox
+          images={galleryImages}
+          index={planPhotoIndex}
+          onIndexChange={setPlanPhotoIndex}
+          onClose={() => setPlanPhotoIndex(null)}
+          title={planRoom ? `${apartment.name} – ${planRoom.name}` : apartment.name}
+        />
+      )}
+
+      <LegalModal
+        isOpen={isPolicyOpen}
+        onClose={() => setIsPolicyOpen(false)}
+        pageType="cancellation"
+      />
+
+      <script
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{ __html: JSON.stringify({ '@context': 'https://schema.org', ...getApartmentSchema(apartment) }) }}
+      />
+
+      <style>{DETAIL_STYLES}</style>
+    </section>
+  );
+}
+
+/**
+ * Page styles, shared by the detail and not-found views.
+ * @constant {string}
+ */
+const DETAIL_STYLES = `
+  .apartment-detail {
+    padding-top: calc(var(--space-16) + 80px);
+    background: var(--cream-light);
+    min-height: 100vh;
+  }
+
+  .apartment-detail__missing {
+    text-align: center;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: var(--space-4);
+  }
+
+  .apartment-detail__back {
+    display: inline-flex;
+    align-items: center;
+    gap: var(--space-2);
+    color: var(--gold-dark);
+    font-size: var(--text-sm);
+    text-decoration: none;
+    margin-bottom: var(--space-6);
+  }
+
+  .apartment-detail__back:hover {
+    text-decoration: underline;
+  }
+
+  .apartment-detail__header {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: space-between;
+    align-items: flex-end;
+    gap: var(--space-6);
+    margin-bottom: var(--space-8);
+  }
+
+  .apartment-detail__title {
+    font-family: var(--font-primary);
+    color: var(--charcoal-darker);
+    margin: 0 0 var(--space-3);
+  }
+
+  .apartment-detail__tagline {
+    font-size: var(--text-sm);
+    text-transform: uppercase;
+    letter-spacing: 0.1em;
+    color: var(--gold-dark);
+    margin: 0 0 var(--space-4);
+  }
+
+  .apartment-detail__facts {
+    display: flex;
+    flex-wrap: wrap;
+    gap: var(--space-6);
+    margin: 0;
+  }
+
+  .apartment-detail__facts dt {
+    font-size: var(--text-xs);
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: var(--charcoal-deep);
+    opacity: 0.7;
+  }
+
+  .apartment-detail__facts dd {
+    margin: 0;
+    font-weight: 600;
+    color: var(--charcoal-darker);
+  }
+
+  .apartment-detail__details {
+    max-width: 760px;
+    margin-bottom: var(--space-10);
+    color: var(--charcoal-deep);
+    line-height: var(--leading-relaxed);
+  }
+
+  .apartment-detail__price {
+    display: flex;
+    flex-direction: column;
+    align-items: flex-end;
+    gap: var(--space-1);
+  }
+
+  .apartment-detail__badge {
+    background: var(--gradient-gold);
+    color: var(--pure-white);
+    font-size: var(--text-xs);
+    font-weight: 700;
+    padding: var(--space-1) var(--space-3);
+    border-radius: var(--radius-full);
+  }
+
+  .apartment-detail__price-from,
+  .apartment-detail__price-per {
+    font-size: var(--text-xs);
+    color: var(--charcoal-deep);
+    opacity: 0.75;
+  }
+
+  .apartment-detail__price-original {
+    text-decoration: line-through;
+    color: #999;
+    font-size: var(--text-sm);
+  }
+
+  .apartment-detail__price-amount {
+    font-family: var(--font-primary);
+    font-size: var(--text-3xl);
+    color: var(--gold-dark);
+    font-weight: 700;
+  }
+
+  .apartment-detail__gallery {
+    margin-bottom: var(--space-10);
+    border-radius: var(--radius-lg);
+  }
+
+  .apartment-detail__gallery:focus-visible {
+    outline: 2px solid var(--luxe-gold);
+    outline-offset: 4px;
+  }
+
+  .apartment-detail__stage {
+    position: relative;
+    aspect-ratio: 16 / 9;
+    background: var(--charcoal-darker);
+    border-radius: var(--radius-lg);
+    overflow: hidden;
+  }
+
+  .apartment-detail__image {
+    width: 100%;
+    height: 100%;
+    object-fit: contain;
+  }
+
+  .apartment-detail__nav {
+    position: absolute;
+    top: 50%;
+    transform: translateY(-50%);
+    width: 48px;
+    height: 48px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border: none;
+    border-radius: 50%;
+    background: rgba(0, 0, 0, 0.45);
+    color: var(--pure-white);
+    cursor: pointer;
+  }
+
+  .apartment-detail__nav:hover,
+  .apartment-detail__nav:focus-visible {
+    background: var(--luxe-gold);
+  }
+
+  .apartment-detail__nav--prev { left: var(--space-4); }
+  .apartment-detail__nav--next { right: var(--space-4); }
+
+  .apartment-detail__counter {
+    position: absolute;
+    bottom: var(--space-3);
+    right: var(--space-4);
+    background: rgba(0, 0, 0, 0.55);
+    color: var(--pure-white);
+    font-size: var(--text-xs);
+    padding: var(--space-1) var(--space-3);
+    border-radius: var(--radius-full);
+  }
+
+  .apartment-detail__tour {
+    position: absolute;
+    top: var(--space-3);
+    right: var(--space-4);
+    display: inline-flex;
+    align-items: center;
+    gap: var(--space-2);
+    padding: var(--space-2) var(--space-4);
+    background: rgba(0, 0, 0, 0.6);
+    border: 1px solid var(--luxe-gold);
+    border-radius: var(--radius-full);
+    color: var(--pure-white);
+    font-size: var(--text-sm);
+    font-weight: 600;
+    cursor: pointer;
+  }
+
+  .apartment-detail__tour:hover {
+    background: var(--luxe-gold);
+  }
+
+  .apartment-detail__tour:focus-visible {
+    outline: 2px solid var(--luxe-gold);
+    outline-offset: 2px;
+  }
+
+  .apartment-detail__thumbs {
+    display: flex;
+    gap: var(--space-2);
+    overflow-x: auto;
+    padding: var(--space-3) 0;
+  }
+
+  .apartment-detail__thumb {
+    flex: 0 0 88px;
+    height: 64px;
+    padding: 0;
+    border: 2px solid transparent;
+    border-radius: var(--radius-sm);
+    overflow: hidden;
+    cursor: pointer;
+    opacity: 0.65;
+    background: none;
+  }
+
+  .apartment-detail__thumb img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+
+  .apartment-detail__thumb--active,
+  .apartment-detail__thumb:hover {
+    opacity: 1;
+    border-color: var(--luxe-gold);
+  }
+
+  .apartment-detail__plan {
+    max-width: 760px;
+    margin-bottom: var(--space-10);
+  }
+
+  .apartment-detail__info {
+    display: grid;
+    grid-template-columns: 1fr;
+    gap: var(--space-6);
+    margin-bottom: var(--space-10);
+  }
+
+  @media (min-width: 900px) {
+    .apartment-detail__info {
+      grid-template-columns: 1fr 1fr 1.4fr;
+    }
+  }
+
+  .apartment-detail__block {
+    background: var(--pure-white);
+    border: 1px solid rgba(212, 175, 55, 0.2);
+    border-radius: var(--radius-md);
+    padding: var(--space-6);
+  }
+
+  .apartment-detail__heading {
+    font-family: var(--font-primary);
+    font-size: var(--text-xl);
+    color: var(--charcoal-darker);
+    margin: 0 0 var(--space-4);
+  }
+
+  .apartment-detail__list,
+  .apartment-detail__rules {
+    list-style: none;
+    padding: 0;
+    margin: 0;
+    display: flex;
+    flex-direction: column;
+    gap: var(--space-2);
+    font-size: var(--text-sm);
+    color: var(--charcoal-deep);
+  }
+
+  .apartment-detail__list li {
+    display: flex;
+    align-items: center;
+    gap: var(--space-2);
+  }
+
+  .apartment-detail__list svg {
+    color: var(--luxe-gold);
+    flex-shrink: 0;
+  }
+
+  .apartment-detail__times {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: var(--space-3);
+    margin: 0 0 var(--space-4);
+  }
+
+  .apartment-detail__times dt {
+    display: flex;
+    align-items: center;
+    gap: var(--space-1);
+    font-size: var(--text-xs);
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: var(--gold-dark);
+  }
+
+  .apartment-detail__times dd {
+    margin: 0;
+    font-weight: 600;
+    color: var(--charcoal-darker);
+  }
+
+  .apartment-detail__rules li {
+    padding-left: var(--space-4);
+    position: relative;
+  }
+
+  .apartment-detail__rules li::before {
+    content: '•';
+    position: absolute;
+    left: 0;
+    color: var(--luxe-gold);
+  }
+
+  .apartment-detail__policy-link {
+    margin-top: var(--space-4);
+    padding: 0;
+    background: none;
+    border: none;
+    color: var(--gold-dark);
+    font-size: var(--text-sm);
+    text-decoration: underline;
+    cursor: pointer;
+  }
+
+  .apartment-detail__share {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    justify-content: center;
+    gap: var(--space-3);
+    margin-bottom: var(--space-8);
+  }
+
+  .apartment-detail__copy-status {
+    flex-basis: 100%;
+    text-align: center;
+    font-size: var(--text-xs);
+    color: var(--charcoal-deep);
+    min-height: 1em;
+  }
+`;
+
+export default ApartmentDetail;
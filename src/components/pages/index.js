@@ -0,0 +1,7 @@
+/**
+ * @fileoverview Page components barrel export.
+ * Pages are rendered in place of the home page sections for their route.
+ * @version 1.0.0
+ */
+
+export { default as ApartmentDetail } from './ApartmentDetail';
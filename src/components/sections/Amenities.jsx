@@ -2,11 +2,13 @@
  * @fileoverview Amenities & Facilities Section with Animated Counters.
  * Implements FR-4.1 through FR-4.5 from SRS Section 3.1.4.
  * Features responsive grid, category tiles, and count-up animations.
- * @version 3.0.0
+ * @version 3.1.0
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Shirt, UtensilsCrossed, Sparkles, Briefcase, Bell, Car } from 'lucide-react';
+import ResponsiveImage from '../common/ResponsiveImage';
+import { getTotalUnits } from '../../data/inventory';
 
 /**
  * Amenities data configuration.
@@ -59,10 +61,11 @@ const AMENITIES_DATA = [
 
 /**
  * Statistics data for animated counters.
+ * The apartment count comes from the inventory.
  * @type {Array<Object>}
  */
 const STATS_DATA = [
-  { id: 'rooms', endValue: 10, label: 'Luxury Rooms', suffix: '' },
+  { id: 'rooms', endValue: getTotalUnits(), label: 'Luxury Apartments', suffix: '' },
   { id: 'guests', endValue: 1000, label: 'Happy Guests', suffix: '+' },
   { id: 'established', endValue: 2024, label: 'Established Since', suffix: '' },
   { id: 'rating', endValue: 49, label: 'Customer Rating', suffix: '/5', isDecimal: true },
@@ -218,11 +221,10 @@ function Amenities() {
             >
               {/* Tile Image - FR-4.4 */}
               <div className="amenities__tile-image">
-                <img
-                  src={process.env.PUBLIC_URL + amenity.image}
+                <ResponsiveImage
+                  src={amenity.image}
                   alt={amenity.name}
-                  loading="lazy"
-                  decoding="async"
+                  sizes="(min-width: 1280px) 360px, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
                 />
                 <div className="amenities__tile-overlay" />
               </div>
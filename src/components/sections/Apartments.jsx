@@ -1,86 +1,46 @@
 /**
  * @fileoverview Luxury Apartments Section with Interactive Cards and Lightbox.
- * Features lazy-loaded images, hover effects, and modal gallery.
- * @version 3.0.0
+ * Features lazy-loaded images, hover effects, and a gallery in the shared Lightbox.
+ * @version 3.2.0
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import {
-  Wifi, Tv, Lock, Snowflake, Bath, Sunset, Waves,
-  ChevronLeft, ChevronRight, X, Maximize2
-} from 'lucide-react';
+import React, {
+  useState, useEffect, useRef, useCallback, useMemo,
+} from 'react';
+import { Maximize2, CalendarDays } from 'lucide-react';
+import AmenityIcon from '../common/AmenityIcon';
+import Lightbox from '../common/Lightbox';
+import ResponsiveImage from '../common/ResponsiveImage';
+import DateRangePicker from '../common/DateRangePicker';
+import QuotePanel from '../booking/QuotePanel';
+import CurrencySwitcher from '../common/CurrencySwitcher';
+import useCurrency from '../../hooks/useCurrency';
+import { isNightBlocked, isRangeAvailable } from '../../utils/availability';
+import { formatDisplayDate, formatNights } from '../../utils/dateUtils';
+import { getDisplayPricing, getStayPricing, formatPKR } from '../../utils/pricing';
+import { formatPrice } from '../../utils/currency';
+import { createQuoteRequest, getWhatsAppLink } from '../../utils/quote';
+import { getApartmentPath, navigate } from '../../utils/routes';
+import { BILLING_CURRENCY } from '../../data/exchange-rates';
+import { APARTMENTS_DATA, AMENITY_LABELS, formatApartmentSize } from '../../data/inventory';
 
 /**
- * Apartment data with gallery images.
- * @type {Array<Object>}
+ * Builds the WhatsApp booking link for an apartment.
+ * When a valid stay is selected, the dates are appended to the canned message.
+ * @param {Object} apartment - Apartment data
+ * @param {{checkIn: string|null, checkOut: string|null}} [stay] - Selected stay
+ * @returns {string} WhatsApp deep link
  */
-const APARTMENTS_DATA = [
-  {
-    id: 'luxury-apartment-40',
-    name: 'Luxury Apartment',
-    description: 'Experience the comfort of our luxury apartments, designed for relaxation and convenience. Perfect base for your stay in Lahore.',
-    price: '7,500 PKR',
-    originalPrice: '10,000 PKR',
-    discount: '25% OFF',
-    priceNote: 'All taxes included',
-    image: '/images/dining/dining-03-feast.webp',
-    amenities: ['wifi', 'tv', 'ac', 'shower'],
-    features: ['Queen-size bed', '40 sq feet', 'City view', 'En-suite bathroom'],
-    whatsappMessage: 'Hi! I would like to book the Luxury Apartment. Please let me know the availability.',
-    gallery: [
-      '/images/apartment_details/luxury-bed.webp',
-      '/images/apartment_details/luxury-01.webp',
-      '/images/apartment_details/luxury-02.webp',
-      '/images/apartment_details/luxury-03.webp',
-      '/images/apartment_details/luxury-04.webp',
-      '/images/apartment_details/01.webp',
-      '/images/apartment_details/02.webp',
-      '/images/apartment_details/03.webp',
-      '/images/apartment_details/04.webp',
-    ],
-  },
-  {
-    id: 'super-luxury-apartment-55',
-    name: 'Super Luxury Apartment',
-    description: 'Upgrade to our Super Luxury Apartment for an elevated experience. Premium furnishings, enhanced amenities, and superior views of Bahria Town.',
-    price: '8,800 PKR',
-    originalPrice: '12,500 PKR',
-    discount: '30% OFF',
-    priceNote: 'All taxes included',
-    image: '/images/events/events-04-wedding.webp',
-    amenities: ['wifi', 'tv', 'ac', 'bathtub'],
-    features: ['King-size bed', '55 sq feet', 'Garden/City View', 'Complimentary Breakfast'],
-    whatsappMessage: 'Hi! I am interested in booking the Super Luxury Apartment. Could you please provide more details?',
-    gallery: [
-      '/images/apartment_details/luxury-bed.webp',
-      '/images/apartment_details/super-luxury-01.webp',
-      '/images/apartment_details/super-luxury-02.webp',
-      '/images/apartment_details/super-luxury-03.webp',
-      '/images/apartment_details/super-luxury-04.webp',
-      '/images/apartment_details/super-luxury-05.webp',
-      '/images/apartment_details/super-luxury-06.webp',
-      '/images/apartment_details/super-luxury-07.webp',
-      '/images/apartment_details/01.webp',
-      '/images/apartment_details/02.webp',
-      '/images/apartment_details/03.webp',
-      '/images/apartment_details/04.webp',
-    ],
-  },
-];
+function getBookingHref(apartment, stay) {
+  let message = apartment.whatsappMessage;
 
-/**
- * Amenity icons mapping.
- */
-const AMENITY_ICONS = {
-  wifi: <Wifi size={20} />,
-  tv: <Tv size={20} />,
-  safe: <Lock size={20} />,
-  ac: <Snowflake size={20} />,
-  bathtub: <Bath size={20} />,
-  terrace: <Sunset size={20} />,
-  pool: <Waves size={20} />,
-  shower: <Waves size={20} />,
-};
+  if (stay?.checkIn && stay?.checkOut && isRangeAvailable(apartment.id, stay.checkIn, stay.checkOut)) {
+    const pricing = getStayPricing(apartment.id, stay.checkIn, stay.checkOut);
+    message += `\n\nCheck-in: ${formatDisplayDate(stay.checkIn)}\nCheck-out: ${formatDisplayDate(stay.checkOut)} (${formatNights(pricing.nights.length)})\nQuoted total: ${formatPKR(pricing.total)}`;
+  }
+
+  return getWhatsAppLink(message);
+}
 
 /**
  * Apartments section component.
@@ -95,14 +55,13 @@ function Apartments() {
     currentIndex: 0,
   });
 
+  const [currency] = useCurrency();
   const [visibleCards, setVisibleCards] = useState(new Set());
+  const [openCalendar, setOpenCalendar] = useState(null);
+  const [stays, setStays] = useState({});
+  const [quoteRequest, setQuoteRequest] = useState(() => createQuoteRequest(APARTMENTS_DATA[0].id));
   const cardsRef = useRef([]);
   const sectionRef = useRef(null);
-  const thumbsRef = useRef(null);
-
-  // Touch tracking for swipe
-  const touchStartX = useRef(0);
-  const touchEndX = useRef(0);
 
   useEffect(() => {
     const observerOptions = {
@@ -133,68 +92,45 @@ function Apartments() {
       apartment,
       currentIndex: 0,
     });
-    document.body.style.overflow = 'hidden';
   }, []);
 
   const closeLightbox = useCallback(() => {
     setLightbox((prev) => ({ ...prev, isOpen: false }));
-    document.body.style.overflow = '';
-  }, []);
-
-  const navigateLightbox = useCallback((direction) => {
-    setLightbox((prev) => {
-      const totalImages = prev.apartment?.gallery.length || 0;
-      let newIndex = prev.currentIndex + direction;
-      if (newIndex < 0) newIndex = totalImages - 1;
-      if (newIndex >= totalImages) newIndex = 0;
-      return { ...prev, currentIndex: newIndex };
-    });
   }, []);
 
-  const goToSlide = (index) => {
-    setLightbox(prev => ({ ...prev, currentIndex: index }));
+  const toggleCalendar = (apartmentId) => {
+    setOpenCalendar((prev) => (prev === apartmentId ? null : apartmentId));
   };
 
-  // --- Swipe Logic ---
-  const handleTouchStart = (e) => {
-    touchStartX.current = e.touches[0].clientX;
+  const handleStayChange = (apartmentId, range) => {
+    setStays((prev) => ({ ...prev, [apartmentId]: range }));
   };
 
-  const handleTouchMove = (e) => {
-    touchEndX.current = e.touches[0].clientX;
-  };
+  const updateQuote = useCallback((patch) => {
+    setQuoteRequest((prev) => ({ ...prev, ...patch }));
+  }, []);
 
-  const handleTouchEnd = () => {
-    const diff = touchStartX.current - touchEndX.current;
-    if (Math.abs(diff) > 50) {
-      if (diff > 0) navigateLightbox(1);
-      else navigateLightbox(-1);
-    }
+  // Carry a card's selected dates into the quote panel
+  const openQuote = (apartmentId) => {
+    updateQuote({ apartmentId, mode: 'nightly', ...stays[apartmentId] });
+    document.getElementById('quote')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
   };
 
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (!lightbox.isOpen) return;
-      if (e.key === 'Escape') closeLightbox();
-      if (e.key === 'ArrowLeft') navigateLightbox(-1);
-      if (e.key === 'ArrowRight') navigateLightbox(1);
-    };
+  const openLongStayQuote = (apartmentId) => {
+    updateQuote({ apartmentId, mode: 'long' });
+    document.getElementById('quote')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
 
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [lightbox.isOpen, closeLightbox, navigateLightbox]);
+  const lightboxImages = useMemo(() => (lightbox.apartment
+    ? lightbox.apartment.gallery.map((src, index) => ({
+      src,
+      alt: `${lightbox.apartment.name} - Image ${index + 1}`,
+    }))
+    : []), [lightbox.apartment]);
 
-  // Scroll active thumbnail into view
-  useEffect(() => {
-    const container = thumbsRef.current;
-    if (lightbox.isOpen && container) {
-      const activeThumb = container.querySelector('.rooms__thumb--active');
-      if (activeThumb) {
-        const scrollLeft = activeThumb.offsetLeft - (container.offsetWidth / 2) + (activeThumb.offsetWidth / 2);
-        container.scrollTo({ left: scrollLeft, behavior: 'smooth' });
-      }
-    }
-  }, [lightbox.currentIndex, lightbox.isOpen]);
+  const goToSlide = useCallback((index) => {
+    setLightbox(prev => ({ ...prev, currentIndex: index }));
+  }, []);
 
   return (
     <section
@@ -215,165 +151,182 @@ function Apartments() {
           </p>
         </header>
 
+        <CurrencySwitcher id="apartments-currency" />
+
         <div className="rooms__grid">
-          {APARTMENTS_DATA.map((apartment, index) => (
-            <article
-              key={apartment.id}
-              ref={(el) => (cardsRef.current[index] = el)}
-              data-index={index}
-              className={`rooms__card ${visibleCards.has(String(index)) ? 'rooms__card--visible' : ''}`}
-              style={{ transitionDelay: `${index * 150}ms` }}
-            >
-              <div className="rooms__card-image">
-                <img
-                  src={process.env.PUBLIC_URL + apartment.image}
-                  alt={`${apartment.name} at Andalusian Castle`}
-                  loading="lazy"
-                  decoding="async"
-                />
-                {apartment.discount && (
-                  <div className="rooms__discount-badge">
-                    {apartment.discount}
-                  </div>
-                )}
-                <div className="rooms__card-overlay">
-                  <ul className="rooms__features-list">
-                    {apartment.features.map((feature) => (
-                      <li key={feature}>{feature}</li>
-                    ))}
-                  </ul>
-                  <button
-                    className="btn btn-secondary"
-                    onClick={() => openLightbox(apartment)}
-                    aria-label={`View gallery for ${apartment.name}`}
-                  >
-                    View Gallery
-                  </button>
-                </div>
-              </div>
-
-              <div className="rooms__card-content">
-                <h3 className="rooms__card-title">{apartment.name}</h3>
-                <p className="rooms__card-description">{apartment.description}</p>
-
-                <div className="rooms__amenities" aria-label="Apartment amenities">
-                  {apartment.amenities.map((amenity) => (
-                    <span
-                      key={amenity}
-                      className="rooms__amenity"
-                      title={amenity.charAt(0).toUpperCase() + amenity.slice(1)}
-                      role="img"
-                      aria-label={amenity}
+          {APARTMENTS_DATA.map((apartment, index) => {
+            const pricing = getDisplayPricing(apartment.id);
+            const stay = stays[apartment.id];
+            const stayPricing = stay?.checkOut ? getStayPricing(apartment.id, stay.checkIn, stay.checkOut) : null;
+
+            return (
+              <article
+                key={apartment.id}
+                ref={(el) => (cardsRef.current[index] = el)}
+                data-index={index}
+                className={`rooms__card ${visibleCards.has(String(index)) ? 'rooms__card--visible' : ''}`}
+                style={{ transitionDelay: `${index * 150}ms` }}
+              >
+                <div className="rooms__card-image">
+                  <ResponsiveImage
+                    src={apartment.image}
+                    alt={`${apartment.name} at Andalusian Castle`}
+                    sizes="(min-width: 768px) 50vw, 100vw"
+                  />
+                  {pricing.discountPercent > 0 && (
+                    <div className="rooms__discount-badge">
+                      {pricing.discountPercent}% OFF
+                    </div>
+                  )}
+                  <div className="rooms__card-overlay">
+                    <ul className="rooms__features-list">
+                      <li>{formatApartmentSize(apartment)} · Sleeps {apartment.maxGuests}</li>
+                      {apartment.features.map((feature) => (
+                        <li key={feature}>{feature}</li>
+                      ))}
+                    </ul>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => openLightbox(apartment)}
+                      aria-label={`View gallery for ${apartment.name}`}
                     >
-                      {AMENITY_ICONS[amenity] || '•'}
-                    </span>
-                  ))}
+                      View Gallery
+                    </button>
+                  </div>
                 </div>
 
-                <div className="rooms__price">
-                  <div className="rooms__price-row-top">
-                    <span className="rooms__price-from">From</span>
-                    {apartment.originalPrice && (
-                      <span className="rooms__price-original">{apartment.originalPrice}</span>
-                    )}
-                  </div>
-                  <div className="rooms__price-row-main">
-                    <span className="rooms__price-amount">{apartment.price}</span>
-                    <span className="rooms__price-per">/ night</span>
+                <div className="rooms__card-content">
+                  <h3 className="rooms__card-title">{apartment.name}</h3>
+                  <p className="rooms__card-description">{apartment.description}</p>
+
+                  <div className="rooms__amenities" aria-label="Apartment amenities">
+                    {apartment.amenities.map((amenity) => (
+                      <span
+                        key={amenity}
+                        className="rooms__amenity"
+                        title={AMENITY_LABELS[amenity] || amenity}
+                        role="img"
+                        aria-label={AMENITY_LABELS[amenity] || amenity}
+                      >
+                        <AmenityIcon amenity={amenity} />
+                      </span>
+                    ))}
                   </div>
-                </div>
-                {apartment.priceNote && (
-                  <div className="rooms__price-note" style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>
-                    {apartment.priceNote}
+
+                  <div className="rooms__price">
+                    <div className="rooms__price-row-top">
+                      <span className="rooms__price-from">From</span>
+                      {pricing.rate < pricing.rackRate && (
+                        <span className="rooms__price-original">{formatPrice(pricing.rackRate, currency)}</span>
+                      )}
+                    </div>
+                    <div className="rooms__price-row-main">
+                      <span className="rooms__price-amount">{formatPrice(pricing.rate, currency)}</span>
+                      <span className="rooms__price-per">/ night</span>
+                    </div>
                   </div>
-                )}
+                  {apartment.priceNote && (
+                    <div className="rooms__price-note" style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>
+                      {apartment.priceNote}
+                    </div>
+                  )}
+
+                  <p className="rooms__long-stay">
+                    {currency === BILLING_CURRENCY && '≈ '}{formatPrice(pricing.monthlyRate, currency)} / month for long stays
+                    <button
+                      type="button"
+                      className="rooms__quote-link"
+                      onClick={() => openLongStayQuote(apartment.id)}
+                    >
+                      Long stay enquiry
+                    </button>
+                  </p>
+
+                  {stayPricing && (
+                    <p className="rooms__stay-total">
+                      {formatNights(stayPricing.nights.length)} · <strong>{formatPrice(stayPricing.total, currency)}</strong> total
+                      {stayPricing.fullTotal > stayPricing.total && ` (you save ${formatPrice(stayPricing.fullTotal - stayPricing.total, currency)})`}
+                      {stayPricing.lengthOfStay && (
+                        <span className="rooms__stay-tier">
+                          {stayPricing.lengthOfStay.tier.label} applied ({stayPricing.lengthOfStay.tier.percent}% off)
+                        </span>
+                      )}
+                      <button
+                        type="button"
+                        className="rooms__quote-link"
+                        onClick={() => openQuote(apartment.id)}
+                      >
+                        See full quote
+                      </button>
+                    </p>
+                  )}
 
-                <div className="rooms__actions">
                   <button
-                    className="btn btn-secondary rooms__cta"
-                    onClick={() => openLightbox(apartment)}
+                    type="button"
+                    className="rooms__availability-toggle"
+                    onClick={() => toggleCalendar(apartment.id)}
+                    aria-expanded={openCalendar === apartment.id}
+                    aria-controls={`availability-${apartment.id}`}
                   >
-                    View Details
+                    <CalendarDays size={16} />
+                    {stay?.checkOut
+                      ? `${formatDisplayDate(stay.checkIn)} → ${formatDisplayDate(stay.checkOut)}`
+                      : 'Check availability'}
                   </button>
-                  <a
-                    href={`https://wa.me/923166268625?text=${encodeURIComponent(apartment.whatsappMessage)}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="btn btn-primary rooms__cta"
-                  >
-                    Book Now
-                  </a>
+
+                  {openCalendar === apartment.id && (
+                    <div id={`availability-${apartment.id}`} className="rooms__availability">
+                      <DateRangePicker
+                        checkIn={stay?.checkIn}
+                        checkOut={stay?.checkOut}
+                        onChange={(range) => handleStayChange(apartment.id, range)}
+                        isNightUnavailable={(night) => isNightBlocked(apartment.id, night)}
+                        label={`Availability for ${apartment.name}`}
+                      />
+                    </div>
+                  )}
+
+                  <div className="rooms__actions">
+                    <a
+                      href={getApartmentPath(apartment.id)}
+                      className="btn btn-secondary rooms__cta"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        navigate(getApartmentPath(apartment.id));
+                      }}
+                    >
+                      View Details
+                    </a>
+                    <a
+                      href={getBookingHref(apartment, stay)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="btn btn-primary rooms__cta"
+                    >
+                      Book Now
+                    </a>
+                  </div>
                 </div>
-              </div>
-            </article>
-          ))}
+              </article>
+            );
+          })}
         </div>
+
+        <QuotePanel
+          apartments={APARTMENTS_DATA}
+          value={quoteRequest}
+          onChange={updateQuote}
+        />
       </div>
 
-      {/* WhatsApp Style Lightbox */}
       {lightbox.isOpen && lightbox.apartment && (
-        <div
-          className="rooms__lightbox"
-          role="dialog"
-          aria-modal="true"
-        >
-          {/* Top Bar */}
-          <div className="rooms__lightbox-top">
-            <div className="rooms__info">
-              <span className="rooms__lightbox-name">{lightbox.apartment.name}</span>
-              <span className="rooms__counter">
-                {lightbox.currentIndex + 1} / {lightbox.apartment.gallery.length}
-              </span>
-            </div>
-            <button className="rooms__close-btn" onClick={closeLightbox}>
-              <X size={28} />
-            </button>
-          </div>
-
-          {/* Main Content Area */}
-          <div
-            className="rooms__lightbox-center"
-            onTouchStart={handleTouchStart}
-            onTouchMove={handleTouchMove}
-            onTouchEnd={handleTouchEnd}
-          >
-            <button className="rooms__lb-nav rooms__lb-nav--prev" onClick={() => navigateLightbox(-1)}>
-              <ChevronLeft size={36} />
-            </button>
-
-            <div className="rooms__main-image-wrapper">
-              <img
-                src={process.env.PUBLIC_URL + lightbox.apartment.gallery[lightbox.currentIndex]}
-                alt={`${lightbox.apartment.name} - Image ${lightbox.currentIndex + 1}`}
-                className="rooms__main-image"
-              />
-            </div>
-
-            <button className="rooms__lb-nav rooms__lb-nav--next" onClick={() => navigateLightbox(1)}>
-              <ChevronRight size={36} />
-            </button>
-          </div>
-
-          {/* Bottom Thumbnails Strip */}
-          <div className="rooms__lightbox-bottom">
-            <div className="rooms__thumbs-container" ref={thumbsRef}>
-              {lightbox.apartment.gallery.map((img, idx) => (
-                <button
-                  key={idx}
-                  className={`rooms__thumb ${idx === lightbox.currentIndex ? 'rooms__thumb--active' : ''}`}
-                  onClick={() => goToSlide(idx)}
-                >
-                  <img
-                    src={process.env.PUBLIC_URL + img}
-                    alt={`${lightbox.apartment.name} thumbnail`}
-                    loading="lazy"
-                    decoding="async"
-                  />
-                </button>
-              ))}
-            </div>
-          </div>
-        </div>
+        <Lightbox
+          images={lightboxImages}
+          index={lightbox.currentIndex}
+          onIndexChange={goToSlide}
+          onClose={closeLightbox}
+          title={lightbox.apartment.name}
+        />
       )}
 
       <style>{`
@@ -591,177 +544,76 @@ function Apartments() {
           opacity: 0.7;
         }
 
-        .rooms__actions {
-          display: flex;
-          gap: var(--space-3);
-          width: 100%;
-          margin-top: var(--space-4);
-        }
-
-        .rooms__cta {
-          flex: 1;
-          display: inline-flex;
-          align-items: center;
-          justify-content: center;
-          white-space: nowrap;
-          padding: var(--space-3) var(--space-2);
+        .rooms__stay-total {
           font-size: var(--text-sm);
+          color: var(--charcoal-deep);
+          margin: 0 0 var(--space-3);
         }
 
-        /* WhatsApp Style Lightbox */
-        .rooms__lightbox {
-          position: fixed;
-          inset: 0;
-          background: #000;
-          z-index: 9999;
-          display: flex;
-          flex-direction: column;
+        .rooms__stay-total strong {
+          color: var(--gold-dark);
         }
 
-        .rooms__lightbox-top {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: var(--space-6) var(--space-8);
-          background: rgba(0,0,0,0.9);
-          color: white;
-          z-index: 20;
-          border-bottom: 1px solid rgba(255,255,255,0.1);
+        .rooms__stay-tier {
+          display: block;
+          font-size: var(--text-xs);
+          color: #2e7d32;
         }
 
-        .rooms__info {
-          display: flex;
-          flex-direction: column;
-          gap: 4px;
+        .rooms__long-stay {
+          font-size: var(--text-xs);
+          color: var(--charcoal-deep);
+          margin: var(--space-2) 0 var(--space-3);
         }
 
-        .rooms__counter {
-          font-size: 0.85rem;
-          opacity: 0.7;
+        .rooms__quote-link {
+          background: none;
+          border: none;
+          padding: 0;
+          margin-left: var(--space-2);
+          color: var(--gold-dark);
+          font-size: inherit;
           font-weight: 600;
-          color: var(--luxe-gold);
-        }
-
-        .rooms__lightbox-name {
-          font-size: 1.25rem;
-          font-weight: 700;
-          letter-spacing: 0.5px;
-          font-family: var(--font-primary);
-        }
-
-        .rooms__close-btn {
-          background: rgba(255, 255, 255, 0.1);
-          border: 1px solid rgba(255, 255, 255, 0.2);
-          color: white;
-          border-radius: 50%;
+          text-decoration: underline;
           cursor: pointer;
-          width: 44px;
-          height: 44px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          transition: all 0.3s ease;
-        }
-        .rooms__close-btn:hover { background: var(--luxe-gold); color: white; transform: rotate(90deg); border-color: var(--luxe-gold); }
-
-        .rooms__lightbox-center {
-          flex: 1;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          position: relative;
-          overflow: hidden;
-          background: #050505;
-        }
-
-        .rooms__main-image-wrapper {
-          width: 100%;
-          height: 100%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: var(--space-4);
-          z-index: 5;
         }
 
-        .rooms__main-image {
-          max-width: 100%;
-          max-height: 100%;
-          object-fit: contain;
-          box-shadow: 0 0 100px rgba(0,0,0,1);
-          border-radius: var(--radius-sm);
-          z-index: 10;
-          position: relative;
-        }
-
-        .rooms__lb-nav {
-          position: absolute;
-          top: 50%;
-          transform: translateY(-50%);
-          background: rgba(0, 0, 0, 0.5);
-          border: 1px solid rgba(255, 255, 255, 0.2);
-          color: white;
-          width: 60px;
-          height: 60px;
-          border-radius: 50%;
-          display: flex;
+        .rooms__availability-toggle {
+          display: inline-flex;
           align-items: center;
-          justify-content: center;
+          gap: var(--space-2);
+          background: none;
+          border: none;
+          padding: 0;
+          color: var(--gold-dark);
+          font-size: var(--text-sm);
+          font-weight: 600;
           cursor: pointer;
-          transition: all 0.3s ease;
-          z-index: 30;
-          backdrop-filter: blur(10px);
         }
 
-        .rooms__lb-nav:hover { background: var(--luxe-gold); border-color: var(--luxe-gold); }
-        .rooms__lb-nav--prev { left: var(--space-6); }
-        .rooms__lb-nav--next { right: var(--space-6); }
-
-        @media (max-width: 768px) {
-          .rooms__lb-nav { display: none; }
+        .rooms__availability-toggle:hover {
+          color: var(--luxe-gold);
         }
 
-        /* Thumbstrip */
-        .rooms__lightbox-bottom {
-          padding: var(--space-6) 0;
-          background: rgba(0,0,0,0.9);
-          border-top: 1px solid rgba(255,255,255,0.1);
-          z-index: 20;
+        .rooms__availability {
+          margin-top: var(--space-3);
         }
 
-        .rooms__thumbs-container {
+        .rooms__actions {
           display: flex;
-          gap: 12px;
-          padding: 0 var(--space-8);
-          overflow-x: auto;
-          scrollbar-width: none;
-          justify-content: flex-start;
-          width: max-content;
-          margin: 0 auto;
-          max-width: 90vw;
-        }
-
-        .rooms__thumbs-container::-webkit-scrollbar { display: none; }
-
-        .rooms__thumb {
-          width: 60px;
-          height: 60px;
-          flex-shrink: 0;
-          border-radius: var(--radius-sm);
-          overflow: hidden;
-          background: #333;
-          border: 2px solid transparent;
-          cursor: pointer;
-          opacity: 0.5;
-          padding: 0;
-          transition: all 0.3s ease;
+          gap: var(--space-3);
+          width: 100%;
+          margin-top: var(--space-4);
         }
 
-        .rooms__thumb img { width: 100%; height: 100%; object-fit: cover; }
-        .rooms__thumb--active {
-          opacity: 1;
-          border-color: var(--luxe-gold);
-          transform: scale(1.1);
+        .rooms__cta {
+          flex: 1;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          white-space: nowrap;
+          padding: var(--space-3) var(--space-2);
+          font-size: var(--text-sm);
         }
 
         @media (prefers-reduced-motion: reduce) {
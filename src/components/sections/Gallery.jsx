@@ -1,118 +1,128 @@
 /**
  * @fileoverview Refined Photo Gallery Section with WhatsApp-style Lightbox.
- * Features a compact initial grid to minimize scrolling and a high-end
- * full-screen viewer with swipe support and a thumbnail navigation bar.
- * @version 4.0.0
+ * Features a compact initial grid to minimize scrolling and opens photos in
+ * the shared full-screen Lightbox. Category and tag filters are built from
+ * the image data, with counts, and featured photos come first. The filters,
+ * expanded grid and open photo live in the URL, so a view can be shared and
+ * back closes the viewer. The viewer can play the current selection as a
+ * slideshow.
+ * @version 5.2.0
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, {
+  useState, useEffect, useCallback, useMemo,
+} from 'react';
 import {
-  ChevronLeft,
-  ChevronRight,
-  X,
-  Maximize2,
-  Image as ImageIcon,
-  LayoutGrid
+  Maximize2, LayoutGrid, X, Play,
 } from 'lucide-react';
+import Lightbox from '../common/Lightbox';
+import ResponsiveImage from '../common/ResponsiveImage';
+import useLocationSearch from '../../hooks/useLocationSearch';
 import { GALLERY_IMAGES } from '../../data/content';
+import {
+  GALLERY_SECTION_ID, getGalleryPath, navigate, parseGalleryView,
+} from '../../utils/routes';
+import {
+  filterGalleryImages, getCategoryLabel, getGalleryCategories, getGalleryTags, getTagLabel,
+} from '../../utils/gallery';
+import { scrollToElement } from '../../utils/scrollUtils';
 
-const CATEGORIES = [
-  { id: 'all', label: 'All Photos' },
-  { id: 'rooms', label: 'Suites & Rooms' },
-  { id: 'dining', label: 'Dining & Cuisine' },
-  { id: 'exterior', label: 'Exterior & Architecture' },
-  { id: 'events', label: 'Events & Meetings' },
-];
+/**
+ * Category filters, derived from the images.
+ */
+const CATEGORIES = getGalleryCategories(GALLERY_IMAGES);
+
+/**
+ * Every tag used by at least one image.
+ */
+const ALL_TAGS = new Set(GALLERY_IMAGES.flatMap((image) => image.tags || []));
 
 const INITIAL_VISIBLE_COUNT = 8;
 
+/**
+ * Grid cell width at each breakpoint (2, 3 and 4 columns).
+ */
+const GRID_IMAGE_SIZES = '(min-width: 1024px) 25vw, (min-width: 768px) 33vw, 50vw';
+
+/**
+ * History state marking an entry pushed by opening a photo, so closing the
+ * viewer can step back instead of adding another entry.
+ */
+const PHOTO_HISTORY_STATE = { galleryPhoto: true };
+
 function Gallery() {
-  const [activeCategory, setActiveCategory] = useState('all');
-  const [showAll, setShowAll] = useState(false);
-  const [lightbox, setLightbox] = useState({
-    isOpen: false,
-    currentIndex: 0,
-  });
-
-  const touchStartX = useRef(0);
-  const touchEndX = useRef(0);
-  const thumbsRef = useRef(null);
-  const lightboxRef = useRef(null);
-
-  // Filter images based on category
-  const filteredImages = activeCategory === 'all'
-    ? GALLERY_IMAGES
-    : GALLERY_IMAGES.filter((img) => img.category === activeCategory);
+  // The URL is the source of truth, so views can be shared and back closes the viewer
+  const view = parseGalleryView(useLocationSearch());
+  const category = CATEGORIES.some((cat) => cat.id === view.category) ? view.category : 'all';
+  const tagKey = view.tags.filter((tag) => ALL_TAGS.has(tag)).join('|');
+  const filter = useMemo(() => ({ category, tags: tagKey ? tagKey.split('|') : [] }), [category, tagKey]);
+  const { showAll } = view;
+
+  const filteredImages = useMemo(() => filterGalleryImages(GALLERY_IMAGES, filter), [filter]);
+  const tagOptions = useMemo(() => getGalleryTags(GALLERY_IMAGES, filter), [filter]);
 
   const visibleImages = showAll ? filteredImages : filteredImages.slice(0, INITIAL_VISIBLE_COUNT);
 
+  // Photos that are not in the current selection are ignored
+  const lightboxIndex = filteredImages.findIndex((img) => img.id === view.photoId);
+
+  // Whether the viewer should start playing when it opens
+  const [autoPlay, setAutoPlay] = useState(false);
+
   // --- Handlers ---
-  const openLightbox = useCallback((index) => {
-    setLightbox({ isOpen: true, currentIndex: index });
-    document.body.style.overflow = 'hidden';
-  }, []);
 
-  const closeLightbox = useCallback(() => {
-    setLightbox(prev => ({ ...prev, isOpen: false }));
-    document.body.style.overflow = '';
-  }, []);
+  // Changing the filters collapses the grid again
+  const setFilter = (patch) => {
+    navigate(getGalleryPath({ ...filter, ...patch }), { replace: true });
+  };
 
-  const navigateLightbox = useCallback((direction) => {
-    setLightbox(prev => {
-      const total = filteredImages.length;
-      let newIndex = prev.currentIndex + direction;
-      if (newIndex < 0) newIndex = total - 1;
-      if (newIndex >= total) newIndex = 0;
-      return { ...prev, currentIndex: newIndex };
+  const toggleTag = (tag) => {
+    setFilter({
+      tags: filter.tags.includes(tag) ? filter.tags.filter((item) => item !== tag) : [...filter.tags, tag],
     });
-  }, [filteredImages.length]);
+  };
 
-  const goToSlide = (index) => {
-    setLightbox(prev => ({ ...prev, currentIndex: index }));
+  const expandGrid = () => {
+    navigate(getGalleryPath({ ...filter, showAll: true }), { replace: true });
   };
 
-  // --- Swipe Logic ---
-  const handleTouchStart = (e) => {
-    touchStartX.current = e.touches[0].clientX;
+  const openLightbox = (index) => {
+    navigate(
+      getGalleryPath({ ...filter, showAll, photoId: filteredImages[index].id }),
+      { state: PHOTO_HISTORY_STATE }
+    );
   };
 
-  const handleTouchMove = (e) => {
-    touchEndX.current = e.touches[0].clientX;
+  const startSlideshow = () => {
+    setAutoPlay(true);
+    openLightbox(0);
   };
 
-  const handleTouchEnd = () => {
-    const diff = touchStartX.current - touchEndX.current;
-    if (Math.abs(diff) > 50) {
-      if (diff > 0) navigateLightbox(1);
-      else navigateLightbox(-1);
+  const closeLightbox = useCallback(() => {
+    if (window.history.state?.galleryPhoto) {
+      window.history.back();
+    } else {
+      // Opened from a shared link: there is no earlier gallery entry to return to
+      navigate(getGalleryPath({ ...filter, showAll }), { replace: true });
     }
-  };
+  }, [filter, showAll]);
 
-  // --- Effects ---
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (!lightbox.isOpen) return;
-      if (e.key === 'Escape') closeLightbox();
-      if (e.key === 'ArrowLeft') navigateLightbox(-1);
-      if (e.key === 'ArrowRight') navigateLightbox(1);
-    };
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [lightbox.isOpen, closeLightbox, navigateLightbox]);
-
-  // Scroll active thumbnail into view locally (without page jump)
+  const goToSlide = useCallback((index) => {
+    navigate(
+      getGalleryPath({ ...filter, showAll, photoId: filteredImages[index].id }),
+      { replace: true, state: window.history.state }
+    );
+  }, [filter, showAll, filteredImages]);
+
+  // The viewer can also be closed with the browser's back button
   useEffect(() => {
-    const container = thumbsRef.current;
-    if (lightbox.isOpen && container) {
-      const activeThumb = container.querySelector('.gallery__thumb--active');
-      if (activeThumb) {
-        const scrollLeft = activeThumb.offsetLeft - (container.offsetWidth / 2) + (activeThumb.offsetWidth / 2);
-        container.scrollTo({ left: scrollLeft, behavior: 'smooth' });
-      }
-    }
-  }, [lightbox.currentIndex, lightbox.isOpen]);
+    if (lightboxIndex === -1) setAutoPlay(false);
+  }, [lightboxIndex]);
 
-  const currentImage = filteredImages[lightbox.currentIndex];
+  // Shared links point at the gallery, which mounts after the first paint
+  useEffect(() => {
+    if (window.location.hash === `#${GALLERY_SECTION_ID}`) scrollToElement(GALLERY_SECTION_ID);
+  }, []);
 
   return (
     <section id="gallery" className="gallery section">
@@ -131,24 +141,60 @@ function Gallery() {
         </header>
 
         {/* Categories Bar */}
-        <nav className="gallery__nav">
+        <nav className="gallery__nav" aria-label="Photo categories">
           <ul className="gallery__filters">
             {CATEGORIES.map(cat => (
               <li key={cat.id}>
                 <button
-                  className={`gallery__filter-btn ${activeCategory === cat.id ? 'active' : ''}`}
-                  onClick={() => {
-                    setActiveCategory(cat.id);
-                    setShowAll(false);
-                  }}
+                  className={`gallery__filter-btn ${category === cat.id ? 'active' : ''}`}
+                  onClick={() => setFilter({ category: cat.id, tags: [] })}
+                  aria-pressed={category === cat.id}
                 >
-                  {cat.label}
+                  {cat.label} <span className="gallery__filter-count">{cat.count}</span>
                 </button>
               </li>
             ))}
           </ul>
         </nav>
 
+        {/* Tags, combined: each one narrows the selection */}
+        {tagOptions.length > 0 && (
+          <div className="gallery__tags" role="group" aria-label="Refine by feature">
+            {tagOptions.map((tag) => {
+              const isActive = filter.tags.includes(tag.id);
+              return (
+                <button
+                  key={tag.id}
+                  className={`gallery__tag-btn ${isActive ? 'active' : ''}`}
+                  onClick={() => toggleTag(tag.id)}
+                  aria-pressed={isActive}
+                  disabled={!isActive && tag.count === 0}
+                >
+                  {tag.label} <span className="gallery__filter-count">{tag.count}</span>
+                </button>
+              );
+            })}
+            {filter.tags.length > 0 && (
+              <button className="gallery__tag-clear" onClick={() => setFilter({ tags: [] })}>
+                <X size={14} aria-hidden="true" /> Clear
+              </button>
+            )}
+          </div>
+        )}
+
+        <p className="sr-only" aria-live="polite">
+          {filteredImages.length} photo{filteredImages.length === 1 ? '' : 's'}
+        </p>
+
+        {filteredImages.length === 0 && (
+          <p className="gallery__empty">
+            No photos match these filters.{' '}
+            <button className="gallery__tag-clear" onClick={() => setFilter({ category: 'all', tags: [] })}>
+              Show all photos
+            </button>
+          </p>
+        )}
+
         {/* Compact Grid */}
         <div className="gallery__grid">
           {visibleImages.map((image, index) => (
@@ -156,12 +202,20 @@ function Gallery() {
               key={image.id}
               className="gallery__item"
               onClick={() => openLightbox(index)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  openLightbox(index);
+                }
+              }}
+              role="button"
+              tabIndex={0}
+              aria-label={`View ${image.alt} full size`}
             >
-              <img
-                src={process.env.PUBLIC_URL + image.src}
+              <ResponsiveImage
+                src={image.src}
                 alt={image.alt}
-                loading="lazy"
-                decoding="async"
+                sizes={GRID_IMAGE_SIZES}
                 fetchpriority="low"
               />
               <div className="gallery__overlay">
@@ -172,84 +226,37 @@ function Gallery() {
           ))}
         </div>
 
-        {/* View All Button */}
-        {!showAll && filteredImages.length > INITIAL_VISIBLE_COUNT && (
+        {/* View All and Slideshow Buttons */}
+        {filteredImages.length > 1 && (
           <div className="gallery__actions">
+            {!showAll && filteredImages.length > INITIAL_VISIBLE_COUNT && (
+              <button
+                className="gallery__view-all-btn"
+                onClick={expandGrid}
+              >
+                <LayoutGrid size={20} /> Explore All {filteredImages.length} Photos
+              </button>
+            )}
             <button
               className="gallery__view-all-btn"
-              onClick={() => setShowAll(true)}
+              onClick={startSlideshow}
             >
-              <LayoutGrid size={20} /> Explore All {filteredImages.length} Photos
+              <Play size={20} /> Slideshow
             </button>
           </div>
         )}
       </div>
 
-      {/* WhatsApp Style Lightbox */}
-      {lightbox.isOpen && (
-        <div
-          className="gallery__lightbox"
-          role="dialog"
-          aria-modal="true"
-        >
-          {/* Top Bar */}
-          <div className="gallery__lightbox-top">
-            <div className="gallery__info">
-              <span className="gallery__counter">
-                {lightbox.currentIndex + 1} / {filteredImages.length}
-              </span>
-            </div>
-            <button className="gallery__close-btn" onClick={closeLightbox}>
-              <X size={28} />
-            </button>
-          </div>
-
-          {/* Main Content Area */}
-          <div
-            className="gallery__lightbox-center"
-            onTouchStart={handleTouchStart}
-            onTouchMove={handleTouchMove}
-            onTouchEnd={handleTouchEnd}
-          >
-            <button className="gallery__lb-nav gallery__lb-nav--prev" onClick={() => navigateLightbox(-1)}>
-              <ChevronLeft size={36} />
-            </button>
-
-            <div className="gallery__main-image-wrapper">
-              {currentImage && (
-                <img
-                  src={process.env.PUBLIC_URL + currentImage.src}
-                  alt={currentImage.alt}
-                  className="gallery__main-image"
-                />
-              )}
-            </div>
-
-            <button className="gallery__lb-nav gallery__lb-nav--next" onClick={() => navigateLightbox(1)}>
-              <ChevronRight size={36} />
-            </button>
-          </div>
-
-          {/* Bottom Thumbnails Strip */}
-          <div className="gallery__lightbox-bottom">
-            <div className="gallery__thumbs-container" ref={thumbsRef}>
-              {filteredImages.map((img, idx) => (
-                <button
-                  key={img.id}
-                  className={`gallery__thumb ${idx === lightbox.currentIndex ? 'gallery__thumb--active' : ''}`}
-                  onClick={() => goToSlide(idx)}
-                >
-                  <img
-                    src={process.env.PUBLIC_URL + img.src}
-                    alt={`${img.alt} thumbnail`}
-                    loading="lazy"
-                    decoding="async"
-                  />
-                </button>
-              ))}
-            </div>
-          </div>
-        </div>
+      {lightboxIndex !== -1 && (
+        <Lightbox
+          images={filteredImages}
+          index={lightboxIndex}
+          onIndexChange={goToSlide}
+          onClose={closeLightbox}
+          title={[getCategoryLabel(category), ...filter.tags.map(getTagLabel)].join(' · ')}
+          slideshow
+          autoPlay={autoPlay}
+        />
       )}
 
       <style>{`
@@ -297,6 +304,71 @@ function Gallery() {
           transform: translateY(-2px);
         }
 
+        .gallery__filter-count {
+          margin-left: 6px;
+          font-size: 0.75rem;
+          font-weight: 700;
+          opacity: 0.6;
+        }
+
+        .gallery__tags {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: var(--space-2);
+          margin: calc(-1 * var(--space-2)) auto var(--space-8);
+          max-width: 900px;
+        }
+
+        .gallery__tag-btn {
+          padding: 6px 14px;
+          border-radius: var(--radius-full);
+          border: 1px dashed #d6d6d6;
+          background: transparent;
+          color: var(--charcoal-dark);
+          font-size: 0.8rem;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .gallery__tag-btn:hover:not(:disabled) {
+          border-color: var(--luxe-gold);
+          color: var(--luxe-gold);
+        }
+
+        .gallery__tag-btn.active {
+          border-style: solid;
+          border-color: var(--luxe-gold);
+          background: rgba(212, 175, 55, 0.12);
+          color: var(--gold-dark);
+        }
+
+        .gallery__tag-btn:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+
+        .gallery__tag-clear {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
+          padding: 6px 10px;
+          background: none;
+          border: none;
+          color: var(--gold-dark);
+          font-size: 0.8rem;
+          font-weight: 700;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
+        .gallery__empty {
+          text-align: center;
+          color: var(--charcoal-deep);
+          margin: var(--space-8) 0;
+        }
+
         .gallery__filter-btn.active {
           background: var(--luxe-gold);
           color: white;
@@ -377,8 +449,11 @@ function Gallery() {
         }
 
         .gallery__actions {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: var(--space-4);
           margin-top: var(--space-12);
-          text-align: center;
         }
 
         .gallery__view-all-btn {
@@ -403,162 +478,10 @@ function Gallery() {
           transform: translateY(-2px);
         }
 
-        /* WhatsApp Style Lightbox */
-        .gallery__lightbox {
-          position: fixed;
-          inset: 0;
-          background: #000;
-          z-index: 9999;
-          display: flex;
-          flex-direction: column;
-        }
-
-        .gallery__lightbox-top {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: var(--space-6) var(--space-8);
-          background: rgba(0,0,0,0.9);
-          color: white;
-          z-index: 20;
-          border-bottom: 1px solid rgba(255,255,255,0.1);
-        }
-
-        .gallery__info {
-          display: flex;
-          flex-direction: column;
-          gap: 4px;
-        }
-
-        .gallery__counter {
-          font-size: 0.85rem;
-          opacity: 0.7;
-          font-weight: 600;
-          color: var(--luxe-gold);
-        }
-
-        .gallery__image-name {
-          font-size: 1.25rem;
-          font-weight: 700;
-          letter-spacing: 0.5px;
-          font-family: var(--font-primary);
-        }
-
-        .gallery__close-btn {
-          background: rgba(255, 255, 255, 0.1);
-          border: 1px solid rgba(255, 255, 255, 0.2);
-          color: white;
-          border-radius: 50%;
-          cursor: pointer;
-          width: 44px;
-          height: 44px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          transition: all 0.3s ease;
-        }
-        .gallery__close-btn:hover { background: var(--luxe-gold); color: white; transform: rotate(90deg); border-color: var(--luxe-gold); }
-
-        .gallery__lightbox-center {
-          flex: 1;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          position: relative;
-          overflow: hidden;
-          background: #050505;
-        }
-
-        .gallery__main-image-wrapper {
-          width: 100%;
-          height: 100%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: var(--space-4);
-          z-index: 5;
-        }
-
-        .gallery__main-image {
-          max-width: 100%;
-          max-height: 100%;
-          object-fit: contain;
-          box-shadow: 0 0 100px rgba(0,0,0,1);
-          border-radius: var(--radius-sm);
-          z-index: 10;
-          position: relative;
-        }
-
-        .gallery__lb-nav {
-          position: absolute;
-          top: 50%;
-          transform: translateY(-50%);
-          background: rgba(0, 0, 0, 0.5);
-          border: 1px solid rgba(255, 255, 255, 0.2);
-          color: white;
-          width: 60px;
-          height: 60px;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          cursor: pointer;
-          transition: all 0.3s ease;
-          z-index: 30;
-          backdrop-filter: blur(10px);
-        }
-
-        .gallery__lb-nav:hover { background: var(--luxe-gold); border-color: var(--luxe-gold); }
-        .gallery__lb-nav--prev { left: var(--space-6); }
-        .gallery__lb-nav--next { right: var(--space-6); }
-
-        @media (max-width: 768px) {
-          .gallery__lb-nav { display: none; }
-        }
-
-        /* Thumbstrip */
-        .gallery__lightbox-bottom {
-          padding: var(--space-6) 0;
-          background: rgba(0,0,0,0.9);
-          border-top: 1px solid rgba(255,255,255,0.1);
-          z-index: 20;
+        .gallery__item:focus-visible {
+          outline: 2px solid var(--luxe-gold);
+          outline-offset: 3px;
         }
-
-        .gallery__thumbs-container {
-          display: flex;
-          gap: 12px;
-          padding: 0 var(--space-8);
-          overflow-x: auto;
-          scrollbar-width: none;
-          justify-content: flex-start;
-          width: max-content;
-          margin: 0 auto;
-          max-width: 90vw;
-        }
-
-        .gallery__thumbs-container::-webkit-scrollbar { display: none; }
-
-        .gallery__thumb {
-          width: 60px;
-          height: 60px;
-          flex-shrink: 0;
-          border-radius: var(--radius-sm);
-          overflow: hidden;
-          background: #333;
-          border: 2px solid transparent;
-          cursor: pointer;
-          opacity: 0.5;
-          padding: 0;
-          transition: all 0.3s ease;
-        }
-
-        .gallery__thumb img { width: 100%; height: 100%; object-fit: cover; }
-        .gallery__thumb--active {
-          opacity: 1;
-          border-color: var(--luxe-gold);
-          transform: scale(1.1);
-        }
-
       `}</style>
     </section>
   );
@@ -1,8 +1,9 @@
 /**
  * @fileoverview Location & Contact Section with Map and Validated Form.
  * Implements FR-9.1 through FR-9.8 from SRS Section 3.1.9.
- * Features embedded map and contact form with validation.
- * @version 4.0.0
+ * Features embedded map and contact form with validation, including
+ * long-stay enquiries with a move-in date and duration.
+ * @version 4.1.0
  */
 
 import React, { useState, useCallback } from 'react';
@@ -13,9 +14,44 @@ import {
   User,
   Send,
   Tag,
-  MapPin
+  MapPin,
+  CalendarDays,
+  Clock,
+  Home
 } from 'lucide-react';
 import emailjs from '@emailjs/browser';
+import { APARTMENTS_DATA, getApartmentById } from '../../data/inventory';
+import {
+  addMonths, formatDisplayDate, formatMonths, todayISO,
+} from '../../utils/dateUtils';
+import { buildStayEvent } from '../../utils/calendar';
+import AddToCalendar from '../common/AddToCalendar';
+
+/**
+ * Subject value that reveals the long-stay fields.
+ * @constant {string}
+ */
+const LONG_STAY_SUBJECT = 'long-stay';
+
+/**
+ * Durations offered for long stays, in months.
+ * @type {number[]}
+ */
+const LONG_STAY_MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+/**
+ * Empty form, also used to reset after a successful send.
+ */
+const INITIAL_FORM_DATA = {
+  name: '',
+  email: '',
+  phone: '',
+  subject: '',
+  moveIn: '',
+  months: '',
+  apartment: '',
+  message: '',
+};
 
 /**
  * Form Sanitization.
@@ -32,7 +68,8 @@ function sanitizeInput(input) {
 }
 
 /**
- * Validation rules.
+ * Validation rules. Each receives the field value and the whole form, so
+ * long-stay fields are only required for long-stay enquiries.
  */
 const validators = {
   name: (value) => {
@@ -57,6 +94,17 @@ const validators = {
     if (!value.trim()) return 'Please select a subject';
     return null;
   },
+  moveIn: (value, data) => {
+    if (data.subject !== LONG_STAY_SUBJECT) return null;
+    if (!value) return 'Please choose a move-in date';
+    if (value < todayISO()) return 'Move-in date cannot be in the past';
+    return null;
+  },
+  months: (value, data) => {
+    if (data.subject !== LONG_STAY_SUBJECT) return null;
+    if (!value) return 'Please choose how long you will stay';
+    return null;
+  },
   message: (value) => {
     if (!value.trim()) return 'Message is required';
     if (value.length < 10) return 'Message must be at least 10 characters';
@@ -79,13 +127,8 @@ const validators = {
  */
 function Location() {
   // Form state
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    phone: '',
-    subject: '',
-    message: '',
-  });
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
+  const isLongStay = formData.subject === LONG_STAY_SUBJECT;
 
   // Validation errors
   const [errors, setErrors] = useState({});
@@ -97,6 +140,9 @@ function Location() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null); // 'success' | 'error'
 
+  // Long stay from the last successful enquiry, offered as a calendar event
+  const [sentStay, setSentStay] = useState(null);
+
   // Handle input change
   const handleChange = useCallback((e) => {
     const { name, value } = e.target;
@@ -104,10 +150,10 @@ function Location() {
 
     // Real-time validation if field was touched
     if (touched[name]) {
-      const error = validators[name]?.(value);
+      const error = validators[name]?.(value, { ...formData, [name]: value });
       setErrors((prev) => ({ ...prev, [name]: error }));
     }
-  }, [touched]);
+  }, [touched, formData]);
 
   // Handle blur (mark field as touched)
   const handleBlur = useCallback((e) => {
@@ -115,15 +161,15 @@ function Location() {
     setTouched((prev) => ({ ...prev, [name]: true }));
 
     // Validate on blur
-    const error = validators[name]?.(value);
+    const error = validators[name]?.(value, { ...formData, [name]: value });
     setErrors((prev) => ({ ...prev, [name]: error }));
-  }, []);
+  }, [formData]);
 
   // Validate entire form
   const validateForm = useCallback(() => {
     const newErrors = {};
     Object.keys(formData).forEach((key) => {
-      const error = validators[key]?.(formData[key]);
+      const error = validators[key]?.(formData[key], formData);
       if (error) newErrors[key] = error;
     });
     setErrors(newErrors);
@@ -132,6 +178,8 @@ function Location() {
       email: true,
       phone: true,
       subject: true,
+      moveIn: true,
+      months: true,
       message: true,
     });
     return Object.keys(newErrors).length === 0;
@@ -146,13 +194,25 @@ function Location() {
     setIsSubmitting(true);
     setSubmitStatus(null);
 
+    // Long-stay details are summarised at the top of the message for reception
+    const apartment = getApartmentById(formData.apartment);
+    const longStaySummary = isLongStay
+      ? [
+        `Long stay: move-in ${formatDisplayDate(formData.moveIn)}, ${formatMonths(Number(formData.months))}`,
+        `Apartment: ${apartment ? apartment.name : 'No preference'}`,
+      ].join('\n')
+      : '';
+
     // Sanitize inputs
     const sanitizedData = {
       name: sanitizeInput(formData.name),
       email: sanitizeInput(formData.email),
       phone: sanitizeInput(formData.phone),
       subject: sanitizeInput(formData.subject),
-      message: sanitizeInput(formData.message),
+      moveIn: isLongStay ? formData.moveIn : '',
+      months: isLongStay ? formData.months : '',
+      apartment: isLongStay && apartment ? sanitizeInput(apartment.name) : '',
+      message: sanitizeInput(longStaySummary ? `${longStaySummary}\n\n${formData.message}` : formData.message),
     };
 
     try {
@@ -165,6 +225,9 @@ function Location() {
         from_email: sanitizedData.email,
         phone_number: sanitizedData.phone,
         subject: sanitizedData.subject,
+        move_in_date: sanitizedData.moveIn,
+        stay_months: sanitizedData.months,
+        apartment: sanitizedData.apartment,
         message: sanitizedData.message,
         to_name: 'Andalusian Castle Admin',
       };
@@ -178,7 +241,16 @@ function Location() {
 
       if (response.status === 200) {
         setSubmitStatus('success');
-        setFormData({ name: '', email: '', phone: '', subject: '', message: '' });
+        setSentStay(isLongStay
+          ? {
+            apartmentId: apartment ? apartment.id : 'long-stay',
+            apartmentName: apartment ? apartment.name : 'Long stay',
+            checkIn: formData.moveIn,
+            checkOut: addMonths(formData.moveIn, Number(formData.months)),
+            guestName: formData.name.trim(),
+          }
+          : null);
+        setFormData(INITIAL_FORM_DATA);
         setTouched({});
         setErrors({});
       } else {
@@ -190,7 +262,7 @@ function Location() {
     } finally {
       setIsSubmitting(false);
     }
-  }, [formData, validateForm]);
+  }, [formData, isLongStay, validateForm]);
 
   return (
     <section
@@ -238,6 +310,13 @@ function Location() {
             {submitStatus === 'success' && (
               <div className="location__alert location__alert--success" role="alert">
                 <strong>Thank you!</strong> Your message has been sent successfully.
+                {sentStay && (
+                  <AddToCalendar
+                    event={buildStayEvent(sentStay)}
+                    filename={`andalusian-castle-${sentStay.checkIn}.ics`}
+                    label="Save your move-in"
+                  />
+                )}
               </div>
             )}
 
@@ -324,6 +403,7 @@ function Location() {
                     >
                       <option value="">Select a subject...</option>
                       <option value="reservation">Room Reservation</option>
+                      <option value={LONG_STAY_SUBJECT}>Long Stay / Monthly Rental</option>
                       <option value="event">Event Inquiry</option>
                       <option value="spa">Spa Booking</option>
                       <option value="dining">Dining Reservation</option>
@@ -335,6 +415,69 @@ function Location() {
                 </div>
               </div>
 
+              {isLongStay && (
+                <>
+                  <div className="location__form-row">
+                    <div className={`form-group ${errors.moveIn ? 'form-group--error' : ''}`}>
+                      <label htmlFor="contact-move-in">Move-in Date <span>*</span></label>
+                      <div className="form-input-wrapper">
+                        <CalendarDays className="form-input-icon" size={18} />
+                        <input
+                          type="date"
+                          id="contact-move-in"
+                          name="moveIn"
+                          value={formData.moveIn}
+                          min={todayISO()}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          required
+                        />
+                      </div>
+                      {errors.moveIn && <span className="form-error">{errors.moveIn}</span>}
+                    </div>
+
+                    <div className={`form-group ${errors.months ? 'form-group--error' : ''}`}>
+                      <label htmlFor="contact-months">Duration <span>*</span></label>
+                      <div className="form-input-wrapper">
+                        <Clock className="form-input-icon" size={18} />
+                        <select
+                          id="contact-months"
+                          name="months"
+                          value={formData.months}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          required
+                        >
+                          <option value="">Select duration...</option>
+                          {LONG_STAY_MONTHS.map((count) => (
+                            <option key={count} value={count}>{formatMonths(count)}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {errors.months && <span className="form-error">{errors.months}</span>}
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="contact-apartment">Apartment</label>
+                    <div className="form-input-wrapper">
+                      <Home className="form-input-icon" size={18} />
+                      <select
+                        id="contact-apartment"
+                        name="apartment"
+                        value={formData.apartment}
+                        onChange={handleChange}
+                      >
+                        <option value="">No preference</option>
+                        {APARTMENTS_DATA.map((item) => (
+                          <option key={item.id} value={item.id}>{item.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                </>
+              )}
+
               <div className={`form-group ${errors.message ? 'form-group--error' : ''}`}>
                 <label htmlFor="contact-message">Message <span>*</span></label>
                 <div className="form-input-wrapper form-input-wrapper--textarea">
@@ -1,231 +1,22 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ChevronLeft, ChevronRight, MapPin, Clock, ArrowRight, Compass } from 'lucide-react';
-
-/**
- * Flattened Tour attractions data.
- */
-const ATTRACTIONS_DATA = [
-  {
-    id: 'a1',
-    name: "Grand Jamia Mosque",
-    distance: "1 km",
-    time: "5 min",
-    desc: "One of the world's most beautiful and largest mosques, showcasing intricate Islamic architecture.",
-    image: "/images/Tour/Grand_Jamia_Mosque.webp",
-    tag: "Historical"
-  },
-  {
-    id: 'a2',
-    name: "Badshahi Mosque",
-    distance: "25 km",
-    time: "35–40 min",
-    desc: "Iconic Mughal-era mosque and major tourist landmark, once the largest in the world.",
-    image: "/images/Tour/Badshahi_Mosque.webp",
-    tag: "Cultural"
-  },
-  {
-    id: 'a3',
-    name: "Lahore Fort (Shahi Qila)",
-    distance: "25 km",
-    time: "35–40 min",
-    desc: "UNESCO World Heritage Site beside Badshahi Mosque, a testament to Mughal grandeur.",
-    image: "/images/Tour/Lahore_Fort.webp",
-    tag: "Heritage"
-  },
-  {
-    id: 'a4',
-    name: "Shalimar Gardens",
-    distance: "28 km",
-    time: "40–45 min",
-    desc: "Historic Mughal royal gardens with exquisite water features and multi-level terraces.",
-    image: "/images/Tour/Shalimar.webp",
-    tag: "Nature"
-  },
-  {
-    id: 'a5',
-    name: "Minar-e-Pakistan",
-    distance: "24 km",
-    time: "35 min",
-    desc: "National monument and large public park commemorating the Lahore Resolution.",
-    image: "/images/Tour/Minar_e_Pakistan.webp",
-    tag: "National"
-  },
-  {
-    id: 'a6',
-    name: "Wazir Khan Mosque",
-    distance: "26 km",
-    time: "40 min",
-    desc: "Famous for its incredibly detailed tile work and fresco paintings inside the Walled City.",
-    image: "/images/Tour/Wazir_Khan_Mosque.webp",
-    tag: "Architecture"
-  },
-  {
-    id: 'a7',
-    name: "Gurdwara Janam Asthan",
-    distance: "35 km",
-    time: "40 min",
-    desc: "One of the holiest Sikh sites, the birthplace of Guru Nanak Dev Ji.",
-    image: "/images/Tour/Gurdwara_Janam_Asthan.webp",
-    tag: "Sikh Heritage"
-  },
-  {
-    id: 'a8',
-    name: "Gurdwara Sri Dera Sahib",
-    distance: "26 km",
-    time: "35 min",
-    desc: "A significant Sikh temple located near the Lahore Fort, honoring Guru Arjan Dev Ji.",
-    image: "/images/Tour/gurdwara_sri_dera_sahib_lahore.webp",
-    tag: "Sikh Heritage"
-  },
-  {
-    id: 'a9',
-    name: "Gurdwara Bhai Taru Singh",
-    distance: "25 km",
-    time: "35 min",
-    desc: "A historic Sikh shrine commemorating the sacrifice of Shaheed Bhai Taru Singh.",
-    image: "/images/Tour/Gurdwara_Shaheed_Bhai_Taru_Singh_Lahore.webp",
-    tag: "Sikh Heritage"
-  },
-  {
-    id: 'a10',
-    name: "Krishna Ram Mandir",
-    distance: "25 km",
-    time: "35 min",
-    desc: "A prominent Hindu temple in Lahore, representing the city's diverse religious history.",
-    image: "/images/Tour/Krishna_Ram_Mandir.webp",
-    tag: "Hindu Heritage"
-  },
-  {
-    id: 'a11',
-    name: "Valmiki Mandir",
-    distance: "24 km",
-    time: "35 min",
-    desc: "An ancient Hindu temple dedicated to Sage Valmiki, located near Anarkali Bazaar.",
-    image: "/images/Tour/Valmiki_Tirath.webp",
-    tag: "Hindu Heritage"
-  },
-  {
-    id: 'a12',
-    name: "Shri Hinglaj Mata Mandir",
-    distance: "26 km",
-    time: "40 min",
-    desc: "A revered Hindu shrine dedicated to Goddess Hinglaj within the historic Walled City.",
-    image: "/images/Tour/Shri_Hinglaj_Mata_Mandir.webp",
-    tag: "Hindu Heritage"
-  },
-  {
-    id: 'a13',
-    name: "Anarkali Bazaar",
-    distance: "22 km",
-    time: "30-35 min",
-    desc: "One of the oldest surviving markets in South Asia, famous for its history and legends.",
-    image: "/images/Tour/Anarkali_Bazaar.webp",
-    tag: "Shopping"
-  },
-  {
-    id: 'a14',
-    name: "Delhi Gate",
-    distance: "26 km",
-    time: "40 min",
-    desc: "One of the six surviving historic gates of the Walled City, lead to vibrant local markets.",
-    image: "/images/Tour/Delhi_Gate.webp",
-    tag: "Exploration"
-  },
-  {
-    id: 'a15',
-    name: "Liberty Market",
-    distance: "18 km",
-    time: "25 min",
-    desc: "A bustling modern shopping hub famous for clothing, jewelry, and street food.",
-    image: "/images/Tour/Liberty_Market.webp",
-    tag: "Lifestyle"
-  },
-  {
-    id: 'a16',
-    name: "MM Alam Road",
-    distance: "19 km",
-    time: "30 min",
-    desc: "Lahore's premier fashion and dining strip, featuring high-end brands and cafes.",
-    image: "/images/Tour/MM_Alam_Road.webp",
-    tag: "Dining"
-  },
-  {
-    id: 'a17',
-    name: "Fort Road Food Street",
-    distance: "25 km",
-    time: "35–40 min",
-    desc: "Heritage rooftop dining with stunning mosque views and authentic Lahori flavors.",
-    image: "/images/Tour/Fort_Road_Food_Street.webp",
-    tag: "Gourmet"
-  },
-  {
-    id: 'a18',
-    name: "Gawalmandi Food Street",
-    distance: "24 km",
-    time: "35 min",
-    desc: "The original food street of Lahore, famous for its traditional Lahori breakfast and snacks.",
-    image: "/images/Tour/Gawalmandi_Food_Street.webp",
-    tag: "Traditional"
-  },
-  {
-    id: 'a19',
-    name: "Eiffel Tower Replica",
-    distance: "1 km",
-    time: "5 min",
-    desc: "Popular photo attraction and vibrant commercial hub located right here in Bahria Town.",
-    image: "/images/Tour/Eiffel_Tower_Replica.webp",
-    tag: "Modern"
-  },
-  {
-    id: 'a20',
-    name: "Emporium Mall",
-    distance: "17 km",
-    time: "25 min",
-    desc: "One of Pakistan's largest shopping malls, featuring international brands and entertainment.",
-    image: "/images/Tour/Emporium_Mall.webp",
-    tag: "Luxury"
-  },
-  {
-    id: 'a21',
-    name: "Packages Mall",
-    distance: "20 km",
-    time: "30 min",
-    desc: "A modern shopping destination with a wide variety of outlets and a grand food court.",
-    image: "/images/Tour/Lahore_Packages_Mall.webp",
-    tag: "Modern"
-  },
-  {
-    id: 'a22',
-    name: "Jilani Park (Race Course)",
-    distance: "20 km",
-    time: "30 min",
-    desc: "A beautiful public park known for its floral exhibitions and equestrian events.",
-    image: "/images/Tour/Jilani_Park.webp",
-    tag: "Outdoors"
-  },
-  {
-    id: 'a23',
-    name: "Safari Zoo Park",
-    distance: "18 km",
-    time: "25-30 min",
-    desc: "A drive-through wildlife park offering close encounters with lions and tigers.",
-    image: "/images/Tour/Safari_Zoo_Park.webp",
-    tag: "Adventure"
-  },
-  {
-    id: 'a24',
-    name: "Lahori Food Street",
-    distance: "25 km",
-    time: "35 min",
-    desc: "Experience the vibrant night life and street food culture of old Lahore.",
-    image: "/images/Tour/lahore-food-street.webp",
-    tag: "Culture"
-  }
-];
+import { ChevronLeft, ChevronRight, MapPin, Clock, ArrowRight, Compass, X, AlertTriangle, Plus, Check } from 'lucide-react';
+import ResponsiveImage from '../common/ResponsiveImage';
+import ItineraryPlanner from '../common/ItineraryPlanner';
+import { ATTRACTIONS_DATA } from '../../data/attractions';
+import {
+  ATTRACTION_SORTS, filterAttractions, getAttractionFamilies, getMaxAttractionDistance,
+  getAttractionDistance, getAttractionMinutes, getLegacyMismatch,
+} from '../../utils/attractions';
+import { formatDistance, formatDriveTime, getTrafficPeriod } from '../../utils/travel';
 
 const AUTOPLAY_INTERVAL = 6000;
 
+// Top of the distance slider, which starts with every place in range
+const MAX_DISTANCE = getMaxAttractionDistance(ATTRACTIONS_DATA);
+
+const DEFAULT_FILTER = { families: [], maxDistance: MAX_DISTANCE, sort: 'suggested' };
+
 // 1. Memoized Thumbnail component for absolute performance
 // 1. Memoized Thumbnail component for absolute performance
 const ThumbnailItem = React.memo(({ place, isActive, onClick, index }) => (
@@ -240,11 +31,10 @@ const ThumbnailItem = React.memo(({ place, isActive, onClick, index }) => (
     }}
     transition={{ type: "spring", stiffness: 400, damping: 40 }}
   >
-    <img
-      src={process.env.PUBLIC_URL + place.image}
+    <ResponsiveImage
+      src={place.image}
       alt={place.name}
-      decoding="async"
-      loading="lazy"
+      sizes="(min-width: 768px) 160px, 120px"
     />
     <div className="thumb-overlay">
       <span>{place.name}</span>
@@ -256,9 +46,14 @@ function TourGuide() {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [direction, setDirection] = useState(0);
   const [isAutoPlaying, setIsAutoPlaying] = useState(true);
+  const [filter, setFilter] = useState(DEFAULT_FILTER);
+  const [planIds, setPlanIds] = useState([]);
   const timerRef = useRef(null);
   const thumbnailTrackRef = useRef(null); // Native scroll ref
 
+  const attractions = useMemo(() => filterAttractions(ATTRACTIONS_DATA, filter), [filter]);
+  const familyOptions = useMemo(() => getAttractionFamilies(ATTRACTIONS_DATA, filter), [filter]);
+
   // Scroll active thumbnail into view
   useEffect(() => {
     if (thumbnailTrackRef.current) {
@@ -269,9 +64,7 @@ function TourGuide() {
         track.scrollTo({ left: scrollLeft, behavior: 'smooth' });
       }
     }
-  }, [currentIndex]);
-
-
+  }, [currentIndex, attractions]);
 
   // Framer Motion Variants
   const slideVariants = {
@@ -303,15 +96,47 @@ function TourGuide() {
     })
   };
 
+  const total = attractions.length;
+
   const nextSlide = useCallback(() => {
+    if (total === 0) return;
     setDirection(1);
-    setCurrentIndex((prev) => (prev + 1) % ATTRACTIONS_DATA.length);
-  }, []);
+    setCurrentIndex((prev) => (prev + 1) % total);
+  }, [total]);
 
   const prevSlide = useCallback(() => {
+    if (total === 0) return;
     setDirection(-1);
-    setCurrentIndex((prev) => (prev - 1 + ATTRACTIONS_DATA.length) % ATTRACTIONS_DATA.length);
-  }, []);
+    setCurrentIndex((prev) => (prev - 1 + total) % total);
+  }, [total]);
+
+  // Keeps the place on show when it survives the new filter, else starts over
+  const updateFilter = (patch) => {
+    const next = { ...filter, ...patch };
+    const currentId = attractions[currentIndex]?.id;
+    setFilter(next);
+    setDirection(0);
+    setCurrentIndex(Math.max(0, filterAttractions(ATTRACTIONS_DATA, next).findIndex((place) => place.id === currentId)));
+  };
+
+  const toggleFamily = (id) => {
+    updateFilter({
+      families: filter.families.includes(id) ? filter.families.filter((item) => item !== id) : [...filter.families, id],
+    });
+  };
+
+  const clearFilters = () => updateFilter({ families: [], maxDistance: MAX_DISTANCE });
+
+  const togglePlan = (id) => {
+    setPlanIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const planAttractions = useMemo(
+    () => planIds.map((id) => ATTRACTIONS_DATA.find((place) => place.id === id)),
+    [planIds],
+  );
+
+  const isFiltered = filter.families.length > 0 || filter.maxDistance < MAX_DISTANCE;
 
   // 3. Handle Autoplay tab visibility (Visibility API)
   useEffect(() => {
@@ -331,14 +156,14 @@ function TourGuide() {
     // Clear any existing timer
     if (timerRef.current) clearInterval(timerRef.current);
 
-    if (isAutoPlaying) {
+    if (isAutoPlaying && total > 1) {
       timerRef.current = setInterval(nextSlide, AUTOPLAY_INTERVAL);
     }
 
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
     };
-  }, [isAutoPlaying, nextSlide, currentIndex]);
+  }, [isAutoPlaying, nextSlide, currentIndex, total]);
 
   const handleThumbnailClick = useCallback((idx) => {
     setCurrentIndex((prev) => {
@@ -348,7 +173,10 @@ function TourGuide() {
     });
   }, []);
 
-  const currentItem = ATTRACTIONS_DATA[currentIndex];
+  const currentItem = attractions[currentIndex];
+  // Drive times follow the traffic at the hotel right now
+  const departAt = new Date();
+  const mismatch = currentItem ? getLegacyMismatch(currentItem) : null;
 
   return (
     <section id="tour-guide" className="tour-guide-section">
@@ -372,13 +200,75 @@ function TourGuide() {
             </div>
 
             <div className="tour-counter">
-              <span className="current-num">{(currentIndex + 1).toString().padStart(2, '0')}</span>
+              <span className="current-num">{(currentItem ? currentIndex + 1 : 0).toString().padStart(2, '0')}</span>
               <span className="divider">/</span>
-              <span className="total-num">{ATTRACTIONS_DATA.length.toString().padStart(2, '0')}</span>
+              <span className="total-num">{total.toString().padStart(2, '0')}</span>
             </div>
           </motion.div>
         </header>
 
+        {/* Filters */}
+        <div className="tour-filters">
+          <div className="tour-filter-chips" role="group" aria-label="Filter places by theme">
+            {familyOptions.map((family) => {
+              const isActive = filter.families.includes(family.id);
+              return (
+                <button
+                  key={family.id}
+                  type="button"
+                  className={`tour-filter-chip ${isActive ? 'active' : ''}`}
+                  onClick={() => toggleFamily(family.id)}
+                  aria-pressed={isActive}
+                  disabled={!isActive && family.count === 0}
+                >
+                  {family.label} <span className="tour-filter-count">{family.count}</span>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="tour-filter-controls">
+            <label className="tour-distance" htmlFor="tour-distance">
+              <span>
+                <MapPin size={14} className="text-gold" aria-hidden="true" /> Within {filter.maxDistance} km
+              </span>
+              <input
+                id="tour-distance"
+                type="range"
+                min={1}
+                max={MAX_DISTANCE}
+                step={1}
+                value={filter.maxDistance}
+                onChange={(e) => updateFilter({ maxDistance: Number(e.target.value) })}
+                aria-valuetext={`Within ${filter.maxDistance} kilometres`}
+              />
+            </label>
+
+            <label className="tour-sort" htmlFor="tour-sort">
+              <span>Sort</span>
+              <select
+                id="tour-sort"
+                value={filter.sort}
+                onChange={(e) => updateFilter({ sort: e.target.value })}
+              >
+                {ATTRACTION_SORTS.map((option) => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+
+            {isFiltered && (
+              <button type="button" className="tour-filter-clear" onClick={clearFilters}>
+                <X size={14} aria-hidden="true" /> Clear
+              </button>
+            )}
+          </div>
+
+          <p className="sr-only" role="status">
+            Showing {total} of {ATTRACTIONS_DATA.length} places
+          </p>
+        </div>
+
         {/* Main Slider Section */}
         <div
           className="slider-container"
@@ -386,86 +276,118 @@ function TourGuide() {
           onMouseLeave={() => setIsAutoPlaying(true)}
         >
           <div className="slider-frame">
-            <AnimatePresence initial={false} custom={direction} mode="popLayout">
-              <motion.div
-                key={currentIndex}
-                custom={direction}
-                variants={slideVariants}
-                initial="enter"
-                animate="center"
-                exit="exit"
-                className="slide-wrapper"
-              >
-                {/* Unique Professional Category Badge */}
-                <div className="tour-badge-container">
+            {currentItem ? (
+              <>
+                <AnimatePresence initial={false} custom={direction} mode="popLayout">
                   <motion.div
-                    initial={{ y: -20, opacity: 0 }}
-                    animate={{ y: 0, opacity: 1 }}
-                    className="tour-badge-museum"
+                    key={currentItem.id}
+                    custom={direction}
+                    variants={slideVariants}
+                    initial="enter"
+                    animate="center"
+                    exit="exit"
+                    className="slide-wrapper"
                   >
-                    <div className="badge-dot" />
-                    <span className="tour-badge-text">{currentItem.tag}</span>
+                    {/* Unique Professional Category Badge */}
+                    <div className="tour-badge-container">
+                      <motion.div
+                        initial={{ y: -20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        className="tour-badge-museum"
+                      >
+                        <div className="badge-dot" />
+                        <span className="tour-badge-text">{currentItem.tag}</span>
+                      </motion.div>
+                    </div>
+
+                    {/* Background Image */}
+                    <div className="slide-image-bg">
+                      <ResponsiveImage src={currentItem.image} alt="" className="slide-image" loading="eager" />
+                      <div className="overlay-gradient" />
+                      <div className="overlay-dark" />
+                    </div>
+
+                    {/* Content Overlay */}
+                    <div className="slide-content-overlay">
+                      <motion.div
+                        initial={{ opacity: 0, y: 30 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: 0.3 }}
+                        className="slide-info"
+                      >
+                        <h3 className="slide-title">
+                          {currentItem.name}
+                        </h3>
+
+                        <p className="slide-description">
+                          "{currentItem.desc}"
+                        </p>
+
+                        <button
+                          type="button"
+                          className={`plan-toggle ${planIds.includes(currentItem.id) ? 'active' : ''}`}
+                          onClick={() => togglePlan(currentItem.id)}
+                          aria-pressed={planIds.includes(currentItem.id)}
+                        >
+                          {planIds.includes(currentItem.id)
+                            ? <><Check size={16} aria-hidden="true" /> In your day plan</>
+                            : <><Plus size={16} aria-hidden="true" /> Add to day plan</>}
+                        </button>
+                      </motion.div>
+                    </div>
                   </motion.div>
+                </AnimatePresence>
+
+                {/* Navigation & Stats Controls Footer */}
+                <div className="controls-footer">
+                  <div className="info-group">
+                    <div className="info-time">
+                      <Clock size={14} className="text-gold" />
+                      <span>
+                        ≈ {formatDriveTime(getAttractionMinutes(currentItem, departAt))} ({getTrafficPeriod(departAt).label})
+                        {' • '}{formatDistance(getAttractionDistance(currentItem))}
+                      </span>
+                    </div>
+                    {(mismatch.distance || mismatch.time) && (
+                      <div className="info-flag" title="The guide's listed distance or drive time does not match this place's map position">
+                        <AlertTriangle size={12} aria-hidden="true" />
+                        <span>Previously listed as {currentItem.distance} • {currentItem.time}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="nav-controls">
+                    <button onClick={prevSlide} className="nav-btn prev">
+                      <ChevronLeft size={24} />
+                    </button>
+                    <button onClick={nextSlide} className="nav-btn next">
+                      <ChevronRight size={24} />
+                    </button>
+                  </div>
                 </div>
 
-                {/* Background Image */}
-                <div
-                  className="slide-image-bg"
-                  style={{ backgroundImage: `url(${process.env.PUBLIC_URL + currentItem.image})` }}
-                >
-                  <div className="overlay-gradient" />
-                  <div className="overlay-dark" />
+                {/* Progress Bar */}
+                <div className="progress-track">
+                  {isAutoPlaying && total > 1 && (
+                    <motion.div
+                      key={currentItem.id}
+                      initial={{ width: 1 }}
+                      animate={{ width: "100%" }}
+                      transition={{ duration: AUTOPLAY_INTERVAL / 1000, ease: "linear" }}
+                      className="progress-bar"
+                    />
+                  )}
                 </div>
-
-                {/* Content Overlay */}
-                <div className="slide-content-overlay">
-                  <motion.div
-                    initial={{ opacity: 0, y: 30 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: 0.3 }}
-                    className="slide-info"
-                  >
-                    <h3 className="slide-title">
-                      {currentItem.name}
-                    </h3>
-
-                    <p className="slide-description">
-                      "{currentItem.desc}"
-                    </p>
-                  </motion.div>
-                </div>
-              </motion.div>
-            </AnimatePresence>
-
-            {/* Navigation & Stats Controls Footer */}
-            <div className="controls-footer">
-              <div className="info-time">
-                <Clock size={14} className="text-gold" />
-                <span>{currentItem.time} • {currentItem.distance}</span>
-              </div>
-
-              <div className="nav-controls">
-                <button onClick={prevSlide} className="nav-btn prev">
-                  <ChevronLeft size={24} />
-                </button>
-                <button onClick={nextSlide} className="nav-btn next">
-                  <ChevronRight size={24} />
+              </>
+            ) : (
+              <div className="tour-empty">
+                <Compass size={32} className="text-gold" aria-hidden="true" />
+                <p>No places match these filters.</p>
+                <button type="button" className="tour-filter-clear" onClick={clearFilters}>
+                  Show all places
                 </button>
               </div>
-            </div>
-
-            {/* Progress Bar */}
-            <div className="progress-track">
-              {isAutoPlaying && (
-                <motion.div
-                  key={currentIndex}
-                  initial={{ width: 1 }}
-                  animate={{ width: "100%" }}
-                  transition={{ duration: AUTOPLAY_INTERVAL / 1000, ease: "linear" }}
-                  className="progress-bar"
-                />
-              )}
-            </div>
+            )}
           </div>
         </div>
 
@@ -479,7 +401,7 @@ function TourGuide() {
             className="thumbnail-track native-scroll"
             ref={thumbnailTrackRef}
           >
-            {ATTRACTIONS_DATA.map((place, idx) => (
+            {attractions.map((place, idx) => (
               <ThumbnailItem
                 key={place.id}
                 place={place}
@@ -490,6 +412,12 @@ function TourGuide() {
             ))}
           </div>
         </footer>
+
+        <ItineraryPlanner
+          attractions={planAttractions}
+          onRemove={togglePlan}
+          onClear={() => setPlanIds([])}
+        />
       </div>
 
       <style>{`
@@ -592,6 +520,134 @@ function TourGuide() {
         .divider { margin: 0 8px; color: #4b5563; }
         .total-num { color: #6b7280; }
 
+        /* Filters */
+        .tour-filters {
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+          margin-top: -16px;
+        }
+
+        .tour-filter-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .tour-filter-chip {
+          padding: 6px 14px;
+          border-radius: 99px;
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          background: transparent;
+          color: #d1d5db;
+          font-family: inherit;
+          font-size: 0.75rem;
+          font-weight: 500;
+          letter-spacing: 0.05em;
+          text-transform: uppercase;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .tour-filter-chip:hover:not(:disabled) {
+          border-color: #D4AF37;
+          color: #D4AF37;
+        }
+
+        .tour-filter-chip.active {
+          border-color: #D4AF37;
+          background: rgba(212, 175, 55, 0.15);
+          color: #D4AF37;
+        }
+
+        .tour-filter-chip:disabled {
+          opacity: 0.35;
+          cursor: not-allowed;
+        }
+
+        .tour-filter-count {
+          margin-left: 4px;
+          font-weight: 700;
+          opacity: 0.7;
+        }
+
+        .tour-filter-controls {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 16px 32px;
+          font-size: 0.8rem;
+          color: #9ca3af;
+        }
+
+        .tour-distance,
+        .tour-sort {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .tour-distance span {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          min-width: 110px;
+          color: white;
+        }
+
+        .tour-distance input {
+          width: 180px;
+          accent-color: #D4AF37;
+        }
+
+        .tour-sort select {
+          padding: 6px 10px;
+          border-radius: 8px;
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          background: #111;
+          color: white;
+          font-family: inherit;
+          font-size: 0.8rem;
+        }
+
+        .tour-filter-chip:focus-visible,
+        .tour-distance input:focus-visible,
+        .tour-sort select:focus-visible,
+        .tour-filter-clear:focus-visible {
+          outline: 2px solid #D4AF37;
+          outline-offset: 2px;
+        }
+
+        .tour-filter-clear {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
+          padding: 0;
+          border: none;
+          background: none;
+          color: #D4AF37;
+          font-family: inherit;
+          font-size: 0.8rem;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
+        .tour-empty {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          color: #9ca3af;
+          background: #111;
+        }
+
+        .tour-empty p {
+          margin: 0;
+        }
+
         /* Slider Frame */
         .slider-container {
           position: relative;
@@ -628,11 +684,17 @@ function TourGuide() {
         .slide-image-bg {
           position: absolute;
           inset: 0;
-          background-size: cover;
-          background-position: center;
           transition: transform 1s ease;
         }
 
+        .slide-image {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
         .overlay-gradient {
           position: absolute;
           inset: 0;
@@ -712,6 +774,36 @@ function TourGuide() {
           }
         }
 
+        .plan-toggle {
+          display: inline-flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 16px;
+          padding: 8px 18px;
+          border-radius: 99px;
+          border: 1px solid #D4AF37;
+          background: rgba(0, 0, 0, 0.5);
+          color: #D4AF37;
+          font-family: inherit;
+          font-size: 0.8rem;
+          font-weight: 600;
+          letter-spacing: 0.05em;
+          text-transform: uppercase;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .plan-toggle:hover,
+        .plan-toggle.active {
+          background: #D4AF37;
+          color: black;
+        }
+
+        .plan-toggle:focus-visible {
+          outline: 2px solid white;
+          outline-offset: 2px;
+        }
+
         /* Combined Footer Controls (Nav + Info) */
         .controls-footer {
           position: absolute;
@@ -755,6 +847,25 @@ function TourGuide() {
           }
         }
 
+        .info-group {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 6px;
+        }
+
+        .info-flag {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 12px;
+          border-radius: 99px;
+          background: rgba(0, 0, 0, 0.6);
+          color: #fbbf24;
+          font-size: 0.65rem;
+          letter-spacing: 0.03em;
+        }
+
         /* Nav Controls */
         .nav-controls {
           display: flex;
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Tour Guide attractions.
+ * Places around Lahore featured in the Tour Guide section. Each place has a
+ * single `tag`; the filter chips group tags into the families below.
+ * Distances and drive times shown to guests are computed from each place's
+ * coordinates with the speed model below; the hand-typed `distance` and
+ * `time` are kept to catch coordinates that look wrong. Visit lengths feed
+ * the day itinerary planner.
+ * @version 1.3.1
+ */
+
+/**
+ * Attraction shown in the Tour Guide.
+ * @typedef {Object} Attraction
+ * @property {string} id - Stable id
+ * @property {string} name - Display name
+ * @property {number} latitude - Map position, decimal degrees
+ * @property {number} longitude - Map position, decimal degrees
+ * @property {string} locality - Town or city, for calendar locations
+ * @property {string} distance - Legacy road distance from the hotel, e.g. "25 km"
+ * @property {string} time - Legacy drive time, e.g. "35–40 min"
+ * @property {number} visitMinutes - Typical time spent there, for the day planner
+ * @property {string} desc - One-sentence description
+ * @property {string} image - Photo path under /public
+ * @property {string} tag - Badge shown on the slide, e.g. "Sikh Heritage"
+ */
+
+/**
+ * Places featured in the Tour Guide, in their suggested order.
+ * @type {Attraction[]}
+ */
+export const ATTRACTIONS_DATA = [
+    {
+        id: 'a1',
+        name: 'Grand Jamia Mosque',
+        latitude: 31.3661,
+        longitude: 74.179,
+        locality: 'Lahore',
+        distance: '1 km',
+        time: '5 min',
+        visitMinutes: 45,
+        desc: "One of the world's most beautiful and largest mosques, showcasing intricate Islamic architecture.",
+        image: '/images/Tour/Grand_Jamia_Mosque.webp',
+        tag: 'Historical',
+    },
+    {
+        id: 'a2',
+        name: 'Badshahi Mosque',
+        latitude: 31.5881,
+        longitude: 74.3101,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35–40 min',
+        visitMinutes: 60,
+        desc: 'Iconic Mughal-era mosque and major tourist landmark, once the largest in the world.',
+        image: '/images/Tour/Badshahi_Mosque.webp',
+        tag: 'Cultural',
+    },
+    {
+        id: 'a3',
+        name: 'Lahore Fort (Shahi Qila)',
+        latitude: 31.5886,
+        longitude: 74.3147,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35–40 min',
+        visitMinutes: 120,
+        desc: 'UNESCO World Heritage Site beside Badshahi Mosque, a testament to Mughal grandeur.',
+        image: '/images/Tour/Lahore_Fort.webp',
+        tag: 'Heritage',
+    },
+    {
+        id: 'a4',
+        name: 'Shalimar Gardens',
+        latitude: 31.5862,
+        longitude: 74.3822,
+        locality: 'Lahore',
+        distance: '28 km',
+        time: '40–45 min',
+        visitMinutes: 75,
+        desc: 'Historic Mughal royal gardens with exquisite water features and multi-level terraces.',
+        image: '/images/Tour/Shalimar.webp',
+        tag: 'Nature',
+    },
+    {
+        id: 'a5',
+        name: 'Minar-e-Pakistan',
+        latitude: 31.5925,
+        longitude: 74.3095,
+        locality: 'Lahore',
+        distance: '24 km',
+        time: '35 min',
+        visitMinutes: 45,
+        desc: 'National monument and large public park commemorating the Lahore Resolution.',
+        image: '/images/Tour/Minar_e_Pakistan.webp',
+        tag: 'National',
+    },
+    {
+        id: 'a6',
+        name: 'Wazir Khan Mosque',
+        latitude: 31.5831,
+        longitude: 74.3233,
+        locality: 'Lahore',
+        distance: '26 km',
+        time: '40 min',
+        visitMinutes: 60,
+        desc: 'Famous for its incredibly detailed tile work and fresco paintings inside the Walled City.',
+        image: '/images/Tour/Wazir_Khan_Mosque.webp',
+        tag: 'Architecture',
+    },
+    {
+        id: 'a7',
+        name: 'Gurdwara Janam Asthan',
+        latitude: 31.45,
+        longitude: 73.7068,
+        locality: 'Nankana Sahib',
+        distance: '35 km',
+        time: '40 min',
+        visitMinutes: 90,
+        desc: 'One of the holiest Sikh sites, the birthplace of Guru Nanak Dev Ji.',
+        image: '/images/Tour/Gurdwara_Janam_Asthan.webp',
+        tag: 'Sikh Heritage',
+    },
+    {
+        id: 'a8',
+        name: 'Gurdwara Sri Dera Sahib',
+        latitude: 31.5872,
+        longitude: 74.3119,
+        locality: 'Lahore',
+        distance: '26 km',
+        time: '35 min',
+        visitMinutes: 45,
+        desc: 'A significant Sikh temple located near the Lahore Fort, honoring Guru Arjan Dev Ji.',
+        image: '/images/Tour/gurdwara_sri_dera_sahib_lahore.webp',
+        tag: 'Sikh Heritage',
+    },
+    {
+        id: 'a9',
+        name: 'Gurdwara Bhai Taru Singh',
+        latitude: 31.5745,
+        longitude: 74.3236,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35 min',
+        visitMinutes: 30,
+        desc: 'A historic Sikh shrine commemorating the sacrifice of Shaheed Bhai Taru Singh.',
+        image: '/images/Tour/Gurdwara_Shaheed_Bhai_Taru_Singh_Lahore.webp',
+        tag: 'Sikh Heritage',
+    },
+    {
+        id: 'a10',
+        name: 'Krishna Ram Mandir',
+        latitude: 31.5899,
+        longitude: 74.302,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35 min',
+        visitMinutes: 30,
+        desc: "A prominent Hindu temple in Lahore, representing the city's diverse religious history.",
+        image: '/images/Tour/Krishna_Ram_Mandir.webp',
+        tag: 'Hindu Heritage',
+    },
+    {
+        id: 'a11',
+        name: 'Valmiki Mandir',
+        latitude: 31.5662,
+        longitude: 74.3105,
+        locality: 'Lahore',
+        distance: '24 km',
+        time: '35 min',
+        visitMinutes: 30,
+        desc: 'An ancient Hindu temple dedicated to Sage Valmiki, located near Anarkali Bazaar.',
+        image: '/images/Tour/Valmiki_Tirath.webp',
+        tag: 'Hindu Heritage',
+    },
+    {
+        id: 'a12',
+        name: 'Shri Hinglaj Mata Mandir',
+        latitude: 31.572,
+        longitude: 74.3125,
+        locality: 'Lahore',
+        distance: '26 km',
+        time: '40 min',
+        visitMinutes: 30,
+        desc: 'A revered Hindu shrine dedicated to Goddess Hinglaj within the historic Walled City.',
+        image: '/images/Tour/Shri_Hinglaj_Mata_Mandir.webp',
+        tag: 'Hindu Heritage',
+    },
+    {
+        id: 'a13',
+        name: 'Anarkali Bazaar',
+        latitude: 31.567,
+        longitude: 74.31,
+        locality: 'Lahore',
+        distance: '22 km',
+        time: '30-35 min',
+        visitMinutes: 90,
+        desc: 'One of the oldest surviving markets in South Asia, famous for its history and legends.',
+        image: '/images/Tour/Anarkali_Bazaar.webp',
+        tag: 'Shopping',
+    },
+    {
+        id: 'a14',
+        name: 'Delhi Gate',
+        latitude: 31.5817,
+        longitude: 74.3254,
+        locality: 'Lahore',
+        distance: '26 km',
+        time: '40 min',
+        visitMinutes: 60,
+        desc: 'One of the six surviving historic gates of the Walled City, lead to vibrant local markets.',
+        image: '/images/Tour/Delhi_Gate.webp',
+        tag: 'Exploration',
+    },
+    {
+        id: 'a15',
+        name: 'Liberty Market',
+        latitude: 31.5107,
+        longitude: 74.3441,
+        locality: 'Lahore',
+        distance: '18 km',
+        time: '25 min',
+        visitMinutes: 90,
+        desc: 'A bustling modern shopping hub famous for clothing, jewelry, and street food.',
+        image: '/images/Tour/Liberty_Market.webp',
+        tag: 'Lifestyle',
+    },
+    {
+        id: 'a16',
+        name: 'MM Alam Road',
+        latitude: 31.5142,
+        longitude: 74.3505,
+        locality: 'Lahore',
+        distance: '19 km',
+        time: '30 min',
+        visitMinutes: 90,
+        desc: "Lahore's premier fashion and dining strip, featuring high-end brands and cafes.",
+        image: '/images/Tour/MM_Alam_Road.webp',
+        tag: 'Dining',
+    },
+    {
+        id: 'a17',
+        name: 'Fort Road Food Street',
+        latitude: 31.5862,
+        longitude: 74.3124,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35–40 min',
+        visitMinutes: 90,
+        desc: 'Heritage rooftop dining with stunning mosque views and authentic Lahori flavors.',
+        image: '/images/Tour/Fort_Road_Food_Street.webp',
+        tag: 'Gourmet',
+    },
+    {
+        id: 'a18',
+        name: 'Gawalmandi Food Street',
+        latitude: 31.5745,
+        longitude: 74.3195,
+        locality: 'Lahore',
+        distance: '24 km',
+        time: '35 min',
+        visitMinutes: 60,
+        desc: 'The original food street of Lahore, famous for its traditional Lahori breakfast and snacks.',
+        image: '/images/Tour/Gawalmandi_Food_Street.webp',
+        tag: 'Traditional',
+    },
+    {
+        id: 'a19',
+        name: 'Eiffel Tower Replica',
+        latitude: 31.3667,
+        longitude: 74.1838,
+        locality: 'Lahore',
+        distance: '1 km',
+        time: '5 min',
+        visitMinutes: 30,
+        desc: 'Popular photo attraction and vibrant commercial hub located right here in Bahria Town.',
+        image: '/images/Tour/Eiffel_Tower_Replica.webp',
+        tag: 'Modern',
+    },
+    {
+        id: 'a20',
+        name: 'Emporium Mall',
+        latitude: 31.4674,
+        longitude: 74.266,
+        locality: 'Lahore',
+        distance: '17 km',
+        time: '25 min',
+        visitMinutes: 120,
+        desc: "One of Pakistan's largest shopping malls, featuring international brands and entertainment.",
+        image: '/images/Tour/Emporium_Mall.webp',
+        tag: 'Luxury',
+    },
+    {
+        id: 'a21',
+        name: 'Packages Mall',
+        latitude: 31.4713,
+        longitude: 74.3556,
+        locality: 'Lahore',
+        distance: '20 km',
+        time: '30 min',
+        visitMinutes: 120,
+        desc: 'A modern shopping destination with a wide variety of outlets and a grand food court.',
+        image: '/images/Tour/Lahore_Packages_Mall.webp',
+        tag: 'Modern',
+    },
+    {
+        id: 'a22',
+        name: 'Jilani Park (Race Course)',
+        latitude: 31.5457,
+        longitude: 74.333,
+        locality: 'Lahore',
+        distance: '20 km',
+        time: '30 min',
+        visitMinutes: 60,
+        desc: 'A beautiful public park known for its floral exhibitions and equestrian events.',
+        image: '/images/Tour/Jilani_Park.webp',
+        tag: 'Outdoors',
+    },
+    {
+        id: 'a23',
+        name: 'Safari Zoo Park',
+        latitude: 31.387,
+        longitude: 74.214,
+        locality: 'Lahore',
+        // The park is on Raiwind Road, about 4 km south-east of the hotel in
+        // a straight line. The old guide's "18 km • 25-30 min" cannot be a
+        // drive from Bahria Town, so these are re-estimated from the position.
+        distance: '6 km',
+        time: '10–15 min',
+        visitMinutes: 120,
+        desc: 'A drive-through wildlife park offering close encounters with lions and tigers.',
+        image: '/images/Tour/Safari_Zoo_Park.webp',
+        tag: 'Adventure',
+    },
+    {
+        id: 'a24',
+        name: 'Lahori Food Street',
+        latitude: 31.5787,
+        longitude: 74.3102,
+        locality: 'Lahore',
+        distance: '25 km',
+        time: '35 min',
+        visitMinutes: 75,
+        desc: 'Experience the vibrant night life and street food culture of old Lahore.',
+        image: '/images/Tour/lahore-food-street.webp',
+        tag: 'Culture',
+    },
+];
+
+/**
+ * Filter families for the Tour Guide, in chip order. Each groups the
+ * attraction `tag` values it lists; a tag belongs to one family at most.
+ * @type {Array<{id: string, label: string, tags: string[]}>}
+ */
+export const ATTRACTION_FAMILIES = [
+    { id: 'heritage', label: 'Heritage', tags: ['Heritage', 'Historical', 'Cultural', 'Architecture', 'National', 'Exploration'] },
+    { id: 'sikh-heritage', label: 'Sikh Heritage', tags: ['Sikh Heritage'] },
+    { id: 'hindu-heritage', label: 'Hindu Heritage', tags: ['Hindu Heritage'] },
+    { id: 'shopping', label: 'Shopping', tags: ['Shopping', 'Lifestyle', 'Luxury'] },
+    { id: 'dining', label: 'Dining', tags: ['Dining', 'Gourmet', 'Traditional', 'Culture'] },
+    { id: 'leisure', label: 'Parks & Leisure', tags: ['Nature', 'Outdoors', 'Adventure', 'Modern'] },
+];
+
+/**
+ * Average-speed model for drive times from the hotel. Roads are longer
+ * than the straight line by `roadFactor`; each period's speed applies from
+ * its `from` hour (hotel local time) until the next period starts.
+ * @type {{roadFactor: number, periods: Array<{from: number, label: string, kmh: number}>}}
+ */
+export const DRIVE_SPEED_MODEL = {
+    roadFactor: 1.25,
+    periods: [
+        { from: 0, label: 'late night', kmh: 55 },
+        { from: 7, label: 'morning rush', kmh: 30 },
+        { from: 10, label: 'daytime', kmh: 40 },
+        { from: 16, label: 'evening rush', kmh: 26 },
+        { from: 20, label: 'evening', kmh: 36 },
+        { from: 23, label: 'late night', kmh: 55 },
+    ],
+};
+
+export default {
+    ATTRACTIONS_DATA,
+    ATTRACTION_FAMILIES,
+    DRIVE_SPEED_MODEL,
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Cancellation policy rules.
+ * Single source of truth for refunds: the Cancellation Policy page, the
+ * house rules, the quote panel's refund schedule and the quotation PDF are
+ * all generated from these rules. Edit them here, never in the legal text.
+ *
+ * - `tiers`: ordered from the earliest cancellation to the latest. A tier
+ *   applies when the guest cancels at least `minDaysBefore` calendar days
+ *   before the check-in date (0 is the check-in day itself).
+ * - `refundPercent`: share of the quote total that is refunded.
+ * - `fee`: processing fee in PKR deducted from the refund.
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} CancellationTier
+ * @property {number} minDaysBefore - Fewest days before check-in the tier covers
+ * @property {number} refundPercent - Refund as a percentage of the total
+ * @property {number} fee - Processing fee in PKR, deducted from the refund
+ */
+
+/**
+ * Rate plans and their refund tiers.
+ * @type {Object<string, {label: string, tiers: CancellationTier[], notes?: string[]}>}
+ */
+export const CANCELLATION_RATE_PLANS = {
+    flexible: {
+        label: 'Flexible Rate Bookings',
+        tiers: [
+            { minDaysBefore: 7, refundPercent: 100, fee: 5000 },
+            { minDaysBefore: 3, refundPercent: 50, fee: 0 },
+            { minDaysBefore: 1, refundPercent: 25, fee: 0 },
+            { minDaysBefore: 0, refundPercent: 0, fee: 0 },
+        ],
+    },
+    nonRefundable: {
+        label: 'Non-Refundable Rate Bookings',
+        tiers: [
+            { minDaysBefore: 0, refundPercent: 0, fee: 0 },
+        ],
+        notes: ['Date changes subject to availability and rate differences'],
+    },
+};
+
+/**
+ * Rate plan quoted on the website. Non-refundable rates are only offered
+ * by reception.
+ * @constant {string}
+ */
+export const DEFAULT_RATE_PLAN = 'flexible';
+
+/**
+ * Peak periods are not modelled as rules; reception states their terms
+ * when the booking is made.
+ * @constant {string}
+ */
+export const PEAK_CANCELLATION_NOTE = 'Peak periods (Eid, Independence Day, New Year) may have stricter cancellation terms, which will be communicated at time of booking.';
+
+export default {
+    CANCELLATION_RATE_PLANS,
+    DEFAULT_RATE_PLAN,
+    PEAK_CANCELLATION_NOTE,
+};
@@ -23,57 +23,6 @@ Our commitment to excellence ensures every moment of your stay exceeds expectati
 Whether you seek a romantic escape, a celebration of life's milestones, or simply a sanctuary of tranquility, Andalusian Castle invites you to experience luxury redefined in Lahore.`,
 };
 
-/**
- * Room Descriptions - 120 words each.
- * @type {Array<Object>}
- */
-export const ROOM_DESCRIPTIONS = [
-    {
-        id: 'normal-room',
-        name: 'Normal Room',
-        tagline: 'Standard Comfort',
-        description: `Experience the comfort of our Normal Rooms, designed for relaxation and convenience. Featuring comfortable bedding, essential amenities, and a warm ambiance, these rooms provide a perfect base for your stay in Lahore.
-
-Enjoy modern facilities including high-speed WiFi, climate control, and a well-appointed bathroom. Whether you are here for business or leisure, our Normal Room offers everything you need for a restful night.`,
-        price: '₨7,500',
-        priceNote: 'All taxes included',
-        size: '35 sqm',
-        view: 'City View',
-        bed: 'Queen',
-        maxGuests: 2,
-        amenities: ['wifi', 'tv', 'ac', 'shower'],
-        features: [
-            'Queen-size bed',
-            'En-suite bathroom',
-            'Complimentary WiFi',
-            'Flat-screen TV',
-            'Climate control',
-        ],
-    },
-    {
-        id: 'luxury-room',
-        name: 'Luxury Suite',
-        tagline: 'Premium Elegance',
-        description: `Upgrade to our Luxury Suite for an elevated experience. These spacious suites feature premium furnishings, enhanced amenities, and superior views of Bahria Town.
-
-Indulge in extra space, a king-size bed, and a luxurious bathroom. Perfect for those seeking a touch of opulence and additional comfort during their stay. Includes complimentary breakfast and priority service.`,
-        price: '₨10,000',
-        priceNote: 'All taxes included',
-        size: '55 sqm',
-        view: 'Garden/City View',
-        bed: 'King',
-        maxGuests: 3,
-        amenities: ['wifi', 'tv', 'minibar', 'ac', 'bathtub', 'breakfast'],
-        features: [
-            'King-size bed',
-            'Spacious living area',
-            'Complimentary Breakfast',
-            'Premium toiletries',
-            'City views',
-        ],
-    },
-];
-
 /**
  * Amenity Blurbs - 60 words each.
  * @type {Array<Object>}
@@ -248,54 +197,70 @@ export const TESTIMONIALS = [
 
 
 
+/**
+ * Display labels for gallery categories. The filter bar is built from the
+ * categories and tags found in {@link GALLERY_IMAGES}; categories missing
+ * here fall back to their id, capitalised.
+ * @type {Object<string, string>}
+ */
+export const GALLERY_CATEGORY_LABELS = {
+    exterior: 'Exterior & Architecture',
+    rooms: 'Suites & Rooms',
+    dining: 'Dining & Cuisine',
+    spa: 'Spa & Wellness',
+    events: 'Events & Meetings',
+};
+
 /**
  * Image gallery data with full specifications.
- * 50+ images across categories.
- * @type {Array<Object>}
+ * Each image has one `category` and any number of `tags` describing what
+ * it shows (e.g. "lounge", "artwork"); both feed the gallery filters.
+ * `featured` images are shown first.
+ * @type {Array<{id: string, src: string, alt: string, category: string, tags: string[], featured?: boolean}>}
  */
 export const GALLERY_IMAGES = [
     // Exterior
-    { id: 'ext-1', src: '/images/exterior/exterior-01-pool.webp', alt: 'Pool area', category: 'exterior', featured: true },
-    { id: 'ext-2', src: '/images/exterior/exterior-02-facade.webp', alt: 'Hotel Facade', category: 'exterior' },
-    { id: 'ext-3', src: '/images/exterior/exterior-03-night.webp', alt: 'Illuminated castle at night', category: 'exterior', featured: true },
-    { id: 'ext-4', src: '/images/exterior/exterior-04-view.webp', alt: 'Terrace View', category: 'exterior' },
-    { id: 'ext-5', src: '/images/exterior/exterior-05-garden.webp', alt: 'Garden Path', category: 'exterior' },
-    { id: 'ext-6', src: '/images/exterior/exterior-06-garden.webp', alt: 'Lush Gardens', category: 'exterior' },
-    { id: 'ext-7', src: '/images/exterior/exterior-07-garden.webp', alt: 'Garden Fountain', category: 'exterior' },
-    { id: 'ext-8', src: '/images/exterior/exterior-08-architecture.webp', alt: 'Architectural Details', category: 'exterior' },
+    { id: 'ext-1', src: '/images/exterior/exterior-01-pool.webp', alt: 'Pool area', category: 'exterior', tags: ['kitchen', 'dining'], featured: true },
+    { id: 'ext-2', src: '/images/exterior/exterior-02-facade.webp', alt: 'Hotel Facade', category: 'exterior', tags: ['kitchen', 'dining'] },
+    { id: 'ext-3', src: '/images/exterior/exterior-03-night.webp', alt: 'Illuminated castle at night', category: 'exterior', tags: ['bathroom'], featured: true },
+    { id: 'ext-4', src: '/images/exterior/exterior-04-view.webp', alt: 'Terrace View', category: 'exterior', tags: ['lounge', 'tv', 'plants'] },
+    { id: 'ext-5', src: '/images/exterior/exterior-05-garden.webp', alt: 'Garden Path', category: 'exterior', tags: ['bedroom', 'feature-wall'] },
+    { id: 'ext-6', src: '/images/exterior/exterior-06-garden.webp', alt: 'Lush Gardens', category: 'exterior', tags: ['lounge', 'artwork', 'plants', 'feature-wall'] },
+    { id: 'ext-7', src: '/images/exterior/exterior-07-garden.webp', alt: 'Garden Fountain', category: 'exterior', tags: ['lounge', 'dining'] },
+    { id: 'ext-8', src: '/images/exterior/exterior-08-architecture.webp', alt: 'Architectural Details', category: 'exterior', tags: ['kitchen', 'dining', 'tv'] },
 
     // Rooms
-    { id: 'rm-1', src: '/images/rooms/rooms-01-luxury.webp', alt: 'Luxury Room with Bed', category: 'rooms', featured: true },
-    { id: 'rm-2', src: '/images/rooms/rooms-02-comfort.webp', alt: 'Comfortable Seating', category: 'rooms' },
-    { id: 'rm-3', src: '/images/rooms/rooms-03-stay.webp', alt: 'Relaxing Bedroom', category: 'rooms' },
-    { id: 'rm-4', src: '/images/rooms/rooms-04-elegant.webp', alt: 'Elegant Decor', category: 'rooms' },
-    { id: 'rm-5', src: '/images/rooms/rooms-05-view.webp', alt: 'Room with View', category: 'rooms' },
-    { id: 'rm-6', src: '/images/rooms/rooms-06-elegant.webp', alt: 'Suite Interior', category: 'rooms' },
-    { id: 'rm-7', src: '/images/rooms/rooms-07-suite.webp', alt: 'Luxury Suite Living', category: 'rooms', featured: true },
-    { id: 'rm-8', src: '/images/rooms/rooms-08-relax.webp', alt: 'Relaxation Corner', category: 'rooms' },
-    { id: 'rm-9', src: '/images/rooms/rooms-09-bed.webp', alt: 'King Size Bed', category: 'rooms' },
-    { id: 'rm-10', src: '/images/rooms/rooms-10-luxury.webp', alt: 'Premium Amenities', category: 'rooms' },
+    { id: 'rm-1', src: '/images/rooms/rooms-01-luxury.webp', alt: 'Luxury Room with Bed', category: 'rooms', tags: ['night', 'view'], featured: true },
+    { id: 'rm-2', src: '/images/rooms/rooms-02-comfort.webp', alt: 'Comfortable Seating', category: 'rooms', tags: ['lobby', 'lift', 'artwork', 'plants'] },
+    { id: 'rm-3', src: '/images/rooms/rooms-03-stay.webp', alt: 'Relaxing Bedroom', category: 'rooms', tags: ['lobby', 'lift'] },
+    { id: 'rm-4', src: '/images/rooms/rooms-04-elegant.webp', alt: 'Elegant Decor', category: 'rooms', tags: ['lobby', 'night'] },
+    { id: 'rm-5', src: '/images/rooms/rooms-05-view.webp', alt: 'Room with View', category: 'rooms', tags: ['kitchen', 'dining'] },
+    { id: 'rm-6', src: '/images/rooms/rooms-06-elegant.webp', alt: 'Suite Interior', category: 'rooms', tags: ['lobby', 'plants'] },
+    { id: 'rm-7', src: '/images/rooms/rooms-07-suite.webp', alt: 'Luxury Suite Living', category: 'rooms', tags: ['bedroom', 'feature-wall'], featured: true },
+    { id: 'rm-8', src: '/images/rooms/rooms-08-relax.webp', alt: 'Relaxation Corner', category: 'rooms', tags: ['kitchen', 'dining'] },
+    { id: 'rm-9', src: '/images/rooms/rooms-09-bed.webp', alt: 'King Size Bed', category: 'rooms', tags: ['lounge', 'artwork', 'tv'] },
+    { id: 'rm-10', src: '/images/rooms/rooms-10-luxury.webp', alt: 'Premium Amenities', category: 'rooms', tags: ['lounge', 'artwork', 'feature-wall'] },
 
     // Dining
-    { id: 'din-1', src: '/images/dining/dining-01-chef.webp', alt: 'Chef Creation', category: 'dining', featured: true },
-    { id: 'din-2', src: '/images/dining/dining-02-breakfast.webp', alt: 'Breakfast Spread', category: 'dining' },
-    { id: 'din-3', src: '/images/dining/dining-03-feast.webp', alt: 'Dining Feast', category: 'dining' },
-    { id: 'din-4', src: '/images/dining/dining-04-gourmet.webp', alt: 'Gourmet Dish', category: 'dining' },
-    { id: 'din-5', src: '/images/dining/dining-05-dinner.webp', alt: 'Dinner Setting', category: 'dining' },
-    { id: 'din-6', src: '/images/dining/dining-06-feast.webp', alt: 'Signature Plate', category: 'dining' },
+    { id: 'din-1', src: '/images/dining/dining-01-chef.webp', alt: 'Chef Creation', category: 'dining', tags: ['lounge', 'dining', 'artwork', 'feature-wall'], featured: true },
+    { id: 'din-2', src: '/images/dining/dining-02-breakfast.webp', alt: 'Breakfast Spread', category: 'dining', tags: ['kitchen', 'tea'] },
+    { id: 'din-3', src: '/images/dining/dining-03-feast.webp', alt: 'Dining Feast', category: 'dining', tags: ['bedroom', 'bathroom', 'feature-wall'] },
+    { id: 'din-4', src: '/images/dining/dining-04-gourmet.webp', alt: 'Gourmet Dish', category: 'dining', tags: ['lounge', 'artwork'] },
+    { id: 'din-5', src: '/images/dining/dining-05-dinner.webp', alt: 'Dinner Setting', category: 'dining', tags: ['lounge', 'artwork', 'plants', 'feature-wall'] },
+    { id: 'din-6', src: '/images/dining/dining-06-feast.webp', alt: 'Signature Plate', category: 'dining', tags: ['bedroom', 'feature-wall'] },
 
     // Spa
-    { id: 'spa-1', src: '/images/spa/spa-01-wellness.webp', alt: 'Wellness Treatment', category: 'spa', featured: true },
-    { id: 'spa-2', src: '/images/spa/spa-02-treatment.webp', alt: 'Spa Therapy', category: 'spa' },
-    { id: 'spa-3', src: '/images/spa/spa-03-treatment.webp', alt: 'Massage Room', category: 'spa' },
-    { id: 'spa-4', src: '/images/spa/spa-04-wellness.webp', alt: 'Relaxation Area', category: 'spa' },
+    { id: 'spa-1', src: '/images/spa/spa-01-wellness.webp', alt: 'Wellness Treatment', category: 'spa', tags: ['lounge', 'artwork', 'feature-wall'], featured: true },
+    { id: 'spa-2', src: '/images/spa/spa-02-treatment.webp', alt: 'Spa Therapy', category: 'spa', tags: ['kitchen', 'dining', 'plants'] },
+    { id: 'spa-3', src: '/images/spa/spa-03-treatment.webp', alt: 'Massage Room', category: 'spa', tags: ['lobby', 'lift'] },
+    { id: 'spa-4', src: '/images/spa/spa-04-wellness.webp', alt: 'Relaxation Area', category: 'spa', tags: ['lobby', 'plants'] },
 
     // Events
-    { id: 'evt-1', src: '/images/events/events-01-meeting.webp', alt: 'Meeting Setup', category: 'events', featured: true },
-    { id: 'evt-2', src: '/images/events/events-02-celebration.webp', alt: 'Celebration Event', category: 'events' },
-    { id: 'evt-3', src: '/images/events/events-03-wedding.webp', alt: 'Wedding Venue', category: 'events' },
-    { id: 'evt-4', src: '/images/events/events-04-wedding.webp', alt: 'Wedding Details', category: 'events' },
-    { id: 'evt-5', src: '/images/events/events-05-meeting.webp', alt: 'Conference Room', category: 'events' },
+    { id: 'evt-1', src: '/images/events/events-01-meeting.webp', alt: 'Meeting Setup', category: 'events', tags: ['lobby', 'artwork'], featured: true },
+    { id: 'evt-2', src: '/images/events/events-02-celebration.webp', alt: 'Celebration Event', category: 'events', tags: ['lounge', 'artwork', 'feature-wall'] },
+    { id: 'evt-3', src: '/images/events/events-03-wedding.webp', alt: 'Wedding Venue', category: 'events', tags: ['lounge', 'plants'] },
+    { id: 'evt-4', src: '/images/events/events-04-wedding.webp', alt: 'Wedding Details', category: 'events', tags: ['bedroom', 'feature-wall'] },
+    { id: 'evt-5', src: '/images/events/events-05-meeting.webp', alt: 'Conference Room', category: 'events', tags: ['bedroom', 'bathroom'] },
 ];
 
 /**
@@ -304,6 +269,33 @@ export const GALLERY_IMAGES = [
  */
 export const WHATSAPP_LINK = 'https://wa.me/923166268625';
 
+/**
+ * Reservations email address.
+ * @type {string}
+ */
+export const CONTACT_EMAIL = 'AndalusianCastleSuite@gmail.com';
+
+/**
+ * Reception phone number, also used for WhatsApp.
+ * @type {string}
+ */
+export const CONTACT_PHONE = '+92 316 6268625';
+
+/**
+ * Hotel address and map position. Lahore keeps UTC+5 all year.
+ * @type {{street: string, locality: string, region: string, country: string,
+ *   latitude: number, longitude: number, utcOffsetHours: number}}
+ */
+export const HOTEL_LOCATION = {
+    street: 'Plaza 100, Nishtar Block, Sector E',
+    locality: 'Bahria Town',
+    region: 'Lahore, Punjab',
+    country: 'PK',
+    latitude: 31.3624,
+    longitude: 74.1815,
+    utcOffsetHours: 5,
+};
+
 /**
  * Hero content configuration.
  * @type {Object}
@@ -321,10 +313,10 @@ export const HERO_CONTENT = {
 
 export default {
     HOTEL_HISTORY,
-    ROOM_DESCRIPTIONS,
     AMENITY_DESCRIPTIONS,
     DINING_DESCRIPTIONS,
     TESTIMONIALS,
+    GALLERY_CATEGORY_LABELS,
     GALLERY_IMAGES,
     HERO_CONTENT,
 };
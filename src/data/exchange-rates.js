@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Offline exchange-rate table.
+ * Bundled with the build so price conversion never depends on a network call.
+ * Update `RATES_AS_OF` and the values together when refreshing the table.
+ * @version 1.0.0
+ */
+
+/**
+ * Date the rates below were taken.
+ * @type {string}
+ */
+export const RATES_AS_OF = '2026-10-01';
+
+/**
+ * Currencies offered in the switcher, in display order.
+ * `pkrPerUnit` is how many rupees one unit of the currency buys.
+ * @type {Array<{code: string, label: string, pkrPerUnit: number}>}
+ */
+export const CURRENCIES = [
+    { code: 'PKR', label: 'Pakistani Rupee', pkrPerUnit: 1 },
+    { code: 'USD', label: 'US Dollar', pkrPerUnit: 281.5 },
+    { code: 'GBP', label: 'British Pound', pkrPerUnit: 372.4 },
+    { code: 'EUR', label: 'Euro', pkrPerUnit: 326.8 },
+    { code: 'AED', label: 'UAE Dirham', pkrPerUnit: 76.6 },
+    { code: 'CAD', label: 'Canadian Dollar', pkrPerUnit: 202.1 },
+    { code: 'AUD', label: 'Australian Dollar', pkrPerUnit: 184.9 },
+];
+
+/**
+ * Currency every booking is billed in.
+ * @type {string}
+ */
+export const BILLING_CURRENCY = 'PKR';
+
+export default {
+    RATES_AS_OF,
+    CURRENCIES,
+    BILLING_CURRENCY,
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Add-on extras offered with a stay.
+ * Edit this file to add, reprice or retire an extra. Prices are in PKR and
+ * include tax, like the room rates.
+ *
+ * - `unit`: 'stay' charges `price` once per item; 'night' charges it for
+ *   every night of the stay.
+ * - `maxQuantity`: how many a guest can book (1 shows a simple checkbox).
+ * - `includedWith`: optional amenity key; the extra is hidden for
+ *   apartments that already include that amenity.
+ * @version 1.0.0
+ */
+
+/**
+ * @type {Array<{id: string, label: string, description: string, unit: 'stay'|'night',
+ *   price: number, maxQuantity: number, includedWith?: string}>}
+ */
+export const EXTRAS = [
+    {
+        id: 'airport-pickup',
+        label: 'Airport pickup',
+        description: 'Chauffeur-driven transfer from Allama Iqbal International Airport, per trip.',
+        unit: 'stay',
+        price: 4500,
+        maxQuantity: 2,
+    },
+    {
+        id: 'breakfast',
+        label: 'Breakfast for two',
+        description: 'Continental or desi breakfast served in your apartment each morning.',
+        unit: 'night',
+        price: 2500,
+        maxQuantity: 1,
+        includedWith: 'breakfast',
+    },
+    {
+        id: 'spa-session',
+        label: 'Spa session',
+        description: 'A 60-minute in-apartment massage with one of our therapists.',
+        unit: 'stay',
+        price: 6000,
+        maxQuantity: 4,
+    },
+    {
+        id: 'late-checkout',
+        label: 'Late checkout',
+        description: 'Keep the apartment until 4:00 PM on your departure day.',
+        unit: 'stay',
+        price: 3000,
+        maxQuantity: 1,
+    },
+    {
+        id: 'chauffeur-day',
+        label: 'Private chauffeur',
+        description: 'Car and driver for up to 8 hours within Lahore, per day.',
+        unit: 'stay',
+        price: 12000,
+        maxQuantity: 7,
+    },
+    {
+        id: 'laundry',
+        label: 'Laundry service',
+        description: 'Wash, press and same-day return, per bag.',
+        unit: 'stay',
+        price: 1500,
+        maxQuantity: 5,
+    },
+];
+
+export default {
+    EXTRAS,
+};
@@ -5,3 +5,11 @@
 
 export * from './content';
 export * from './images';
+export * from './rates';
+export * from './exchange-rates';
+export * from './inventory';
+export * from './promo-codes';
+export * from './extras';
+export * from './legal';
+export * from './cancellation';
+export * from './attractions';
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Apartment inventory.
+ * Single source of truth for apartment types, read by the Apartments
+ * cards and detail pages, the Amenities stats, the JSON-LD schema and the
+ * sitemap script. The records live in `inventory.json` so Node scripts can
+ * read them too; `scripts/validate-inventory.js` checks them before every
+ * build. Prices are not stored here; they are derived from `data/rates.js`.
+ * @version 2.1.0
+ */
+
+import inventory from './inventory.json';
+import { summarizeCancellationPolicy } from '../utils/cancellation';
+
+/**
+ * Floor area of an apartment.
+ * @typedef {Object} ApartmentSize
+ * @property {number} value - Area
+ * @property {'sqm'} unit - Unit of area
+ */
+
+/**
+ * Room on a floor plan. Positions and sizes are in metres from the plan's
+ * top-left corner.
+ * @typedef {Object} FloorRoom
+ * @property {string} id - Kebab-case id, unique within the plan
+ * @property {string} name - Display name, e.g. "Bedroom"
+ * @property {number} x - Distance from the left wall
+ * @property {number} y - Distance from the top wall
+ * @property {number} width - Left-to-right size
+ * @property {number} depth - Top-to-bottom size
+ * @property {string} [description] - What the room offers, read to screen readers
+ * @property {string} [photo] - Path of the room's photo in the apartment's `gallery`
+ */
+
+/**
+ * Apartment floor plan. Rooms must not overlap and their areas add up to
+ * the apartment's size.
+ * @typedef {Object} FloorPlan
+ * @property {number} width - Outer width in metres
+ * @property {number} depth - Outer depth in metres
+ * @property {FloorRoom[]} rooms - Rooms, in reading order
+ */
+
+/**
+ * Apartment type record.
+ * @typedef {Object} Apartment
+ * @property {string} id - Stable kebab-case id, used in URLs, rates and availability
+ * @property {string} name - Display name
+ * @property {string} tagline - Short strapline
+ * @property {string} description - One-paragraph summary for cards
+ * @property {string} details - Full description for the detail page (paragraphs separated by blank lines)
+ * @property {string} priceNote - Note shown beside the nightly price
+ * @property {ApartmentSize} size - Floor area
+ * @property {string} bed - Bed type, e.g. "King"
+ * @property {string} view - View description
+ * @property {number} baseOccupancy - Guests included in the nightly rate
+ * @property {number} maxAdults - Most adults the apartment sleeps
+ * @property {number} maxGuests - Maximum occupancy of adults and children (extra beds included)
+ * @property {number} maxInfants - Cots available for infants under 2, who do not count towards occupancy
+ * @property {number} units - Number of apartments of this type in the building
+ * @property {string} image - Card image path under /public
+ * @property {string[]} amenities - Amenity keys from {@link AMENITY_LABELS}
+ * @property {string[]} features - Feature bullet points
+ * @property {string} whatsappMessage - Canned WhatsApp booking message
+ * @property {string[]} gallery - Gallery image paths under /public
+ * @property {import('../components/common/PanoramaViewer').PanoramaScene[]} [panoramas] -
+ *   360° room photos (2:1 equirectangular) for the tour on the detail page;
+ *   the flat gallery is shown when empty or when a photo fails to load.
+ *   Scenes marked `"sample": true` are illustrations, labelled as such
+ * @property {FloorPlan} [floorPlan] - Room layout for the detail page
+ *
+ * @example
+ * // "panoramas" entry in inventory.json: bedroom -> lounge -> bathroom
+ * [
+ *   { "id": "bedroom", "label": "Bedroom", "src": "/images/panoramas/super-luxury/bedroom.webp",
+ *     "hotspots": [{ "scene": "lounge", "yaw": 120, "pitch": -5 }] },
+ *   { "id": "lounge", "label": "Lounge", "src": "/images/panoramas/super-luxury/lounge.webp", "yaw": -30,
+ *     "hotspots": [{ "scene": "bedroom", "yaw": -60, "pitch": -5 }, { "scene": "bathroom", "yaw": 75, "pitch": -8 }] },
+ *   { "id": "bathroom", "label": "Bathroom", "src": "/images/panoramas/super-luxury/bathroom.webp",
+ *     "hotspots": [{ "scene": "lounge", "yaw": 180, "pitch": -5 }] }
+ * ]
+ */
+
+/**
+ * Display labels for apartment amenity keys.
+ * @type {Object<string, string>}
+ */
+export const AMENITY_LABELS = inventory.amenities;
+
+/**
+ * Apartment types offered for booking.
+ * @type {Apartment[]}
+ */
+export const APARTMENTS_DATA = inventory.apartments;
+
+/**
+ * House policies shown on apartment detail pages.
+ * Times match section 3 of the Terms of Service; the 24-hour versions
+ * (hotel local time) are used for calendar exports. The cancellation rule
+ * is worded from `data/cancellation.js`.
+ * @type {Object}
+ */
+export const STAY_POLICIES = {
+    checkIn: '2:00 PM',
+    checkOut: '12:00 PM (Noon)',
+    checkInTime: '14:00',
+    checkOutTime: '12:00',
+    rules: [
+        'Early check-in and late check-out are subject to availability and may incur additional charges.',
+        'Guests must be 18 years or older to make a reservation.',
+        'An advance payment confirms the booking; the balance is due on check-in.',
+        summarizeCancellationPolicy(),
+    ],
+};
+
+/**
+ * Looks up an apartment by id.
+ *
+ * @param {string} id - Apartment id
+ * @returns {Apartment|undefined} Apartment data
+ */
+export function getApartmentById(id) {
+    return APARTMENTS_DATA.find((apartment) => apartment.id === id);
+}
+
+/**
+ * Total number of bookable apartments across all types.
+ *
+ * @returns {number} Unit count
+ */
+export function getTotalUnits() {
+    return APARTMENTS_DATA.reduce((total, apartment) => total + apartment.units, 0);
+}
+
+/**
+ * Formats an apartment's floor area.
+ *
+ * @param {Apartment} apartment - Apartment data
+ * @returns {string} Area such as "55 sqm"
+ */
+export function formatApartmentSize(apartment) {
+    return `${apartment.size.value} ${apartment.size.unit}`;
+}
+
+/**
+ * Formats a floor plan room's dimensions.
+ *
+ * @param {FloorRoom} room - Room
+ * @returns {string} Dimensions such as "3.5 × 3.6 m"
+ */
+export function formatRoomSize(room) {
+    return `${room.width} × ${room.depth} m`;
+}
+
+/**
+ * Floor area of a floor plan room.
+ *
+ * @param {FloorRoom} room - Room
+ * @returns {number} Area in square metres, to one decimal place
+ */
+export function getRoomArea(room) {
+    return Math.round(room.width * room.depth * 10) / 10;
+}
+
+export default {
+    APARTMENTS_DATA,
+    AMENITY_LABELS,
+    STAY_POLICIES,
+    getApartmentById,
+    getTotalUnits,
+    formatApartmentSize,
+    formatRoomSize,
+    getRoomArea,
+};
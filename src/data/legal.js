@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Legal page content.
+ * Privacy Policy, Terms, Cookie Policy and Cancellation Policy text, shared
+ * by the legal modal and the quotation PDF. The standard cancellation terms
+ * are generated from the rules in `data/cancellation.js`.
+ * @version 1.1.0
+ */
+
+import { PEAK_CANCELLATION_NOTE } from './cancellation';
+import { formatCancellationTerms } from '../utils/cancellation';
+
+/**
+ * Legal pages, keyed by page type. `content` is the small Markdown subset
+ * understood by the legal modal: `##`/`###` headings, `- ` bullets and `**bold**`.
+ * @type {Object<string, {title: string, lastUpdated: string, content: string}>}
+ */
+export const LEGAL_CONTENT = {
+    privacy: {
+        title: 'Privacy Policy',
+        lastUpdated: 'January 1, 2026',
+        content: `
+## 1. Information We Collect
+
+Andalusian Castle collects information you provide directly, including:
+- **Personal Information**: Name, email address, phone number, postal address
+- **Reservation Data**: Dates of stay, room preferences, special requests
+- **Payment Information**: Credit card details (processed securely via PCI-compliant partners)
+- **Communication Records**: Correspondence with our team
+
+## 2. How We Use Your Information
+
+We use collected information to:
+- Process and manage your reservations
+- Personalize your experience and preferences
+- Send booking confirmations and service updates
+- Improve our services and facilities
+- Comply with legal obligations
+
+## 3. Information Sharing
+
+We do not sell your personal information. We may share information with:
+- **Service Providers**: Payment processors, email services, booking systems
+- **Legal Requirements**: When required by law or to protect our rights
+- **Business Transfers**: In connection with mergers or acquisitions
+
+## 4. Data Security
+
+We implement industry-standard security measures including:
+- SSL/TLS encryption for data transmission
+- PCI DSS compliant payment processing
+- Regular security audits and monitoring
+- Employee training on data protection
+
+## 5. Your Rights
+
+You have the right to:
+- Access your personal data
+- Request correction of inaccurate data
+- Request deletion of your data
+- Opt-out of marketing communications
+- Lodge a complaint with supervisory authorities
+
+## 6. Data Retention
+
+We retain personal data for:
+- Active bookings: Duration of stay plus 7 years
+- Marketing preferences: Until you unsubscribe
+- Legal requirements: As mandated by law
+
+## 7. Contact Us
+
+For privacy inquiries:
+- Email: AndalusianCastleSuite@gmail.com
+- Phone: +92 316 6268625
+- WhatsApp: +92 316 6268625
+- Address: Plaza 100, Nishtar Block, Sector E, Bahria Town, Lahore, Pakistan
+    `,
+    },
+    terms: {
+        title: 'Terms of Service',
+        lastUpdated: 'January 1, 2026',
+        content: `
+## 1. Acceptance of Terms
+
+By accessing or using the Andalusian Castle website and services, you agree to be bound by these Terms of Service and all applicable laws and regulations.
+
+## 2. Reservations
+
+- **Booking Confirmation**: Reservations are confirmed upon receipt of deposit or full payment as specified.
+- **Rate Guarantee**: Quoted rates are guaranteed once a booking is confirmed.
+- **Minimum Stay**: Some periods may require minimum night stays.
+- **Age Requirement**: Guests must be 18 years or older to make reservations.
+
+## 3. Check-In / Check-Out
+
+- **Check-In Time**: 2:00 PM
+- **Check-Out Time**: 12:00 PM (Noon)
+- **Early Check-In / Late Check-Out**: Subject to availability and may incur additional charges.
+
+## 4. Payment Terms
+
+- **Accepted Methods**: Visa, MasterCard, JazzCash, EasyPaisa, Bank Transfer
+- **Currency**: All prices quoted in Pakistani Rupees (PKR)
+- **Deposit**: Advance payment required at time of booking
+- **Balance**: Remaining balance due upon check-in
+
+## 5. Cancellation Policy
+
+Please refer to our separate Cancellation Policy for detailed terms regarding cancellations and refunds.
+
+## 6. Guest Conduct
+
+Guests are expected to:
+- Respect other guests and staff
+- Comply with hotel rules and policies
+- Refrain from illegal activities on premises
+- Be responsible for any damages to hotel property
+
+## 7. Liability
+
+Andalusian Castle is not liable for:
+- Loss or damage to personal belongings
+- Injury resulting from guest negligence
+- Force majeure events
+
+## 8. Intellectual Property
+
+All content on this website is the property of Andalusian Castle and protected by copyright laws.
+
+## 9. Governing Law
+
+These terms are governed by the laws of Pakistan. Disputes shall be resolved in the courts of Lahore.
+    `,
+    },
+    cookies: {
+        title: 'Cookie Policy',
+        lastUpdated: 'January 1, 2026',
+        content: `
+## What Are Cookies?
+
+Cookies are small text files stored on your device when you visit our website. They help us provide a better browsing experience.
+
+## Types of Cookies We Use
+
+### Essential Cookies
+Required for the website to function properly.
+- Session management
+- Security features
+- Basic functionality
+
+### Analytics Cookies
+Help us understand how visitors use our site.
+- Google Analytics
+- Page view tracking
+- User journey analysis
+
+### Functional Cookies
+Remember your preferences for a personalized experience.
+- Language preferences
+- Display settings
+- Saved form data
+
+### Marketing Cookies
+Used to deliver relevant advertisements.
+- Retargeting campaigns
+- Social media integration
+- Ad effectiveness measurement
+
+## Managing Cookies
+
+You can control cookies through your browser settings:
+- **Chrome**: Settings > Privacy and Security > Cookies
+- **Firefox**: Options > Privacy & Security > Cookies
+- **Safari**: Preferences > Privacy > Cookies
+- **Edge**: Settings > Privacy > Cookies
+
+## Third-Party Cookies
+
+We use services that may set their own cookies:
+- Google Analytics
+- Google Maps
+- Social media plugins
+
+## Cookie Consent
+
+By continuing to use our website, you consent to our use of cookies. You can withdraw consent at any time by adjusting your browser settings.
+
+## Updates to This Policy
+
+We may update this Cookie Policy periodically. The "Last Updated" date reflects the most recent revision.
+
+## Contact
+
+Questions about cookies? Contact AndalusianCastleSuite@gmail.com
+    `,
+    },
+    cancellation: {
+        title: 'Cancellation Policy',
+        lastUpdated: 'January 1, 2026',
+        content: `
+## Standard Cancellation Terms
+
+${formatCancellationTerms()}
+
+### Peak Season & Holidays
+${PEAK_CANCELLATION_NOTE}
+
+## Modifications
+
+### Date Changes
+- Requests must be made at least 3 days before original arrival date
+- Subject to availability
+- Rate differences may apply
+
+### Room Category Changes
+- Upgrades subject to availability
+- Downgrades may incur a fee
+
+## No-Shows
+
+Failure to arrive on the scheduled check-in date without prior notice will result in:
+- Full charge for the first night
+- Cancellation of remaining reservation
+
+## Early Departure
+
+Guests departing earlier than scheduled:
+- Responsible for full reservation amount
+- No refunds for unused nights
+
+## Special Circumstances
+
+We may consider refund requests for:
+- Medical emergencies (with documentation)
+- Death in immediate family
+- Government travel restrictions
+- Natural disasters affecting travel
+
+## Group Bookings
+
+Groups of 5+ rooms have separate cancellation terms provided in the group contract.
+
+## How to Cancel
+
+- **WhatsApp**: +92 316 6268625
+- **Email**: AndalusianCastleSuite@gmail.com
+- **Phone**: +92 316 6268625
+
+Please include your booking confirmation number in all correspondence.
+
+## Travel Insurance
+
+We strongly recommend purchasing travel insurance to protect against unforeseen circumstances.
+    `,
+    },
+};
+
+export default {
+    LEGAL_CONTENT,
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Promo code definitions.
+ * Codes handed out to influencers and corporate partners. Edit this file to
+ * add or retire a code; codes are matched case-insensitively.
+ *
+ * - `type`: 'percent' takes `value`% off the room total; 'fixed' takes
+ *   `value` PKR off the stay (never more than the room total).
+ * - `start`/`end`: optional window for the check-in date, end exclusive.
+ * - `minNights`: optional minimum stay length.
+ * - `apartmentIds`: optional list of apartments the code is valid for
+ *   (omit for all apartments).
+ * @version 1.0.0
+ */
+
+/**
+ * @type {Array<{code: string, label: string, type: 'percent'|'fixed', value: number,
+ *   start?: string, end?: string, minNights?: number, apartmentIds?: string[]}>}
+ */
+export const PROMO_CODES = [
+    {
+        code: 'LAHORELOVE10',
+        label: 'Influencer partner discount',
+        type: 'percent',
+        value: 10,
+        start: '2026-10-01',
+        end: '2027-04-01',
+    },
+    {
+        code: 'CORPORATE5K',
+        label: 'Corporate partner rate',
+        type: 'fixed',
+        value: 5000,
+        minNights: 3,
+    },
+    {
+        code: 'SHAADI15',
+        label: 'Wedding guest discount',
+        type: 'percent',
+        value: 15,
+        start: '2026-11-15',
+        end: '2027-03-01',
+        minNights: 2,
+        apartmentIds: ['super-luxury-apartment-55'],
+    },
+];
+
+export default {
+    PROMO_CODES,
+};
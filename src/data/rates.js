@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Apartment rate tables.
+ * Numeric source of truth for nightly pricing. All amounts are in PKR and
+ * every displayed price, badge and total is derived from these values by
+ * `utils/pricing.js`.
+ * @version 1.0.0
+ */
+
+/**
+ * Rack (undiscounted) nightly rate per apartment id.
+ * @type {Object<string, number>}
+ */
+export const BASE_RATES = {
+    'luxury-apartment-40': 10000,
+    'super-luxury-apartment-55': 12500,
+};
+
+/**
+ * Seasonal periods. `adjustment` is a percentage applied to the rack rate for
+ * nights from `start` up to, but not including, `end`. When periods overlap
+ * the highest adjustment applies.
+ * @type {Array<{id: string, name: string, start: string, end: string, adjustment: number}>}
+ */
+export const SEASONS = [
+    { id: 'wedding-season-2026', name: 'Wedding Season', start: '2026-11-15', end: '2027-01-01', adjustment: 15 },
+    { id: 'new-year-2027', name: 'New Year', start: '2026-12-30', end: '2027-01-02', adjustment: 25 },
+    { id: 'wedding-season-2027', name: 'Wedding Season', start: '2027-02-01', end: '2027-03-01', adjustment: 15 },
+    { id: 'eid-ul-fitr-2027', name: 'Eid ul-Fitr', start: '2027-03-08', end: '2027-03-13', adjustment: 20 },
+    { id: 'eid-ul-adha-2027', name: 'Eid ul-Adha', start: '2027-05-15', end: '2027-05-20', adjustment: 20 },
+    { id: 'independence-day-2027', name: 'Independence Day', start: '2027-08-13', end: '2027-08-16', adjustment: 15 },
+];
+
+/**
+ * Weekend surcharge. `nights` are day-of-week indexes (0 = Sunday) of the
+ * night being stayed, so Friday and Saturday nights carry the surcharge.
+ * @type {{nights: number[], percent: number}}
+ */
+export const WEEKEND_SURCHARGE = {
+    nights: [5, 6],
+    percent: 10,
+};
+
+/**
+ * Promotions. A promotion applies to a night when the apartment is listed
+ * and the night falls within the optional `start`/`end` window. Each takes
+ * either a `percent` off, or a `rate` that pins the promotional price of a
+ * plain night (no season or weekend) to a published figure; adjusted nights
+ * are then discounted in the same proportion, and the advertised discount
+ * is derived from the rate. Only the best promotion is applied to each night.
+ * @type {Array<{id: string, label: string, percent?: number, rate?: number, apartmentIds: string[],
+ *   start?: string, end?: string}>}
+ */
+export const PROMOTIONS = [
+    { id: 'opening-luxury', label: 'Opening Offer', percent: 25, apartmentIds: ['luxury-apartment-40'] },
+    { id: 'opening-super-luxury', label: 'Opening Offer', rate: 8800, apartmentIds: ['super-luxury-apartment-55'] },
+];
+
+/**
+ * Length-of-stay tiers. When a stay reaches `minNights`, `percent` is taken
+ * off the room total (after seasonal, weekend and promotion pricing). Only
+ * the highest tier reached applies.
+ * @type {Array<{id: string, label: string, minNights: number, percent: number}>}
+ */
+export const LENGTH_OF_STAY_TIERS = [
+    { id: 'weekly', label: 'Weekly rate', minNights: 7, percent: 10 },
+    { id: 'monthly', label: 'Monthly rate', minNights: 28, percent: 25 },
+];
+
+/**
+ * Nightly charges for each guest beyond an apartment's `baseOccupancy`
+ * (see `data/inventory.json`). Every extra guest takes an extra bed;
+ * children are aged 2–11, and infants under 2 stay free in a cot.
+ * @type {{label: string, adult: number, child: number}}
+ */
+export const EXTRA_GUEST_CHARGES = {
+    label: 'Extra bed',
+    adult: 2500,
+    child: 1500,
+};
+
+/**
+ * Tax applied to stays. Published rates are tax-inclusive, so quotes show the
+ * tax contained in the total rather than adding it on top.
+ * @type {{label: string, percent: number, inclusive: boolean}}
+ */
+export const TAX = {
+    label: 'Punjab sales tax on services',
+    percent: 16,
+    inclusive: true,
+};
+
+/**
+ * Nightly rates are rounded to this step (PKR) after adjustments.
+ * @constant {number}
+ */
+export const RATE_ROUNDING = 50;
+
+export default {
+    BASE_RATES,
+    SEASONS,
+    WEEKEND_SURCHARGE,
+    PROMOTIONS,
+    LENGTH_OF_STAY_TIERS,
+    EXTRA_GUEST_CHARGES,
+    TAX,
+    RATE_ROUNDING,
+};
@@ -6,3 +6,6 @@
 
 export { default as useScrollAnimation } from './useScrollAnimation';
 export { default as useScrollPosition } from './useScrollPosition';
+export { default as useCurrency } from './useCurrency';
+export { default as useRoute } from './useRoute';
+export { default as useLocationSearch } from './useLocationSearch';
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Custom hook for the visitor's display currency.
+ * The choice is shared by every component on the page and remembered in
+ * localStorage between visits.
+ * @version 1.0.0
+ */
+
+import { useCallback, useSyncExternalStore } from 'react';
+import { BILLING_CURRENCY } from '../data/exchange-rates';
+import { isSupportedCurrency } from '../utils/currency';
+
+/**
+ * localStorage key for the saved currency.
+ * @constant {string}
+ */
+const STORAGE_KEY = 'andalusian-castle:currency';
+
+/**
+ * Subscribed listeners, notified whenever the currency changes.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Reads the saved currency, falling back to PKR.
+ * @returns {string} Currency code
+ */
+function readStoredCurrency() {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        return saved && isSupportedCurrency(saved) ? saved : BILLING_CURRENCY;
+    } catch (e) {
+        // Storage can be unavailable (private mode, disabled cookies)
+        return BILLING_CURRENCY;
+    }
+}
+
+let currentCurrency = typeof window === 'undefined' ? BILLING_CURRENCY : readStoredCurrency();
+
+/**
+ * Subscribes to currency changes, including changes made in other tabs.
+ * @param {Function} listener - Change callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(listener) {
+    const handleStorage = (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        currentCurrency = readStoredCurrency();
+        listener();
+    };
+
+    listeners.add(listener);
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener('storage', handleStorage);
+    };
+}
+
+/**
+ * Custom hook for reading and changing the display currency.
+ *
+ * @returns {[string, (code: string) => void]} Current currency code and setter
+ *
+ * @example
+ * const [currency, setCurrency] = useCurrency();
+ * return <span>{formatPrice(7500, currency)}</span>;
+ */
+function useCurrency() {
+    const currency = useSyncExternalStore(
+        subscribe,
+        () => currentCurrency,
+        () => BILLING_CURRENCY
+    );
+
+    const setCurrency = useCallback((code) => {
+        if (!isSupportedCurrency(code) || code === currentCurrency) return;
+        currentCurrency = code;
+
+        try {
+            window.localStorage.setItem(STORAGE_KEY, code);
+        } catch (e) {
+            // Choice still applies for this visit
+        }
+
+        listeners.forEach((listener) => listener());
+    }, []);
+
+    return [currency, setCurrency];
+}
+
+export default useCurrency;
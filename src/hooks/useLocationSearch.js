@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Custom hook for the current query string.
+ * Re-renders on in-app navigation and browser back/forward.
+ * @version 1.0.0
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getCurrentSearch, subscribeToPath } from '../utils/routes';
+
+/**
+ * Custom hook returning the current query string.
+ *
+ * @returns {string} Current search, including the leading "?"
+ *
+ * @example
+ * const search = useLocationSearch();
+ * const { photoId } = parseGalleryView(search);
+ */
+function useLocationSearch() {
+    return useSyncExternalStore(subscribeToPath, getCurrentSearch, () => '');
+}
+
+export default useLocationSearch;
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Custom hook for the current route.
+ * Re-renders on in-app navigation and browser back/forward.
+ * @version 1.0.0
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getCurrentPath, subscribeToPath } from '../utils/routes';
+
+/**
+ * Custom hook returning the current pathname.
+ *
+ * @returns {string} Current pathname
+ *
+ * @example
+ * const path = useRoute();
+ * const apartmentId = matchApartmentPath(path);
+ */
+function useRoute() {
+    return useSyncExternalStore(subscribeToPath, getCurrentPath, () => '/');
+}
+
+export default useRoute;
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Tour Guide filters.
+ * Builds the Tour Guide's filter chips from the attraction tags, grouped
+ * into families, and applies a selection of families, a distance limit and
+ * a sort order. Distances and drive times are computed from the hotel's
+ * coordinates and checked against the hand-typed legacy values.
+ * @version 1.1.0
+ */
+
+import { ATTRACTION_FAMILIES, DRIVE_SPEED_MODEL } from '../data/attractions';
+import { HOTEL_LOCATION } from '../data/content';
+import { getDistanceKm, estimateDriveMinutes, getDriveMinutesRange } from './travel';
+
+/**
+ * Tour Guide filter selection.
+ * @typedef {Object} AttractionFilter
+ * @property {string[]} families - Family ids to show (all when empty)
+ * @property {number} maxDistance - Furthest straight-line distance from the hotel, in km
+ * @property {'suggested'|'time'} sort - Data order, or shortest drive first
+ */
+
+/**
+ * How far a computed value may stray from its legacy string, as a ratio
+ * either way, before it is flagged. Gaps below `km` or `minutes` are
+ * never flagged, so short hops are not flagged for rounding.
+ * @constant {{ratio: number, km: number, minutes: number}}
+ */
+const LEGACY_TOLERANCE = { ratio: 1.5, km: 3, minutes: 10 };
+
+/**
+ * Sort orders offered by the Tour Guide.
+ * @constant {Array<{id: string, label: string}>}
+ */
+export const ATTRACTION_SORTS = [
+    { id: 'suggested', label: 'Suggested order' },
+    { id: 'time', label: 'Shortest drive first' },
+];
+
+/**
+ * Family id for each tag.
+ * @type {Map<string, string>}
+ */
+const FAMILY_BY_TAG = new Map(
+    ATTRACTION_FAMILIES.flatMap((family) => family.tags.map((tag) => [tag, family.id])),
+);
+
+/**
+ * Kebab-case id for a tag outside every family.
+ * @param {string} tag - Tag, e.g. "Rooftop Views"
+ * @returns {string} Id such as "rooftop-views"
+ */
+function slugify(tag) {
+    return tag.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Family an attraction belongs to. Tags outside every family form a family
+ * of their own, so new tags still get a chip.
+ *
+ * @param {import('../data/attractions').Attraction} attraction - Attraction
+ * @returns {string} Family id
+ */
+export function getAttractionFamily(attraction) {
+    return FAMILY_BY_TAG.get(attraction.tag) || slugify(attraction.tag);
+}
+
+/**
+ * Straight-line distance of an attraction from the hotel.
+ *
+ * @param {import('../data/attractions').Attraction} attraction - Attraction
+ * @returns {number} Kilometres
+ */
+export function getAttractionDistance(attraction) {
+    return getDistanceKm(HOTEL_LOCATION, attraction);
+}
+
+/**
+ * Estimated drive time from the hotel.
+ *
+ * @param {import('../data/attractions').Attraction} attraction - Attraction
+ * @param {Date} [date=new Date()] - Departure time
+ * @returns {number} Minutes
+ */
+export function getAttractionMinutes(attraction, date = new Date()) {
+    return estimateDriveMinutes(getAttractionDistance(attraction), date);
+}
+
+/**
+ * Reads the numbers out of a legacy string. Ranges such as "35–40 min"
+ * count as their midpoint.
+ * @param {string} text - Legacy value
+ * @returns {number} Number, or NaN when there is none
+ */
+function parseLegacyValue(text) {
+    const [from, to = from] = (text.match(/\d+(\.\d+)?/g) || []).map(Number);
+    return (from + to) / 2;
+}
+
+/**
+ * Checks whether a computed value is far from a legacy one.
+ * @param {number} computed - Computed value
+ * @param {number} legacy - Legacy value
+ * @param {number} minGap - Smallest gap worth flagging
+ * @returns {boolean} True when the two differ wildly
+ */
+function isFarApart(computed, legacy, minGap) {
+    if (!Number.isFinite(legacy)) return false;
+    const ratio = Math.max(computed, legacy) / Math.max(Math.min(computed, legacy), 1e-9);
+    return Math.abs(computed - legacy) > minGap && ratio > LEGACY_TOLERANCE.ratio;
+}
+
+/**
+ * Compares an attraction's computed distance and drive time with its
+ * hand-typed `distance` and `time`. The legacy distance is by road, so it
+ * is compared with the straight line stretched by the speed model's road
+ * factor; the legacy time is compared with the day's range of estimates.
+ *
+ * @param {import('../data/attractions').Attraction} attraction - Attraction
+ * @returns {{distance: boolean, time: boolean}} Which values differ wildly
+ */
+export function getLegacyMismatch(attraction) {
+    const km = getAttractionDistance(attraction);
+    const legacyMinutes = parseLegacyValue(attraction.time);
+    const { min, max } = getDriveMinutesRange(km);
+    const nearest = Math.min(Math.max(legacyMinutes, min), max);
+
+    return {
+        distance: isFarApart(km * DRIVE_SPEED_MODEL.roadFactor, parseLegacyValue(attraction.distance), LEGACY_TOLERANCE.km),
+        time: isFarApart(nearest, legacyMinutes, LEGACY_TOLERANCE.minutes),
+    };
+}
+
+/**
+ * Furthest attraction, rounded up to a whole kilometre, for the top of the
+ * distance slider.
+ *
+ * @param {import('../data/attractions').Attraction[]} attractions - Attractions
+ * @returns {number} Kilometres
+ */
+export function getMaxAttractionDistance(attractions) {
+    return Math.ceil(Math.max(0, ...attractions.map(getAttractionDistance)));
+}
+
+/**
+ * Lists the families found in the attractions, in ATTRACTION_FAMILIES
+ * order. Counts are the attractions within the distance limit.
+ *
+ * @param {import('../data/attractions').Attraction[]} attractions - Attractions
+ * @param {AttractionFilter} filter - Current selection
+ * @returns {Array<{id: string, label: string, count: number}>} Families with counts
+ */
+export function getAttractionFamilies(attractions, filter) {
+    const nearby = attractions.filter((attraction) => getAttractionDistance(attraction) <= filter.maxDistance);
+    const labels = new Map(ATTRACTION_FAMILIES.map((family) => [family.id, family.label]));
+    attractions.forEach((attraction) => {
+        const id = getAttractionFamily(attraction);
+        if (!labels.has(id)) labels.set(id, attraction.tag);
+    });
+
+    return [...labels]
+        .filter(([id]) => attractions.some((attraction) => getAttractionFamily(attraction) === id))
+        .map(([id, label]) => ({
+            id,
+            label,
+            count: nearby.filter((attraction) => getAttractionFamily(attraction) === id).length,
+        }));
+}
+
+/**
+ * Applies a filter selection.
+ *
+ * @param {import('../data/attractions').Attraction[]} attractions - Attractions
+ * @param {AttractionFilter} filter - Filter selection
+ * @returns {import('../data/attractions').Attraction[]} Matching attractions,
+ *   sorted; ties keep the data order
+ */
+export function filterAttractions(attractions, { families, maxDistance, sort }) {
+    const matches = attractions.filter((attraction) => (
+        getAttractionDistance(attraction) <= maxDistance
+        && (families.length === 0 || families.includes(getAttractionFamily(attraction)))
+    ));
+    if (sort !== 'time') return matches;
+
+    return matches.sort((a, b) => (
+        getAttractionMinutes(a) - getAttractionMinutes(b)
+        || getAttractionDistance(a) - getAttractionDistance(b)
+    ));
+}
+
+export default {
+    ATTRACTION_SORTS,
+    getAttractionFamily,
+    getAttractionDistance,
+    getAttractionMinutes,
+    getLegacyMismatch,
+    getMaxAttractionDistance,
+    getAttractionFamilies,
+    filterAttractions,
+};
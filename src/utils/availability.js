@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Apartment availability lookups.
+ * Reads blocked date ranges from `data/availability.json`. Each range blocks
+ * the nights from `start` up to, but not including, `end` (the check-out day),
+ * matching the all-day event convention used by iCalendar feeds. Ranges
+ * imported with `scripts/import-ical.js` carry an `ical:<file>` source.
+ * @version 1.0.0
+ */
+
+import AVAILABILITY from '../data/availability.json';
+import { eachNight } from './dateUtils';
+
+/**
+ * Returns the blocked ranges for an apartment.
+ *
+ * @param {string} apartmentId - Apartment id from the apartment data
+ * @returns {Array<{start: string, end: string, source: string}>} Blocked ranges
+ */
+export function getBlockedRanges(apartmentId) {
+    return AVAILABILITY.apartments[apartmentId] || [];
+}
+
+/**
+ * Checks whether a single night is unavailable.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} night - Date the night starts (YYYY-MM-DD)
+ * @returns {boolean} True when the night is booked or blocked
+ *
+ * @example
+ * isNightBlocked('luxury-apartment-40', '2026-12-25'); // true
+ */
+export function isNightBlocked(apartmentId, night) {
+    // ISO date strings compare correctly as plain strings
+    return getBlockedRanges(apartmentId).some(
+        (range) => night >= range.start && night < range.end
+    );
+}
+
+/**
+ * Checks whether every night of a stay is free.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} checkIn - Check-in date
+ * @param {string} checkOut - Check-out date
+ * @returns {boolean} True when the full range can be booked
+ */
+export function isRangeAvailable(apartmentId, checkIn, checkOut) {
+    const nights = eachNight(checkIn, checkOut);
+    if (nights.length === 0) return false;
+    return nights.every((night) => !isNightBlocked(apartmentId, night));
+}
+
+/**
+ * Finds the first blocked night on or after a date. A stay starting on
+ * `from` can check out no later than this date.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} from - Date to search from (YYYY-MM-DD)
+ * @returns {string|null} First blocked night, or null if none is scheduled
+ */
+export function getNextBlockedNight(apartmentId, from) {
+    const upcoming = getBlockedRanges(apartmentId)
+        .filter((range) => range.end > from)
+        .map((range) => (range.start > from ? range.start : from))
+        .sort();
+    return upcoming[0] || null;
+}
+
+export default {
+    getBlockedRanges,
+    isNightBlocked,
+    isRangeAvailable,
+    getNextBlockedNight,
+};
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Calendar export.
+ * Builds iCalendar (RFC 5545) files and Google/Outlook "add event" links
+ * so guests can keep their stay dates and sightseeing plans in their own
+ * calendar. Everything runs in the browser; no server is involved.
+ * @version 1.1.1
+ */
+
+import {
+    CONTACT_EMAIL, CONTACT_PHONE, HOTEL_LOCATION, WHATSAPP_LINK,
+} from '../data/content';
+import { STAY_POLICIES } from '../data/inventory';
+import { formatNights, nightsBetween, parseISODate } from './dateUtils';
+import { formatParty } from './occupancy';
+import { downloadBlob } from './download';
+import { formatDistance, formatDriveTime } from './travel';
+
+/**
+ * Product identifier written into every calendar file.
+ * @constant {string}
+ */
+const PRODUCT_ID = '-//Andalusian Castle//Booking Request//EN';
+
+/**
+ * Domain used for event UIDs.
+ * @constant {string}
+ */
+const UID_DOMAIN = 'andalusiancastle.com';
+
+/**
+ * Longest content line allowed before folding, in octets.
+ * @constant {number}
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Calendar event shared by the iCalendar file and the calendar links.
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Stable unique id
+ * @property {Date} start - Start time
+ * @property {Date} end - End time
+ * @property {string} summary - Title
+ * @property {string} description - Plain-text details
+ * @property {string} location - Address
+ * @property {{latitude: number, longitude: number}} [geo] - Map position
+ * @property {number} [reminderMinutes] - Minutes before start for a reminder
+ */
+
+/**
+ * Hotel address on one line.
+ * @returns {string} Address such as "Plaza 100, Nishtar Block, Sector E, Bahria Town, Lahore, Punjab, Pakistan"
+ */
+export function getHotelAddress() {
+    return `${HOTEL_LOCATION.street}, ${HOTEL_LOCATION.locality}, ${HOTEL_LOCATION.region}, Pakistan`;
+}
+
+/**
+ * Converts a hotel-local date and time to an absolute time.
+ *
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @param {string} time - Local time in HH:MM (24-hour) format
+ * @returns {Date} The matching instant
+ *
+ * @example
+ * toHotelTime('2026-11-12', '14:00').toISOString(); // '2026-11-12T09:00:00.000Z'
+ */
+export function toHotelTime(iso, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = parseISODate(iso);
+    date.setUTCHours(hours - HOTEL_LOCATION.utcOffsetHours, minutes, 0, 0);
+    return date;
+}
+
+/**
+ * Builds the calendar event for a requested stay.
+ *
+ * @param {Object} stay - Stay details
+ * @param {string} stay.apartmentId - Apartment id
+ * @param {string} stay.apartmentName - Apartment name
+ * @param {string} stay.checkIn - Check-in date
+ * @param {string} stay.checkOut - Check-out date
+ * @param {Object} [stay.party] - Guest party
+ * @param {string} [stay.guestName] - Lead guest name
+ * @returns {CalendarEvent} Event from check-in time to check-out time
+ */
+export function buildStayEvent({
+    apartmentId, apartmentName, checkIn, checkOut, party, guestName,
+}) {
+    const description = [
+        `${apartmentName}, ${formatNights(nightsBetween(checkIn, checkOut))}`,
+        party ? `Guests: ${formatParty(party)}` : null,
+        guestName ? `Name: ${guestName}` : null,
+        '',
+        `Check-in from ${STAY_POLICIES.checkIn}`,
+        `Check-out by ${STAY_POLICIES.checkOut}`,
+        '',
+        `Phone: ${CONTACT_PHONE}`,
+        `WhatsApp: ${WHATSAPP_LINK}`,
+        `Email: ${CONTACT_EMAIL}`,
+        '',
+        'Booking request sent. Reception will confirm availability and payment details.',
+    ].filter((line) => line !== null).join('\n');
+
+    return {
+        uid: `stay-${apartmentId}-${checkIn}-${checkOut}@${UID_DOMAIN}`,
+        start: toHotelTime(checkIn, STAY_POLICIES.checkInTime),
+        end: toHotelTime(checkOut, STAY_POLICIES.checkOutTime),
+        summary: `Stay at Andalusian Castle – ${apartmentName}`,
+        description,
+        location: `Andalusian Castle, ${getHotelAddress()}`,
+        geo: { latitude: HOTEL_LOCATION.latitude, longitude: HOTEL_LOCATION.longitude },
+        reminderMinutes: 24 * 60,
+    };
+}
+
+/**
+ * Builds one calendar event per stop of a day itinerary, from arrival to
+ * departure. The first stop reminds the guest in time to set off.
+ *
+ * @param {import('./itinerary').Itinerary} plan - Plan from `planItinerary`
+ * @returns {CalendarEvent[]} Events in route order
+ */
+export function buildItineraryEvents(plan) {
+    return plan.stops.map((stop, index) => {
+        const from = index === 0 ? 'Andalusian Castle' : plan.stops[index - 1].attraction.name;
+        const next = plan.stops[index + 1]?.attraction.name || 'Andalusian Castle';
+
+        return {
+            uid: `itinerary-${plan.date}-${index + 1}-${stop.attraction.id}@${UID_DOMAIN}`,
+            start: stop.arriveAt,
+            end: stop.leaveAt,
+            summary: `${index + 1}. ${stop.attraction.name}`,
+            description: [
+                stop.attraction.desc,
+                '',
+                `${formatDriveTime(stop.travelMinutes)} drive from ${from} (${formatDistance(stop.km)})`,
+                `Then on to ${next}`,
+                '',
+                'Day plan from the Andalusian Castle Tour Guide. Drive times are estimates.',
+            ].join('\n'),
+            location: `${stop.attraction.name}, ${stop.attraction.locality}, Pakistan`,
+            geo: { latitude: stop.attraction.latitude, longitude: stop.attraction.longitude },
+            reminderMinutes: index === 0 ? stop.travelMinutes + 15 : undefined,
+        };
+    });
+}
+
+/**
+ * Formats a time as an iCalendar UTC date-time.
+ * @param {Date} date - Time
+ * @returns {string} Value such as "20261112T090000Z"
+ */
+function formatICSDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes a TEXT property value.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Counts the UTF-8 octets of a character.
+ * @param {string} char - Single code point
+ * @returns {number} Octet count
+ */
+function octetLength(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Folds a content line so no line exceeds 75 octets, without splitting
+ * a multi-byte character.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line(s), joined with CRLF + space
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = octetLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar file.
+ *
+ * @param {CalendarEvent[]} events - Events to include
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Time stamp for DTSTAMP (defaults to now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function createICS(events, { now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ];
+
+    events.forEach((event) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatICSDate(now)}`,
+            `DTSTART:${formatICSDate(event.start)}`,
+            `DTEND:${formatICSDate(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `DESCRIPTION:${escapeText(event.description)}`,
+            `LOCATION:${escapeText(event.location)}`
+        );
+        if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+        lines.push('STATUS:TENTATIVE', 'TRANSP:OPAQUE');
+        if (event.reminderMinutes) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(event.summary)}`,
+                `TRIGGER:-PT${event.reminderMinutes}M`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Offers an iCalendar file as a download.
+ *
+ * @param {string} filename - File name, e.g. "andalusian-castle-stay.ics"
+ * @param {string} ics - Text from `createICS`
+ */
+export function downloadICS(filename, ics) {
+    downloadBlob(filename, new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+}
+
+/**
+ * Builds a Google Calendar "add event" link.
+ *
+ * @param {CalendarEvent} event - Event
+ * @returns {string} Google Calendar URL
+ */
+export function getGoogleCalendarLink(event) {
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: event.summary,
+        dates: `${formatICSDate(event.start)}/${formatICSDate(event.end)}`,
+        details: event.description,
+        location: event.location,
+    });
+    return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
+
+/**
+ * Builds an Outlook.com calendar "add event" link.
+ *
+ * @param {CalendarEvent} event - Event
+ * @returns {string} Outlook calendar URL
+ */
+export function getOutlookCalendarLink(event) {
+    const params = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: event.summary,
+        startdt: event.start.toISOString(),
+        enddt: event.end.toISOString(),
+        body: event.description,
+        location: event.location,
+    });
+    return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+}
+
+export default {
+    getHotelAddress,
+    toHotelTime,
+    buildStayEvent,
+    buildItineraryEvents,
+    createICS,
+    downloadICS,
+    getGoogleCalendarLink,
+    getOutlookCalendarLink,
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Cancellation refunds.
+ * Applies the rules in `data/cancellation.js` to a stay: what a guest gets
+ * back for cancelling on a given day, the refund schedule up to check-in,
+ * and the policy wording used by the legal text and house rules.
+ * @version 1.0.0
+ */
+
+import { CANCELLATION_RATE_PLANS, DEFAULT_RATE_PLAN } from '../data/cancellation';
+import { addDays, parseISODate, todayISO } from './dateUtils';
+
+/**
+ * Milliseconds in one day.
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a fee the way the legal text states amounts.
+ * @param {number} amount - Amount in PKR
+ * @returns {string} Text such as "PKR 5,000"
+ */
+function formatFee(amount) {
+    return `PKR ${amount.toLocaleString('en-US')}`;
+}
+
+/**
+ * Looks up a rate plan's rules.
+ *
+ * @param {string} [ratePlan] - Rate plan id (defaults to the rate quoted online)
+ * @returns {{label: string, tiers: import('../data/cancellation').CancellationTier[], notes?: string[]}} Rate plan
+ */
+export function getRatePlan(ratePlan = DEFAULT_RATE_PLAN) {
+    return CANCELLATION_RATE_PLANS[ratePlan] || CANCELLATION_RATE_PLANS[DEFAULT_RATE_PLAN];
+}
+
+/**
+ * Counts calendar days from a cancellation date to check-in.
+ *
+ * @param {string} date - Cancellation date
+ * @param {string} checkIn - Check-in date
+ * @returns {number} Days before arrival (0 on the check-in day, negative after it)
+ */
+export function getDaysBeforeArrival(date, checkIn) {
+    return Math.round((parseISODate(checkIn) - parseISODate(date)) / DAY_MS);
+}
+
+/**
+ * Finds the tier that applies a number of days before arrival.
+ *
+ * @param {number} daysBefore - Days before check-in
+ * @param {string} [ratePlan] - Rate plan id
+ * @returns {import('../data/cancellation').CancellationTier|null} Tier, or null
+ *   once the stay has started (no-shows and early departures are not refunds)
+ */
+export function getCancellationTier(daysBefore, ratePlan) {
+    if (daysBefore < 0) return null;
+    return getRatePlan(ratePlan).tiers.find((tier) => daysBefore >= tier.minDaysBefore) || null;
+}
+
+/**
+ * Works out the refund for cancelling a stay on a given day.
+ *
+ * @param {number} total - Quote total in PKR
+ * @param {string} date - Cancellation date
+ * @param {string} checkIn - Check-in date
+ * @param {Object} [options] - Options
+ * @param {string} [options.ratePlan] - Rate plan id
+ * @returns {{daysBefore: number, tier: Object, amount: number}|null} Refund in PKR,
+ *   or null when the date is after check-in
+ *
+ * @example
+ * getRefund(36750, '2026-10-28', '2026-11-01'); // { daysBefore: 4, tier: {...}, amount: 18375 }
+ */
+export function getRefund(total, date, checkIn, { ratePlan } = {}) {
+    const daysBefore = getDaysBeforeArrival(date, checkIn);
+    const tier = getCancellationTier(daysBefore, ratePlan);
+    if (!tier) return null;
+
+    const amount = Math.max(0, Math.round((total * tier.refundPercent) / 100) - tier.fee);
+    return { daysBefore, tier, amount };
+}
+
+/**
+ * Lists what a guest would get back for cancelling on each day from `from`
+ * up to check-in, grouped into runs of days with the same refund.
+ *
+ * @param {number} total - Quote total in PKR
+ * @param {string} checkIn - Check-in date
+ * @param {Object} [options] - Options
+ * @param {string} [options.from] - First possible cancellation date (defaults to today)
+ * @param {string} [options.ratePlan] - Rate plan id
+ * @returns {Array<{from: string, to: string, tier: Object, amount: number}>}
+ *   Periods in date order; `to` is the last day of the period (inclusive)
+ */
+export function getRefundSchedule(total, checkIn, { from = todayISO(), ratePlan } = {}) {
+    const { tiers } = getRatePlan(ratePlan);
+
+    return tiers
+        .map((tier, index) => {
+            // Each tier ends where the previous (earlier) tier's window begins
+            const start = index === 0 ? from : addDays(checkIn, -(tiers[index - 1].minDaysBefore - 1));
+            const end = addDays(checkIn, -tier.minDaysBefore);
+            return {
+                from: start < from ? from : start,
+                to: end,
+                tier,
+                amount: getRefund(total, end, checkIn, { ratePlan }).amount,
+            };
+        })
+        .filter((period) => period.from <= period.to);
+}
+
+/**
+ * Describes the window a tier covers.
+ *
+ * @param {string} [ratePlan] - Rate plan id
+ * @param {number} index - Tier index in the rate plan
+ * @returns {string} Text such as "7+ days before arrival", "3-6 days before arrival" or "Same day"
+ */
+export function describeTierWindow(ratePlan, index) {
+    const { tiers } = getRatePlan(ratePlan);
+    const { minDaysBefore } = tiers[index];
+    if (index === 0) return minDaysBefore === 0 ? 'Any time' : `${minDaysBefore}+ days before arrival`;
+
+    const maxDaysBefore = tiers[index - 1].minDaysBefore - 1;
+    if (maxDaysBefore === 0) return 'Same day';
+    if (maxDaysBefore === minDaysBefore) return `${minDaysBefore} day${minDaysBefore === 1 ? '' : 's'} before arrival`;
+    return `${minDaysBefore}-${maxDaysBefore} days before arrival`;
+}
+
+/**
+ * Describes what a tier refunds.
+ *
+ * @param {import('../data/cancellation').CancellationTier} tier - Tier
+ * @returns {string} Text such as "Full refund minus PKR 5,000 processing fee" or "50% refund"
+ */
+export function describeTierRefund(tier) {
+    if (tier.refundPercent === 0) return 'No refund';
+
+    const refund = tier.refundPercent === 100 ? 'Full refund' : `${tier.refundPercent}% refund`;
+    return tier.fee > 0 ? `${refund} minus ${formatFee(tier.fee)} processing fee` : refund;
+}
+
+/**
+ * Writes the standard cancellation terms in the legal modal's Markdown subset.
+ *
+ * @returns {string} One `###` section per rate plan
+ */
+export function formatCancellationTerms() {
+    return Object.keys(CANCELLATION_RATE_PLANS).map((id) => {
+        const plan = CANCELLATION_RATE_PLANS[id];
+        const [first] = plan.tiers;
+        const bullets = plan.tiers.length === 1 && first.minDaysBefore === 0
+            ? [`${first.refundPercent === 0 ? 'No refunds' : describeTierRefund(first)} for cancellations at any time`]
+            : plan.tiers.map((tier, index) => `**${describeTierWindow(id, index)}**: ${describeTierRefund(tier)}`);
+
+        return [`### ${plan.label}`, ...[...bullets, ...(plan.notes || [])].map((line) => `- ${line}`)].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Summarises the earliest refund tier as a house rule.
+ *
+ * @returns {string} Sentence such as "Cancellations 7 or more days before
+ *   arrival are refunded in full, less a PKR 5,000 processing fee."
+ */
+export function summarizeCancellationPolicy() {
+    const [tier] = getRatePlan().tiers;
+    const refund = tier.refundPercent === 100 ? 'refunded in full' : `refunded at ${tier.refundPercent}%`;
+    const fee = tier.fee > 0 ? `, less a ${formatFee(tier.fee)} processing fee` : '';
+    return `Cancellations ${tier.minDaysBefore} or more days before arrival are ${refund}${fee}.`;
+}
+
+export default {
+    getRatePlan,
+    getDaysBeforeArrival,
+    getCancellationTier,
+    getRefund,
+    getRefundSchedule,
+    describeTierWindow,
+    describeTierRefund,
+    formatCancellationTerms,
+    summarizeCancellationPolicy,
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Currency conversion and formatting.
+ * Converts PKR amounts using the bundled table in `data/exchange-rates.js`.
+ * Converted amounts are indicative only; bookings are billed in PKR.
+ * @version 1.0.0
+ */
+
+import { CURRENCIES, BILLING_CURRENCY } from '../data/exchange-rates';
+import { formatPKR } from './pricing';
+
+/**
+ * Looks up a currency entry by code.
+ *
+ * @param {string} code - ISO 4217 currency code
+ * @returns {Object|undefined} Currency entry
+ */
+export function getCurrency(code) {
+    return CURRENCIES.find((currency) => currency.code === code);
+}
+
+/**
+ * Checks whether a currency code is offered in the switcher.
+ *
+ * @param {string} code - ISO 4217 currency code
+ * @returns {boolean} Whether the code is supported
+ */
+export function isSupportedCurrency(code) {
+    return Boolean(getCurrency(code));
+}
+
+/**
+ * Converts a PKR amount into another currency.
+ *
+ * @param {number} amountPKR - Amount in PKR
+ * @param {string} code - Target currency code
+ * @returns {number} Converted amount (unrounded)
+ *
+ * @example
+ * convertFromPKR(28150, 'USD'); // 100
+ */
+export function convertFromPKR(amountPKR, code) {
+    const currency = getCurrency(code);
+    if (!currency) return amountPKR;
+    return amountPKR / currency.pkrPerUnit;
+}
+
+/**
+ * Formats a PKR amount in the visitor's chosen currency.
+ * PKR keeps the site's "7,500 PKR" style; other currencies are rounded to
+ * whole units and prefixed with "≈" to mark them as approximate.
+ *
+ * @param {number} amountPKR - Amount in PKR
+ * @param {string} [code='PKR'] - Display currency code
+ * @returns {string} Formatted amount, e.g. "≈ £20"
+ */
+export function formatPrice(amountPKR, code = BILLING_CURRENCY) {
+    if (code === BILLING_CURRENCY || !isSupportedCurrency(code)) {
+        return formatPKR(amountPKR);
+    }
+
+    const formatted = new Intl.NumberFormat('en-GB', {
+        style: 'currency',
+        currency: code,
+        maximumFractionDigits: 0,
+        minimumFractionDigits: 0,
+    }).format(convertFromPKR(amountPKR, code));
+
+    return `≈ ${formatted}`;
+}
+
+export default {
+    getCurrency,
+    isSupportedCurrency,
+    convertFromPKR,
+    formatPrice,
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Calendar date helpers for stay bookings.
+ * All stay dates are handled as ISO `YYYY-MM-DD` strings and computed in UTC,
+ * so a night is always the same calendar day regardless of the visitor's timezone.
+ * @version 1.0.0
+ */
+
+/**
+ * Milliseconds in one day.
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO date pattern (YYYY-MM-DD).
+ * @constant {RegExp}
+ */
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parses an ISO date string into a UTC midnight Date.
+ *
+ * @param {string} iso - Date string in YYYY-MM-DD format
+ * @returns {Date|null} Date at 00:00 UTC, or null when invalid
+ *
+ * @example
+ * parseISODate('2026-12-25'); // Date(2026-12-25T00:00:00Z)
+ */
+export function parseISODate(iso) {
+    if (typeof iso !== 'string') return null;
+    const match = ISO_DATE_REGEX.exec(iso);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Reject overflowed dates such as 2026-02-31
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+}
+
+/**
+ * Formats a Date as an ISO date string using its UTC calendar day.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function toISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in the visitor's local calendar.
+ *
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function todayISO() {
+    const now = new Date();
+    return toISODate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/**
+ * Adds a number of days to an ISO date.
+ *
+ * @param {string} iso - Date string in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date string
+ *
+ * @example
+ * addDays('2026-12-31', 1); // '2027-01-01'
+ */
+export function addDays(iso, days) {
+    const date = parseISODate(iso);
+    return toISODate(new Date(date.getTime() + days * DAY_MS));
+}
+
+/**
+ * Adds calendar months to an ISO date, clamping to the end of shorter months.
+ *
+ * @param {string} iso - Date string in YYYY-MM-DD format
+ * @param {number} months - Months to add
+ * @returns {string} Resulting date string
+ *
+ * @example
+ * addMonths('2027-01-31', 1); // '2027-02-28'
+ */
+export function addMonths(iso, months) {
+    const date = parseISODate(iso);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), daysInMonth));
+    return toISODate(target);
+}
+
+/**
+ * Counts the nights between check-in and check-out.
+ *
+ * @param {string} checkIn - Check-in date
+ * @param {string} checkOut - Check-out date
+ * @returns {number} Number of nights (0 when the range is invalid)
+ */
+export function nightsBetween(checkIn, checkOut) {
+    const start = parseISODate(checkIn);
+    const end = parseISODate(checkOut);
+    if (!start || !end) return 0;
+    return Math.max(0, Math.round((end - start) / DAY_MS));
+}
+
+/**
+ * Lists every night of a stay, identified by the date the night starts.
+ * The check-out date itself is not a night.
+ *
+ * @param {string} checkIn - Check-in date
+ * @param {string} checkOut - Check-out date
+ * @returns {string[]} Night dates in order
+ *
+ * @example
+ * eachNight('2026-12-24', '2026-12-26'); // ['2026-12-24', '2026-12-25']
+ */
+export function eachNight(checkIn, checkOut) {
+    const count = nightsBetween(checkIn, checkOut);
+    return Array.from({ length: count }, (_, i) => addDays(checkIn, i));
+}
+
+/**
+ * Day of the week for an ISO date.
+ *
+ * @param {string} iso - Date string in YYYY-MM-DD format
+ * @returns {number} 0 (Sunday) through 6 (Saturday)
+ */
+export function dayOfWeek(iso) {
+    return parseISODate(iso).getUTCDay();
+}
+
+/**
+ * Formats an ISO date for display.
+ *
+ * @param {string} iso - Date string in YYYY-MM-DD format
+ * @param {Intl.DateTimeFormatOptions} [options] - Formatting options
+ * @returns {string} Human-readable date, e.g. "Thu, 24 Dec 2026"
+ */
+export function formatDisplayDate(iso, options = { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }) {
+    const date = parseISODate(iso);
+    if (!date) return '';
+    return date.toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Pluralised night count for display.
+ *
+ * @param {number} count - Number of nights
+ * @returns {string} Label, e.g. "1 night" or "3 nights"
+ */
+export function formatNights(count) {
+    return `${count} night${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pluralised month count for display.
+ *
+ * @param {number} count - Number of months
+ * @returns {string} Label, e.g. "1 month" or "6 months"
+ */
+export function formatMonths(count) {
+    return `${count} month${count === 1 ? '' : 's'}`;
+}
+
+export default {
+    parseISODate,
+    toISODate,
+    todayISO,
+    addDays,
+    addMonths,
+    nightsBetween,
+    eachNight,
+    dayOfWeek,
+    formatDisplayDate,
+    formatNights,
+    formatMonths,
+};
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview File downloads.
+ * Saves files generated in the browser (calendar entries, quotations).
+ * @version 1.0.0
+ */
+
+/**
+ * Offers a generated file as a download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+    downloadBlob,
+};
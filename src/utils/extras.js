@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Add-on extras.
+ * Works out which extras from `data/extras.js` an apartment offers and what
+ * a guest's selection adds to a stay.
+ * @version 1.0.0
+ */
+
+import { EXTRAS } from '../data/extras';
+import { formatNights } from './dateUtils';
+
+/**
+ * Selected extras, as extra id -> quantity.
+ * @typedef {Object<string, number>} ExtrasSelection
+ */
+
+/**
+ * Lists the extras that can be added to a stay in an apartment.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @returns {Object[]} Extras, leaving out any the apartment already includes
+ */
+export function getAvailableExtras(apartment) {
+    return EXTRAS.filter((extra) => !extra.includedWith || !apartment.amenities.includes(extra.includedWith));
+}
+
+/**
+ * Prices a selection of extras for a stay. Unknown ids, extras the apartment
+ * does not offer and quantities outside the allowed range are ignored or clamped.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @param {ExtrasSelection} selection - Selected extras
+ * @param {number} nightCount - Number of nights
+ * @returns {{items: Array<{id: string, label: string, unit: string, price: number,
+ *   quantity: number, total: number}>, total: number}} Priced extras and their total
+ */
+export function getExtrasCharges(apartment, selection, nightCount) {
+    const items = getAvailableExtras(apartment)
+        .map((extra) => {
+            const quantity = Math.min(Math.max(0, Math.floor(Number(selection?.[extra.id]) || 0)), extra.maxQuantity);
+            const perItem = extra.unit === 'night' ? extra.price * nightCount : extra.price;
+            return {
+                id: extra.id,
+                label: extra.label,
+                unit: extra.unit,
+                price: extra.price,
+                quantity,
+                total: perItem * quantity,
+            };
+        })
+        .filter((item) => item.quantity > 0);
+
+    return {
+        items,
+        total: items.reduce((sum, item) => sum + item.total, 0),
+    };
+}
+
+/**
+ * Describes a priced extra.
+ *
+ * @param {Object} item - Item from `getExtrasCharges`
+ * @param {number} nightCount - Number of nights
+ * @returns {string} Text such as "Spa session × 2" or "Breakfast for two × 3 nights"
+ */
+export function describeExtra(item, nightCount) {
+    if (item.unit === 'night') {
+        return `${item.label}${item.quantity > 1 ? ` × ${item.quantity}` : ''} × ${formatNights(nightCount)}`;
+    }
+    return item.quantity > 1 ? `${item.label} × ${item.quantity}` : item.label;
+}
+
+export default {
+    getAvailableExtras,
+    getExtrasCharges,
+    describeExtra,
+};
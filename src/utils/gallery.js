@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Gallery taxonomy.
+ * Builds the gallery filter bar from the image data (categories and tags,
+ * with counts) and applies a filter selection, featured images first.
+ * @version 1.0.0
+ */
+
+import { GALLERY_CATEGORY_LABELS } from '../data/content';
+
+/**
+ * Filter option shown in the gallery.
+ * @typedef {Object} GalleryFilterOption
+ * @property {string} id - Category or tag id
+ * @property {string} label - Display label
+ * @property {number} count - Matching images
+ */
+
+/**
+ * Gallery filter selection.
+ * @typedef {Object} GalleryFilter
+ * @property {string} category - Category id ('all' for every category)
+ * @property {string[]} tags - Tags an image must all have
+ */
+
+/**
+ * Capitalises a taxonomy id for display.
+ * @param {string} id - Category or tag id, e.g. "roof-top"
+ * @returns {string} Label such as "Roof top"
+ */
+function humanize(id) {
+    const text = id.replace(/[-_]/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Display label for a gallery category.
+ *
+ * @param {string} category - Category id
+ * @returns {string} Label such as "Suites & Rooms"
+ */
+export function getCategoryLabel(category) {
+    if (category === 'all') return 'All Photos';
+    return GALLERY_CATEGORY_LABELS[category] || humanize(category);
+}
+
+/**
+ * Display label for a gallery tag.
+ *
+ * @param {string} tag - Tag id
+ * @returns {string} Label such as "Feature wall"
+ */
+export function getTagLabel(tag) {
+    return humanize(tag);
+}
+
+/**
+ * Checks whether an image matches a filter selection.
+ *
+ * @param {Object} image - Gallery image
+ * @param {GalleryFilter} filter - Filter selection
+ * @returns {boolean} True when the image is in the category and has every tag
+ */
+export function matchesGalleryFilter(image, { category, tags }) {
+    if (category !== 'all' && image.category !== category) return false;
+    return tags.every((tag) => (image.tags || []).includes(tag));
+}
+
+/**
+ * Lists the categories found in the images, in the order they first
+ * appear, preceded by "All Photos".
+ *
+ * @param {Object[]} images - Gallery images
+ * @returns {GalleryFilterOption[]} Categories with image counts
+ */
+export function getGalleryCategories(images) {
+    const counts = new Map();
+    images.forEach((image) => counts.set(image.category, (counts.get(image.category) || 0) + 1));
+
+    return [
+        { id: 'all', label: getCategoryLabel('all'), count: images.length },
+        ...[...counts].map(([id, count]) => ({ id, label: getCategoryLabel(id), count })),
+    ];
+}
+
+/**
+ * Lists the tags available within a category. Each count is the number of
+ * images the gallery would show with that tag toggled on top of the current
+ * selection, so tags that would empty the gallery can be recognised.
+ *
+ * @param {Object[]} images - Gallery images
+ * @param {GalleryFilter} filter - Current selection
+ * @returns {GalleryFilterOption[]} Tags, most common first
+ */
+export function getGalleryTags(images, filter) {
+    const inCategory = images.filter((image) => matchesGalleryFilter(image, { category: filter.category, tags: [] }));
+    const tagIds = new Set(inCategory.flatMap((image) => image.tags || []));
+
+    return [...tagIds]
+        .map((id) => {
+            const tags = filter.tags.includes(id) ? filter.tags : [...filter.tags, id];
+            return {
+                id,
+                label: getTagLabel(id),
+                count: inCategory.filter((image) => matchesGalleryFilter(image, { category: filter.category, tags })).length,
+                total: inCategory.filter((image) => (image.tags || []).includes(id)).length,
+            };
+        })
+        .sort((a, b) => b.total - a.total || a.label.localeCompare(b.label))
+        .map(({ total, ...option }) => option);
+}
+
+/**
+ * Applies a filter selection, putting featured images first and otherwise
+ * keeping the data order.
+ *
+ * @param {Object[]} images - Gallery images
+ * @param {GalleryFilter} filter - Filter selection
+ * @returns {Object[]} Matching images
+ */
+export function filterGalleryImages(images, filter) {
+    const matches = images.filter((image) => matchesGalleryFilter(image, filter));
+    return [
+        ...matches.filter((image) => image.featured),
+        ...matches.filter((image) => !image.featured),
+    ];
+}
+
+export default {
+    getCategoryLabel,
+    getTagLabel,
+    matchesGalleryFilter,
+    getGalleryCategories,
+    getGalleryTags,
+    filterGalleryImages,
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Responsive image sources.
+ * Looks up the width ladder `scripts/process-assets.js` recorded for a photo
+ * in the image manifest and turns it into `<source>` sets. Entries also
+ * carry the intrinsic size, dominant colour and a blurred placeholder.
+ * @version 1.1.0
+ */
+
+import IMAGE_MANIFEST from '../data/image-manifest.json';
+import { generateSrcset } from './performance';
+
+/**
+ * MIME types of the formats the asset script can produce, in order of
+ * preference.
+ * @constant {Object<string, string>}
+ */
+const IMAGE_TYPES = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+};
+
+/**
+ * Manifest entries by public path.
+ * @type {Map<string, Object>}
+ */
+const ENTRIES = new Map(IMAGE_MANIFEST.map((entry) => [entry.path, entry]));
+
+/**
+ * Finds the manifest entry for a published photo.
+ *
+ * @param {string} src - Public path, e.g. "/images/Tour/Lahore_Fort.webp"
+ * @returns {{path: string, width?: number, height?: number, color?: string,
+ *   placeholder?: string, variants?: Object<string, number[]>}|null} Manifest
+ *   entry, or null for photos without one
+ */
+export function getImageEntry(src) {
+    return ENTRIES.get(src) || null;
+}
+
+/**
+ * Builds the `<source>` sets for a photo, best format first.
+ *
+ * @param {string} src - Public path of the master image
+ * @returns {Array<{type: string, srcSet: string}>} Sources (empty when the
+ *   photo has no variants yet)
+ *
+ * @example
+ * getImageSources('/images/spa/spa-01-wellness.webp');
+ * // [{ type: 'image/avif', srcSet: '/images/spa/spa-01-wellness-320w.avif 320w, ...' }, ...]
+ */
+export function getImageSources(src) {
+    const variants = getImageEntry(src)?.variants;
+    if (!variants) return [];
+
+    const basePath = process.env.PUBLIC_URL + src.replace(/\.[^.]+$/, '');
+    return Object.keys(IMAGE_TYPES)
+        .filter((format) => variants[format]?.length > 0)
+        .map((format) => ({
+            type: IMAGE_TYPES[format],
+            srcSet: generateSrcset(basePath, variants[format], format),
+        }));
+}
+
+export default {
+    getImageEntry,
+    getImageSources,
+};
@@ -18,3 +18,35 @@ export * from './performance';
 
 // Accessibility utilities
 export * from './accessibility';
+
+// Date and availability utilities
+export * from './dateUtils';
+export * from './availability';
+
+// Pricing utilities
+export * from './pricing';
+export * from './occupancy';
+export * from './promoCodes';
+export * from './extras';
+export * from './cancellation';
+export * from './quote';
+export * from './currency';
+
+// Calendar and document export
+export * from './calendar';
+export * from './pdf';
+export * from './quotePdf';
+export * from './download';
+
+// Image utilities
+export * from './gallery';
+export * from './images';
+export * from './panorama';
+
+// Tour Guide utilities
+export * from './attractions';
+export * from './travel';
+export * from './itinerary';
+
+// Routing utilities
+export * from './routes';
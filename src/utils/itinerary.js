@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Day itinerary planner.
+ * Orders the places a guest picked in the Tour Guide into a round trip from
+ * the hotel (nearest place next), times each drive with the traffic model
+ * and each visit with the place's typical length, and words the plan for
+ * sharing and for a chauffeur request.
+ * @version 1.0.0
+ */
+
+import { HOTEL_LOCATION } from '../data/content';
+import { EXTRAS } from '../data/extras';
+import { formatDisplayDate } from './dateUtils';
+import { formatPKR } from './pricing';
+import {
+    estimateDriveMinutes, formatDistance, formatDriveTime, getDistanceKm, getHotelHour,
+} from './travel';
+
+/**
+ * Visit length for places without a `visitMinutes`.
+ * @constant {number}
+ */
+const DEFAULT_VISIT_MINUTES = 60;
+
+/**
+ * Hours a chauffeur day covers, as the extra's description says.
+ * @constant {number}
+ */
+const CHAUFFEUR_DAY_HOURS = 8;
+
+/**
+ * Leg of the day's drive.
+ * @typedef {Object} ItineraryLeg
+ * @property {number} km - Straight-line distance
+ * @property {number} travelMinutes - Estimated drive time
+ */
+
+/**
+ * Stop on the day's route.
+ * @typedef {Object} ItineraryStop
+ * @property {import('../data/attractions').Attraction} attraction - Place visited
+ * @property {number} km - Straight-line distance from the previous stop
+ * @property {number} travelMinutes - Estimated drive from the previous stop
+ * @property {number} visitMinutes - Time spent there
+ * @property {Date} arriveAt - Arrival time
+ * @property {Date} leaveAt - Departure time
+ */
+
+/**
+ * Planned day out.
+ * @typedef {Object} Itinerary
+ * @property {string} date - Day in YYYY-MM-DD format
+ * @property {Date} startAt - Departure from the hotel
+ * @property {ItineraryStop[]} stops - Stops in route order
+ * @property {ItineraryLeg} returnLeg - Drive back to the hotel
+ * @property {Date} endAt - Return to the hotel
+ * @property {number} totalKm - Straight-line distance of the whole route
+ * @property {number} totalMinutes - Time away from the hotel
+ */
+
+/**
+ * Adds minutes to a time.
+ * @param {Date} date - Time
+ * @param {number} minutes - Minutes to add
+ * @returns {Date} Later time
+ */
+function addMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Orders places into a route from a starting point, always driving to the
+ * nearest place not yet visited.
+ *
+ * @param {import('../data/attractions').Attraction[]} attractions - Places to visit
+ * @param {import('./travel').GeoPoint} [origin=HOTEL_LOCATION] - Starting point
+ * @returns {import('../data/attractions').Attraction[]} Places in route order
+ */
+export function orderByNearestNeighbour(attractions, origin = HOTEL_LOCATION) {
+    const remaining = [...attractions];
+    const route = [];
+    let position = origin;
+
+    while (remaining.length > 0) {
+        const from = position;
+        const nearest = remaining.reduce((best, attraction) => (
+            getDistanceKm(from, attraction) < getDistanceKm(from, best) ? attraction : best
+        ));
+        route.push(nearest);
+        remaining.splice(remaining.indexOf(nearest), 1);
+        position = nearest;
+    }
+
+    return route;
+}
+
+/**
+ * Plans a day out from the hotel and back.
+ *
+ * @param {import('../data/attractions').Attraction[]} attractions - Places picked, in any order
+ * @param {Object} options - Day options
+ * @param {string} options.date - Day in YYYY-MM-DD format
+ * @param {Date} options.startAt - Departure from the hotel
+ * @returns {Itinerary} Timed route
+ */
+export function planItinerary(attractions, { date, startAt }) {
+    let position = HOTEL_LOCATION;
+    let clock = startAt;
+    let totalKm = 0;
+
+    const stops = orderByNearestNeighbour(attractions).map((attraction) => {
+        const km = getDistanceKm(position, attraction);
+        const travelMinutes = estimateDriveMinutes(km, clock);
+        const visitMinutes = attraction.visitMinutes || DEFAULT_VISIT_MINUTES;
+        const arriveAt = addMinutes(clock, travelMinutes);
+        const leaveAt = addMinutes(arriveAt, visitMinutes);
+
+        position = attraction;
+        clock = leaveAt;
+        totalKm += km;
+        return {
+            attraction, km, travelMinutes, visitMinutes, arriveAt, leaveAt,
+        };
+    });
+
+    const returnKm = stops.length > 0 ? getDistanceKm(position, HOTEL_LOCATION) : 0;
+    const returnLeg = {
+        km: returnKm,
+        travelMinutes: stops.length > 0 ? estimateDriveMinutes(returnKm, clock) : 0,
+    };
+    const endAt = addMinutes(clock, returnLeg.travelMinutes);
+
+    return {
+        date,
+        startAt,
+        stops,
+        returnLeg,
+        endAt,
+        totalKm: totalKm + returnKm,
+        totalMinutes: Math.round((endAt - startAt) / 60000),
+    };
+}
+
+/**
+ * Formats a time as a hotel-local clock time.
+ *
+ * @param {Date} date - Time
+ * @returns {string} Time such as "09:30"
+ */
+export function formatHotelClock(date) {
+    const minutes = Math.round(getHotelHour(date) * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a plan runs past a chauffeur day.
+ *
+ * @param {Itinerary} plan - Plan
+ * @returns {boolean} True when the day is longer than CHAUFFEUR_DAY_HOURS
+ */
+export function exceedsChauffeurDay(plan) {
+    return plan.totalMinutes > CHAUFFEUR_DAY_HOURS * 60;
+}
+
+/**
+ * Lists the plan line by line, shared by the text export and the WhatsApp
+ * request.
+ * @param {Itinerary} plan - Plan
+ * @returns {string[]} Lines
+ */
+function describeRoute(plan) {
+    const lines = [`${formatHotelClock(plan.startAt)} Leave Andalusian Castle`];
+    plan.stops.forEach((stop, index) => {
+        lines.push(
+            `${index + 1}. ${formatHotelClock(stop.arriveAt)}–${formatHotelClock(stop.leaveAt)} ${stop.attraction.name}`,
+            `   ${formatDriveTime(stop.travelMinutes)} drive (${formatDistance(stop.km)}), ${formatDriveTime(stop.visitMinutes)} visit`
+        );
+    });
+    lines.push(
+        `${formatHotelClock(plan.endAt)} Back at Andalusian Castle`,
+        `   ${formatDriveTime(plan.returnLeg.travelMinutes)} drive (${formatDistance(plan.returnLeg.km)})`
+    );
+    return lines;
+}
+
+/**
+ * Formats a plan as plain text.
+ *
+ * @param {Itinerary} plan - Plan
+ * @returns {string} Plain-text itinerary
+ */
+export function formatItineraryText(plan) {
+    return [
+        `Day plan – ${formatDisplayDate(plan.date)}`,
+        '',
+        ...describeRoute(plan),
+        '',
+        `Time away: ${formatDriveTime(plan.totalMinutes)}`,
+        `Straight-line distance: ${formatDistance(plan.totalKm)}`,
+        'Drive times are estimates for Lahore traffic at each time of day.',
+    ].join('\n');
+}
+
+/**
+ * Formats a WhatsApp request for a chauffeur to drive the plan.
+ *
+ * @param {Itinerary} plan - Plan
+ * @returns {string} Plain-text message
+ */
+export function formatChauffeurRequest(plan) {
+    const chauffeur = EXTRAS.find((extra) => extra.id === 'chauffeur-day');
+    const lines = [
+        '*Chauffeur Request – Andalusian Castle*',
+        '',
+        `Date: ${formatDisplayDate(plan.date)}`,
+        `Pick-up: ${formatHotelClock(plan.startAt)} at the hotel`,
+        `Back by about: ${formatHotelClock(plan.endAt)} (${formatDriveTime(plan.totalMinutes)})`,
+        '',
+        'Route:',
+        ...describeRoute(plan),
+    ];
+
+    if (chauffeur) {
+        lines.push('', `${chauffeur.label}: ${formatPKR(chauffeur.price)} – ${chauffeur.description}`);
+    }
+    if (exceedsChauffeurDay(plan)) {
+        lines.push(`This plan runs past ${CHAUFFEUR_DAY_HOURS} hours; please advise on extra time.`);
+    }
+
+    lines.push('', 'Please confirm the car and driver for this day.');
+    return lines.join('\n');
+}
+
+export default {
+    orderByNearestNeighbour,
+    planItinerary,
+    formatHotelClock,
+    exceedsChauffeurDay,
+    formatItineraryText,
+    formatChauffeurRequest,
+};
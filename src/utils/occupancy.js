@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Occupancy rules.
+ * Checks a party of adults, children (2–11) and infants (under 2) against an
+ * apartment's limits, prices extra beds beyond the base occupancy and
+ * suggests apartment combinations for parties that do not fit one apartment.
+ * @version 1.0.0
+ */
+
+import { BASE_RATES, EXTRA_GUEST_CHARGES } from '../data/rates';
+
+/**
+ * Party used before the guest changes anything.
+ * @type {Party}
+ */
+export const DEFAULT_PARTY = { adults: 2, children: 0, infants: 0 };
+
+/**
+ * Most apartments combined in one suggestion.
+ * @constant {number}
+ */
+const MAX_SUGGESTED_APARTMENTS = 3;
+
+/**
+ * Guest party.
+ * @typedef {Object} Party
+ * @property {number} adults - Adults (12 and over)
+ * @property {number} children - Children aged 2–11
+ * @property {number} infants - Infants under 2
+ */
+
+/**
+ * Counts guests who take a bed (adults and children).
+ *
+ * @param {Party} party - Guest party
+ * @returns {number} Guest count, excluding infants
+ */
+export function countGuests(party) {
+    return party.adults + party.children;
+}
+
+/**
+ * Describes a party in words, leaving out empty groups.
+ *
+ * @param {Party} party - Guest party
+ * @returns {string} Text such as "2 adults, 1 child, 1 infant"
+ */
+export function formatParty({ adults, children, infants }) {
+    return [
+        adults > 0 ? `${adults} ${adults === 1 ? 'adult' : 'adults'}` : null,
+        children > 0 ? `${children} ${children === 1 ? 'child' : 'children'}` : null,
+        infants > 0 ? `${infants} ${infants === 1 ? 'infant' : 'infants'}` : null,
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Lists the reasons a party cannot stay in an apartment.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @param {Party} party - Guest party
+ * @returns {string[]} Problems (empty when the party fits)
+ */
+export function checkOccupancy(apartment, party) {
+    const problems = [];
+
+    if (party.adults < 1) {
+        problems.push('At least one adult must stay in each apartment.');
+    }
+    if (party.adults > apartment.maxAdults) {
+        problems.push(`The ${apartment.name} sleeps at most ${apartment.maxAdults} adults.`);
+    }
+    if (countGuests(party) > apartment.maxGuests) {
+        problems.push(`The ${apartment.name} sleeps at most ${apartment.maxGuests} guests, including extra beds.`);
+    }
+    if (party.infants > apartment.maxInfants) {
+        problems.push(`The ${apartment.name} has ${apartment.maxInfants === 1 ? 'one cot' : `${apartment.maxInfants} cots`} for infants.`);
+    }
+
+    return problems;
+}
+
+/**
+ * Works out the extra-bed charge for a party.
+ * Adults fill the base occupancy first; anyone beyond it takes an extra bed.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @param {Party} party - Guest party
+ * @param {number} nightCount - Number of nights
+ * @returns {{label: string, adults: number, children: number, perNight: number, total: number}}
+ *   Extra guests by type and the charge per night and for the stay
+ */
+export function getExtraGuestCharge(apartment, party, nightCount) {
+    const adults = Math.max(0, party.adults - apartment.baseOccupancy);
+    const includedChildren = Math.max(0, apartment.baseOccupancy - party.adults);
+    const children = Math.max(0, party.children - includedChildren);
+    const perNight = adults * EXTRA_GUEST_CHARGES.adult + children * EXTRA_GUEST_CHARGES.child;
+
+    return {
+        label: EXTRA_GUEST_CHARGES.label,
+        adults,
+        children,
+        perNight,
+        total: perNight * nightCount,
+    };
+}
+
+/**
+ * Splits a party across a set of apartments, one adult per apartment first.
+ *
+ * @param {Object[]} apartments - Apartments, one entry per unit
+ * @param {Party} party - Guest party
+ * @returns {Array<{apartment: Object, party: Party}>|null} Allocation, or null if the party does not fit
+ */
+function allocateParty(apartments, party) {
+    if (party.adults < apartments.length) return null;
+
+    const rooms = apartments.map((apartment) => ({
+        apartment,
+        party: { adults: 1, children: 0, infants: 0 },
+    }));
+
+    let adults = party.adults - rooms.length;
+    let children = party.children;
+    let infants = party.infants;
+
+    rooms.forEach((room) => {
+        const take = Math.min(adults, room.apartment.maxAdults - room.party.adults);
+        room.party.adults += take;
+        adults -= take;
+    });
+    rooms.forEach((room) => {
+        const take = Math.min(children, room.apartment.maxGuests - countGuests(room.party));
+        room.party.children += take;
+        children -= take;
+    });
+    rooms.forEach((room) => {
+        const take = Math.min(infants, room.apartment.maxInfants);
+        room.party.infants += take;
+        infants -= take;
+    });
+
+    const fits = adults === 0 && children === 0 && infants === 0
+        && rooms.every((room) => checkOccupancy(room.apartment, room.party).length === 0);
+
+    return fits ? rooms : null;
+}
+
+/**
+ * Suggests apartments, alone or combined, that can host a party.
+ * Fewer apartments come first, then the lower combined rack rate.
+ *
+ * @param {Party} party - Guest party
+ * @param {Object[]} apartments - Apartment types to choose from
+ * @param {Object} [options] - Options
+ * @param {(apartment: Object) => boolean} [options.isAvailable] - Filters out unavailable types
+ * @param {number} [options.limit=3] - Maximum number of suggestions
+ * @returns {Array<Array<{apartment: Object, party: Party}>>} Suggested allocations
+ *
+ * @example
+ * const [best] = suggestApartments({ adults: 2, children: 3, infants: 0 }, APARTMENTS_DATA);
+ * formatAllocation(best); // "Luxury Apartment (1 adult, 2 children) + Luxury Apartment (1 adult, 1 child)"
+ */
+export function suggestApartments(party, apartments, { isAvailable = () => true, limit = 3 } = {}) {
+    const candidates = apartments.filter(isAvailable);
+    const suggestions = [];
+
+    // Walk every multiset of apartment types, respecting how many units exist
+    const visit = (startIndex, chosen) => {
+        if (chosen.length > 0) {
+            const allocation = allocateParty(chosen, party);
+            if (allocation) {
+                suggestions.push(allocation);
+                return;
+            }
+        }
+        if (chosen.length === MAX_SUGGESTED_APARTMENTS) return;
+
+        for (let i = startIndex; i < candidates.length; i += 1) {
+            const apartment = candidates[i];
+            const used = chosen.filter((item) => item === apartment).length;
+            if (used < apartment.units) visit(i, [...chosen, apartment]);
+        }
+    };
+    visit(0, []);
+
+    const cost = (allocation) => allocation.reduce((sum, room) => sum + (BASE_RATES[room.apartment.id] || 0), 0);
+
+    return suggestions
+        .sort((a, b) => a.length - b.length || cost(a) - cost(b))
+        .slice(0, limit);
+}
+
+/**
+ * Describes a suggested allocation.
+ *
+ * @param {Array<{apartment: Object, party: Party}>} allocation - Allocation from `suggestApartments`
+ * @returns {string} Text such as "Super Luxury Apartment (1 adult, 3 children) + Luxury Apartment (1 adult)"
+ */
+export function formatAllocation(allocation) {
+    return allocation
+        .map((room) => `${room.apartment.name} (${formatParty(room.party)})`)
+        .join(' + ');
+}
+
+export default {
+    DEFAULT_PARTY,
+    countGuests,
+    formatParty,
+    checkOccupancy,
+    getExtraGuestCharge,
+    suggestApartments,
+    formatAllocation,
+};
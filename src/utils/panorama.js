@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Panorama projection.
+ * Math for the 360° apartment viewer: renders the part of an
+ * equirectangular photo a camera looking at (yaw, pitch) would see, places
+ * hotspots on screen and turns device orientation into a view direction.
+ * Angles are in degrees; yaw 0 is the centre of the photo and grows to the
+ * right, pitch 0 is the horizon and grows upwards.
+ * @version 1.0.0
+ */
+
+/**
+ * Most the camera can look up or down, short of the poles.
+ * @constant {number}
+ */
+export const MAX_PITCH = 85;
+
+/**
+ * Narrowest and widest horizontal field of view.
+ * @constant {{min: number, max: number}}
+ */
+export const FOV_RANGE = { min: 40, max: 100 };
+
+const DEG = Math.PI / 180;
+
+/**
+ * Wraps a yaw into [-180, 180).
+ *
+ * @param {number} yaw - Yaw in degrees
+ * @returns {number} Equivalent yaw
+ */
+export function normalizeYaw(yaw) {
+    return ((((yaw + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Limits a pitch to what the viewer can show.
+ *
+ * @param {number} pitch - Pitch in degrees
+ * @returns {number} Pitch within ±MAX_PITCH
+ */
+export function clampPitch(pitch) {
+    return Math.min(Math.max(pitch, -MAX_PITCH), MAX_PITCH);
+}
+
+/**
+ * Limits a field of view to FOV_RANGE.
+ *
+ * @param {number} fov - Horizontal field of view in degrees
+ * @returns {number} Clamped field of view
+ */
+export function clampFov(fov) {
+    return Math.min(Math.max(fov, FOV_RANGE.min), FOV_RANGE.max);
+}
+
+/**
+ * Focal length in pixels for a horizontal field of view.
+ * @param {number} width - Viewport width in pixels
+ * @param {number} fov - Horizontal field of view in degrees
+ * @returns {number} Focal length
+ */
+function getFocalLength(width, fov) {
+    return width / 2 / Math.tan((fov * DEG) / 2);
+}
+
+/**
+ * Renders the visible part of an equirectangular panorama.
+ *
+ * @param {ImageData} source - Whole panorama, twice as wide as it is tall
+ * @param {ImageData} target - Viewport pixels, overwritten
+ * @param {{yaw: number, pitch: number, fov: number}} view - Camera
+ */
+export function renderPanorama(source, target, { yaw, pitch, fov }) {
+    const { width: sw, height: sh, data: src } = source;
+    const { width: tw, height: th, data: out } = target;
+    const focal = getFocalLength(tw, fov);
+    const sinYaw = Math.sin(yaw * DEG);
+    const cosYaw = Math.cos(yaw * DEG);
+    const sinPitch = Math.sin(pitch * DEG);
+    const cosPitch = Math.cos(pitch * DEG);
+    const uScale = sw / (2 * Math.PI);
+    const vScale = sh / Math.PI;
+
+    let o = 0;
+    for (let y = 0; y < th; y += 1) {
+        const py = th / 2 - y - 0.5;
+        // Tilt the ray up or down, then turn it left or right
+        const ry = py * cosPitch + focal * sinPitch;
+        const rz = focal * cosPitch - py * sinPitch;
+
+        for (let x = 0; x < tw; x += 1) {
+            const px = x - tw / 2 + 0.5;
+            const wx = px * cosYaw + rz * sinYaw;
+            const wz = rz * cosYaw - px * sinYaw;
+
+            const lon = Math.atan2(wx, wz);
+            const lat = Math.atan2(ry, Math.sqrt(wx * wx + wz * wz));
+            const u = Math.min(sw - 1, Math.floor((lon + Math.PI) * uScale));
+            const v = Math.min(sh - 1, Math.floor((Math.PI / 2 - lat) * vScale));
+
+            const i = (v * sw + u) * 4;
+            out[o] = src[i];
+            out[o + 1] = src[i + 1];
+            out[o + 2] = src[i + 2];
+            out[o + 3] = 255;
+            o += 4;
+        }
+    }
+}
+
+/**
+ * Places a point of the panorama in the viewport.
+ *
+ * @param {{yaw: number, pitch: number}} point - Direction of the point
+ * @param {{yaw: number, pitch: number, fov: number}} view - Camera
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @returns {{x: number, y: number}|null} Position in pixels from the top
+ *   left, or null when the point is behind the camera or off screen
+ */
+export function projectPoint(point, view, width, height) {
+    const lon = point.yaw * DEG;
+    const lat = point.pitch * DEG;
+    const wx = Math.cos(lat) * Math.sin(lon);
+    const wy = Math.sin(lat);
+    const wz = Math.cos(lat) * Math.cos(lon);
+
+    // Undo the camera's turn, then its tilt
+    const sinYaw = Math.sin(view.yaw * DEG);
+    const cosYaw = Math.cos(view.yaw * DEG);
+    const cx = wx * cosYaw - wz * sinYaw;
+    const cz1 = wx * sinYaw + wz * cosYaw;
+    const sinPitch = Math.sin(view.pitch * DEG);
+    const cosPitch = Math.cos(view.pitch * DEG);
+    const cy = wy * cosPitch - cz1 * sinPitch;
+    const cz = wy * sinPitch + cz1 * cosPitch;
+    if (cz <= 0) return null;
+
+    const focal = getFocalLength(width, view.fov);
+    const x = width / 2 + (focal * cx) / cz;
+    const y = height / 2 - (focal * cy) / cz;
+    if (x < 0 || x > width || y < 0 || y > height) return null;
+    return { x, y };
+}
+
+/**
+ * Turns a device orientation reading into a view direction. Only changes
+ * between readings are meaningful for the heading, since compass north is
+ * rarely where the photo's centre is.
+ *
+ * @param {{alpha: number, beta: number, gamma: number}} orientation - DeviceOrientationEvent angles
+ * @param {number} [screenAngle=0] - `screen.orientation.angle`
+ * @returns {{heading: number, pitch: number}} Heading grows to the right,
+ *   pitch is 0 with the phone held upright
+ */
+export function getOrientationView({ alpha, beta, gamma }, screenAngle = 0) {
+    // alpha grows when the phone turns left
+    let heading = -alpha;
+    let pitch = beta - 90;
+
+    if (screenAngle === 90) {
+        heading -= 90;
+        pitch = -gamma - 90;
+    } else if (screenAngle === 270 || screenAngle === -90) {
+        heading += 90;
+        pitch = gamma - 90;
+    }
+
+    if (pitch < -180) pitch += 360;
+    return { heading: normalizeYaw(heading), pitch: clampPitch(pitch) };
+}
+
+export default {
+    MAX_PITCH,
+    FOV_RANGE,
+    normalizeYaw,
+    clampPitch,
+    clampFov,
+    renderPanorama,
+    projectPoint,
+    getOrientationView,
+};
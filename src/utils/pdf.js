@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Minimal PDF writer.
+ * Builds simple A4 documents (text in the built-in Helvetica fonts, lines,
+ * filled rectangles and JPEG images) entirely in the browser, so documents
+ * can be produced offline without a PDF library or a server.
+ * Coordinates are in points from the top-left corner of the page.
+ * @version 1.0.0
+ */
+
+/**
+ * A4 page size in points.
+ * @constant {{width: number, height: number}}
+ */
+export const A4 = { width: 595.28, height: 841.89 };
+
+/**
+ * Built-in fonts, keyed by style.
+ * @constant {Object<string, {resource: string, baseFont: string}>}
+ */
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+};
+
+/**
+ * Glyph widths (per 1000 units of font size) for printable ASCII 32–126,
+ * from the Adobe font metrics for Helvetica and Helvetica-Bold.
+ * @constant {Object<string, number[]>}
+ */
+const ASCII_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+};
+
+/**
+ * WinAnsi codes for the non-Latin-1 characters used in site copy, with
+ * their width. Characters outside WinAnsi are replaced with ASCII.
+ * @constant {Object<string, {code: number, width: number}|{text: string}>}
+ */
+const SPECIAL_CHARACTERS = {
+    '–': { code: 0x96, width: 556 },
+    '—': { code: 0x97, width: 1000 },
+    '‘': { code: 0x91, width: 222 },
+    '’': { code: 0x92, width: 222 },
+    '“': { code: 0x93, width: 333 },
+    '”': { code: 0x94, width: 333 },
+    '•': { code: 0x95, width: 350 },
+    '…': { code: 0x85, width: 1000 },
+    '€': { code: 0x80, width: 556 },
+    '→': { text: '->' },
+    '≈': { text: '~' },
+    '−': { text: '-' },
+};
+
+/**
+ * Converts text to single-byte WinAnsi codes.
+ * @param {string} text - Text
+ * @returns {number[]} Character codes
+ */
+function toWinAnsi(text) {
+    const codes = [];
+    for (const char of text) {
+        const special = SPECIAL_CHARACTERS[char];
+        if (special && special.text) {
+            codes.push(...toWinAnsi(special.text));
+        } else if (special) {
+            codes.push(special.code);
+        } else {
+            const code = char.codePointAt(0);
+            codes.push(code < 256 ? code : 63); // '?' for anything else
+        }
+    }
+    return codes;
+}
+
+/**
+ * Width of one WinAnsi character in font units.
+ * @param {number} code - Character code
+ * @param {string} font - Font style
+ * @returns {number} Width per 1000 units
+ */
+function charWidth(code, font) {
+    if (code >= 32 && code <= 126) return ASCII_WIDTHS[font][code - 32];
+    const special = Object.values(SPECIAL_CHARACTERS).find((entry) => entry.code === code);
+    if (special) return special.width;
+    if (code === 0xd7) return 584; // ×
+    if (code === 0xb7) return 278; // ·
+    return 556;
+}
+
+/**
+ * Measures text.
+ *
+ * @param {string} text - Text
+ * @param {Object} [options] - Text options
+ * @param {string} [options.font='regular'] - 'regular' or 'bold'
+ * @param {number} [options.size=10] - Font size in points
+ * @returns {number} Width in points
+ */
+export function measureText(text, { font = 'regular', size = 10 } = {}) {
+    return toWinAnsi(text).reduce((sum, code) => sum + charWidth(code, font), 0) * (size / 1000);
+}
+
+/**
+ * Breaks text into lines that fit a width, keeping words whole.
+ *
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width in points
+ * @param {Object} [options] - Text options, as for `measureText`
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxWidth, options = {}) {
+    const lines = [];
+    let line = '';
+
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measureText(candidate, options) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+
+    return lines;
+}
+
+/**
+ * Formats a number for a content stream.
+ * @param {number} value - Number
+ * @returns {string} Number with at most two decimals
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Encodes a PDF string literal.
+ * @param {string} text - Text
+ * @returns {string} Literal such as "(Total)" with WinAnsi bytes as characters
+ */
+function pdfString(text) {
+    const escaped = toWinAnsi(text)
+        .map((code) => String.fromCharCode(code))
+        .join('')
+        .replace(/[\\()]/g, (char) => `\\${char}`);
+    return `(${escaped})`;
+}
+
+/**
+ * Converts a colour to PDF operands.
+ * @param {number[]} rgb - Red, green and blue, 0–255
+ * @returns {string} Operands such as "0.83 0.69 0.22"
+ */
+function colorOperands([r, g, b]) {
+    return [r, g, b].map((value) => num(value / 255)).join(' ');
+}
+
+/**
+ * Creates an empty document. Add pages, draw on the current page, then
+ * call `toBlob`.
+ *
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - Document title
+ * @param {string} [options.author] - Document author
+ * @returns {Object} Document with drawing methods
+ *
+ * @example
+ * const doc = createPdfDocument({ title: 'Quotation' });
+ * doc.addPage();
+ * doc.text('Hello', 40, 60, { font: 'bold', size: 18 });
+ * const blob = doc.toBlob();
+ */
+export function createPdfDocument({ title = '', author = '' } = {}) {
+    const pages = [];
+    const images = [];
+    const { width, height } = A4;
+
+    const current = () => {
+        if (pages.length === 0) throw new Error('Call addPage() before drawing');
+        return pages[pages.length - 1];
+    };
+
+    const doc = {
+        width,
+        height,
+
+        /**
+         * Starts a new page.
+         */
+        addPage() {
+            pages.push({ operations: [], images: new Set() });
+        },
+
+        /**
+         * Number of pages so far.
+         * @returns {number} Page count
+         */
+        get pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * Draws one line of text with its baseline at `y`.
+         * @param {string} text - Text
+         * @param {number} x - Left edge (or right edge / centre, see `align`)
+         * @param {number} y - Baseline
+         * @param {Object} [options] - Text options
+         * @param {string} [options.font='regular'] - 'regular' or 'bold'
+         * @param {number} [options.size=10] - Font size in points
+         * @param {number[]} [options.color=[0, 0, 0]] - RGB colour
+         * @param {'left'|'right'|'center'} [options.align='left'] - Alignment relative to `x`
+         * @param {number} [options.page] - Page index (defaults to the current page)
+         */
+        text(text, x, y, {
+            font = 'regular', size = 10, color = [0, 0, 0], align = 'left', page,
+        } = {}) {
+            const target = page === undefined ? current() : pages[page];
+            const textWidth = measureText(text, { font, size });
+            const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+            target.operations.push(
+                `BT /${FONTS[font].resource} ${num(size)} Tf ${colorOperands(color)} rg `
+                + `${num(left)} ${num(height - y)} Td ${pdfString(text)} Tj ET`
+            );
+        },
+
+        /**
+         * Draws a straight line.
+         * @param {number} x1 - Start x
+         * @param {number} y1 - Start y
+         * @param {number} x2 - End x
+         * @param {number} y2 - End y
+         * @param {Object} [options] - Line options
+         * @param {number[]} [options.color=[0, 0, 0]] - RGB colour
+         * @param {number} [options.width=0.5] - Line width in points
+         */
+        line(x1, y1, x2, y2, { color = [0, 0, 0], width: lineWidth = 0.5 } = {}) {
+            current().operations.push(
+                `${colorOperands(color)} RG ${num(lineWidth)} w `
+                + `${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`
+            );
+        },
+
+        /**
+         * Draws a filled rectangle.
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} w - Width
+         * @param {number} h - Height
+         * @param {number[]} color - RGB fill colour
+         */
+        rect(x, y, w, h, color) {
+            current().operations.push(
+                `${colorOperands(color)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`
+            );
+        },
+
+        /**
+         * Draws a JPEG image.
+         * @param {{data: Uint8Array, width: number, height: number}} image - JPEG bytes and pixel size
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} w - Drawn width
+         * @param {number} h - Drawn height
+         */
+        image(image, x, y, w, h) {
+            let index = images.indexOf(image);
+            if (index === -1) {
+                images.push(image);
+                index = images.length - 1;
+            }
+            const page = current();
+            page.images.add(index);
+            page.operations.push(
+                `q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /Im${index + 1} Do Q`
+            );
+        },
+
+        /**
+         * Serialises the document.
+         * @returns {Blob} PDF file
+         */
+        toBlob() {
+            return new Blob([serialise({
+                pages, images, width, height, title, author,
+            })], { type: 'application/pdf' });
+        },
+    };
+
+    return doc;
+}
+
+/**
+ * Writes the PDF objects, cross-reference table and trailer.
+ * @param {Object} document - Pages, images and metadata
+ * @returns {Uint8Array} PDF bytes
+ */
+function serialise({
+    pages, images, width, height, title, author,
+}) {
+    // Object numbers: 1 catalog, 2 page tree, 3–4 fonts, 5 info, then images, then pages and contents
+    const imageBase = 6;
+    const pageBase = imageBase + images.length;
+    const objects = [];
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((_, i) => `${pageBase + i * 2} 0 R`).join(' ')}] >>`;
+    objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`;
+    objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`;
+    objects[5] = `<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (Andalusian Castle) >>`;
+
+    images.forEach((image, i) => {
+        objects[imageBase + i] = {
+            dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+                + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`,
+            stream: image.data,
+        };
+    });
+
+    pages.forEach((page, i) => {
+        const pageObject = pageBase + i * 2;
+        const xObjects = [...page.images].map((index) => `/Im${index + 1} ${imageBase + index} 0 R`).join(' ');
+        const content = page.operations.join('\n');
+
+        objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> `
+            + `/Contents ${pageObject + 1} 0 R >>`;
+        objects[pageObject + 1] = {
+            dictionary: `<< /Length ${content.length} >>`,
+            stream: latin1Bytes(content),
+        };
+    });
+
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? latin1Bytes(chunk) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    for (let number = 1; number < objects.length; number += 1) {
+        const object = objects[number];
+        offsets[number] = length;
+        if (typeof object === 'string') {
+            write(`${number} 0 obj\n${object}\nendobj\n`);
+        } else {
+            write(`${number} 0 obj\n${object.dictionary}\nstream\n`);
+            write(object.stream);
+            write('\nendstream\nendobj\n');
+        }
+    }
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+    for (let number = 1; number < objects.length; number += 1) {
+        write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach((chunk) => {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Converts a string of single-byte characters to bytes.
+ * @param {string} text - Text whose characters are all below 256
+ * @returns {Uint8Array} Bytes
+ */
+function latin1Bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i += 1) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+}
+
+/**
+ * Loads an image and re-encodes it as a JPEG on a white background, ready
+ * for `doc.image`. Transparent areas (such as a logo's) become white.
+ *
+ * @param {string} src - Image URL (same origin)
+ * @param {number} maxSize - Longest side of the re-encoded image, in pixels
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>} JPEG image
+ */
+export function loadJpegImage(src, maxSize) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.naturalWidth * scale);
+            canvas.height = Math.round(img.naturalHeight * scale);
+
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            const base64 = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+            const binary = atob(base64);
+            resolve({ data: latin1Bytes(binary), width: canvas.width, height: canvas.height });
+        };
+        img.onerror = () => reject(new Error(`Could not load image: ${src}`));
+        img.src = src;
+    });
+}
+
+export default {
+    A4,
+    measureText,
+    wrapText,
+    createPdfDocument,
+    loadJpegImage,
+};
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Nightly rate engine.
+ * Prices a night as: rack rate → seasonal adjustment → weekend surcharge →
+ * promotion discount, then takes any length-of-stay tier off the stay,
+ * using the tables in `data/rates.js`.
+ * @version 1.1.1
+ */
+
+import {
+    BASE_RATES,
+    SEASONS,
+    WEEKEND_SURCHARGE,
+    PROMOTIONS,
+    LENGTH_OF_STAY_TIERS,
+    RATE_ROUNDING,
+} from '../data/rates';
+import { dayOfWeek, eachNight, todayISO } from './dateUtils';
+
+/**
+ * Nights used for "per month" headline prices.
+ * @constant {number}
+ */
+export const NIGHTS_PER_MONTH = 30;
+
+/**
+ * Rounds an amount to the configured rate step.
+ * @param {number} amount - Amount in PKR
+ * @returns {number} Rounded amount
+ */
+function roundRate(amount) {
+    return Math.round(amount / RATE_ROUNDING) * RATE_ROUNDING;
+}
+
+/**
+ * Checks whether a night falls inside an optional start/end window.
+ * @param {string} night - Night date (YYYY-MM-DD)
+ * @param {{start?: string, end?: string}} period - Period with exclusive end
+ * @returns {boolean} Whether the night is covered
+ */
+function isWithin(night, { start, end }) {
+    return (!start || night >= start) && (!end || night < end);
+}
+
+/**
+ * Finds the season with the highest adjustment covering a night.
+ *
+ * @param {string} night - Night date (YYYY-MM-DD)
+ * @returns {Object|null} Season entry, or null outside any season
+ */
+export function getSeasonForNight(night) {
+    return SEASONS
+        .filter((season) => isWithin(night, season))
+        .reduce((best, season) => (!best || season.adjustment > best.adjustment ? season : best), null);
+}
+
+/**
+ * Share of the price a promotion leaves the guest to pay. Promotions with a
+ * fixed `rate` keep that rate's share of the rack rate, so a plain night
+ * costs exactly the published figure.
+ * @param {Object} promotion - Promotion entry
+ * @param {number} rackRate - Apartment's rack rate
+ * @returns {number} Factor between 0 and 1
+ */
+function getPromotionFactor(promotion, rackRate) {
+    return promotion.rate ? promotion.rate / rackRate : 1 - promotion.percent / 100;
+}
+
+/**
+ * Discount a promotion gives an apartment, as advertised on its badge.
+ *
+ * @param {Object} promotion - Promotion entry
+ * @param {string} apartmentId - Apartment id
+ * @returns {number} Whole percentage
+ *
+ * @example
+ * // Opening Offer pinned at 8,800 against a 12,500 rack rate
+ * getPromotionPercent(promotion, 'super-luxury-apartment-55'); // 30
+ */
+export function getPromotionPercent(promotion, apartmentId) {
+    return Math.round((1 - getPromotionFactor(promotion, BASE_RATES[apartmentId])) * 100);
+}
+
+/**
+ * Finds the best promotion for an apartment on a night, by the discount it
+ * actually gives.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} night - Night date (YYYY-MM-DD)
+ * @returns {Object|null} Promotion entry, or null when none applies
+ */
+export function getPromotion(apartmentId, night) {
+    const rackRate = BASE_RATES[apartmentId];
+    return PROMOTIONS
+        .filter((promo) => promo.apartmentIds.includes(apartmentId) && isWithin(night, promo))
+        .reduce((best, promo) => (
+            !best || getPromotionFactor(promo, rackRate) < getPromotionFactor(best, rackRate) ? promo : best
+        ), null);
+}
+
+/**
+ * Applies a promotion to an amount.
+ * @param {number} amount - Amount before promotion, in PKR
+ * @param {number} rackRate - Apartment's rack rate
+ * @param {Object} promotion - Promotion entry
+ * @returns {number} Rounded promotional amount
+ */
+function applyPromotion(amount, rackRate, promotion) {
+    return roundRate(amount * getPromotionFactor(promotion, rackRate));
+}
+
+/**
+ * Prices a single night.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} night - Night date (YYYY-MM-DD)
+ * @returns {{night: string, rackRate: number, season: Object|null, isWeekend: boolean,
+ *   promotion: Object|null, fullRate: number, rate: number}} Night pricing,
+ *   where `fullRate` is before promotion and `rate` is what the guest pays
+ *
+ * @example
+ * getNightlyRate('luxury-apartment-40', '2026-10-20').rate; // 7500
+ */
+export function getNightlyRate(apartmentId, night) {
+    const rackRate = BASE_RATES[apartmentId];
+    if (rackRate === undefined) {
+        throw new Error(`No base rate defined for apartment "${apartmentId}"`);
+    }
+
+    const season = getSeasonForNight(night);
+    const isWeekend = WEEKEND_SURCHARGE.nights.includes(dayOfWeek(night));
+    const promotion = getPromotion(apartmentId, night);
+
+    let fullRate = rackRate;
+    if (season) fullRate *= 1 + season.adjustment / 100;
+    if (isWeekend) fullRate *= 1 + WEEKEND_SURCHARGE.percent / 100;
+    fullRate = roundRate(fullRate);
+
+    const rate = promotion ? applyPromotion(fullRate, rackRate, promotion) : fullRate;
+
+    return { night, rackRate, season, isWeekend, promotion, fullRate, rate };
+}
+
+/**
+ * Finds the highest length-of-stay tier a stay reaches.
+ *
+ * @param {number} nightCount - Number of nights
+ * @returns {Object|null} Tier entry, or null for short stays
+ */
+export function getLengthOfStayTier(nightCount) {
+    return LENGTH_OF_STAY_TIERS
+        .filter((tier) => nightCount >= tier.minNights)
+        .reduce((best, tier) => (!best || tier.percent > best.percent ? tier : best), null);
+}
+
+/**
+ * Prices every night of a stay and applies any length-of-stay tier.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} checkIn - Check-in date
+ * @param {string} checkOut - Check-out date
+ * @returns {{nights: Object[], nightsTotal: number, lengthOfStay: {tier: Object, discount: number}|null,
+ *   total: number, fullTotal: number, savings: number}} Night breakdown, the sum of
+ *   nightly rates, the tier discount, the payable total and the promotional
+ *   savings already included in the nightly rates
+ */
+export function getStayPricing(apartmentId, checkIn, checkOut) {
+    const nights = eachNight(checkIn, checkOut).map((night) => getNightlyRate(apartmentId, night));
+    const nightsTotal = nights.reduce((sum, n) => sum + n.rate, 0);
+    const fullTotal = nights.reduce((sum, n) => sum + n.fullRate, 0);
+
+    const tier = getLengthOfStayTier(nights.length);
+    const lengthOfStay = tier
+        ? { tier, discount: roundRate(nightsTotal * (tier.percent / 100)) }
+        : null;
+
+    return {
+        nights,
+        nightsTotal,
+        lengthOfStay,
+        total: nightsTotal - (lengthOfStay ? lengthOfStay.discount : 0),
+        fullTotal,
+        savings: fullTotal - nightsTotal,
+    };
+}
+
+/**
+ * Headline "from" prices for apartment cards: the rack rate with the current
+ * promotion applied, ignoring seasonal and weekend adjustments, plus the
+ * equivalent 30-night price with the best tier for a month's stay.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @param {string} [date] - Date used to resolve the promotion (defaults to today)
+ * @returns {{rate: number, rackRate: number, discountPercent: number, promotion: Object|null,
+ *   monthlyRate: number}}
+ */
+export function getDisplayPricing(apartmentId, date = todayISO()) {
+    const rackRate = BASE_RATES[apartmentId];
+    const promotion = getPromotion(apartmentId, date);
+    const rate = promotion ? applyPromotion(rackRate, rackRate, promotion) : rackRate;
+    const monthTier = getLengthOfStayTier(NIGHTS_PER_MONTH);
+    const monthlyRate = roundRate(rate * NIGHTS_PER_MONTH * (1 - (monthTier ? monthTier.percent : 0) / 100));
+
+    return {
+        rate,
+        rackRate,
+        discountPercent: promotion ? getPromotionPercent(promotion, apartmentId) : 0,
+        promotion,
+        monthlyRate,
+    };
+}
+
+/**
+ * Formats a PKR amount for display.
+ *
+ * @param {number} amount - Amount in PKR
+ * @returns {string} Formatted amount, e.g. "7,500 PKR"
+ */
+export function formatPKR(amount) {
+    return `${Math.round(amount).toLocaleString('en-US')} PKR`;
+}
+
+export default {
+    getSeasonForNight,
+    getPromotionPercent,
+    getPromotion,
+    getNightlyRate,
+    getLengthOfStayTier,
+    getStayPricing,
+    getDisplayPricing,
+    formatPKR,
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Promo code validation.
+ * Checks guest-entered codes against `data/promo-codes.js` and works out
+ * the discount they give on a stay.
+ * @version 1.0.0
+ */
+
+import { PROMO_CODES } from '../data/promo-codes';
+import { RATE_ROUNDING } from '../data/rates';
+import { addDays, formatDisplayDate, formatNights, nightsBetween } from './dateUtils';
+import { formatPKR } from './pricing';
+
+/**
+ * Normalises a code as typed by a guest.
+ *
+ * @param {string} code - Raw input
+ * @returns {string} Trimmed, upper-case code
+ */
+export function normalizePromoCode(code) {
+    return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Looks up a promo code definition.
+ *
+ * @param {string} code - Code, any case
+ * @returns {Object|undefined} Promo code definition
+ */
+export function findPromoCode(code) {
+    const normalized = normalizePromoCode(code);
+    return PROMO_CODES.find((promo) => promo.code === normalized);
+}
+
+/**
+ * Checks whether a code can be used for a stay. Date rules are only checked
+ * once both dates are known.
+ *
+ * @param {string} code - Code, any case
+ * @param {Object} stay - Stay details
+ * @param {Object} stay.apartment - Apartment from `data/inventory`
+ * @param {string|null} [stay.checkIn] - Check-in date
+ * @param {string|null} [stay.checkOut] - Check-out date
+ * @returns {{promo: Object|null, error: string|null}} The matching code, or the reason it cannot be used
+ */
+export function checkPromoCode(code, { apartment, checkIn, checkOut }) {
+    const promo = findPromoCode(code);
+    if (!promo) {
+        return { promo: null, error: `"${normalizePromoCode(code)}" is not a valid promo code.` };
+    }
+
+    if (promo.apartmentIds && !promo.apartmentIds.includes(apartment.id)) {
+        return { promo: null, error: `${promo.code} is not valid for the ${apartment.name}.` };
+    }
+
+    if (checkIn && checkOut) {
+        if (promo.start && checkIn < promo.start) {
+            return { promo: null, error: `${promo.code} is valid for check-ins from ${formatDisplayDate(promo.start)}.` };
+        }
+        if (promo.end && checkIn >= promo.end) {
+            return { promo: null, error: `${promo.code} was valid for check-ins until ${formatDisplayDate(addDays(promo.end, -1))}.` };
+        }
+        if (promo.minNights && nightsBetween(checkIn, checkOut) < promo.minNights) {
+            return { promo: null, error: `${promo.code} needs a stay of at least ${formatNights(promo.minNights)}.` };
+        }
+    }
+
+    return { promo, error: null };
+}
+
+/**
+ * Works out the discount a promo code gives on a room total.
+ *
+ * @param {Object} promo - Promo code definition
+ * @param {number} roomTotal - Room total in PKR, after automatic offers
+ * @returns {number} Discount in PKR, percentages rounded to the rate step
+ *   (never more than the room total)
+ */
+export function getPromoDiscount(promo, roomTotal) {
+    const discount = promo.type === 'percent'
+        ? Math.round((roomTotal * (promo.value / 100)) / RATE_ROUNDING) * RATE_ROUNDING
+        : promo.value;
+
+    return Math.min(discount, roomTotal);
+}
+
+/**
+ * Describes what a promo code is worth.
+ *
+ * @param {Object} promo - Promo code definition
+ * @returns {string} Text such as "10% off" or "5,000 PKR off"
+ */
+export function describePromoCode(promo) {
+    return promo.type === 'percent' ? `${promo.value}% off` : `${formatPKR(promo.value)} off`;
+}
+
+export default {
+    normalizePromoCode,
+    findPromoCode,
+    checkPromoCode,
+    getPromoDiscount,
+    describePromoCode,
+};
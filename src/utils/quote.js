@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Stay quote builder.
+ * Turns an apartment, dates and guest details into a priced quote and a
+ * human-readable booking request for reception, including long-stay
+ * (monthly) enquiries.
+ * @version 1.1.0
+ */
+
+import { TAX } from '../data/rates';
+import { WHATSAPP_LINK, CONTACT_EMAIL } from '../data/content';
+import {
+    addMonths, formatDisplayDate, formatMonths, formatNights,
+} from './dateUtils';
+import { getStayPricing, formatPKR } from './pricing';
+import {
+    DEFAULT_PARTY, checkOccupancy, formatParty, getExtraGuestCharge,
+} from './occupancy';
+import { checkPromoCode, describePromoCode, getPromoDiscount, normalizePromoCode } from './promoCodes';
+import { describeExtra, getExtrasCharges } from './extras';
+import { formatPrice } from './currency';
+import { BILLING_CURRENCY } from '../data/exchange-rates';
+
+/**
+ * Computes the tax portion of an amount.
+ *
+ * @param {number} amount - Amount in PKR
+ * @returns {{label: string, percent: number, inclusive: boolean, amount: number}} Tax line
+ */
+export function getTax(amount) {
+    const taxAmount = TAX.inclusive
+        ? amount - amount / (1 + TAX.percent / 100)
+        : amount * (TAX.percent / 100);
+
+    return { ...TAX, amount: Math.round(taxAmount) };
+}
+
+/**
+ * Creates an empty quote request for an apartment.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @returns {Object} Request with no dates, the default party, no extras and
+ *   no promo code, in nightly mode with a three-month long stay preset
+ */
+export function createQuoteRequest(apartmentId) {
+    return {
+        apartmentId,
+        mode: 'nightly',
+        checkIn: null,
+        checkOut: null,
+        moveIn: null,
+        months: 3,
+        ...DEFAULT_PARTY,
+        extras: {},
+        guestName: '',
+        notes: '',
+        promoCode: '',
+    };
+}
+
+/**
+ * Builds a priced quote for a stay.
+ *
+ * @param {Object} apartment - Apartment from `data/inventory`
+ * @param {Object} request - Booking request
+ * @param {string} request.checkIn - Check-in date
+ * @param {string} request.checkOut - Check-out date
+ * @param {number} request.adults - Adults
+ * @param {number} request.children - Children aged 2–11
+ * @param {number} request.infants - Infants under 2
+ * @param {Object<string, number>} [request.extras] - Add-on extras, as id -> quantity
+ * @param {string} [request.guestName] - Lead guest name
+ * @param {string} [request.notes] - Special requests
+ * @param {string} [request.promoCode] - Promo code; ignored when it does not apply
+ * @returns {Object|null} Quote, or null when the dates do not form a stay or
+ *   the party exceeds the apartment's occupancy
+ *
+ * @example
+ * const quote = buildQuote(apartment, { checkIn: '2026-11-12', checkOut: '2026-11-15', adults: 2, children: 0, infants: 0 });
+ * quote.total; // 24000
+ */
+export function buildQuote(apartment, {
+    checkIn, checkOut, adults, children, infants, extras = {}, guestName = '', notes = '', promoCode = '',
+}) {
+    if (!apartment || !checkIn || !checkOut || checkOut <= checkIn) return null;
+
+    const party = { adults, children, infants };
+    if (checkOccupancy(apartment, party).length > 0) return null;
+
+    const pricing = getStayPricing(apartment.id, checkIn, checkOut);
+    const extraGuests = getExtraGuestCharge(apartment, party, pricing.nights.length);
+    const addOns = getExtrasCharges(apartment, extras, pricing.nights.length);
+
+    // Promo codes discount the room total after any length-of-stay tier, not extra beds or add-ons
+    const { promo, error: promoError } = normalizePromoCode(promoCode)
+        ? checkPromoCode(promoCode, { apartment, checkIn, checkOut })
+        : { promo: null, error: null };
+    const promoDiscount = promo ? getPromoDiscount(promo, pricing.total) : 0;
+
+    const subtotal = pricing.total - promoDiscount + extraGuests.total + addOns.total;
+    const tax = getTax(subtotal);
+    const total = tax.inclusive ? subtotal : subtotal + tax.amount;
+
+    return {
+        reference: getQuoteReference({
+            apartmentId: apartment.id, checkIn, checkOut, party, extras, promoCode: promo ? promo.code : '',
+        }),
+        apartmentId: apartment.id,
+        apartmentName: apartment.name,
+        checkIn,
+        checkOut,
+        party,
+        guestName: guestName.trim(),
+        notes: notes.trim(),
+        nights: pricing.nights,
+        roomTotal: pricing.nightsTotal,
+        lengthOfStay: pricing.lengthOfStay,
+        extraGuests,
+        extras: addOns,
+        promoCode: promo
+            ? { code: promo.code, label: promo.label, description: describePromoCode(promo), discount: promoDiscount }
+            : null,
+        promoError,
+        subtotal,
+        tax,
+        total,
+        savings: pricing.savings,
+    };
+}
+
+/**
+ * Builds a short reference that identifies a quote, so a PDF quotation and
+ * the matching WhatsApp or email request can be paired by reception. The
+ * same stay, party, extras and promo code always give the same reference.
+ *
+ * @param {Object} request - Apartment id, dates, party, extras and promo code
+ * @returns {string} Reference such as "AC-261112-0K3F9QZ"
+ */
+export function getQuoteReference({
+    apartmentId, checkIn, checkOut, party, extras = {}, promoCode = '',
+}) {
+    const key = [
+        apartmentId,
+        checkIn,
+        checkOut,
+        party.adults,
+        party.children,
+        party.infants,
+        Object.keys(extras).sort().filter((id) => extras[id] > 0).map((id) => `${id}:${extras[id]}`).join(','),
+        normalizePromoCode(promoCode),
+    ].join('|');
+
+    // 32-bit FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i += 1) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return `AC-${checkIn.replace(/-/g, '').slice(2)}-${hash.toString(36).toUpperCase().padStart(7, '0')}`;
+}
+
+/**
+ * Describes the extra beds in a quote.
+ *
+ * @param {Object} quote - Quote from `buildQuote`
+ * @returns {string} Text such as "Extra bed · 1 child × 3 nights" (empty when none)
+ */
+export function describeExtraGuests(quote) {
+    const { label, adults, children } = quote.extraGuests;
+    if (adults + children === 0) return '';
+
+    return `${label} · ${formatParty({ adults, children, infants: 0 })} × ${formatNights(quote.nights.length)}`;
+}
+
+/**
+ * Describes the length-of-stay tier in a quote.
+ *
+ * @param {Object} quote - Quote from `buildQuote`
+ * @returns {string} Text such as "Weekly rate · 10% off 7+ nights" (empty when none)
+ */
+export function describeLengthOfStay(quote) {
+    if (!quote.lengthOfStay) return '';
+
+    const { tier } = quote.lengthOfStay;
+    return `${tier.label} · ${tier.percent}% off ${tier.minNights}+ nights`;
+}
+
+/**
+ * Short label describing why a night is priced the way it is.
+ *
+ * @param {Object} night - Night pricing from `getNightlyRate`
+ * @returns {string} Label such as "Wedding Season, weekend" (empty for standard nights)
+ */
+export function describeNight(night) {
+    return [night.season?.name, night.isWeekend ? 'weekend' : null]
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Formats a quote as a WhatsApp-friendly booking request.
+ * Amounts are always stated in PKR; when the guest browses in another
+ * currency the approximate total is added for reference.
+ *
+ * @param {Object} quote - Quote from `buildQuote`
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.currency='PKR'] - Guest's display currency
+ * @returns {string} Plain-text message
+ */
+export function formatQuoteMessage(quote, { currency = BILLING_CURRENCY } = {}) {
+    const lines = [
+        '*Booking Request – Andalusian Castle*',
+        '',
+        `Quote ref: ${quote.reference}`,
+        `Apartment: ${quote.apartmentName}`,
+        `Check-in: ${formatDisplayDate(quote.checkIn)}`,
+        `Check-out: ${formatDisplayDate(quote.checkOut)}`,
+        `Stay: ${formatNights(quote.nights.length)}`,
+        `Guests: ${formatParty(quote.party)}`,
+    ];
+
+    if (quote.guestName) lines.push(`Name: ${quote.guestName}`);
+
+    lines.push('', 'Nightly breakdown:');
+    quote.nights.forEach((night) => {
+        const note = describeNight(night);
+        lines.push(`• ${formatDisplayDate(night.night)}: ${formatPKR(night.rate)}${note ? ` (${note})` : ''}`);
+    });
+
+    if (quote.lengthOfStay) {
+        lines.push(`• ${describeLengthOfStay(quote)}: -${formatPKR(quote.lengthOfStay.discount)}`);
+    }
+    if (quote.extraGuests.total > 0) {
+        lines.push(`• ${describeExtraGuests(quote)}: ${formatPKR(quote.extraGuests.total)}`);
+    }
+    if (quote.promoCode) {
+        lines.push(`• Promo code ${quote.promoCode.code} (${quote.promoCode.description}): -${formatPKR(quote.promoCode.discount)}`);
+    }
+    if (quote.extras.items.length > 0) {
+        lines.push('', 'Extras:');
+        quote.extras.items.forEach((item) => {
+            lines.push(`• ${describeExtra(item, quote.nights.length)}: ${formatPKR(item.total)}`);
+        });
+    }
+
+    const approxTotal = currency !== BILLING_CURRENCY ? ` (${formatPrice(quote.total, currency)})` : '';
+    lines.push('', `Total: ${formatPKR(quote.total)}${approxTotal}`);
+    lines.push(quote.tax.inclusive
+        ? `Includes ${quote.tax.percent}% ${quote.tax.label}: ${formatPKR(quote.tax.amount)}`
+        : `${quote.tax.percent}% ${quote.tax.label}: ${formatPKR(quote.tax.amount)}`);
+    if (quote.savings > 0) lines.push(`Promotional savings: ${formatPKR(quote.savings)}`);
+
+    if (quote.notes) lines.push('', `Special requests: ${quote.notes}`);
+
+    lines.push('', 'Please confirm availability and payment details.');
+    return lines.join('\n');
+}
+
+/**
+ * Works out the check-out date of a long stay.
+ *
+ * @param {string} moveIn - Move-in date
+ * @param {number} months - Duration in months
+ * @returns {string} Move-out date
+ */
+export function getLongStayEnd(moveIn, months) {
+    return addMonths(moveIn, months);
+}
+
+/**
+ * Formats a long-stay enquiry. Long stays are confirmed by reception, so the
+ * quote is presented as an estimate rather than a night-by-night breakdown.
+ *
+ * @param {Object} quote - Quote from `buildQuote` covering the whole stay
+ * @param {Object} options - Formatting options
+ * @param {number} options.months - Duration in months
+ * @param {string} [options.currency='PKR'] - Guest's display currency
+ * @returns {string} Plain-text message
+ */
+export function formatLongStayMessage(quote, { months, currency = BILLING_CURRENCY }) {
+    const perMonth = Math.round(quote.total / months);
+    const approx = (amount) => (currency !== BILLING_CURRENCY ? ` (${formatPrice(amount, currency)})` : '');
+
+    const lines = [
+        '*Long Stay Enquiry – Andalusian Castle*',
+        '',
+        `Quote ref: ${quote.reference}`,
+        `Apartment: ${quote.apartmentName}`,
+        `Move-in: ${formatDisplayDate(quote.checkIn)}`,
+        `Duration: ${formatMonths(months)} (until ${formatDisplayDate(quote.checkOut)}, ${formatNights(quote.nights.length)})`,
+        `Guests: ${formatParty(quote.party)}`,
+    ];
+
+    if (quote.guestName) lines.push(`Name: ${quote.guestName}`);
+
+    lines.push('', `Estimated total: ${formatPKR(quote.total)}${approx(quote.total)}`);
+    lines.push(`≈ ${formatPKR(perMonth)} per month${approx(perMonth)}`);
+    if (quote.lengthOfStay) lines.push(`Includes ${describeLengthOfStay(quote)}`);
+    if (quote.extraGuests.total > 0) lines.push(`Includes ${describeExtraGuests(quote)}`);
+    quote.extras.items.forEach((item) => {
+        lines.push(`Includes ${describeExtra(item, quote.nights.length)}: ${formatPKR(item.total)}`);
+    });
+    if (quote.promoCode) lines.push(`Includes promo code ${quote.promoCode.code}: -${formatPKR(quote.promoCode.discount)}`);
+
+    if (quote.notes) lines.push('', `Special requests: ${quote.notes}`);
+
+    lines.push('', 'Please confirm availability and monthly terms.');
+    return lines.join('\n');
+}
+
+/**
+ * Builds a WhatsApp deep link to reception with a pre-filled message.
+ *
+ * @param {string} message - Message text
+ * @returns {string} wa.me URL
+ */
+export function getWhatsAppLink(message) {
+    return `${WHATSAPP_LINK}?text=${encodeURIComponent(message)}`;
+}
+
+/**
+ * Builds a mailto link to reservations with a pre-filled enquiry.
+ *
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body
+ * @returns {string} mailto URL
+ */
+export function getEmailLink(subject, body) {
+    return `mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+export default {
+    getTax,
+    createQuoteRequest,
+    buildQuote,
+    getQuoteReference,
+    describeExtraGuests,
+    describeLengthOfStay,
+    describeNight,
+    formatQuoteMessage,
+    getLongStayEnd,
+    formatLongStayMessage,
+    getWhatsAppLink,
+    getEmailLink,
+};
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Quotation PDF.
+ * Lays out a priced quote as a branded, printable quotation for guests who
+ * need written approval before booking (typically corporate stays),
+ * including what they would get back for cancelling. Built with the
+ * in-house PDF writer, so it works offline.
+ * @version 1.1.0
+ */
+
+import { CONTACT_EMAIL, CONTACT_PHONE } from '../data/content';
+import { STAY_POLICIES } from '../data/inventory';
+import { LEGAL_CONTENT } from '../data/legal';
+import { BILLING_CURRENCY } from '../data/exchange-rates';
+import { createPdfDocument, loadJpegImage, wrapText } from './pdf';
+import { downloadBlob } from './download';
+import { getHotelAddress } from './calendar';
+import {
+    formatDisplayDate, formatMonths, formatNights, todayISO,
+} from './dateUtils';
+import { formatPKR } from './pricing';
+import { formatPrice } from './currency';
+import { formatParty } from './occupancy';
+import { describeExtra } from './extras';
+import { describeTierRefund, getRefundSchedule } from './cancellation';
+import {
+    describeExtraGuests, describeLengthOfStay, describeNight,
+} from './quote';
+
+/**
+ * Logo drawn in the header.
+ * @constant {string}
+ */
+const LOGO_SRC = `${process.env.PUBLIC_URL}/images/logo.png`;
+
+/**
+ * Page margin in points.
+ * @constant {number}
+ */
+const MARGIN = 48;
+
+/**
+ * Lowest baseline for body content; the footer sits below it.
+ * @constant {number}
+ */
+const CONTENT_BOTTOM = 780;
+
+/**
+ * Brand colours (RGB).
+ */
+const COLORS = {
+    gold: [212, 175, 55],
+    goldDark: [160, 128, 30],
+    ink: [34, 34, 34],
+    muted: [102, 102, 102],
+    band: [250, 246, 235],
+    green: [46, 125, 50],
+};
+
+/**
+ * Turns the Markdown-style legal text into styled lines.
+ * @param {string} markdown - Legal page content
+ * @returns {Array<{text: string, font: string, size: number, indent: number, gap: number}>} Lines before wrapping
+ */
+function legalBlocks(markdown) {
+    return markdown
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+            const text = line.replace(/\*\*/g, '');
+            if (text.startsWith('## ')) return { text: text.slice(3), font: 'bold', size: 9, indent: 0, gap: 8 };
+            if (text.startsWith('### ')) return { text: text.slice(4), font: 'bold', size: 8, indent: 0, gap: 4 };
+            if (text.startsWith('- ')) return { text: `• ${text.slice(2)}`, font: 'regular', size: 8, indent: 8, gap: 1 };
+            return { text, font: 'regular', size: 8, indent: 0, gap: 2 };
+        });
+}
+
+/**
+ * Creates the quotation PDF for a quote.
+ *
+ * @param {Object} quote - Quote from `buildQuote`
+ * @param {Object} [options] - Options
+ * @param {string} [options.currency='PKR'] - Guest's display currency, shown for reference
+ * @param {number} [options.months] - Duration in months, for long-stay quotes
+ * @param {string} [options.issuedOn] - Issue date (defaults to today)
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function createQuotePdf(quote, { currency = BILLING_CURRENCY, months, issuedOn = todayISO() } = {}) {
+    const doc = createPdfDocument({ title: `Quotation ${quote.reference}`, author: 'Andalusian Castle' });
+    const right = doc.width - MARGIN;
+    const contentWidth = right - MARGIN;
+    let y = 0;
+
+    // The quotation is still useful without the logo, e.g. if it failed to load
+    const logo = await loadJpegImage(LOGO_SRC, 240).catch(() => null);
+
+    const newPage = () => {
+        doc.addPage();
+        y = 60;
+    };
+    const ensureSpace = (height) => {
+        if (y + height > CONTENT_BOTTOM) newPage();
+    };
+    const sectionTitle = (title) => {
+        ensureSpace(36);
+        y += 22;
+        doc.text(title.toUpperCase(), MARGIN, y, { font: 'bold', size: 9, color: COLORS.goldDark });
+        y += 6;
+        doc.line(MARGIN, y, right, y, { color: COLORS.gold, width: 0.5 });
+        y += 14;
+    };
+    const detail = (label, value) => {
+        ensureSpace(14);
+        doc.text(label, MARGIN, y, { size: 9, color: COLORS.muted });
+        doc.text(value, MARGIN + 90, y, { size: 9, color: COLORS.ink });
+        y += 14;
+    };
+    const amountRow = (label, amount, { note, font = 'regular', color = COLORS.ink } = {}) => {
+        ensureSpace(note ? 24 : 16);
+        doc.text(label, MARGIN, y, { font, size: 9, color: COLORS.ink });
+        doc.text(amount, right, y, {
+            font, size: 9, color, align: 'right',
+        });
+        if (note) {
+            y += 10;
+            doc.text(note, MARGIN + 8, y, { size: 7.5, color: COLORS.goldDark });
+        }
+        y += 6;
+        doc.line(MARGIN, y, right, y, { color: COLORS.band, width: 0.75 });
+        y += 10;
+    };
+
+    // Header
+    newPage();
+    y = 40;
+    const textLeft = logo ? MARGIN + 66 : MARGIN;
+    if (logo) doc.image(logo, MARGIN, y, 56, 56 * (logo.height / logo.width));
+    doc.text('Andalusian Castle', textLeft, y + 20, { font: 'bold', size: 18, color: COLORS.ink });
+    doc.text(getHotelAddress(), textLeft, y + 34, { size: 8, color: COLORS.muted });
+    doc.text(`${CONTACT_PHONE} · ${CONTACT_EMAIL}`, textLeft, y + 45, { size: 8, color: COLORS.muted });
+
+    doc.text('QUOTATION', right, y + 20, {
+        font: 'bold', size: 16, color: COLORS.gold, align: 'right',
+    });
+    doc.text(`Ref: ${quote.reference}`, right, y + 34, { size: 8.5, color: COLORS.ink, align: 'right' });
+    doc.text(`Issued: ${formatDisplayDate(issuedOn)}`, right, y + 45, { size: 8.5, color: COLORS.ink, align: 'right' });
+    y += 66;
+    doc.line(MARGIN, y, right, y, { color: COLORS.gold, width: 1.5 });
+
+    // Guest and stay
+    sectionTitle('Guest details');
+    detail('Name', quote.guestName || 'To be confirmed');
+    detail('Guests', formatParty(quote.party));
+
+    sectionTitle('Stay');
+    detail('Apartment', quote.apartmentName);
+    detail('Check-in', `${formatDisplayDate(quote.checkIn)}, from ${STAY_POLICIES.checkIn}`);
+    detail('Check-out', `${formatDisplayDate(quote.checkOut)}, by ${STAY_POLICIES.checkOut}`);
+    detail('Length', months
+        ? `${formatMonths(months)} (${formatNights(quote.nights.length)})`
+        : formatNights(quote.nights.length));
+
+    // Price breakdown, always in the billing currency
+    sectionTitle(`Price breakdown (${BILLING_CURRENCY})`);
+    if (months) {
+        amountRow(`Room · ${formatNights(quote.nights.length)}`, formatPKR(quote.roomTotal), {
+            note: 'Seasonal and weekend rates included',
+        });
+    } else {
+        quote.nights.forEach((night) => {
+            amountRow(formatDisplayDate(night.night), formatPKR(night.rate), { note: describeNight(night) || undefined });
+        });
+    }
+    if (quote.lengthOfStay) {
+        amountRow(describeLengthOfStay(quote), `-${formatPKR(quote.lengthOfStay.discount)}`, { color: COLORS.green });
+    }
+    if (quote.extraGuests.total > 0) {
+        amountRow(describeExtraGuests(quote), formatPKR(quote.extraGuests.total));
+    }
+    if (quote.promoCode) {
+        amountRow(`Promo code ${quote.promoCode.code}`, `-${formatPKR(quote.promoCode.discount)}`, {
+            note: quote.promoCode.description,
+            color: COLORS.green,
+        });
+    }
+
+    if (quote.extras.items.length > 0) {
+        sectionTitle('Extras');
+        quote.extras.items.forEach((item) => {
+            amountRow(describeExtra(item, quote.nights.length), formatPKR(item.total));
+        });
+    }
+
+    // Totals
+    ensureSpace(60);
+    y += 6;
+    doc.rect(MARGIN, y - 14, contentWidth, 24, COLORS.band);
+    doc.text('Total', MARGIN + 8, y + 2, { font: 'bold', size: 12, color: COLORS.ink });
+    doc.text(formatPKR(quote.total), right - 8, y + 2, {
+        font: 'bold', size: 12, color: COLORS.goldDark, align: 'right',
+    });
+    y += 26;
+
+    const notes = [
+        quote.tax.inclusive
+            ? `Prices include ${quote.tax.percent}% ${quote.tax.label}: ${formatPKR(quote.tax.amount)}.`
+            : `${quote.tax.percent}% ${quote.tax.label} of ${formatPKR(quote.tax.amount)} is added to the total.`,
+        quote.savings > 0 ? `Offer savings already included in the nightly rates: ${formatPKR(quote.savings)}.` : null,
+        currency !== BILLING_CURRENCY
+            ? `${formatPrice(quote.total, currency)} at today's rate; payment is taken in ${BILLING_CURRENCY}.`
+            : null,
+        'This is a quotation, not a confirmed booking. Reception confirms availability and payment details.',
+    ].filter(Boolean);
+    notes.forEach((note) => {
+        wrapText(note, contentWidth, { size: 8.5 }).forEach((line) => {
+            ensureSpace(12);
+            doc.text(line, MARGIN, y, { size: 8.5, color: COLORS.muted });
+            y += 12;
+        });
+    });
+
+    if (quote.notes) {
+        sectionTitle('Special requests');
+        wrapText(quote.notes, contentWidth, { size: 9 }).forEach((line) => {
+            ensureSpace(13);
+            doc.text(line, MARGIN, y, { size: 9, color: COLORS.ink });
+            y += 13;
+        });
+    }
+
+    // Refund schedule from the issue date, then the full terms
+    const refunds = getRefundSchedule(quote.total, quote.checkIn, { from: issuedOn });
+    if (refunds.length > 0) {
+        sectionTitle('If you cancel');
+        refunds.forEach((period) => {
+            const dates = period.from === period.to
+                ? formatDisplayDate(period.from)
+                : `${formatDisplayDate(period.from)} – ${formatDisplayDate(period.to)}`;
+            amountRow(dates, `${formatPKR(period.amount)} back`, { note: describeTierRefund(period.tier) });
+        });
+    }
+
+    const policy = LEGAL_CONTENT.cancellation;
+    sectionTitle(`${policy.title} (last updated ${policy.lastUpdated})`);
+    legalBlocks(policy.content).forEach((block) => {
+        y += block.gap;
+        wrapText(block.text, contentWidth - block.indent, block).forEach((line, index) => {
+            ensureSpace(block.size + 3);
+            // Continuation lines of a bullet line up with its text
+            const indent = block.indent + (index > 0 && block.text.startsWith('• ') ? 7 : 0);
+            doc.text(line, MARGIN + indent, y, { font: block.font, size: block.size, color: COLORS.ink });
+            y += block.size + 3;
+        });
+    });
+
+    // Footer on every page
+    for (let page = 0; page < doc.pageCount; page += 1) {
+        doc.text(`Andalusian Castle · Quotation ${quote.reference}`, MARGIN, 815, { size: 7.5, color: COLORS.muted, page });
+        doc.text(`Page ${page + 1} of ${doc.pageCount}`, right, 815, {
+            size: 7.5, color: COLORS.muted, align: 'right', page,
+        });
+    }
+
+    return doc.toBlob();
+}
+
+/**
+ * Creates the quotation PDF and offers it as a download.
+ *
+ * @param {Object} quote - Quote from `buildQuote`
+ * @param {Object} [options] - Options, as for `createQuotePdf`
+ * @returns {Promise<void>} Resolves once the download has been offered
+ */
+export async function downloadQuotePdf(quote, options) {
+    const blob = await createQuotePdf(quote, options);
+    downloadBlob(`andalusian-castle-quote-${quote.reference}.pdf`, blob);
+}
+
+export default {
+    createQuotePdf,
+    downloadQuotePdf,
+};
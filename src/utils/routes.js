@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Minimal client-side routing.
+ * The site is a single scrolling page plus one deep-linkable page per
+ * apartment (`/apartments/<id>`). Routes are plain pathnames driven by the
+ * History API; hosting rewrites every path to index.html. The home page
+ * gallery keeps its view in the query string so photos can be shared.
+ * @version 1.1.0
+ */
+
+import { scrollToElement } from './scrollUtils';
+
+/**
+ * Path prefix for apartment detail pages.
+ * @constant {string}
+ */
+export const APARTMENTS_PATH = '/apartments';
+
+/**
+ * Home page section holding the photo gallery.
+ * @constant {string}
+ */
+export const GALLERY_SECTION_ID = 'gallery';
+
+/**
+ * How long to wait for a section to mount after returning to the home page.
+ * @constant {number}
+ */
+const SECTION_WAIT_MS = 3000;
+
+/**
+ * Subscribed listeners, notified on every navigation.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Builds the path of an apartment detail page.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @returns {string} Path such as "/apartments/luxury-apartment-40"
+ */
+export function getApartmentPath(apartmentId) {
+    return `${APARTMENTS_PATH}/${encodeURIComponent(apartmentId)}`;
+}
+
+/**
+ * Builds the absolute, shareable URL of an apartment detail page.
+ *
+ * @param {string} apartmentId - Apartment id
+ * @returns {string} Absolute URL
+ */
+export function getApartmentUrl(apartmentId) {
+    return `${window.location.origin}${getApartmentPath(apartmentId)}`;
+}
+
+/**
+ * Extracts the apartment id from a detail page path. A segment that is not
+ * valid percent-encoding (e.g. "/apartments/%E0") is returned as typed, so
+ * it matches no apartment and the page shows "Apartment not found".
+ *
+ * @param {string} pathname - Location pathname
+ * @returns {string|null} Apartment id, or null for any other path
+ *
+ * @example
+ * matchApartmentPath('/apartments/luxury-apartment-40/'); // 'luxury-apartment-40'
+ */
+export function matchApartmentPath(pathname) {
+    const match = pathname.match(/^\/apartments\/([^/]+)\/?$/);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        return match[1];
+    }
+}
+
+/**
+ * Gallery view stored in the URL.
+ * @typedef {Object} GalleryView
+ * @property {string} category - Category id ('all' for every photo)
+ * @property {string[]} tags - Selected tags, combined (an image needs them all)
+ * @property {boolean} showAll - Whether the grid is expanded
+ * @property {string|null} photoId - Id of the photo open in the lightbox
+ */
+
+/**
+ * Reads the gallery view from a query string.
+ *
+ * @param {string} search - Location search, e.g. "?category=exterior&tag=pool&photo=ext-1"
+ * @returns {GalleryView} Gallery view (defaults when absent)
+ */
+export function parseGalleryView(search) {
+    const params = new URLSearchParams(search);
+    return {
+        category: params.get('category') || 'all',
+        tags: params.getAll('tag'),
+        showAll: params.get('all') === '1',
+        photoId: params.get('photo'),
+    };
+}
+
+/**
+ * Builds the home page path for a gallery view. Defaults are left out so
+ * the plain gallery is simply "/#gallery".
+ *
+ * @param {GalleryView} view - Gallery view
+ * @returns {string} Path such as "/?category=exterior&tag=night&photo=ext-3#gallery"
+ */
+export function getGalleryPath({
+    category = 'all', tags = [], showAll = false, photoId = null,
+}) {
+    const params = new URLSearchParams();
+    if (category !== 'all') params.set('category', category);
+    tags.forEach((tag) => params.append('tag', tag));
+    if (showAll) params.set('all', '1');
+    if (photoId) params.set('photo', photoId);
+
+    const query = params.toString();
+    return `/${query ? `?${query}` : ''}#${GALLERY_SECTION_ID}`;
+}
+
+/**
+ * Returns the current pathname.
+ *
+ * @returns {string} Pathname
+ */
+export function getCurrentPath() {
+    return window.location.pathname;
+}
+
+/**
+ * Returns the current query string.
+ *
+ * @returns {string} Search, including the leading "?" (empty when none)
+ */
+export function getCurrentSearch() {
+    return window.location.search;
+}
+
+/**
+ * Subscribes to route changes, including browser back/forward.
+ *
+ * @param {Function} listener - Change callback
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPath(listener) {
+    listeners.add(listener);
+    window.addEventListener('popstate', listener);
+
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener('popstate', listener);
+    };
+}
+
+/**
+ * Navigates to a path without reloading the page.
+ *
+ * @param {string} path - Target path (may include a hash)
+ * @param {Object} [options] - Navigation options
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ * @param {Object|null} [options.state=null] - History state stored with the entry
+ * @returns {void}
+ */
+export function navigate(path, { replace = false, state = null } = {}) {
+    const current = window.location.pathname + window.location.search + window.location.hash;
+    if (path === current) return;
+
+    if (replace) {
+        window.history.replaceState(state, '', path);
+    } else {
+        window.history.pushState(state, '', path);
+    }
+
+    listeners.forEach((listener) => listener());
+    if (!path.includes('#')) window.scrollTo(0, 0);
+}
+
+/**
+ * Scrolls to a home page section, returning to the home page first when
+ * a detail page is showing. Lazy sections are given a moment to mount.
+ *
+ * @param {string} sectionId - Section element id (without #)
+ * @returns {void}
+ */
+export function goToSection(sectionId) {
+    if (document.getElementById(sectionId)) {
+        scrollToElement(sectionId);
+        return;
+    }
+
+    navigate(`/#${sectionId}`);
+
+    const startedAt = Date.now();
+    const waitForSection = () => {
+        if (document.getElementById(sectionId)) {
+            scrollToElement(sectionId);
+        } else if (Date.now() - startedAt < SECTION_WAIT_MS) {
+            window.requestAnimationFrame(waitForSection);
+        }
+    };
+    window.requestAnimationFrame(waitForSection);
+}
+
+export default {
+    APARTMENTS_PATH,
+    GALLERY_SECTION_ID,
+    getApartmentPath,
+    getApartmentUrl,
+    matchApartmentPath,
+    parseGalleryView,
+    getGalleryPath,
+    getCurrentPath,
+    getCurrentSearch,
+    subscribeToPath,
+    navigate,
+    goToSection,
+};
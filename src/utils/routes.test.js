@@ -0,0 +1,21 @@
+import { matchApartmentPath } from './routes';
+
+describe('matchApartmentPath', () => {
+    it('extracts the apartment id from a detail path', () => {
+        expect(matchApartmentPath('/apartments/luxury-apartment-40')).toBe('luxury-apartment-40');
+        expect(matchApartmentPath('/apartments/luxury-apartment-40/')).toBe('luxury-apartment-40');
+    });
+
+    it('returns null for other paths', () => {
+        expect(matchApartmentPath('/')).toBeNull();
+        expect(matchApartmentPath('/apartments')).toBeNull();
+        expect(matchApartmentPath('/apartments/a/b')).toBeNull();
+    });
+
+    it('does not throw on malformed percent-encoding', () => {
+        ['/apartments/%', '/apartments/%E0', '/apartments/%ZZ/'].forEach((path) => {
+            expect(() => matchApartmentPath(path)).not.toThrow();
+        });
+        expect(matchApartmentPath('/apartments/%E0')).toBe('%E0');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Travel estimates.
+ * Great-circle distances between map positions and drive times from the
+ * average-speed model in `data/attractions.js`, which slows down in
+ * Lahore's rush hours. Times of day are hotel local time.
+ * @version 1.0.0
+ */
+
+import { HOTEL_LOCATION } from '../data/content';
+import { DRIVE_SPEED_MODEL } from '../data/attractions';
+
+/**
+ * Mean radius of the Earth in kilometres.
+ * @constant {number}
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Drive times are rounded up to this many minutes.
+ * @constant {number}
+ */
+const MINUTE_STEP = 5;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Map position.
+ * @typedef {Object} GeoPoint
+ * @property {number} latitude - Decimal degrees
+ * @property {number} longitude - Decimal degrees
+ */
+
+/**
+ * Straight-line (great-circle) distance between two points.
+ *
+ * @param {GeoPoint} from - Start
+ * @param {GeoPoint} to - End
+ * @returns {number} Kilometres
+ *
+ * @example
+ * getDistanceKm(HOTEL_LOCATION, { latitude: 31.5881, longitude: 74.3101 }); // ≈ 27.9
+ */
+export function getDistanceKm(from, to) {
+    const dLat = (to.latitude - from.latitude) * DEG;
+    const dLng = (to.longitude - from.longitude) * DEG;
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(from.latitude * DEG) * Math.cos(to.latitude * DEG) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Hour of the day at the hotel.
+ *
+ * @param {Date} date - Moment
+ * @returns {number} Fractional hour, 0 to 24
+ */
+export function getHotelHour(date) {
+    const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + HOTEL_LOCATION.utcOffsetHours;
+    return ((hours % 24) + 24) % 24;
+}
+
+/**
+ * Traffic period of the speed model in force at a moment.
+ *
+ * @param {Date} [date=new Date()] - Departure time
+ * @returns {{from: number, label: string, kmh: number}} Period
+ */
+export function getTrafficPeriod(date = new Date()) {
+    const hour = getHotelHour(date);
+    return DRIVE_SPEED_MODEL.periods.reduce(
+        (current, period) => (period.from <= hour ? period : current),
+        DRIVE_SPEED_MODEL.periods[0],
+    );
+}
+
+/**
+ * Estimated drive time for a straight-line distance, at a given speed.
+ *
+ * @param {number} km - Straight-line distance
+ * @param {number} kmh - Average road speed
+ * @returns {number} Minutes, rounded up to MINUTE_STEP
+ */
+function getMinutesAtSpeed(km, kmh) {
+    const minutes = ((km * DRIVE_SPEED_MODEL.roadFactor) / kmh) * 60;
+    return Math.max(MINUTE_STEP, Math.ceil(minutes / MINUTE_STEP) * MINUTE_STEP);
+}
+
+/**
+ * Estimated drive time for a straight-line distance, leaving at a given
+ * time.
+ *
+ * @param {number} km - Straight-line distance
+ * @param {Date} [date=new Date()] - Departure time
+ * @returns {number} Minutes
+ */
+export function estimateDriveMinutes(km, date = new Date()) {
+    return getMinutesAtSpeed(km, getTrafficPeriod(date).kmh);
+}
+
+/**
+ * Quickest and slowest drive times over the day for a straight-line
+ * distance.
+ *
+ * @param {number} km - Straight-line distance
+ * @returns {{min: number, max: number}} Minutes
+ */
+export function getDriveMinutesRange(km) {
+    const speeds = DRIVE_SPEED_MODEL.periods.map((period) => period.kmh);
+    return {
+        min: getMinutesAtSpeed(km, Math.max(...speeds)),
+        max: getMinutesAtSpeed(km, Math.min(...speeds)),
+    };
+}
+
+/**
+ * Formats a distance for display.
+ *
+ * @param {number} km - Kilometres
+ * @returns {string} Distance such as "0.8 km" or "28 km"
+ */
+export function formatDistance(km) {
+    return `${km < 10 ? Math.round(km * 10) / 10 : Math.round(km)} km`;
+}
+
+/**
+ * Formats a drive time for display.
+ *
+ * @param {number} minutes - Minutes
+ * @returns {string} Time such as "45 min" or "1 h 10 min"
+ */
+export function formatDriveTime(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const rest = minutes % 60;
+    return `${Math.floor(minutes / 60)} h${rest ? ` ${rest} min` : ''}`;
+}
+
+export default {
+    getDistanceKm,
+    getHotelHour,
+    getTrafficPeriod,
+    estimateDriveMinutes,
+    getDriveMinutesRange,
+    formatDistance,
+    formatDriveTime,
+};